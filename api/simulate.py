@@ -1,7 +1,619 @@
 from http.server import BaseHTTPRequestHandler
 import json
+import time
 import numpy as np
-from scipy.integrate import solve_ivp
+from scipy.integrate import BDF, LSODA, Radau, solve_ivp
+from scipy.linalg import solve_banded
+
+
+# 솔버 설정 (src/solver/solverOptions.js와 같은 정의)
+INTEGRATION_METHODS = {'BDF': BDF, 'Radau': Radau, 'LSODA': LSODA}
+DEFAULT_OUTPUT_POINTS = 200
+DEFAULT_LOG_FIRST_TIME = 0.01
+MIN_LAYER_POINTS = 2
+MAX_GRID_NODES = 5000
+
+# Glass 두께 축소 기본 배율 (src/solver/thermalModel.js와 같음)
+GLASS_THICKNESS_SCALE_FACTOR = 10000.0
+
+
+def default_points_per_layer(num_layers, emissive_layer_index):
+    """레이어별 노드 수: 기판 50, 발광층 40, 나머지 20 (기본 6층 구조에서 [50, 20, 20, 40, 20, 20])"""
+    points = [20] * num_layers
+    points[0] = 50
+    points[emissive_layer_index] = 40
+    return points
+
+
+def resolve_points_per_layer(data, emissive_layer_index):
+    """
+    레이어별 노드 수 (mesh_mode): default 기본값, points 레이어별 입력(points_per_layer),
+    max_cell 최대 셀 크기(max_cell_size_nm)로 활성층을 나눔 (기판은 기본값 유지)
+    """
+    thickness_nm = data['thickness_layers_nm']
+    points = default_points_per_layer(len(thickness_nm), emissive_layer_index)
+    mesh_mode = data.get('mesh_mode', 'default')
+    if mesh_mode == 'points':
+        requested = data.get('points_per_layer') or []
+        points = [requested[i] if i < len(requested) and requested[i] is not None else p for i, p in enumerate(points)]
+    elif mesh_mode == 'max_cell':
+        max_cell = data['max_cell_size_nm']
+        points = [p if i == 0 else max(MIN_LAYER_POINTS, int(np.ceil(thickness_nm[i] / max_cell))) for i, p in enumerate(points)]
+    if not all(isinstance(p, int) and p >= 1 for p in points) or sum(points) + 1 > MAX_GRID_NODES:
+        raise ValueError(f'격자 노드 수가 올바르지 않습니다 (레이어별 1 이상의 정수, 전체 {MAX_GRID_NODES}개 이하): {points}')
+    return points
+
+
+def build_output_times(data, t_start, t_end):
+    """출력 시간: 균등 간격 또는 로그 간격 (t_start, t_start + log_first_time, ..., t_end를 로그 균등 분할)"""
+    count = int(data.get('output_points', DEFAULT_OUTPUT_POINTS))
+    if data.get('output_spacing', 'linear') != 'log' or count < 3:
+        return np.linspace(t_start, t_end, count)
+    first = data.get('log_first_time', DEFAULT_LOG_FIRST_TIME)
+    offsets = np.logspace(np.log10(first), np.log10(t_end - t_start), count - 1)
+    times = np.concatenate(([t_start], t_start + offsets))
+    times[-1] = t_end
+    return times
+
+
+def counting_method(name, counter):
+    """solve_ivp에 넘길 적분기: 수락된 스텝 수를 counter['n_steps']에 누적 (solve_ivp 결과에는 스텝 수가 없음)"""
+    if name not in INTEGRATION_METHODS:
+        raise ValueError(f'알 수 없는 적분 방법입니다: {name}')
+
+    class Counted(INTEGRATION_METHODS[name]):
+        def step(self):
+            message = super().step()
+            if self.status != 'failed':
+                counter['n_steps'] += 1
+            return message
+
+    return Counted
+
+
+def property_function(model, base):
+    """온도 의존 물성 모델 -> T(배열) -> 물성 함수 (src/solver/propertyModels.js와 같은 정의)
+    constant: 기준값, linear: 기준값 + slope·(T - T_ref), table: 점 사이 선형 보간 (범위 밖은 끝 값)
+    """
+    model_type = (model or {}).get('type', 'constant')
+    if model_type == 'constant':
+        return lambda T: np.full_like(T, base)
+    if model_type == 'linear':
+        T_ref = model['T_ref']
+        slope = model['slope']
+        return lambda T: base + slope * (T - T_ref)
+    if model_type == 'table':
+        temperatures = np.array([row['temperature'] for row in model['table']], dtype=float)
+        values = np.array([row['value'] for row in model['table']], dtype=float)
+        return lambda T: np.interp(T, temperatures, values)
+    raise ValueError(f'알 수 없는 물성 모델입니다: {model_type}')
+
+
+# 고정 온도 경계의 접촉 저항 (m²·K/W): 경계 노드를 고정하는 대신 유한한 저항으로 연결 (1 kW/m²에서 오차 1 µK)
+FIXED_TEMPERATURE_CONTACT_RESISTANCE = 1e-9
+STEFAN_BOLTZMANN = 5.67e-8
+
+
+def boundary_flux_function(condition, epsilon):
+    """경계 조건 -> (T, T_amb) -> 표면에서 나가는 열유속 (W/m²) (src/solver/boundaryConditions.js와 같은 정의)
+    convective: 대류 + 복사, fixed_temperature: 접촉 저항으로 고정 온도에 연결, fixed_flux: 일정 열유속, heat_sink: (T - T_sink) / R_sink
+    """
+    boundary_type = condition['type']
+    if boundary_type == 'convective':
+        h_conv = condition['h_conv']
+        return lambda T, T_amb: h_conv * (T - T_amb) + epsilon * STEFAN_BOLTZMANN * (T**4 - T_amb**4)
+    if boundary_type == 'fixed_temperature':
+        temperature = condition['temperature']
+        return lambda T, T_amb: (T - temperature) / FIXED_TEMPERATURE_CONTACT_RESISTANCE
+    if boundary_type == 'fixed_flux':
+        flux = condition['flux']
+        return lambda T, T_amb: flux
+    if boundary_type == 'heat_sink':
+        resistance = condition['sink_resistance']
+        sink_temperature = condition['sink_temperature']
+        return lambda T, T_amb: (T - sink_temperature) / resistance
+    raise ValueError(f'알 수 없는 경계 조건입니다: {boundary_type}')
+
+
+def ambient_function(data, t_start):
+    """주변 온도 t -> T_amb(t): ambient_profile (t_start 기준 시간, 점 사이 선형, 범위 밖은 끝 값), 없으면 T_ambient 일정"""
+    profile = data.get('ambient_profile')
+    T_ambient = data['T_ambient']
+    if not profile:
+        return lambda t: T_ambient
+    times = np.array(profile['times'], dtype=float)
+    temperatures = np.array(profile['temperatures'], dtype=float)
+    return lambda t: float(np.interp(t - t_start, times, temperatures))
+
+
+PROFILE_SUBINTERVALS = 8
+
+
+def profile_shape(profile, thickness_nm):
+    """발광층 발열 밀도 모양 g(ξ) (정규화 전), ξ = 아래 계면에서의 거리 (nm) (src/solver/heatSource.js와 같은 정의)"""
+    profile_type = (profile or {}).get('type', 'uniform')
+    if profile_type == 'uniform':
+        return lambda xi: np.ones_like(xi)
+    if profile_type == 'gaussian':
+        center = profile['center_nm']
+        sigma = profile['width_nm']
+        return lambda xi: np.exp(-0.5 * ((xi - center) / sigma) ** 2)
+    if profile_type == 'exponential':
+        decay = profile['decay_length_nm']
+        if profile.get('interface') == 'top':
+            return lambda xi: np.exp(-(thickness_nm - xi) / decay)
+        return lambda xi: np.exp(-xi / decay)
+    raise ValueError(f'알 수 없는 발열 분포입니다: {profile_type}')
+
+
+def build_source_distribution(data, x, dx, layer_indices_map, emissive_layer_index):
+    """
+    노드별 발열 비중 (명목 발열 V·J·(1 - EQE) 중 몫, heat_fractions는 % 단위)과 발광층 발열 모양 몫 (합 1, EQE(T) 되먹임용)
+    노드가 받는 열 = 제어체적과 겹치는 구간의 발열 밀도 적분 (Simpson, PROFILE_SUBINTERVALS 소구간)
+    """
+    num_layers = len(layer_indices_map)
+    if data.get('heat_fractions') is not None:
+        fractions = np.array(data['heat_fractions'], dtype=float) / 100.0
+    else:
+        fractions = np.array([1.0 if i == emissive_layer_index else 0.0 for i in range(num_layers)])
+    weights = np.zeros(len(x))
+    emissive_weights = None
+    simpson = np.ones(PROFILE_SUBINTERVALS + 1)
+    simpson[1:-1:2] = 4
+    simpson[2:-1:2] = 2
+    for layer, prop_slice in enumerate(layer_indices_map):
+        is_emissive = layer == emissive_layer_index
+        if fractions[layer] == 0 and not is_emissive:
+            continue
+        start, end = prop_slice.start, prop_slice.stop - 1
+        nodes = np.arange(start, end + 1)
+        lo = np.where(nodes == start, x[start], x[nodes] - np.append(0.0, dx)[nodes] / 2)
+        hi = np.where(nodes == end, x[end], x[nodes] + np.append(dx, 0.0)[nodes] / 2)
+        shape = profile_shape(data.get('source_profile'), data['thickness_layers_nm'][layer]) if is_emissive \
+            else (lambda xi: np.ones_like(xi))
+        a = (lo - x[start]) * 1e9
+        b = (hi - x[start]) * 1e9
+        h = (b - a) / PROFILE_SUBINTERVALS
+        samples = shape(a[:, np.newaxis] + h[:, np.newaxis] * np.arange(PROFILE_SUBINTERVALS + 1))
+        local = samples @ simpson * h / 3
+        shares = local / local.sum()
+        weights[start:end + 1] += fractions[layer] * shares
+        if is_emissive:
+            emissive_weights = shares
+    return weights, emissive_weights
+
+
+MAX_DRIVE_SEGMENTS = 5000
+
+
+def _drive_cut_times(profile, span):
+    """구동 구간을 나누는 시각 (t_start 기준, 0 < tau < span)"""
+    times = profile['times']
+    period = profile.get('period')
+    cuts = []
+    if period:
+        count = int(np.ceil(span / period))
+        if count * len(times) > MAX_DRIVE_SEGMENTS:
+            raise ValueError(f'구동 파형의 구간이 너무 많습니다 (최대 {MAX_DRIVE_SEGMENTS}개). 주파수를 낮추거나 시뮬레이션 시간을 줄이세요.')
+        for k in range(count):
+            cuts.extend(k * period + tau for tau in times)
+            cuts.append((k + 1) * period)
+    else:
+        cuts.extend(times)
+    unique = sorted(tau for tau in set(cuts) if 0 < tau < span)
+    if len(unique) + 1 > MAX_DRIVE_SEGMENTS:
+        raise ValueError(f'구동 파형의 구간이 너무 많습니다 (최대 {MAX_DRIVE_SEGMENTS}개).')
+    return unique
+
+
+def _drive_within_segment(profile, tau_mid, tau):
+    """구간 중간점이 속한 표 구간 기준으로 tau의 (전압, 전류 밀도) 평가"""
+    times = profile['times']
+    period = profile.get('period')
+    base = np.floor(tau_mid / period) * period if period else 0.0
+    local = tau_mid - base
+    i = -1
+    for idx, t in enumerate(times):
+        if t <= local:
+            i = idx
+        else:
+            break
+
+    def value_of(field):
+        values = profile[field]
+        if i < 0:
+            return values[0]
+        if profile['interpolation'] == 'previous':
+            return values[i]
+        if i < len(times) - 1:
+            next_time, next_value = times[i + 1], values[i + 1]
+        elif period:
+            next_time, next_value = period + times[0], values[0]
+        else:
+            return values[i]
+        f = (tau - base - times[i]) / (next_time - times[i])
+        return values[i] + (next_value - values[i]) * f
+
+    return value_of('voltage'), value_of('current_density')
+
+
+def build_drive_segments(data, t_start, t_end):
+    """
+    시간에 따른 구동을 구간 목록으로 변환 (src/solver/driveProfile.js와 같은 규칙)
+    drive_profile이 없으면 voltage/current_density로 고정된 구간 하나.
+    각 구간: (start, end, (V_start, V_end), (J_start, J_end)) — 구간 안에서 선형
+    """
+    profile = data.get('drive_profile')
+    if not profile:
+        voltage = data['voltage']
+        current_density = data['current_density']
+        return [(t_start, t_end, (voltage, voltage), (current_density, current_density))]
+    span = t_end - t_start
+    bounds = [0.0] + _drive_cut_times(profile, span) + [span]
+    segments = []
+    for a, b in zip(bounds[:-1], bounds[1:]):
+        mid = (a + b) / 2
+        v_a, j_a = _drive_within_segment(profile, mid, a)
+        v_b, j_b = _drive_within_segment(profile, mid, b)
+        segments.append((t_start + a, t_start + b, (v_a, v_b), (j_a, j_b)))
+    return segments
+
+
+# 정상상태 감쇠 단계 한 번의 최대 온도 변화 (K), src/solver/steadyState.js와 같음
+MAX_DAMPED_STEP = 100.0
+MAX_STEP_HALVINGS = 60
+
+
+def solve_steady_state(fun, T0, tol=1e-8, max_iterations=50, central=False, weights=None):
+    """
+    정상상태 (dT/dt = 0) 직접 풀이: Newton 반복으로 fun(T) = 0 (src/solver/steadyState.js와 같은 방식)
+    경계의 복사항 때문에 비선형이지만 자코비안은 삼중대각이므로 열 3개 간격 색칠 수치 미분을 사용
+    central: 중심 차분 (열용량이 온도에 의존하면 전진 차분 오차가 Glass의 큰 전도 항에 곱해져 수렴하지 않음)
+    weights: 노드 열용량 (J/m²·K). Newton 단계가 dT/dt와 반대 방향이면 (Σ C·f·s < 0, EQE(T) 되먹임으로 선형화의
+    가짜 해로 향함) 의사 시간 간격 dt의 암시적 오일러 단계 (I/dt - J)·s = f로 바꾸고 dt를 감쇠 단계마다 2배로 늘린다.
+    반환: (T, 반복 횟수)
+    """
+    T = np.array(T0, dtype=float)
+    n = len(T)
+    weights = np.ones(n) if weights is None else np.asarray(weights, dtype=float)
+    dt = None
+    for iteration in range(max_iterations):
+        f0 = fun(T)
+        ab = np.zeros((3, n))  # solve_banded 형식: [상부 대각, 대각, 하부 대각]
+        for color in range(3):
+            idx = np.arange(color, n, 3)
+            delta = np.sqrt(np.finfo(float).eps) * np.maximum(np.abs(T[idx]), 1)
+            Tp = T.copy()
+            Tp[idx] += delta
+            if central:
+                Tm = T.copy()
+                Tm[idx] -= delta
+                df = (fun(Tp) - fun(Tm)) / 2
+            else:
+                df = fun(Tp) - f0
+            for j, d in zip(idx, delta):
+                if j > 0:
+                    ab[0, j] = df[j - 1] / d
+                ab[1, j] = df[j] / d
+                if j < n - 1:
+                    ab[2, j] = df[j + 1] / d
+
+        def solve_step(inverse_dt):
+            shifted = ab.copy()
+            shifted[1] -= inverse_dt
+            try:
+                return solve_banded((1, 1), shifted, -f0)
+            except np.linalg.LinAlgError:
+                return np.full(n, np.nan)
+
+        step = solve_step(0.0)
+        if not np.all(np.isfinite(step)):
+            raise ValueError('정상상태가 존재하지 않습니다. 대류 또는 복사로 열이 빠져나갈 수 있어야 합니다.')
+        max_step = np.max(np.abs(step))
+        damped = max_step >= tol and np.sum(weights * f0 * step) < 0
+        if damped:
+            dt = MAX_DAMPED_STEP / np.max(np.abs(f0)) if dt is None else dt * 2
+            for _ in range(MAX_STEP_HALVINGS):
+                step = solve_step(1.0 / dt)
+                max_step = np.max(np.abs(step))
+                if np.sum(weights * f0 * step) > 0 and max_step <= MAX_DAMPED_STEP:
+                    break
+                dt /= 2
+        T = T + step
+        if not damped and max_step < tol:
+            return T, iteration + 1
+    raise RuntimeError(f'정상상태 계산이 {max_iterations}회 반복 안에 수렴하지 않았습니다.')
+
+
+def run_simulation(data):
+    """입력 파라미터(dict)로 1D 열전달 시뮬레이션을 실행하고 응답 dict를 반환"""
+    started_at = time.perf_counter()
+    # 파라미터 추출
+    layer_names = data['layer_names']
+    # JSON 정수(예: k = 1)도 실수 배열로 (Glass 축소 배율로 나눌 때 정수 배열이면 잘린다)
+    k_therm_layers_original = np.array(data['k_therm_layers'], dtype=float)
+    rho_layers = np.array(data['rho_layers'], dtype=float)
+    c_p_layers = np.array(data['c_p_layers'], dtype=float)
+    thickness_layers_nm_original = np.array(data['thickness_layers_nm'], dtype=float)
+    
+    # Glass 두께를 10000배 줄여서 계산량 감소 (glass_scale_factor로 변경, 1이면 축소하지 않음)
+    glass_thickness_scale_factor = float(data.get('glass_scale_factor', GLASS_THICKNESS_SCALE_FACTOR))
+    if not np.isfinite(glass_thickness_scale_factor) or glass_thickness_scale_factor < 1:
+        raise ValueError(f'Glass 두께 축소 배율은 1 이상이어야 합니다: {glass_thickness_scale_factor}')
+    thickness_layers_nm = thickness_layers_nm_original.copy()
+    thickness_layers_nm[0] = thickness_layers_nm_original[0] / glass_thickness_scale_factor  # Glass만 10000배 얇게
+    thickness_layers = thickness_layers_nm * 1e-9
+    
+    # Glass의 effective 물성 계산
+    # 1. Thermal conductivity (열 저항 유지: R = L/k)
+    k_therm_layers = k_therm_layers_original.copy()
+    k_therm_layers[0] = k_therm_layers_original[0] / glass_thickness_scale_factor  # Glass만 10000배 감소
+    
+    # 2. Density와 Heat capacity (열용량 및 시간 상수 유지)
+    rho_layers_effective = rho_layers.copy()
+    c_p_layers_effective = c_p_layers.copy()
+    rho_layers_effective[0] = rho_layers[0] * glass_thickness_scale_factor  # Glass만 10000배 증가
+    
+    eqe = data.get('eqe', 0.2)  # 기본값 20%
+    
+    T_ambient = data['T_ambient']
+    
+    t_start = data.get('t_start', 0)
+    t_end = data.get('t_end', 1000.0)
+    t_eval = build_output_times(data, t_start, t_end)
+    # 허용 오차와 적분 방법 (없으면 scipy 기본값과 BDF)
+    rtol = data.get('rtol', 1e-3)
+    atol = data.get('atol', 1e-6)
+    method = data.get('integration_method', 'BDF')
+    
+    # 표면 경계 조건 (없으면 h_conv 대류+복사)과 시간에 따른 주변 온도
+    def boundary_condition(side):
+        return data.get(f'boundary_{side}') or {'type': 'convective', 'h_conv': data['h_conv']}
+    flux_out_top_of = boundary_flux_function(boundary_condition('top'), data['epsilon_top'])
+    flux_out_bottom_of = boundary_flux_function(boundary_condition('bottom'), data['epsilon_bottom'])
+    ambient_at = ambient_function(data, t_start)
+    
+    # 발광층(열원) 레이어 인덱스 (기본값: 6층 구조의 Perovskite)
+    emissive_layer_index = int(data.get('emissive_layer_index', 3))
+    if not 1 <= emissive_layer_index < len(layer_names):
+        raise ValueError(f'발광층 인덱스가 올바르지 않습니다: {emissive_layer_index}')
+    
+    # 비균일 그리드 및 물성 배열 생성
+    points_per_layer = resolve_points_per_layer(data, emissive_layer_index)
+    x_nodes = [0.0]
+    layer_indices_map = []
+    start_idx = 0
+    for i, thickness in enumerate(thickness_layers):
+        num_points = points_per_layer[i]
+        layer_nodes = np.linspace(x_nodes[-1], x_nodes[-1] + thickness, num_points + 1)
+        x_nodes.extend(layer_nodes[1:])
+        end_idx = start_idx + num_points
+        layer_indices_map.append(slice(start_idx, end_idx + 1))
+        start_idx = end_idx
+    x = np.array(x_nodes)
+    dx = x[1:] - x[:-1]
+    Nx = len(x)
+    
+    k_grid = np.zeros(Nx)
+    rho_c_p_grid = np.zeros(Nx)
+    for i, prop_slice in enumerate(layer_indices_map):
+        k_grid[prop_slice] = k_therm_layers[i]
+        rho_c_p_grid[prop_slice] = rho_layers_effective[i] * c_p_layers_effective[i]
+    
+    # 온도 의존 물성: 레이어가 소유한 노드(경계 노드는 뒤쪽 레이어)에서 매 평가마다 갱신
+    property_models = data.get('property_models') or [{}] * len(layer_names)
+    dependent_layers = []
+    for i, prop_slice in enumerate(layer_indices_map):
+        models = property_models[i] or {}
+        if all((models.get(field) or {}).get('type', 'constant') == 'constant'
+               for field in ('k_therm_layers', 'rho_layers', 'c_p_layers')):
+            continue
+        owned = prop_slice if i == len(layer_names) - 1 else slice(prop_slice.start, prop_slice.stop - 1)
+        k_factor = 1.0 / glass_thickness_scale_factor if i == 0 else 1.0
+        rho_factor = glass_thickness_scale_factor if i == 0 else 1.0
+        dependent_layers.append((
+            owned,
+            k_factor,
+            rho_factor,
+            property_function(models.get('k_therm_layers'), k_therm_layers_original[i]),
+            property_function(models.get('rho_layers'), rho_layers[i]),
+            property_function(models.get('c_p_layers'), c_p_layers[i]),
+        ))
+    
+    def node_properties(T):
+        if not dependent_layers:
+            return k_grid, rho_c_p_grid
+        k_now = k_grid.copy()
+        rho_c_p_now = rho_c_p_grid.copy()
+        for owned, k_factor, rho_factor, k_of, rho_of, c_p_of in dependent_layers:
+            T_owned = T[owned]
+            k_now[owned] = k_of(T_owned) * k_factor
+            rho_c_p_now[owned] = rho_of(T_owned) * rho_factor * c_p_of(T_owned)
+        return k_now, rho_c_p_now
+    
+    # 계면 열저항 (interface_resistances[i]: 레이어 i와 i+1 사이, m²·K/W, 없으면 완전 접촉)
+    # 경계 노드는 뒤쪽 레이어 소속이므로 경계 노드 바로 아래 면의 저항 dx/k에 직렬로 더한다 (온도 점프는 이 면에서 생김)
+    interface_resistances = np.array(data.get('interface_resistances') or [0.0] * (len(layer_names) - 1), dtype=float)
+    interface_faces = np.array([prop_slice.start - 1 for prop_slice in layer_indices_map[1:]])
+    face_resistance = np.zeros(Nx - 1)
+    face_resistance[interface_faces] = interface_resistances
+    
+    def face_conductance(k_now):
+        k_interface = 2 * k_now[:-1] * k_now[1:] / (k_now[:-1] + k_now[1:])
+        return 1.0 / (dx / k_interface + face_resistance)
+    
+    # EQE(T) (eqe_model): 발광층 노드마다 그 노드 온도에서 평가하고 0 ~ 1로 제한
+    eqe_model = data.get('eqe_model')
+    eqe_dependent = (eqe_model or {}).get('type', 'constant') != 'constant'
+    eqe_of = property_function(eqe_model, eqe)
+    
+    # 열원 분포: 노드별 발열량(W/m²) = Q_A × 비중 (heat_fractions, source_profile), 제어체적 폭으로 나눠 둠
+    # EQE(T)면 EQE가 기준값에서 떨어진 만큼(Q_A·(eqe - EQE(T)))이 발광층 노드에 발열 모양대로 더해진다.
+    emissive_slice = layer_indices_map[emissive_layer_index]
+    volume_widths = np.concatenate(([dx[0] / 2], (dx[:-1] + dx[1:]) / 2, [dx[-1] / 2]))
+    source_weights, emissive_weights = build_source_distribution(data, x, dx, layer_indices_map, emissive_layer_index)
+    base_source = (1 - eqe) * source_weights / volume_widths
+    emissive_source = emissive_weights / volume_widths[emissive_slice]
+    
+    T0 = np.full(Nx, T_ambient)
+    
+    # PDE 시스템 정의 (구동 구간마다 발열량이 다름)
+    def pde_system(t, T, segment):
+        seg_start, seg_end, (v_a, v_b), (j_a, j_b) = segment
+        f = (t - seg_start) / (seg_end - seg_start) if seg_end > seg_start else 0.0
+        # EQE를 고려한 실제 Joule heating: Q_effective = Q_A * (1 - EQE), Q_A = V(t)·J(t)
+        Q_A = (v_a + (v_b - v_a) * f) * (j_a + (j_b - j_a) * f)
+        k_now, rho_c_p_now = node_properties(T)
+        dTdt_transport = np.zeros_like(T)
+        # 노드별 발열량은 온도와 무관하고(EQE(T) 제외) 현재 열용량으로 온도 상승률 계산
+        source = Q_A * base_source
+        if eqe_dependent:
+            source[emissive_slice] += Q_A * emissive_source * (eqe - np.clip(eqe_of(T[emissive_slice]), 0.0, 1.0))
+        dTdt_source = source / rho_c_p_now
+        flux = -face_conductance(k_now) * (T[1:] - T[:-1])
+        control_volume_widths = (dx[:-1] + dx[1:]) / 2
+        dTdt_transport[1:-1] = (flux[:-1] - flux[1:]) / (control_volume_widths * rho_c_p_now[1:-1])
+        T_amb = ambient_at(t)
+        flux_out_bottom = flux_out_bottom_of(T[0], T_amb)
+        dTdt_transport[0] = (-flux[0] - flux_out_bottom) / (rho_c_p_now[0] * (dx[0]/2))
+        flux_out_top = flux_out_top_of(T[-1], T_amb)
+        dTdt_transport[-1] = (flux[-1] - flux_out_top) / (rho_c_p_now[-1] * (dx[-1]/2))
+        dTdt = dTdt_source + dTdt_transport
+        return dTdt
+    
+    steady_state = data.get('analysis_mode') == 'steady'
+    if steady_state:
+        # 정상상태: 전압/전류 밀도로 일정 구동할 때의 평형 온도 (구동 파형은 무시, 시간 점 하나)
+        voltage = data['voltage']
+        current_density = data['current_density']
+        segment = (0.0, 1.0, (voltage, voltage), (current_density, current_density))
+        try:
+            heat_capacity = rho_c_p_grid * np.concatenate(([dx[0] / 2], (dx[:-1] + dx[1:]) / 2, [dx[-1] / 2]))
+            T_steady, iterations = solve_steady_state(lambda T: pde_system(0.0, T, segment), T0,
+                                                      central=bool(dependent_layers), weights=heat_capacity)
+        except (ValueError, RuntimeError) as e:
+            # EQE(T) 되먹임이 있으면 감쇠 단계로도 평형을 찾지 못한 원인이 열폭주일 수 있다
+            if eqe_dependent:
+                raise type(e)(f'{e} EQE(T) 되먹임으로 열폭주가 일어나 정상상태를 찾지 못했을 수 있습니다. 과도 해석으로 확인하세요.') from e
+            raise
+        sol_t = np.array([0.0])
+        sol_y = T_steady[:, np.newaxis]
+        solver_stats = {'method': 'Newton', 'n_steps': iterations, 'n_fev': None, 'n_jev': None}
+    else:
+        # 솔버 실행: 구동 구간마다 적분을 다시 시작 (구간 끝 상태가 다음 구간의 초기값)
+        sol_t = []
+        sol_y = []
+        y_start = T0
+        counter = {'n_steps': 0}
+        solver_stats = {'method': method, 'n_fev': 0, 'n_jev': 0}
+        for s, segment in enumerate(build_drive_segments(data, t_start, t_end)):
+            seg_start, seg_end = segment[0], segment[1]
+            in_segment = (t_eval >= seg_start) if s == 0 else (t_eval > seg_start)
+            segment_eval = t_eval[in_segment & (t_eval <= seg_end)]
+            # 구간 끝 상태가 필요하므로 t_eval에 구간 끝을 포함 (중복 없이)
+            segment_t_eval = segment_eval if len(segment_eval) and segment_eval[-1] == seg_end else np.append(segment_eval, seg_end)
+            seg_sol = solve_ivp(fun=pde_system, t_span=[seg_start, seg_end], y0=y_start,
+                                t_eval=segment_t_eval, method=counting_method(method, counter), args=(segment,),
+                                rtol=rtol, atol=atol)
+            solver_stats['n_fev'] += int(seg_sol.nfev)
+            solver_stats['n_jev'] += int(seg_sol.njev)
+            if not seg_sol.success:
+                raise RuntimeError(f'적분 실패 (t = {seg_start:g} ~ {seg_end:g} s): {seg_sol.message}')
+            y_start = seg_sol.y[:, -1]
+            sol_t.append(seg_sol.t[:len(segment_eval)])
+            sol_y.append(seg_sol.y[:, :len(segment_eval)])
+        sol_t = np.concatenate(sol_t)
+        sol_y = np.concatenate(sol_y, axis=1)
+        solver_stats['n_steps'] = counter['n_steps']
+    
+    # Glass 부분의 x 좌표를 원래 크기로 복원
+    x_restored = x.copy()
+    glass_slice = layer_indices_map[0]
+    glass_thickness_original = thickness_layers_nm_original[0] * 1e-9
+    # Glass 부분의 x 좌표를 10000배 확장
+    x_restored[glass_slice] = x[glass_slice] * glass_thickness_scale_factor
+    # Glass 이후의 모든 좌표를 이동
+    glass_end_scaled = x[glass_slice.stop - 1]
+    glass_end_original = x_restored[glass_slice.stop - 1]
+    offset = glass_end_original - glass_end_scaled
+    x_restored[glass_slice.stop:] = x[glass_slice.stop:] + offset
+    x_restored_nm = x_restored * 1e9
+    
+    # Glass와 ITO 경계점 찾기 및 활성층 부분 추출 (ITO 시작점을 x=0으로)
+    glass_ito_boundary_idx = layer_indices_map[0].stop - 1
+    glass_ito_boundary_nm = x_restored_nm[glass_ito_boundary_idx]
+    active_start_idx = glass_ito_boundary_idx + 1
+    
+    # 활성층 위치 (ITO 시작점을 x=0으로 조정)
+    position_active_nm = (x_restored_nm[active_start_idx:] - glass_ito_boundary_nm).tolist()
+    
+    # 활성층 온도
+    temperature_active = sol_y[active_start_idx:, :].tolist()
+    
+    # Glass 부분 (축약 표시용)
+    position_glass_nm = x_restored_nm[:active_start_idx].tolist()
+    temperature_glass = sol_y[:active_start_idx, :].tolist()
+    
+    # 발광층(페로브스카이트) 중간 지점에서의 시간에 따른 온도
+    perovskite_start_idx = layer_indices_map[emissive_layer_index].start
+    perovskite_end_idx = layer_indices_map[emissive_layer_index].stop
+    perovskite_mid_idx = (perovskite_start_idx + perovskite_end_idx) // 2
+    perovskite_center_temp = sol_y[perovskite_mid_idx, :].tolist()
+    
+    # 활성층 레이어 경계 (ITO 시작점을 x=0으로)
+    active_layer_boundaries_nm = [0.0]  # ITO 시작점 (x=0)
+    for i in range(1, len(layer_names)):
+        active_layer_boundaries_nm.append(float(active_layer_boundaries_nm[-1] + thickness_layers_nm_original[i]))
+    
+    # 계면 온도 점프 ΔT = 면 열유속 × 계면 열저항 [계면][시간] (경계 노드 온도 + ΔT = 앞쪽 레이어 쪽 계면 온도)
+    interface_jumps = None
+    if np.any(interface_resistances > 0):
+        interface_jumps = np.zeros((len(interface_faces), sol_y.shape[1]))
+        for n in range(sol_y.shape[1]):
+            T = sol_y[:, n]
+            conductance = face_conductance(node_properties(T)[0])
+            interface_jumps[:, n] = face_resistance[interface_faces] * conductance[interface_faces] * (T[interface_faces] - T[interface_faces + 1])
+    
+    # NumPy 타입을 Python 기본 타입으로 변환하는 헬퍼 함수
+    def convert_to_python_type(obj):
+        if isinstance(obj, np.integer):
+            return int(obj)
+        elif isinstance(obj, np.floating):
+            return float(obj)
+        elif isinstance(obj, np.ndarray):
+            return obj.tolist()
+        elif isinstance(obj, dict):
+            return {key: convert_to_python_type(value) for key, value in obj.items()}
+        elif isinstance(obj, list):
+            return [convert_to_python_type(item) for item in obj]
+        else:
+            return obj
+    
+    # 결과 반환
+    return {
+        'success': True,
+        'time': convert_to_python_type(sol_t.tolist()),
+        'position_active_nm': convert_to_python_type(position_active_nm),
+        'temperature_active': convert_to_python_type(temperature_active),
+        'position_glass_nm': convert_to_python_type(position_glass_nm),
+        'temperature_glass': convert_to_python_type(temperature_glass),
+        'perovskite_center_temp': convert_to_python_type(perovskite_center_temp),
+        'layer_boundaries_nm': convert_to_python_type(active_layer_boundaries_nm),
+        'layer_names': layer_names[1:],  # Glass 제외
+        'glass_ito_boundary_nm': float(glass_ito_boundary_nm),
+        **({'interface_jumps': convert_to_python_type(interface_jumps)} if interface_jumps is not None else {}),
+        'steady_state': steady_state,
+        # 솔버 실행 정보 (src/solver/thermalModel.js의 solver_stats와 같은 형식, 거부된 스텝 수는 scipy가 알려주지 않음)
+        'solver_stats': {
+            **solver_stats,
+            'success': True,
+            'message': '수렴했습니다.' if steady_state else '적분이 정상적으로 완료되었습니다.',
+            'n_rejected': None,
+            'n_nodes': int(Nx),
+            'wall_time_s': time.perf_counter() - started_at
+        }
+    }
+
 
 class handler(BaseHTTPRequestHandler):
     def do_OPTIONS(self):
@@ -18,162 +630,7 @@ class handler(BaseHTTPRequestHandler):
         
         try:
             data = json.loads(post_data.decode('utf-8'))
-            
-            # 파라미터 추출
-            layer_names = data['layer_names']
-            k_therm_layers_original = np.array(data['k_therm_layers'])
-            rho_layers = np.array(data['rho_layers'])
-            c_p_layers = np.array(data['c_p_layers'])
-            thickness_layers_nm_original = np.array(data['thickness_layers_nm'])
-            
-            # Glass 두께를 10000배 줄여서 계산량 감소
-            glass_thickness_scale_factor = 10000.0
-            thickness_layers_nm = thickness_layers_nm_original.copy()
-            thickness_layers_nm[0] = thickness_layers_nm_original[0] / glass_thickness_scale_factor  # Glass만 10000배 얇게
-            thickness_layers = thickness_layers_nm * 1e-9
-            
-            # Glass의 effective 물성 계산
-            # 1. Thermal conductivity (열 저항 유지: R = L/k)
-            k_therm_layers = k_therm_layers_original.copy()
-            k_therm_layers[0] = k_therm_layers_original[0] * glass_thickness_scale_factor  # Glass만 10000배 증가
-            
-            # 2. Density와 Heat capacity (열용량 및 시간 상수 유지)
-            rho_layers_effective = rho_layers.copy()
-            c_p_layers_effective = c_p_layers.copy()
-            rho_layers_effective[0] = rho_layers[0] * glass_thickness_scale_factor  # Glass만 10000배 증가
-            
-            voltage = data['voltage']
-            current_density = data['current_density']
-            eqe = data.get('eqe', 0.2)  # 기본값 20%
-            # EQE를 고려한 실제 Joule heating: Q_effective = Q_A * (1 - EQE)
-            Q_A = voltage * current_density * (1 - eqe)
-            
-            epsilon_top = data['epsilon_top']
-            epsilon_bottom = data['epsilon_bottom']
-            sigma = 5.67e-8
-            h_conv = data['h_conv']
-            T_ambient = data['T_ambient']
-            
-            t_start = data.get('t_start', 0)
-            t_end = data.get('t_end', 1000.0)
-            t_eval = np.linspace(t_start, t_end, 200)
-            
-            # 비균일 그리드 및 물성 배열 생성
-            points_per_layer = [50, 20, 20, 40, 20, 20]
-            x_nodes = [0.0]
-            layer_indices_map = []
-            start_idx = 0
-            for i, thickness in enumerate(thickness_layers):
-                num_points = points_per_layer[i]
-                layer_nodes = np.linspace(x_nodes[-1], x_nodes[-1] + thickness, num_points + 1)
-                x_nodes.extend(layer_nodes[1:])
-                end_idx = start_idx + num_points
-                layer_indices_map.append(slice(start_idx, end_idx + 1))
-                start_idx = end_idx
-            x = np.array(x_nodes)
-            dx = x[1:] - x[:-1]
-            Nx = len(x)
-            
-            k_grid = np.zeros(Nx)
-            rho_c_p_grid = np.zeros(Nx)
-            for i, prop_slice in enumerate(layer_indices_map):
-                k_grid[prop_slice] = k_therm_layers[i]
-                rho_c_p_grid[prop_slice] = rho_layers_effective[i] * c_p_layers_effective[i]
-            
-            # 열원 위치 계산
-            perovskite_layer_index = 3
-            perovskite_slice = layer_indices_map[perovskite_layer_index]
-            L_perovskite = thickness_layers[perovskite_layer_index]
-            C_source_term = Q_A / (L_perovskite * rho_layers[perovskite_layer_index] * c_p_layers[perovskite_layer_index])
-            
-            T0 = np.full(Nx, T_ambient)
-            
-            # PDE 시스템 정의
-            def pde_system(t, T):
-                dTdt_source = np.zeros_like(T)
-                dTdt_transport = np.zeros_like(T)
-                dTdt_source[perovskite_slice] = C_source_term
-                k_interface = 2 * k_grid[:-1] * k_grid[1:] / (k_grid[:-1] + k_grid[1:])
-                flux = -k_interface * (T[1:] - T[:-1]) / dx
-                control_volume_widths = (dx[:-1] + dx[1:]) / 2
-                dTdt_transport[1:-1] = (flux[:-1] - flux[1:]) / (control_volume_widths * rho_c_p_grid[1:-1])
-                flux_out_bottom = h_conv * (T[0] - T_ambient) + epsilon_bottom * sigma * (T[0]**4 - T_ambient**4)
-                dTdt_transport[0] = (-flux[0] - flux_out_bottom) / (rho_c_p_grid[0] * (dx[0]/2))
-                flux_out_top = h_conv * (T[-1] - T_ambient) + epsilon_top * sigma * (T[-1]**4 - T_ambient**4)
-                dTdt_transport[-1] = (flux[-1] - flux_out_top) / (rho_c_p_grid[-1] * (dx[-1]/2))
-                dTdt = dTdt_source + dTdt_transport
-                return dTdt
-            
-            # 솔버 실행
-            sol = solve_ivp(fun=pde_system, t_span=[t_start, t_end], y0=T0, t_eval=t_eval, method='BDF')
-            
-            # Glass 부분의 x 좌표를 원래 크기로 복원
-            x_restored = x.copy()
-            glass_slice = layer_indices_map[0]
-            glass_thickness_original = thickness_layers_nm_original[0] * 1e-9
-            # Glass 부분의 x 좌표를 10000배 확장
-            x_restored[glass_slice] = x[glass_slice] * glass_thickness_scale_factor
-            # Glass 이후의 모든 좌표를 이동
-            glass_end_scaled = x[glass_slice.stop - 1]
-            glass_end_original = x_restored[glass_slice.stop - 1]
-            offset = glass_end_original - glass_end_scaled
-            x_restored[glass_slice.stop:] = x[glass_slice.stop:] + offset
-            x_restored_nm = x_restored * 1e9
-            
-            # Glass와 ITO 경계점 찾기 및 활성층 부분 추출 (ITO 시작점을 x=0으로)
-            glass_ito_boundary_idx = layer_indices_map[0].stop - 1
-            glass_ito_boundary_nm = x_restored_nm[glass_ito_boundary_idx]
-            active_start_idx = glass_ito_boundary_idx + 1
-            
-            # 활성층 위치 (ITO 시작점을 x=0으로 조정)
-            position_active_nm = (x_restored_nm[active_start_idx:] - glass_ito_boundary_nm).tolist()
-            
-            # 활성층 온도
-            temperature_active = sol.y[active_start_idx:, :].tolist()
-            
-            # Glass 부분 (축약 표시용)
-            position_glass_nm = x_restored_nm[:active_start_idx].tolist()
-            temperature_glass = sol.y[:active_start_idx, :].tolist()
-            
-            # 페로브스카이트 중간 지점에서의 시간에 따른 온도
-            perovskite_start_idx = layer_indices_map[3].start
-            perovskite_end_idx = layer_indices_map[3].stop
-            perovskite_mid_idx = (perovskite_start_idx + perovskite_end_idx) // 2
-            perovskite_center_temp = sol.y[perovskite_mid_idx, :].tolist()
-            
-            # 활성층 레이어 경계 (ITO 시작점을 x=0으로)
-            active_layer_boundaries_nm = [0.0]  # ITO 시작점 (x=0)
-            for i in range(1, len(layer_names)):
-                active_layer_boundaries_nm.append(float(active_layer_boundaries_nm[-1] + thickness_layers_nm_original[i]))
-            
-            # NumPy 타입을 Python 기본 타입으로 변환하는 헬퍼 함수
-            def convert_to_python_type(obj):
-                if isinstance(obj, np.integer):
-                    return int(obj)
-                elif isinstance(obj, np.floating):
-                    return float(obj)
-                elif isinstance(obj, np.ndarray):
-                    return obj.tolist()
-                elif isinstance(obj, dict):
-                    return {key: convert_to_python_type(value) for key, value in obj.items()}
-                elif isinstance(obj, list):
-                    return [convert_to_python_type(item) for item in obj]
-                else:
-                    return obj
-            
-            # 결과 반환
-            result = {
-                'success': True,
-                'time': convert_to_python_type(sol.t.tolist()),
-                'position_active_nm': convert_to_python_type(position_active_nm),
-                'temperature_active': convert_to_python_type(temperature_active),
-                'position_glass_nm': convert_to_python_type(position_glass_nm),
-                'temperature_glass': convert_to_python_type(temperature_glass),
-                'perovskite_center_temp': convert_to_python_type(perovskite_center_temp),
-                'layer_boundaries_nm': convert_to_python_type(active_layer_boundaries_nm),
-                'layer_names': layer_names[1:],  # Glass 제외
-                'glass_ito_boundary_nm': float(glass_ito_boundary_nm)
-            }
+            result = run_simulation(data)
             
             self.send_response(200)
             self.send_header('Content-Type', 'application/json')
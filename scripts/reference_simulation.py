@@ -0,0 +1,31 @@
+"""Python 백엔드(api/simulate.py) 결과로 JS 솔버 비교용 기준 데이터를 생성
+
+사용법: python scripts/reference_simulation.py < input.json > src/solver/__fixtures__/python-default.json
+input.json은 /api/simulate 요청 본문과 같은 형식 (T_ambient는 켈빈)
+"""
+import json
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..', 'api'))
+from simulate import run_simulation  # noqa: E402
+
+
+def main():
+    params = json.load(sys.stdin)
+    result = run_simulation(params)
+    final_idx = len(result['time']) - 1
+    reference = {
+        'input': params,
+        'time': result['time'],
+        'perovskite_center_temp': result['perovskite_center_temp'],
+        'position_active_nm': result['position_active_nm'],
+        'final_temperature_active': [row[final_idx] for row in result['temperature_active']],
+        'final_temperature_glass': [row[final_idx] for row in result['temperature_glass']],
+        'layer_boundaries_nm': result['layer_boundaries_nm'],
+    }
+    json.dump(reference, sys.stdout, indent=1)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,33 @@
+/* eslint-env node */
+// 해석해 벤치마크 보고서 (src/solver/benchmarks.js의 사례를 솔버로 계산해 해석해와 비교)
+//
+// 사용법: node scripts/run_benchmarks.js [--python]
+//   기본은 브라우저와 같은 JS 솔버, --python이면 서버 솔버 api/simulate.py (python3, numpy, scipy 필요)
+// 하나라도 허용 오차를 넘으면 종료 코드 1
+import { execFileSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { BENCHMARKS, evaluateBenchmark, formatBenchmarkReport } from '../src/solver/benchmarks.js'
+import { runSimulation } from '../src/solver/thermalModel.js'
+
+const API_DIR = fileURLToPath(new URL('../api', import.meta.url))
+const PYTHON_RUNNER = `
+import json, sys
+sys.path.insert(0, sys.argv[1])
+from simulate import run_simulation
+try:
+    result = run_simulation(json.load(sys.stdin))
+except ValueError as e:
+    result = {'success': False, 'error': str(e)}
+json.dump(result, sys.stdout, default=lambda o: o.tolist())
+`
+
+const runPython = (params) => JSON.parse(execFileSync('python3', ['-c', PYTHON_RUNNER, API_DIR], {
+  input: JSON.stringify(params),
+  maxBuffer: 64 * 1024 * 1024
+}).toString())
+
+const usePython = process.argv.includes('--python')
+const simulate = usePython ? runPython : runSimulation
+const results = BENCHMARKS.map(benchmark => evaluateBenchmark(benchmark, simulate(benchmark.params)))
+console.log(formatBenchmarkReport(results, usePython ? 'Python 서버 솔버' : 'JS 솔버'))
+process.exitCode = results.every(result => result.passed) ? 0 : 1
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react'
+import { useEffect, useState, useRef } from 'react'
 import './App.css'
 import { 
   LineChart, 
@@ -13,142 +13,316 @@ import {
   ReferenceLine
 } from 'recharts'
 import * as XLSX from 'xlsx'
+import { DEFAULT_VALUES } from './constants.js'
+import { getLayerColor } from './layerStack.js'
+import { SOLVER_MODES, SOLVER_MODE_LABELS, requestSimulation } from './solver/simulationClient.js'
+import { buildSimulationPayload, convertSimulationResult } from './simulationPayload.js'
+import LayerStackEditor from './components/LayerStackEditor.jsx'
+import MaterialLibraryPanel from './components/MaterialLibraryPanel.jsx'
+import SweepPanel from './components/SweepPanel.jsx'
+import VerificationPanel from './components/VerificationPanel.jsx'
+import FittingPanel from './components/FittingPanel.jsx'
+import TemperatureHeatmap from './components/TemperatureHeatmap.jsx'
+import TimeScrubber from './components/TimeScrubber.jsx'
+import ProbePanel from './components/ProbePanel.jsx'
+import LifetimePanel from './components/LifetimePanel.jsx'
+import RunHistoryPanel from './components/RunHistoryPanel.jsx'
+import ProjectToolbar from './components/ProjectToolbar.jsx'
+import { decodeProjectHash, encodeProjectHash, parseProject, serializeProject, withDefaultInputs } from './project.js'
+import { dateStamp, downloadTextFile } from './fileUtils.js'
+import { captureChart, saveReportPdf } from './reportPdf.js'
+import { INPUT_SHEET_NAME, importSheets, readImportFile } from './stackImport.js'
+import { fieldClassName, parseNumberInput, validateFormData } from './validation.js'
+import FieldMessage from './components/FieldMessage.jsx'
+import DriveEditor from './components/DriveEditor.jsx'
+import SteadyStatePanel from './components/SteadyStatePanel.jsx'
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx'
+import EqeFeedbackPanel from './components/EqeFeedbackPanel.jsx'
+import PropertyModelEditor from './components/PropertyModelEditor.jsx'
+import HeatSourceEditor from './components/HeatSourceEditor.jsx'
+import BoundaryConditionEditor from './components/BoundaryConditionEditor.jsx'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { DRIVE_TYPES, DRIVE_TYPE_LABELS } from './drive.js'
+import { PROPERTY_MODEL_TYPES, TEMPERATURE_DEPENDENT_FIELDS } from './solver/propertyModels.js'
+import {
+  EQE_MODEL_KEY,
+  PROPERTY_LABELS,
+  PROPERTY_MODEL_TYPE_LABELS,
+  PROPERTY_UNITS,
+  describePropertyModel,
+  getEqeModel,
+  getPropertyModel
+} from './propertyModels.js'
+import { THERMAL_STABILITY, THERMAL_STABILITY_LABELS } from './eqeFeedback.js'
+import { describeSourceProfile } from './heatSource.js'
+import { addInterfaceJumps, getInterfaceJump } from './interfaceResistance.js'
+import { describeBoundaryCondition, getSurfaceLayerName } from './boundaryConditions.js'
+import {
+  INTEGRATION_METHOD_LABELS,
+  describeMesh,
+  describeOutputTimes,
+  describeTolerances,
+  formatSolverStats
+} from './solverSettings.js'
+import { LOCAL_INTEGRATION_METHOD } from './solver/solverOptions.js'
+import SolverSettingsEditor from './components/SolverSettingsEditor.jsx'
+import { addRun, clearRuns, deleteRun, listRuns, updateRunLabel } from './runHistory.js'
+import { computeSimulationStats } from './simulationStats.js'
+import { PROBE_MODES, addProbe, evaluateProbes, formatProbeLabel, MAX_PROBES } from './probes.js'
+import { analyzeLifetime, formatLifetimeStats } from './lifetime.js'
+import {
+  createUserMaterial,
+  getAllMaterials,
+  loadUserMaterials,
+  mergeUserMaterials,
+  saveUserMaterials
+} from './materials.js'
 
-const LAYER_NAMES = ['Glass', 'ITO', 'HTL', 'Perovskite', 'ETL', 'Cathode']
-const DEFAULT_VALUES = {
-  layer_names: LAYER_NAMES,
-  k_therm_layers: [0.8, 10.0, 0.2, 0.5, 0.2, 200.0],
-  rho_layers: [2500, 7140, 1000, 4100, 1200, 2700],
-  c_p_layers: [1000, 280, 1500, 250, 1500, 900],
-  thickness_layers_nm: [1100000, 70, 80, 280, 50, 100],
-  voltage: 2.9,
-  current_density: 300.0,
-  eqe: 0.2, // External Quantum Efficiency (20%)
-  epsilon_top: 0.05,
-  epsilon_bottom: 0.85,
-  h_conv: 10.0,
-  T_ambient: 25.0, // 섭씨 (°C)
-  t_start: 0,
-  t_end: 1000.0
+// 프로파일 그래프에 겹쳐 그릴 수 있는 고정 스냅샷 최대 개수와 색상
+const MAX_PINNED_SNAPSHOTS = 8
+const SNAPSHOT_COLORS = ['#7c3aed', '#ea580c', '#0891b2', '#65a30d', '#db2777', '#ca8a04', '#4b5563', '#0d9488']
+const PROBE_COLORS = ['#9333ea', '#f97316', '#0284c7', '#84cc16', '#e11d48', '#eab308', '#475569', '#14b8a6', '#a16207', '#c026d3']
+
+const ANALYSIS_MODE_LABELS = {
+  [ANALYSIS_MODES.TRANSIENT]: '과도 해석 (시간 적분)',
+  [ANALYSIS_MODES.STEADY]: '정상상태 (직접 계산)'
 }
 
+// 프로파일 그래프에서 Glass를 축약해 그리는 폭 (x = -200 ~ 0 nm)
+const GLASS_DISPLAY_WIDTH_NM = 200
+
 function App() {
   const [logoError, setLogoError] = useState(false)
   const [formData, setFormData] = useState(DEFAULT_VALUES)
   const [simulationResult, setSimulationResult] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [solverMode, setSolverMode] = useState(SOLVER_MODES.LOCAL)
+  const [userMaterials, setUserMaterials] = useState(loadUserMaterials)
+  // 히트맵에서 선택한 시간(프로파일 그래프)과 위치(과도응답 그래프), null이면 기본 표시
+  const [selectedTimeIndex, setSelectedTimeIndex] = useState(null)
+  const [selectedPositionIndex, setSelectedPositionIndex] = useState(null)
+  // 프로파일 시간 애니메이션과 고정 스냅샷 (시간 인덱스 목록)
+  const [playing, setPlaying] = useState(false)
+  const [playbackSpeed, setPlaybackSpeed] = useState(1)
+  const [pinnedTimeIndices, setPinnedTimeIndices] = useState([])
+  // 프로파일 그래프 클릭으로 프로브 추가
+  const [probeClickMode, setProbeClickMode] = useState(false)
+  // PDF 보고서 생성 중 (버튼 중복 클릭 방지)
+  const [reportBusy, setReportBusy] = useState(false)
+  // IndexedDB에 저장된 실행 기록 (최신순)
+  const [runHistory, setRunHistory] = useState([])
   const chart1Ref = useRef(null)
   const chart2Ref = useRef(null)
 
-  const handleLayerChange = (index, field, value) => {
-    const newFormData = { ...formData }
-    newFormData[field][index] = parseFloat(value) || 0
-    setFormData(newFormData)
+  const validation = validateFormData(formData)
+  const eqeModel = getEqeModel(formData)
+  const errorCount = Object.keys(validation.errors).length
+  const warningCount = Object.keys(validation.warnings).length
+
+  useEffect(() => {
+    listRuns()
+      .then(setRunHistory)
+      .catch(err => console.error('실행 기록 불러오기 오류:', err))
+  }, [])
+
+  // 공유 링크(#project=...)로 열면 링크의 입력으로 시작하고, 이후 편집과 헷갈리지 않도록 해시는 지움
+  useEffect(() => {
+    try {
+      const project = decodeProjectHash(window.location.hash)
+      if (!project) return
+      setFormData(project.inputs)
+      if (project.solverMode) setSolverMode(project.solverMode)
+      if (project.warnings.length > 0) alert(project.warnings.join('\n'))
+    } catch (err) {
+      console.error('공유 링크 불러오기 오류:', err)
+      alert('공유 링크를 불러올 수 없습니다:\n' + err.message)
+    }
+    window.history.replaceState(null, '', window.location.pathname + window.location.search)
+  }, [])
+
+  // 실행 기록 변경 후 목록 다시 읽기 (IndexedDB를 쓸 수 없으면 기록 없이 계속 동작)
+  const updateRunHistory = (operation) => {
+    operation()
+      .then(listRuns)
+      .then(setRunHistory)
+      .catch(err => console.error('실행 기록 저장 오류:', err))
+  }
+
+  const showSimulationResult = (result) => {
+    setSimulationResult(result)
+    setSelectedTimeIndex(null)
+    setSelectedPositionIndex(null)
+    setPlaying(false)
+    setPinnedTimeIndices([])
+  }
+
+  const handleLoadRun = (run) => {
+    // 이전 버전 기록은 프로젝트 파일 마이그레이션과 같은 기본값으로 채움
+    setFormData(withDefaultInputs(run.formData))
+    setSolverMode(run.solverMode || solverMode)
+    showSimulationResult(run.result)
+    setError(null)
+  }
+
+  const handleSaveProject = (includeResult) => {
+    const text = serializeProject({ inputs: formData, solverMode, result: includeResult ? simulationResult : null })
+    downloadTextFile(`project_${dateStamp()}.json`, text)
+  }
+
+  const handleOpenProject = async (file) => {
+    try {
+      const project = parseProject(await file.text())
+      setFormData(project.inputs)
+      if (project.solverMode) setSolverMode(project.solverMode)
+      if (project.result) showSimulationResult(project.result)
+      else setSimulationResult(null)
+      setError(null)
+      if (project.warnings.length > 0) alert(project.warnings.join('\n'))
+    } catch (err) {
+      console.error('프로젝트 열기 오류:', err)
+      alert('프로젝트를 열 수 없습니다:\n' + err.message)
+    }
+  }
+
+  // 엑셀 입력 시트나 CSV의 레이어 스택/구동 파형 (행별 오류가 하나라도 있으면 반영하지 않음)
+  const handleImportStack = async (file) => {
+    try {
+      const { formData: imported, errors, warnings, summary } = importSheets(await readImportFile(file), formData)
+      if (errors.length > 0) {
+        alert(`${file.name}을(를) 가져오지 않았습니다:\n${errors.join('\n')}`)
+        return
+      }
+      setFormData(imported)
+      const parts = [
+        summary.layers > 0 && `레이어 ${summary.layers}개`,
+        summary.drivePoints > 0 && `구동 파형 ${summary.drivePoints}점`,
+        summary.scalars > 0 && `입력 값 ${summary.scalars}개`
+      ].filter(Boolean)
+      alert([`${file.name}에서 ${parts.join(', ')}을(를) 가져왔습니다.`, ...warnings].join('\n'))
+    } catch (err) {
+      console.error('가져오기 오류:', err)
+      alert('파일을 읽을 수 없습니다: ' + err.message)
+    }
+  }
+
+  const handleCopyLink = async () => {
+    const { origin, pathname, search } = window.location
+    const url = `${origin}${pathname}${search}${encodeProjectHash({ inputs: formData, solverMode })}`
+    try {
+      await navigator.clipboard.writeText(url)
+      alert('공유 링크를 클립보드에 복사했습니다.')
+    } catch {
+      // 클립보드 권한이 없으면 직접 복사하도록 표시
+      window.prompt('아래 링크를 복사하세요.', url)
+    }
   }
 
   const handleGlobalChange = (field, value) => {
-    setFormData({ ...formData, [field]: parseFloat(value) || 0 })
+    setFormData({ ...formData, [field]: parseNumberInput(value) })
+  }
+
+  const handleUserMaterialsChange = (materials) => {
+    setUserMaterials(materials)
+    saveUserMaterials(materials)
+  }
+
+  // 레이어의 현재 물성을 사용자 재료로 저장 (같은 이름이면 덮어씀)
+  const handleSaveLayerAsMaterial = (index) => {
+    const name = window.prompt('저장할 재료 이름을 입력하세요.', formData.layer_names[index])
+    if (!name || !name.trim()) return
+    const material = createUserMaterial({
+      name,
+      k: formData.k_therm_layers[index],
+      rho: formData.rho_layers[index],
+      c_p: formData.c_p_layers[index]
+    })
+    handleUserMaterialsChange(mergeUserMaterials(userMaterials, [material]))
   }
 
   const handleResetToDefault = () => {
     setFormData(DEFAULT_VALUES)
     setSimulationResult(null)
+    setSelectedTimeIndex(null)
+    setSelectedPositionIndex(null)
+    setPlaying(false)
+    setPinnedTimeIndices([])
     setError(null)
   }
 
-  // 섭씨 <-> 켈빈 변환 함수
-  const celsiusToKelvin = (celsius) => celsius + 273.15
-  const kelvinToCelsius = (kelvin) => kelvin - 273.15
-
   const handleSimulate = async () => {
+    if (!validation.isValid) return
     setLoading(true)
     setError(null)
     try {
-      // 섭씨를 켈빈으로 변환하여 백엔드에 전송
-      const dataToSend = {
-        ...formData,
-        T_ambient: celsiusToKelvin(formData.T_ambient)
-      }
-      
-      const response = await fetch('/api/simulate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(dataToSend),
-      })
-      
-      if (!response.ok) {
-        const errorText = await response.text()
-        let errorData
-        try {
-          errorData = JSON.parse(errorText)
-        } catch {
-          errorData = { error: errorText || `서버 오류: ${response.status} ${response.statusText}` }
-        }
-        setError(errorData.error || `서버 오류: ${response.status} ${response.statusText}`)
-        return
-      }
-      
-      const data = await response.json()
+      const data = await requestSimulation(buildSimulationPayload(formData), solverMode)
       
       if (data.success) {
         // 켈빈을 섭씨로 변환하여 저장
-        const convertedData = {
-          ...data,
-          temperature_active: data.temperature_active.map(row => 
-            row.map(kelvin => kelvinToCelsius(kelvin))
-          ),
-          temperature_glass: data.temperature_glass.map(row => 
-            row.map(kelvin => kelvinToCelsius(kelvin))
-          ),
-          perovskite_center_temp: data.perovskite_center_temp.map(kelvin => 
-            kelvinToCelsius(kelvin)
-          )
-        }
-        setSimulationResult(convertedData)
+        const result = convertSimulationResult(data, formData)
+        showSimulationResult(result)
+        updateRunHistory(() => addRun({ solverMode, formData, result }))
       } else {
         setError(data.error || '시뮬레이션 실행 중 오류가 발생했습니다.')
       }
     } catch (err) {
-      console.error('API 호출 오류:', err)
-      setError(`서버에 연결할 수 없습니다: ${err.message || '네트워크 오류가 발생했습니다.'}`)
+      console.error('시뮬레이션 호출 오류:', err)
+      if (solverMode === SOLVER_MODES.SERVER) {
+        setError(`서버에 연결할 수 없습니다: ${err.message || '네트워크 오류가 발생했습니다.'}`)
+      } else {
+        setError(`로컬 솔버 실행 중 오류가 발생했습니다: ${err.message}`)
+      }
     } finally {
       setLoading(false)
     }
   }
 
-  // 히트맵 데이터 준비
-  const prepareHeatmapData = () => {
-    if (!simulationResult) return []
-    
-    const data = []
-    const { time, position_nm, temperature } = simulationResult
-    
-    for (let i = 0; i < time.length; i++) {
-      for (let j = 0; j < position_nm.length; j++) {
-        data.push({
-          time: time[i],
-          position: position_nm[j],
-          temperature: temperature[j][i]
-        })
-      }
-    }
-    return data
+  // 프로파일 그래프에 표시할 시간 인덱스 (선택하지 않았으면 마지막 시간)
+  const getProfileTimeIndex = () => {
+    const { time } = simulationResult
+    return selectedTimeIndex ?? time.length - 1
   }
 
+  const handlePinSnapshot = () => {
+    const timeIndex = getProfileTimeIndex()
+    if (pinnedTimeIndices.includes(timeIndex) || pinnedTimeIndices.length >= MAX_PINNED_SNAPSHOTS) return
+    setPinnedTimeIndices([...pinnedTimeIndices, timeIndex].sort((a, b) => a - b))
+  }
+
+  const handleUnpinSnapshot = (timeIndex) => {
+    setPinnedTimeIndices(pinnedTimeIndices.filter(i => i !== timeIndex))
+  }
+
+  // 시간을 바꿔도 축이 흔들리지 않도록 전체 시간 범위의 최저/최고 온도로 y축 고정
+  const getProfileTemperatureDomain = () => {
+    const { temperature_active, temperature_glass } = simulationResult
+    let min = Infinity
+    let max = -Infinity
+    const rows = [...temperature_active, temperature_glass[0], temperature_glass[temperature_glass.length - 1]]
+    rows.forEach(row => {
+      row.forEach(v => {
+        if (v < min) min = v
+        if (v > max) max = v
+      })
+    })
+    const padding = Math.max((max - min) * 0.05, 0.5)
+    return [Math.floor(min - padding), Math.ceil(max + padding)]
+  }
+
+  const formatSnapshotName = (timeIndex) => `t = ${simulationResult.time[timeIndex].toFixed(1)} s`
+
   // Glass 물결선 데이터
-  const getGlassWavyProfile = () => {
+  const getGlassWavyProfile = (timeIndex = getProfileTimeIndex()) => {
     if (!simulationResult) return []
     
-    const { time, temperature_glass } = simulationResult
-    const finalTimeIndex = time.length - 1
+    const { temperature_glass } = simulationResult
     
     if (!temperature_glass || temperature_glass.length === 0) return []
     
-    const glassStartTemp = temperature_glass[0][finalTimeIndex]
-    const glassEndTemp = temperature_glass[temperature_glass.length - 1][finalTimeIndex]
+    const glassStartTemp = temperature_glass[0][timeIndex]
+    // 기판/ITO 계면 열저항이 있으면 기판 쪽 끝은 경계 노드(ITO 쪽)보다 점프만큼 높다
+    const glassEndTemp = temperature_glass[temperature_glass.length - 1][timeIndex] +
+      getInterfaceJump(simulationResult, 0, timeIndex)
     const nPoints = 50
     const result = []
     
@@ -168,37 +342,73 @@ function App() {
   }
   
   // 활성층 온도 프로파일 데이터
-  const getActiveProfile = () => {
+  const getActiveProfile = (timeIndex = getProfileTimeIndex()) => {
     if (!simulationResult) return []
     
-    const { time, position_active_nm, temperature_active } = simulationResult
-    const finalTimeIndex = time.length - 1
+    const { position_active_nm, temperature_active } = simulationResult
     
     if (!position_active_nm || !temperature_active) return []
     
-    return position_active_nm.map((pos, idx) => ({
+    const rows = position_active_nm.map((pos, idx) => ({
       position: pos,
-      temperature: temperature_active[idx][finalTimeIndex]
+      temperature: temperature_active[idx][timeIndex]
     }))
+    // 계면 열저항이 있으면 레이어 경계에서 불연속으로 그림
+    return addInterfaceJumps(rows, simulationResult, timeIndex)
   }
   
-  // 페로브스카이트 중간 지점의 시간에 따른 온도 데이터
+  // 인가 전력 밀도 파형 (구동 파형이 없던 이전 결과는 빈 배열)
+  const getDrivePowerProfile = () => {
+    const waveform = simulationResult.drive_waveform
+    if (!waveform) return []
+    return waveform.time.map((t, idx) => ({ time: t, power: waveform.power[idx] }))
+  }
+
+  const handleProbesChange = (probes) => {
+    setFormData({ ...formData, probes })
+  }
+
+  const handleLifetimeChange = (lifetime) => {
+    setFormData({ ...formData, lifetime })
+  }
+
+  // 프로브 위치(실제 nm) <-> 프로파일 그래프 x좌표 (Glass 구간은 축약 표시)
+  const toProfileChartX = (position) =>
+    position < 0 ? position / simulationResult.glass_ito_boundary_nm * GLASS_DISPLAY_WIDTH_NM : position
+  const fromProfileChartX = (x) =>
+    x < 0 ? x / GLASS_DISPLAY_WIDTH_NM * simulationResult.glass_ito_boundary_nm : x
+
+  const handleProfileChartClick = (state) => {
+    if (!probeClickMode || !state || state.activeLabel === undefined) return
+    const x = Number(state.activeLabel)
+    if (!Number.isFinite(x)) return
+    if (formData.probes.length >= MAX_PROBES) {
+      alert(`프로브는 최대 ${MAX_PROBES}개까지 추가할 수 있습니다.`)
+      return
+    }
+    handleProbesChange(addProbe(formData.probes, { mode: PROBE_MODES.POSITION, position_nm: fromProfileChartX(x) }))
+  }
+
+  const getProbeResults = () => (simulationResult ? evaluateProbes(formData.probes, simulationResult) : null)
+
+  // 발광층(페로브스카이트) 중간 지점, 히트맵에서 선택한 위치, 프로브의 시간에 따른 온도 데이터
   const getPerovskiteCenterProfile = () => {
     if (!simulationResult) return []
     
-    const { time, perovskite_center_temp } = simulationResult
+    const { time, perovskite_center_temp, temperature_active } = simulationResult
+    const probeResults = getProbeResults().filter(p => p.series)
     
-    return time.map((t, idx) => ({
-      time: t,
-      temperature: perovskite_center_temp[idx]
-    }))
-  }
-  
-  // 레이어 색상 가져오기 (입력창과 동일한 색상)
-  const getLayerColor = (layerIndex) => {
-    // Glass는 인덱스 0이지만 그래프에서는 제외되므로, 활성층은 인덱스 1부터 시작
-    const adjustedIndex = layerIndex + 1  // ITO는 인덱스 1
-    return `hsl(${adjustedIndex * 60}, 70%, 80%)`
+    return time.map((t, idx) => {
+      const row = {
+        time: t,
+        temperature: perovskite_center_temp[idx],
+        ...(selectedPositionIndex !== null && { selected: temperature_active[selectedPositionIndex][idx] })
+      }
+      probeResults.forEach(({ probe, series }) => {
+        row[`probe_${probe.id}`] = series[idx]
+      })
+      return row
+    })
   }
   
   // 레이어 영역 데이터 (ReferenceArea용)
@@ -213,7 +423,8 @@ function App() {
       areas.push({
         x1: layer_boundaries_nm[i],
         x2: layer_boundaries_nm[i + 1],
-        color: getLayerColor(i),
+        // Glass는 그래프에서 제외되므로 스택 인덱스는 i + 1 (입력창과 동일한 색상)
+        color: getLayerColor(i + 1),
         name: simulationResult.layer_names[i] || `Layer ${i + 1}`,
         centerX: (layer_boundaries_nm[i] + layer_boundaries_nm[i + 1]) / 2
       })
@@ -222,56 +433,16 @@ function App() {
     return areas
   }
   
-  // 레이어 라벨 데이터 (그래프 위에 표시할 텍스트)
-  const getLayerLabels = () => {
-    if (!simulationResult) return []
-    
-    const labels = []
-    
-    // Glass 라벨 (x=-100, 중간 지점)
-    labels.push({
-      x: -100,
-      name: 'Glass (축약)'
-    })
-    
-    // 활성층 레이어 라벨
-    const areas = getLayerAreas()
-    areas.forEach(area => {
-      labels.push({
-        x: area.centerX,
-        name: area.name
-      })
-    })
-    
-    return labels
+  // 활성층 끝 위치 (라벨 오버레이의 x축 최댓값)
+  const getActiveStackEndNm = () => {
+    const { layer_boundaries_nm } = simulationResult
+    return layer_boundaries_nm[layer_boundaries_nm.length - 1]
   }
   
   // 시뮬레이션 기본 정보 계산
   const getSimulationStats = () => {
     if (!simulationResult) return null
-    
-    const { temperature_active, perovskite_center_temp } = simulationResult
-    const finalTimeIndex = temperature_active[0].length - 1
-    
-    // 시작온도 (주변 온도)
-    const startTemp = formData.T_ambient
-    
-    // 최종온도 (페로브스카이트 중간 지점의 마지막 온도)
-    const finalTemp = perovskite_center_temp[finalTimeIndex]
-    
-    // 소자 내부 최대/최소 온도차이 (활성층의 최종 온도 프로파일에서)
-    const finalActiveTemps = temperature_active.map(row => row[finalTimeIndex])
-    const maxTemp = Math.max(...finalActiveTemps)
-    const minTemp = Math.min(...finalActiveTemps)
-    const tempDifference = maxTemp - minTemp
-    
-    return {
-      startTemp,
-      finalTemp,
-      maxTemp,
-      minTemp,
-      tempDifference
-    }
+    return computeSimulationStats(simulationResult, formData)
   }
   
   // Excel 저장 함수
@@ -282,7 +453,7 @@ function App() {
     }
     
     try {
-      const { time, position_active_nm, temperature_active, perovskite_center_temp } = simulationResult
+      const { time, position_active_nm, temperature_active, perovskite_center_temp, drive_power } = simulationResult
       const stats = getSimulationStats()
       
       // 첫 번째 시트: 위치-시간에 따른 contour plot 데이터 (transpose)
@@ -301,7 +472,7 @@ function App() {
         contourData.push(row)
       })
       
-      // 두 번째 시트: 페로브스카이트 중간 지점 데이터 + 기본 정보
+      // 두 번째 시트: 발광층(페로브스카이트) 중간 지점 데이터 + 기본 정보
       const summaryData = []
       // 시뮬레이션 파라미터를 첫 번째 행부터 표시
       summaryData.push(['시뮬레이션 파라미터', '값'])
@@ -311,29 +482,131 @@ function App() {
       summaryData.push(['소자 내부 최소 온도', Number(stats.minTemp)])
       summaryData.push(['소자 내부 온도 차이', Number(stats.tempDifference)])
       
+      // EQE(T) 되먹임: 열 안정성 판정
+      const { eqe_feedback: eqeFeedback } = simulationResult
+      if (eqeFeedback) {
+        summaryData.push(['열 안정성 (EQE 되먹임)', THERMAL_STABILITY_LABELS[eqeFeedback.status]])
+        summaryData.push(['최대 되먹임 이득', Number(eqeFeedback.max_loop_gain)])
+        summaryData.push(['열폭주 시작 시간 (s)', eqeFeedback.runaway_time !== null ? Number(eqeFeedback.runaway_time) : '-'])
+      }
+      
+      // 솔버 실행 정보
+      formatSolverStats(simulationResult.solver_stats).forEach(({ label, value }) => {
+        summaryData.push([`솔버 ${label}`, value])
+      })
+
+      // Arrhenius 수명 추정 (켜져 있을 때만)
+      const lifetime = analyzeLifetime(simulationResult, formData)
+      if (lifetime) {
+        formatLifetimeStats(lifetime, formData.lifetime).forEach(({ label, value }) => {
+          summaryData.push([label, value])
+        })
+      }
+      
+      // 정상상태: 표면 방열 분해와 직렬 열저항
+      if (simulationResult.steady_state) {
+        const { heat_balance, layer_resistances, boundary_resistances, path_resistances } = simulationResult
+        const sides = [['상부', 'top'], ['하부', 'bottom']]
+        summaryData.push([])
+        summaryData.push(['해석 방식', '정상상태'])
+        summaryData.push(['발생 열 (W/m²)', Number(heat_balance.generated)])
+        summaryData.push(['표면', '표면 온도 (°C)', '대류 (W/m²)', '복사 (W/m²)', '전도 (W/m²)', '합계 (W/m²)'])
+        sides.forEach(([label, side]) => {
+          const loss = heat_balance[side]
+          summaryData.push([
+            label, Number(loss.temperature), Number(loss.convection), Number(loss.radiation),
+            Number(loss.conduction ?? 0), Number(loss.total)
+          ])
+        })
+        summaryData.push([])
+        summaryData.push(['레이어', '두께 (nm)', '열전도도 (W/m·K)', '열저항 R = L/k (m²·K/W)', '전도 저항 비율'])
+        layer_resistances.forEach(layer => {
+          summaryData.push([layer.name, Number(layer.thickness_nm), Number(layer.k), Number(layer.resistance), Number(layer.share)])
+        })
+        // 계면 열저항이 있는 결과만 (이전 결과에는 없음)
+        const interfaceRows = (boundary_resistances ?? []).filter(row => row.resistance > 0)
+        if (interfaceRows.length > 0) {
+          summaryData.push(['계면', '', '', '계면 열저항 (m²·K/W)', '전도 저항 비율'])
+          interfaceRows.forEach(row => {
+            summaryData.push([row.name, '', '', Number(row.resistance), Number(row.share)])
+          })
+        }
+        summaryData.push([])
+        summaryData.push(['열 경로 (발광층 중간 → 주변)', '전도 (m²·K/W)', '표면 (m²·K/W)', '합계 (m²·K/W)'])
+        sides.forEach(([label, side]) => {
+          const path = path_resistances[side]
+          summaryData.push([label, Number(path.conduction), Number(path.surface), Number(path.total)])
+        })
+      }
+      
       // 빈 행 추가
       summaryData.push([])
       
-      // 페로브스카이트 중간 지점 데이터
-      summaryData.push(['시간', '페로브스카이트 중간 지점 온도'])
+      // 발광층 중간 지점 데이터 + 프로브별 온도 열
+      const probeResults = getProbeResults().filter(p => p.series)
+      summaryData.push([
+        '시간',
+        `${simulationResult.emissive_layer_name} 중간 지점 온도`,
+        ...probeResults.map(({ probe, position }) => `${formatProbeLabel(probe, formData.layer_names)} (x = ${position.toFixed(1)} nm) 온도`),
+        ...(drive_power ? ['인가 전력 밀도 V·J (W/m²)'] : []),
+        ...(eqeFeedback ? ['유효 EQE', '되먹임 이득'] : [])
+      ])
       time.forEach((t, idx) => {
-        summaryData.push([Number(t), Number(perovskite_center_temp[idx])])
+        summaryData.push([
+          Number(t),
+          Number(perovskite_center_temp[idx]),
+          ...probeResults.map(({ series }) => Number(series[idx])),
+          ...(drive_power ? [Number(drive_power[idx])] : []),
+          ...(eqeFeedback ? [Number(eqeFeedback.eqe[idx]), Number(eqeFeedback.loop_gain[idx])] : [])
+        ])
       })
       
       // 세 번째 시트: 시뮬레이션 입력 파라미터
       const inputParamsData = []
-      inputParamsData.push(['레이어 이름', '두께 (nm)', '열전도도 (W/m·K)', '밀도 (kg/m³)', '비열 (J/kg·K)'])
+      inputParamsData.push(['레이어 이름', '두께 (nm)', '열전도도 (W/m·K)', '밀도 (kg/m³)', '비열 (J/kg·K)', '발광층 (열원)', '발열 비율 (%)'])
       
-      LAYER_NAMES.forEach((name, idx) => {
+      formData.layer_names.forEach((name, idx) => {
         inputParamsData.push([
           name,
           Number(formData.thickness_layers_nm[idx]),
           Number(formData.k_therm_layers[idx]),
           Number(formData.rho_layers[idx]),
-          Number(formData.c_p_layers[idx])
+          Number(formData.c_p_layers[idx]),
+          idx === formData.emissive_layer_index ? 'O' : '',
+          Number(formData.heat_fractions[idx])
         ])
       })
       
+      inputParamsData.push(['발광층 발열 분포', describeSourceProfile(formData.source_profile)])
+      
+      inputParamsData.push([])
+      inputParamsData.push(['계면', '계면 열저항 (m²·K/W)'])
+      formData.interface_resistances.forEach((resistance, idx) => {
+        inputParamsData.push([`${formData.layer_names[idx]}/${formData.layer_names[idx + 1]}`, Number(resistance)])
+      })
+      
+      // 온도 의존 물성 모델 (일정이 아닌 것만, 선형 모델의 기준값은 위 표의 값)
+      const propertyModelRows = formData.layer_names.flatMap((name, idx) =>
+        TEMPERATURE_DEPENDENT_FIELDS
+          .map(field => ({ name, field, model: getPropertyModel(formData, idx, field) }))
+          .filter(({ model }) => model.type !== PROPERTY_MODEL_TYPES.CONSTANT)
+      )
+      if (propertyModelRows.length > 0) {
+        inputParamsData.push([])
+        inputParamsData.push(['온도 의존 물성', '물성', '모델', 'T_ref / 표 온도 (°C)', '기울기 (단위/K) / 표 값'])
+        propertyModelRows.forEach(({ name, field, model }) => {
+          const property = `${PROPERTY_LABELS[field]} (${PROPERTY_UNITS[field]})`
+          if (model.type === PROPERTY_MODEL_TYPES.LINEAR) {
+            inputParamsData.push([name, property, PROPERTY_MODEL_TYPE_LABELS[model.type], Number(model.T_ref), Number(model.slope)])
+          } else {
+            inputParamsData.push([name, property, PROPERTY_MODEL_TYPE_LABELS[model.type]])
+            model.table.forEach(row => {
+              inputParamsData.push(['', '', '', Number(row.temperature), Number(row.value)])
+            })
+          }
+        })
+      }
+      
       // 빈 행 추가
       inputParamsData.push([])
       
@@ -342,16 +615,47 @@ function App() {
       inputParamsData.push(['전압 (V)', Number(formData.voltage)])
       inputParamsData.push(['전류 밀도 (A/m²)', Number(formData.current_density)])
       inputParamsData.push(['EQE (External Quantum Efficiency)', Number(formData.eqe)])
+      inputParamsData.push(['EQE 온도 의존', describePropertyModel(getEqeModel(formData), 'eqe')])
+      
+      // 구동 파형
+      const { drive } = formData
+      inputParamsData.push([])
+      inputParamsData.push(['구동 파형', DRIVE_TYPE_LABELS[drive.type]])
+      if (drive.type === DRIVE_TYPES.PULSE) {
+        inputParamsData.push(['펄스 주파수 (Hz)', Number(drive.frequency_hz)])
+        inputParamsData.push(['듀티비', Number(drive.duty)])
+      } else if (drive.type === DRIVE_TYPES.RAMP || drive.type === DRIVE_TYPES.STAIRCASE) {
+        inputParamsData.push(['시작 전압 (V)', Number(drive.start_voltage)])
+        inputParamsData.push(['시작 전류 밀도 (A/m²)', Number(drive.start_current_density)])
+        if (drive.type === DRIVE_TYPES.RAMP) {
+          inputParamsData.push(['램프 시간 (s)', Number(drive.ramp_time)])
+        } else {
+          inputParamsData.push(['계단 수', Number(drive.step_count)])
+          inputParamsData.push(['계단 유지 시간 (s)', Number(drive.step_duration)])
+        }
+      } else if (drive.type === DRIVE_TYPES.TABLE) {
+        inputParamsData.push(['시간 (s, 시작 시간 기준)', '전압 (V)', '전류 밀도 (A/m²)'])
+        drive.table.forEach(row => {
+          inputParamsData.push([Number(row.time), Number(row.voltage), Number(row.current_density)])
+        })
+      }
       
       // 빈 행 추가
       inputParamsData.push([])
       
-      // 열적 파라미터
-      inputParamsData.push(['열적 파라미터', ''])
-      inputParamsData.push(['상부 방사율 (Cathode)', Number(formData.epsilon_top)])
-      inputParamsData.push(['하부 방사율 (Glass)', Number(formData.epsilon_bottom)])
-      inputParamsData.push(['대류 계수 (W/m²·K)', Number(formData.h_conv)])
+      // 경계 조건
+      inputParamsData.push(['경계 조건', ''])
+      inputParamsData.push([`상부 경계 조건 (${getSurfaceLayerName(formData, 'top')})`, describeBoundaryCondition(formData.boundary_top)])
+      inputParamsData.push([`하부 경계 조건 (${getSurfaceLayerName(formData, 'bottom')})`, describeBoundaryCondition(formData.boundary_bottom)])
+      inputParamsData.push([`상부 방사율 (${getSurfaceLayerName(formData, 'top')})`, Number(formData.epsilon_top)])
+      inputParamsData.push([`하부 방사율 (${getSurfaceLayerName(formData, 'bottom')})`, Number(formData.epsilon_bottom)])
       inputParamsData.push(['주변 온도 (°C)', Number(formData.T_ambient)])
+      if (formData.ambient_schedule.enabled && formData.analysis_mode !== ANALYSIS_MODES.STEADY) {
+        inputParamsData.push(['주변 온도 일정: 시간 (s, 시작 시간 기준)', '주변 온도 (°C)'])
+        formData.ambient_schedule.table.forEach(row => {
+          inputParamsData.push([Number(row.time), Number(row.temperature)])
+        })
+      }
       
       // 빈 행 추가
       inputParamsData.push([])
@@ -361,6 +665,54 @@ function App() {
       inputParamsData.push(['시작 시간 (s)', Number(formData.t_start)])
       inputParamsData.push(['종료 시간 (s)', Number(formData.t_end)])
       
+      // 솔버 설정
+      inputParamsData.push([])
+      inputParamsData.push(['솔버 설정', ''])
+      inputParamsData.push(['솔버 실행 위치', SOLVER_MODE_LABELS[solverMode]])
+      inputParamsData.push(['격자', describeMesh(formData)])
+      if (formData.analysis_mode !== ANALYSIS_MODES.STEADY) {
+        inputParamsData.push(['출력 시간', describeOutputTimes(formData)])
+        inputParamsData.push(['허용 오차', describeTolerances(formData)])
+        inputParamsData.push(['적분 방법', solverMode === SOLVER_MODES.SERVER ? INTEGRATION_METHOD_LABELS[formData.integration_method] : LOCAL_INTEGRATION_METHOD])
+      }
+      
+      // 온도 프로브
+      if (formData.probes.length > 0) {
+        inputParamsData.push([])
+        inputParamsData.push(['온도 프로브', '지정 방식', '위치 (nm) / 레이어', '레이어 내 비율'])
+        formData.probes.forEach(probe => {
+          inputParamsData.push(probe.mode === PROBE_MODES.LAYER
+            ? [formatProbeLabel(probe, formData.layer_names), '레이어 + 비율', formData.layer_names[probe.layer_index], Number(probe.fraction)]
+            : [formatProbeLabel(probe, formData.layer_names), '위치', Number(probe.position_nm), ''])
+        })
+      }
+      
+      // 네 번째 시트: 열유속과 에너지 수지 진단
+      const { diagnostics } = simulationResult
+      let diagnosticsData = null
+      if (diagnostics) {
+        const { interfaces, surface, energy } = diagnostics
+        diagnosticsData = [[
+          '시간 (s)',
+          ...interfaces.map(iface => `${iface.name} 열유속 (W/m²)`),
+          '상부 대류 (W/m²)', '상부 복사 (W/m²)', '상부 전도 (W/m²)',
+          '하부 대류 (W/m²)', '하부 복사 (W/m²)', '하부 전도 (W/m²)',
+          ...(energy ? ['Joule 발열 누적 (J/m²)', '저장 열 (J/m²)', '표면 방열 누적 (J/m²)', '수지 오차 (J/m²)'] : [])
+        ]]
+        time.forEach((t, idx) => {
+          diagnosticsData.push([
+            Number(t),
+            ...interfaces.map(iface => Number(iface.flux[idx])),
+            ...[surface.top, surface.bottom].flatMap(side => [
+              Number(side.convection[idx]), Number(side.radiation[idx]), Number(side.conduction?.[idx] ?? 0)
+            ]),
+            ...(energy ? [energy.generated, energy.stored, energy.lost, energy.error].map(series => Number(series[idx])) : [])
+          ])
+        })
+        diagnosticsData.push([])
+        diagnosticsData.push(['이산화된 열원 / 명목 발열', Number(diagnostics.source_ratio)])
+      }
+      
       // 워크북 생성
       const wb = XLSX.utils.book_new()
       
@@ -374,7 +726,12 @@ function App() {
       
       // 세 번째 시트: 입력 파라미터
       const ws3 = XLSX.utils.aoa_to_sheet(inputParamsData)
-      XLSX.utils.book_append_sheet(wb, ws3, '입력 파라미터')
+      XLSX.utils.book_append_sheet(wb, ws3, INPUT_SHEET_NAME)
+      
+      // 네 번째 시트: 진단
+      if (diagnosticsData) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(diagnosticsData), '열유속 및 에너지 수지')
+      }
       
       // 파일 저장
       const fileName = `simulation_result_${new Date().toISOString().split('T')[0]}.xlsx`
@@ -385,6 +742,41 @@ function App() {
     }
   }
 
+  // PDF 보고서: 현재 결과 (화면 그래프를 그대로 캡처)
+  const handleSaveReport = async () => {
+    if (!simulationResult) {
+      alert('시뮬레이션 결과가 없습니다.')
+      return
+    }
+    setReportBusy(true)
+    try {
+      const charts = {
+        profile: await captureChart(chart1Ref.current),
+        timeline: await captureChart(chart2Ref.current)
+      }
+      const run = { label: '', createdAt: null, solverMode, formData, result: simulationResult, charts }
+      await saveReportPdf([run], `simulation_report_${dateStamp()}.pdf`)
+    } catch (error) {
+      console.error('PDF 보고서 저장 중 오류:', error)
+      alert('PDF 보고서 저장 중 오류가 발생했습니다: ' + error.message)
+    } finally {
+      setReportBusy(false)
+    }
+  }
+
+  // 일괄 PDF 보고서: 실행 기록에서 선택한 실행들 (그래프는 보고서용으로 다시 그림)
+  const handleBatchReport = async (runs) => {
+    setReportBusy(true)
+    try {
+      await saveReportPdf(runs, `simulation_report_batch_${dateStamp()}.pdf`)
+    } catch (error) {
+      console.error('PDF 보고서 저장 중 오류:', error)
+      alert('PDF 보고서 저장 중 오류가 발생했습니다: ' + error.message)
+    } finally {
+      setReportBusy(false)
+    }
+  }
+
   return (
     <div className="app">
       <div className="container">
@@ -406,6 +798,13 @@ function App() {
           {/* 소자 구조 입력 섹션 */}
           <div className="input-section">
             <h2>소자 구조 및 물성 입력</h2>
+            <ProjectToolbar
+              hasResult={Boolean(simulationResult)}
+              onSave={handleSaveProject}
+              onOpen={handleOpenProject}
+              onImport={handleImportStack}
+              onCopyLink={handleCopyLink}
+            />
             
             {/* 레이어별 입력 */}
             <div className="layers-container">
@@ -419,57 +818,18 @@ function App() {
                   기본값으로 되돌리기
                 </button>
               </div>
-              <div className="layers-grid">
-                {LAYER_NAMES.map((name, index) => (
-                  <div key={index} className="layer-card">
-                    <div className="layer-header">
-                      <h4>{name}</h4>
-                      <div className="layer-visual" style={{ 
-                        height: `${Math.max(30, Math.log10(formData.thickness_layers_nm[index] + 1) * 10)}px`,
-                        backgroundColor: `hsl(${index * 60}, 70%, 80%)`
-                      }}></div>
-                    </div>
-                    <div className="layer-inputs">
-                      <div className="input-field">
-                        <label>두께 (nm)</label>
-                        <input
-                          type="number"
-                          value={formData.thickness_layers_nm[index]}
-                          onChange={(e) => handleLayerChange(index, 'thickness_layers_nm', e.target.value)}
-                          step="0.1"
-                        />
-                      </div>
-                      <div className="input-field">
-                        <label>열전도도 (W/m·K)</label>
-                        <input
-                          type="number"
-                          value={formData.k_therm_layers[index]}
-                          onChange={(e) => handleLayerChange(index, 'k_therm_layers', e.target.value)}
-                          step="0.1"
-                        />
-                      </div>
-                      <div className="input-field">
-                        <label>밀도 (kg/m³)</label>
-                        <input
-                          type="number"
-                          value={formData.rho_layers[index]}
-                          onChange={(e) => handleLayerChange(index, 'rho_layers', e.target.value)}
-                          step="1"
-                        />
-                      </div>
-                      <div className="input-field">
-                        <label>비열 (J/kg·K)</label>
-                        <input
-                          type="number"
-                          value={formData.c_p_layers[index]}
-                          onChange={(e) => handleLayerChange(index, 'c_p_layers', e.target.value)}
-                          step="1"
-                        />
-                      </div>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <LayerStackEditor
+                formData={formData}
+                onChange={setFormData}
+                materials={getAllMaterials(userMaterials)}
+                onSaveMaterial={handleSaveLayerAsMaterial}
+                validation={validation}
+              />
+              <MaterialLibraryPanel
+                materials={getAllMaterials(userMaterials)}
+                userMaterials={userMaterials}
+                onUserMaterialsChange={handleUserMaterialsChange}
+              />
             </div>
 
             {/* 전기적 파라미터 */}
@@ -480,79 +840,73 @@ function App() {
                   <label>전압 (V)</label>
                   <input
                     type="number"
+                    className={fieldClassName(validation.errors.voltage, validation.warnings.voltage)}
                     value={formData.voltage}
                     onChange={(e) => handleGlobalChange('voltage', e.target.value)}
                     step="0.1"
                   />
+                  <FieldMessage error={validation.errors.voltage} warning={validation.warnings.voltage} />
                 </div>
                 <div className="input-field">
                   <label>전류 밀도 (A/m²)</label>
                   <input
                     type="number"
+                    className={fieldClassName(validation.errors.current_density, validation.warnings.current_density)}
                     value={formData.current_density}
                     onChange={(e) => handleGlobalChange('current_density', e.target.value)}
                     step="1"
                   />
+                  <FieldMessage error={validation.errors.current_density} warning={validation.warnings.current_density} />
                 </div>
                 <div className="input-field">
-                  <label>EQE (External Quantum Efficiency)</label>
-                  <input
-                    type="number"
-                    value={formData.eqe}
-                    onChange={(e) => handleGlobalChange('eqe', e.target.value)}
-                    step="0.01"
-                    min="0"
-                    max="1"
+                  <label>
+                    EQE (External Quantum Efficiency){eqeModel.type === PROPERTY_MODEL_TYPES.LINEAR && ' @ T_ref'}
+                  </label>
+                  {eqeModel.type !== PROPERTY_MODEL_TYPES.TABLE && (
+                    <input
+                      type="number"
+                      className={fieldClassName(validation.errors.eqe, validation.warnings.eqe)}
+                      value={formData.eqe}
+                      onChange={(e) => handleGlobalChange('eqe', e.target.value)}
+                      step="0.01"
+                      min="0"
+                      max="1"
+                    />
+                  )}
+                  <FieldMessage error={validation.errors.eqe} warning={validation.warnings.eqe} />
+                  {/* EQE(T): 발광층 온도에 따른 EQE 감소 (열 되먹임) */}
+                  <PropertyModelEditor
+                    model={eqeModel}
+                    field="eqe"
+                    baseValue={formData.eqe}
+                    error={validation.errors[EQE_MODEL_KEY]}
+                    warning={validation.warnings[EQE_MODEL_KEY]}
+                    onChange={(model) => setFormData({ ...formData, eqe_model: model })}
                   />
                 </div>
               </div>
+              {formData.analysis_mode === ANALYSIS_MODES.STEADY ? (
+                <p className="drive-hint">정상상태 해석은 구동 파형 없이 위의 전압과 전류 밀도로 일정하게 구동한 평형 온도를 계산합니다.</p>
+              ) : (
+                <DriveEditor
+                  drive={formData.drive}
+                  validation={validation}
+                  onChange={(drive) => setFormData({ ...formData, drive })}
+                />
+              )}
+              {validation.warnings.power && <div className="warning-message">{validation.warnings.power}</div>}
             </div>
 
-            {/* 열적 파라미터 */}
+            {/* 발열 분포 */}
             <div className="parameters-section">
-              <h3>열적 파라미터</h3>
-              <div className="parameters-grid">
-                <div className="input-field">
-                  <label>상부 방사율 (Cathode)</label>
-                  <input
-                    type="number"
-                    value={formData.epsilon_top}
-                    onChange={(e) => handleGlobalChange('epsilon_top', e.target.value)}
-                    step="0.01"
-                    min="0"
-                    max="1"
-                  />
-                </div>
-                <div className="input-field">
-                  <label>하부 방사율 (Glass)</label>
-                  <input
-                    type="number"
-                    value={formData.epsilon_bottom}
-                    onChange={(e) => handleGlobalChange('epsilon_bottom', e.target.value)}
-                    step="0.01"
-                    min="0"
-                    max="1"
-                  />
-                </div>
-                <div className="input-field">
-                  <label>대류 계수 (W/m²·K)</label>
-                  <input
-                    type="number"
-                    value={formData.h_conv}
-                    onChange={(e) => handleGlobalChange('h_conv', e.target.value)}
-                    step="0.1"
-                  />
-                </div>
-                <div className="input-field">
-                  <label>주변 온도 (°C)</label>
-                  <input
-                    type="number"
-                    value={formData.T_ambient}
-                    onChange={(e) => handleGlobalChange('T_ambient', e.target.value)}
-                    step="1"
-                  />
-                </div>
-              </div>
+              <h3>발열 분포</h3>
+              <HeatSourceEditor formData={formData} validation={validation} onChange={setFormData} />
+            </div>
+
+            {/* 표면 경계 조건 */}
+            <div className="parameters-section">
+              <h3>경계 조건</h3>
+              <BoundaryConditionEditor formData={formData} validation={validation} onChange={setFormData} />
             </div>
 
             {/* 시뮬레이션 시간 설정 */}
@@ -563,30 +917,74 @@ function App() {
                   <label>시작 시간 (s)</label>
                   <input
                     type="number"
+                    className={fieldClassName(validation.errors.t_start, validation.warnings.t_start)}
                     value={formData.t_start}
                     onChange={(e) => handleGlobalChange('t_start', e.target.value)}
                     step="0.1"
                   />
+                  <FieldMessage error={validation.errors.t_start} warning={validation.warnings.t_start} />
                 </div>
                 <div className="input-field">
                   <label>종료 시간 (s)</label>
                   <input
                     type="number"
+                    className={fieldClassName(validation.errors.t_end, validation.warnings.t_end)}
                     value={formData.t_end}
                     onChange={(e) => handleGlobalChange('t_end', e.target.value)}
                     step="10"
                   />
+                  <FieldMessage error={validation.errors.t_end} warning={validation.warnings.t_end} />
+                </div>
+              </div>
+              {formData.analysis_mode === ANALYSIS_MODES.STEADY && (
+                <p className="drive-hint">정상상태 해석에서는 시뮬레이션 시간을 사용하지 않습니다.</p>
+              )}
+            </div>
+
+            {/* 계산 방식 설정 */}
+            <div className="parameters-section">
+              <h3>계산 방식</h3>
+              <div className="parameters-grid">
+                <div className="input-field">
+                  <label>해석 방식</label>
+                  <select
+                    value={formData.analysis_mode}
+                    onChange={(e) => setFormData({ ...formData, analysis_mode: e.target.value })}
+                  >
+                    {Object.values(ANALYSIS_MODES).map(mode => (
+                      <option key={mode} value={mode}>{ANALYSIS_MODE_LABELS[mode]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="input-field">
+                  <label>솔버 실행 위치</label>
+                  <select
+                    value={solverMode}
+                    onChange={(e) => setSolverMode(e.target.value)}
+                  >
+                    {Object.values(SOLVER_MODES).map(mode => (
+                      <option key={mode} value={mode}>{SOLVER_MODE_LABELS[mode]}</option>
+                    ))}
+                  </select>
                 </div>
               </div>
+              <SolverSettingsEditor formData={formData} solverMode={solverMode} validation={validation} onChange={setFormData} />
             </div>
 
             <button 
               className="simulate-button" 
               onClick={handleSimulate}
-              disabled={loading}
+              disabled={loading || !validation.isValid}
+              title={validation.isValid ? undefined : '입력 오류를 먼저 수정하세요'}
             >
               {loading ? '시뮬레이션 실행 중...' : '시뮬레이션 실행'}
             </button>
+            {errorCount > 0 && (
+              <div className="error-message">입력 오류 {errorCount}개를 수정해야 시뮬레이션을 실행할 수 있습니다.</div>
+            )}
+            {errorCount === 0 && warningCount > 0 && (
+              <div className="warning-message">확인이 필요한 입력이 {warningCount}개 있습니다. 그대로 실행할 수 있습니다.</div>
+            )}
 
             {error && <div className="error-message">{error}</div>}
           </div>
@@ -595,12 +993,37 @@ function App() {
           {simulationResult && (
             <div className="results-section">
               <h2>시뮬레이션 결과</h2>
+              {simulationResult.eqe_feedback?.status === THERMAL_STABILITY.RUNAWAY && (
+                <div className="error-message stability-banner">
+                  <strong>열폭주 감지:</strong> EQE(T) 되먹임 이득이 {simulationResult.eqe_feedback.max_loop_gain.toFixed(2)}로 1을 넘었습니다
+                  {simulationResult.eqe_feedback.runaway_time !== null && ` (t = ${simulationResult.eqe_feedback.runaway_time.toFixed(1)} s부터)`}.
+                  아래 EQE 열 되먹임 그래프를 확인하세요.
+                </div>
+              )}
               
               {/* 최종 온도 프로파일 */}
               <div className="chart-container" ref={chart1Ref} style={{ position: 'relative' }}>
-                <h3 style={{ marginBottom: '60px' }}>최종 온도 프로파일 (t = {simulationResult.time[simulationResult.time.length - 1].toFixed(1)} s)</h3>
+                <div className="chart-title-row" style={{ marginBottom: '60px' }}>
+                  <h3>
+                    {simulationResult.steady_state
+                      ? '정상상태 온도 프로파일'
+                      : `${getProfileTimeIndex() === simulationResult.time.length - 1 ? '최종 온도 프로파일' : '온도 프로파일'} (${formatSnapshotName(getProfileTimeIndex())})`}
+                  </h3>
+                  {selectedTimeIndex !== null && (
+                    <button
+                      type="button"
+                      className="layer-action-button"
+                      onClick={() => {
+                        setPlaying(false)
+                        setSelectedTimeIndex(null)
+                      }}
+                    >
+                      최종 시간으로
+                    </button>
+                  )}
+                </div>
                 <ResponsiveContainer width="100%" height={400}>
-                  <LineChart>
+                  <LineChart onClick={handleProfileChartClick} style={probeClickMode ? { cursor: 'crosshair' } : undefined}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis 
                       dataKey="position" 
@@ -613,11 +1036,12 @@ function App() {
                     />
                     <YAxis 
                       label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }}
-                      domain={['auto', 'auto']}
+                      domain={getProfileTemperatureDomain()}
                       allowDataOverflow={false}
                       tick={{ angle: -30, textAnchor: 'end' }}
                     />
                     <Tooltip />
+                    <Legend />
                     {/* 레이어 영역 표시 */}
                     {getLayerAreas().map((area, idx) => (
                       <ReferenceArea
@@ -638,6 +1062,40 @@ function App() {
                         strokeOpacity={0.5}
                       />
                     ))}
+                    {/* 프로브 위치 */}
+                    {getProbeResults().filter(p => p.position !== null).map(({ probe, position }) => (
+                      <ReferenceLine
+                        key={`probe-${probe.id}`}
+                        x={toProfileChartX(position)}
+                        stroke={PROBE_COLORS[formData.probes.indexOf(probe) % PROBE_COLORS.length]}
+                        strokeWidth={1.5}
+                      />
+                    ))}
+                    {/* 고정 스냅샷 (Glass 구간은 범례에서 제외) */}
+                    {pinnedTimeIndices.flatMap((timeIndex, i) => [
+                      <Line 
+                        key={`pinned-glass-${timeIndex}`}
+                        data={getGlassWavyProfile(timeIndex)}
+                        type="monotone" 
+                        dataKey="temperature" 
+                        stroke={SNAPSHOT_COLORS[i % SNAPSHOT_COLORS.length]} 
+                        strokeWidth={1.5}
+                        dot={false}
+                        legendType="none"
+                        isAnimationActive={false}
+                      />,
+                      <Line 
+                        key={`pinned-active-${timeIndex}`}
+                        data={getActiveProfile(timeIndex)}
+                        type="monotone" 
+                        dataKey="temperature" 
+                        name={formatSnapshotName(timeIndex)}
+                        stroke={SNAPSHOT_COLORS[i % SNAPSHOT_COLORS.length]} 
+                        strokeWidth={1.5}
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    ])}
                     <Line 
                       data={getGlassWavyProfile()}
                       type="monotone" 
@@ -645,14 +1103,18 @@ function App() {
                       stroke="#dc2626" 
                       strokeWidth={2}
                       dot={false}
+                      legendType="none"
+                      isAnimationActive={false}
                     />
                     <Line 
                       data={getActiveProfile()}
                       type="monotone" 
                       dataKey="temperature" 
+                      name={simulationResult.steady_state ? '정상상태' : `${formatSnapshotName(getProfileTimeIndex())} (현재)`}
                       stroke="#2563eb" 
                       strokeWidth={2}
                       dot={false}
+                      isAnimationActive={false}
                     />
                   </LineChart>
                 </ResponsiveContainer>
@@ -668,7 +1130,7 @@ function App() {
                   {/* Glass 라벨 */}
                   <div style={{
                     position: 'absolute',
-                    left: 'calc((100% - 60px) * (-100 - (-200)) / (580 - (-200)))',
+                    left: `calc((100% - 60px) * (-100 - (-200)) / (${getActiveStackEndNm()} - (-200)))`,
                     top: '10px',
                     fontSize: '12px',
                     fontWeight: 'bold',
@@ -677,12 +1139,12 @@ function App() {
                     padding: '2px 6px',
                     borderRadius: '3px'
                   }}>
-                    Glass (축약)
+                    {simulationResult.substrate_name} (축약)
                   </div>
                   {/* 활성층 레이어 라벨 */}
                   {getLayerAreas().map((area, idx) => {
                     const xMin = -200
-                    const xMax = 580
+                    const xMax = getActiveStackEndNm()
                     const xPercent = ((area.centerX - xMin) / (xMax - xMin)) * 100
                     return (
                       <div
@@ -706,39 +1168,199 @@ function App() {
                     )
                   })}
                 </div>
+                {/* 시간 선택/재생과 스냅샷 고정 (정상상태는 시간 점이 하나) */}
+                {!simulationResult.steady_state && (
+                  <TimeScrubber
+                    time={simulationResult.time}
+                    timeIndex={getProfileTimeIndex()}
+                    onChange={setSelectedTimeIndex}
+                    playing={playing}
+                    onPlayingChange={setPlaying}
+                    speed={playbackSpeed}
+                    onSpeedChange={setPlaybackSpeed}
+                    onPin={handlePinSnapshot}
+                    pinDisabled={
+                      pinnedTimeIndices.includes(getProfileTimeIndex()) ||
+                      pinnedTimeIndices.length >= MAX_PINNED_SNAPSHOTS
+                    }
+                  />
+                )}
+                <label className="probe-click-toggle">
+                  <input type="checkbox" checked={probeClickMode} onChange={(e) => setProbeClickMode(e.target.checked)} />
+                  그래프를 클릭해 그 위치에 온도 프로브 추가
+                </label>
+                {pinnedTimeIndices.length > 0 && (
+                  <div className="snapshot-chips">
+                    {pinnedTimeIndices.map((timeIndex, i) => (
+                      <span
+                        key={timeIndex}
+                        className="snapshot-chip"
+                        style={{ borderColor: SNAPSHOT_COLORS[i % SNAPSHOT_COLORS.length] }}
+                      >
+                        {formatSnapshotName(timeIndex)}
+                        <button type="button" onClick={() => handleUnpinSnapshot(timeIndex)} title="고정 해제">×</button>
+                      </span>
+                    ))}
+                    <button type="button" className="layer-action-button" onClick={() => setPinnedTimeIndices([])}>
+                      모두 해제
+                    </button>
+                  </div>
+                )}
               </div>
 
-              {/* 페로브스카이트 중간 지점의 시간에 따른 온도 */}
-              <div className="chart-container" ref={chart2Ref}>
-                <h3>페로브스카이트 중간 지점의 시간에 따른 온도</h3>
-                <ResponsiveContainer width="100%" height={400}>
-                  <LineChart data={getPerovskiteCenterProfile()}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis 
-                      dataKey="time" 
-                      type="number"
-                      label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }}
-                      angle={-45}
-                      textAnchor="end"
-                      height={80}
-                    />
-                    <YAxis 
-                      label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }}
-                      domain={['auto', 'auto']}
-                      allowDataOverflow={false}
-                    />
-                    <Tooltip />
-                    <Line 
-                      type="monotone" 
-                      dataKey="temperature" 
-                      stroke="#16a34a" 
-                      strokeWidth={2}
-                      dot={false}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
+              {/* 발광층(페로브스카이트) 중간 지점의 시간에 따른 온도 (정상상태는 열 수지와 열저항 표) */}
+              {simulationResult.steady_state ? (
+                <div className="chart-container">
+                  <h3>정상상태 열 수지와 열저항</h3>
+                  <SteadyStatePanel result={simulationResult} />
+                </div>
+              ) : (
+                <div className="chart-container" ref={chart2Ref}>
+                  <div className="chart-title-row">
+                    <h3>{simulationResult.emissive_layer_name} 중간 지점의 시간에 따른 온도</h3>
+                    {selectedPositionIndex !== null && (
+                      <button type="button" className="layer-action-button" onClick={() => setSelectedPositionIndex(null)}>
+                        선택 위치 해제
+                      </button>
+                    )}
+                  </div>
+                  <ResponsiveContainer width="100%" height={400}>
+                    <LineChart data={getPerovskiteCenterProfile()}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis 
+                        dataKey="time" 
+                        type="number"
+                        label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }}
+                        angle={-45}
+                        textAnchor="end"
+                        height={80}
+                      />
+                      <YAxis 
+                        label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }}
+                        domain={['auto', 'auto']}
+                        allowDataOverflow={false}
+                      />
+                      {simulationResult.drive_waveform && (
+                        <YAxis 
+                          yAxisId="power"
+                          orientation="right"
+                          label={{ value: '인가 전력 밀도 (W/m²)', angle: 90, position: 'insideRight' }}
+                          domain={[0, 'auto']}
+                        />
+                      )}
+                      <Tooltip />
+                      <Legend verticalAlign="top" />
+                      {simulationResult.drive_waveform && (
+                        <Line 
+                          data={getDrivePowerProfile()}
+                          yAxisId="power"
+                          type="linear" 
+                          dataKey="power" 
+                          name="인가 전력 밀도 V·J"
+                          stroke="#f59e0b" 
+                          strokeWidth={1}
+                          strokeOpacity={0.7}
+                          dot={false}
+                          isAnimationActive={false}
+                        />
+                      )}
+                      <Line 
+                        type="monotone" 
+                        dataKey="temperature" 
+                        name={`${simulationResult.emissive_layer_name} 중간 지점`}
+                        stroke="#16a34a" 
+                        strokeWidth={2}
+                        dot={false}
+                      />
+                      {selectedPositionIndex !== null && (
+                        <Line 
+                          type="monotone" 
+                          dataKey="selected" 
+                          name={`x = ${simulationResult.position_active_nm[selectedPositionIndex].toFixed(1)} nm`}
+                          stroke="#0891b2" 
+                          strokeWidth={2}
+                          dot={false}
+                        />
+                      )}
+                      {getProbeResults().map(({ probe, series }, i) => series && (
+                        <Line 
+                          key={`probe-${probe.id}`}
+                          type="monotone" 
+                          dataKey={`probe_${probe.id}`} 
+                          name={formatProbeLabel(probe, formData.layer_names)}
+                          stroke={PROBE_COLORS[i % PROBE_COLORS.length]} 
+                          strokeWidth={1.5}
+                          strokeDasharray="6 3"
+                          dot={false}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {/* EQE(T) 되먹임 (EQE가 일정하면 생략) */}
+              {simulationResult.eqe_feedback && (
+                <div className="chart-container">
+                  <h3>EQE 열 되먹임과 열폭주 판정</h3>
+                  <EqeFeedbackPanel result={simulationResult} />
+                </div>
+              )}
+
+              {/* 온도 프로브 */}
+              <div className="chart-container">
+                <h3>온도 프로브</h3>
+                <ProbePanel
+                  probes={formData.probes}
+                  layerNames={formData.layer_names}
+                  evaluated={getProbeResults()}
+                  colors={PROBE_COLORS}
+                  onChange={handleProbesChange}
+                />
+              </div>
+
+              {/* Arrhenius 수명 추정 (선택) */}
+              <div className="chart-container">
+                <h3>수명 추정 (Arrhenius 온도 가속)</h3>
+                <LifetimePanel result={simulationResult} formData={formData} onChange={handleLifetimeChange} />
               </div>
 
+              {/* 위치-시간 온도 히트맵 (정상상태는 시간 축이 없음) */}
+              {!simulationResult.steady_state && (
+                <div className="chart-container">
+                  <h3>위치-시간 온도 히트맵 (활성층)</h3>
+                  <TemperatureHeatmap
+                    result={simulationResult}
+                    selectedTimeIndex={selectedTimeIndex}
+                    selectedPositionIndex={selectedPositionIndex}
+                    onSelectTime={setSelectedTimeIndex}
+                    onSelectPosition={setSelectedPositionIndex}
+                  />
+                </div>
+              )}
+
+              {/* 열유속과 에너지 수지 진단 (진단 정보가 없는 이전 결과는 생략) */}
+              {simulationResult.diagnostics && (
+                <div className="chart-container">
+                  <h3>열유속 및 에너지 수지 진단</h3>
+                  <DiagnosticsPanel result={simulationResult} timeIndex={getProfileTimeIndex()} />
+                </div>
+              )}
+
+              {/* 솔버 실행 정보: 방법, 성공 여부, 스텝 수, 계산 시간 (정보가 없는 이전 결과는 생략) */}
+              {simulationResult.solver_stats && (
+                <div className="chart-container">
+                  <h3>솔버 실행 정보</h3>
+                  <table className="probe-table diagnostics-summary">
+                    <tbody>
+                      {formatSolverStats(simulationResult.solver_stats).map(({ label, value }) => (
+                        <tr key={label}><td>{label}</td><td>{value}</td></tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
               {/* 저장 및 내보내기 버튼 */}
               <div style={{ marginTop: '30px', display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
                 <button
@@ -768,9 +1390,57 @@ function App() {
                 >
                   Excel 저장
                 </button>
+                <button
+                  onClick={handleSaveReport}
+                  disabled={reportBusy}
+                  style={{
+                    padding: '10px 20px',
+                    backgroundColor: '#333',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    cursor: reportBusy ? 'wait' : 'pointer',
+                    fontSize: '0.95em',
+                    fontWeight: '600',
+                    transition: 'all 0.3s ease',
+                    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)'
+                  }}
+                  onMouseEnter={(e) => {
+                    e.currentTarget.style.backgroundColor = '#555'
+                    e.currentTarget.style.transform = 'translateY(-2px)'
+                    e.currentTarget.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.3)'
+                  }}
+                  onMouseLeave={(e) => {
+                    e.currentTarget.style.backgroundColor = '#333'
+                    e.currentTarget.style.transform = 'translateY(0)'
+                    e.currentTarget.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.2)'
+                  }}
+                >
+                  {reportBusy ? 'PDF 만드는 중...' : 'PDF 보고서'}
+                </button>
               </div>
             </div>
           )}
+
+          {/* 파라미터 스윕 섹션 */}
+          <SweepPanel formData={formData} solverMode={solverMode} inputValid={validation.isValid} />
+
+          {/* 정확도 검증 섹션 */}
+          <VerificationPanel formData={formData} solverMode={solverMode} inputValid={validation.isValid} />
+
+          {/* 측정 데이터 피팅 섹션 */}
+          <FittingPanel formData={formData} solverMode={solverMode} inputValid={validation.isValid} onApply={setFormData} />
+
+          {/* 실행 기록 및 비교 섹션 */}
+          <RunHistoryPanel
+            runs={runHistory}
+            onRename={(id, label) => updateRunHistory(() => updateRunLabel(id, label))}
+            onLoad={handleLoadRun}
+            onDelete={(id) => updateRunHistory(() => deleteRun(id))}
+            onClear={() => updateRunHistory(clearRuns)}
+            onReport={handleBatchReport}
+            reportBusy={reportBusy}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,248 @@
+// 표면 경계 조건 입력 (formData.boundary_top, boundary_bottom)과 주변 온도 일정 (formData.ambient_schedule)
+// 온도 입력은 섭씨이고 솔버 요청으로 보낼 때 켈빈으로 바꾼다 (정의는 solver/boundaryConditions.js).
+// 방사율은 전역 입력 epsilon_top / epsilon_bottom을 쓰며 대류+복사 경계에만 적용된다.
+import {
+  BOUNDARY_TYPES,
+  FIXED_TEMPERATURE_CONTACT_RESISTANCE,
+  STEFAN_BOLTZMANN,
+  createAmbientFunction,
+  createBoundaryFlux
+} from './solver/boundaryConditions.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+
+// 표면별 입력 필드와 라벨
+export const BOUNDARY_SIDES = [
+  { side: 'top', field: 'boundary_top', epsilonField: 'epsilon_top', label: '상부' },
+  { side: 'bottom', field: 'boundary_bottom', epsilonField: 'epsilon_bottom', label: '하부' }
+]
+
+// 표면에 닿은 레이어 이름: 상부는 맨 위 레이어, 하부는 기판 (레이어 편집에 따라 바뀜)
+export const getSurfaceLayerName = (formData, side) => (
+  side === 'top' ? formData.layer_names[formData.layer_names.length - 1] : formData.layer_names[0]
+)
+
+export const BOUNDARY_TYPE_LABELS = {
+  [BOUNDARY_TYPES.CONVECTIVE]: '대류 + 복사',
+  [BOUNDARY_TYPES.FIXED_TEMPERATURE]: '고정 온도',
+  [BOUNDARY_TYPES.FIXED_FLUX]: '고정 열유속',
+  [BOUNDARY_TYPES.HEAT_SINK]: '히트싱크'
+}
+
+export const DEFAULT_BOUNDARY_CONDITION = {
+  type: BOUNDARY_TYPES.CONVECTIVE,
+  h_conv: 10.0, // 대류 계수 (W/m²·K)
+  temperature: 25.0, // 고정 온도 (°C)
+  flux: 0, // 고정 열유속 (W/m², 주변으로 나가는 방향이 양수)
+  sink_resistance: 1e-4, // 히트싱크까지의 열저항 (m²·K/W, 써멀 패드 1 cm²에 1 K/W)
+  sink_temperature: 25.0 // 히트싱크 온도 (°C)
+}
+
+// 주변 온도 일정의 검증 키 (행은 `${AMBIENT_SCHEDULE_KEY}:${index}`)
+export const AMBIENT_SCHEDULE_KEY = 'ambient_schedule'
+
+// 주변 온도 일정: t_start 기준 시간 (s), 점 사이는 선형, 마지막 점 이후는 유지
+// 사용하지 않으면 T_ambient 일정. 시작 온도는 항상 T_ambient (일정과 달라도 됨)
+export const DEFAULT_AMBIENT_SCHEDULE = {
+  enabled: false,
+  table: [
+    { time: 0, temperature: 25 },
+    { time: 500, temperature: 85 }
+  ]
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * 경계 조건이 없는 입력(이전 버전 기록/프로젝트)은 양면 모두 h_conv 대류+복사로 채우고 주변 온도는 일정
+ */
+export function withDefaultBoundaryConditions(formData) {
+  if (formData.boundary_top && formData.boundary_bottom && formData.ambient_schedule) return formData
+  const { h_conv: hConv, ...rest } = formData
+  const legacy = { ...DEFAULT_BOUNDARY_CONDITION, h_conv: hConv ?? DEFAULT_BOUNDARY_CONDITION.h_conv }
+  return {
+    ...rest,
+    boundary_top: formData.boundary_top ?? legacy,
+    boundary_bottom: formData.boundary_bottom ?? legacy,
+    ambient_schedule: formData.ambient_schedule ?? DEFAULT_AMBIENT_SCHEDULE
+  }
+}
+
+// 경계 조건의 온도를 켈빈으로
+export const toSolverBoundaryCondition = (condition) => ({
+  ...condition,
+  temperature: condition.temperature + 273.15,
+  sink_temperature: condition.sink_temperature + 273.15
+})
+
+const scheduleInUse = (formData) =>
+  Boolean(formData.ambient_schedule?.enabled) && formData.analysis_mode !== ANALYSIS_MODES.STEADY
+
+/**
+ * 솔버 요청의 ambient_profile (켈빈). 일정을 쓰지 않거나 정상상태 해석이면 null
+ */
+export function buildAmbientProfile(formData) {
+  if (!scheduleInUse(formData)) return null
+  const { table } = formData.ambient_schedule
+  return {
+    times: table.map(row => row.time),
+    temperatures: table.map(row => row.temperature + 273.15)
+  }
+}
+
+/**
+ * 시각 t (s)의 주변 온도 (°C). 일정을 쓰지 않으면 T_ambient
+ */
+export function getAmbientTemperature(formData, time) {
+  if (!scheduleInUse(formData)) return formData.T_ambient
+  const { table } = formData.ambient_schedule
+  const ambientAt = createAmbientFunction({
+    T_ambient: formData.T_ambient,
+    ambient_profile: { times: table.map(row => row.time), temperatures: table.map(row => row.temperature) }
+  }, formData.t_start)
+  return ambientAt(time)
+}
+
+/**
+ * 표면 온도 surfaceTemp(°C)에서 나가는 열유속 분해 (W/m²)
+ * convection/radiation: 대류+복사 경계, conduction: 고정 온도/히트싱크/고정 열유속 경계로 나가는 열
+ * resistance: 표면에서 주변(또는 고정 온도, 히트싱크)까지의 열저항 (m²·K/W), 복사는 선형화, 고정 열유속은 Infinity
+ */
+export function computeBoundaryLoss(formData, side, surfaceTemp, ambientTemp) {
+  const { field, epsilonField } = BOUNDARY_SIDES.find(s => s.side === side)
+  const condition = formData[field]
+  const epsilon = formData[epsilonField]
+  const Ts = surfaceTemp + 273.15
+  const Ta = ambientTemp + 273.15
+  if (condition.type === BOUNDARY_TYPES.CONVECTIVE) {
+    const convection = condition.h_conv * (Ts - Ta)
+    const radiation = epsilon * STEFAN_BOLTZMANN * (Ts ** 4 - Ta ** 4)
+    // 선형화한 복사 계수를 더한 유효 열전달 계수로 표면 열저항
+    const hTotal = condition.h_conv + epsilon * STEFAN_BOLTZMANN * (Ts ** 2 + Ta ** 2) * (Ts + Ta)
+    return {
+      temperature: surfaceTemp,
+      convection,
+      radiation,
+      conduction: 0,
+      total: convection + radiation,
+      resistance: hTotal > 0 ? 1 / hTotal : Infinity
+    }
+  }
+  const conduction = createBoundaryFlux(toSolverBoundaryCondition(condition), epsilon)(Ts, Ta)
+  const resistance = {
+    [BOUNDARY_TYPES.FIXED_TEMPERATURE]: FIXED_TEMPERATURE_CONTACT_RESISTANCE,
+    [BOUNDARY_TYPES.HEAT_SINK]: condition.sink_resistance,
+    [BOUNDARY_TYPES.FIXED_FLUX]: Infinity
+  }[condition.type]
+  return { temperature: surfaceTemp, convection: 0, radiation: 0, conduction, total: conduction, resistance }
+}
+
+/**
+ * 표면의 선형화 열전달 계수 (W/m²·K): 주변 온도에서 선형화한 복사 포함, 고정 열유속은 0
+ */
+export function boundaryConductance(formData, side) {
+  const { field, epsilonField } = BOUNDARY_SIDES.find(s => s.side === side)
+  const condition = formData[field]
+  if (condition.type === BOUNDARY_TYPES.CONVECTIVE) {
+    const Ta = formData.T_ambient + 273.15
+    return condition.h_conv + 4 * STEFAN_BOLTZMANN * formData[epsilonField] * Ta ** 3
+  }
+  if (condition.type === BOUNDARY_TYPES.FIXED_TEMPERATURE) return 1 / FIXED_TEMPERATURE_CONTACT_RESISTANCE
+  if (condition.type === BOUNDARY_TYPES.HEAT_SINK) return 1 / condition.sink_resistance
+  return 0
+}
+
+// 고정 열유속 경계로 빠져나가는 열 (W/m², 다른 경계는 0)
+export const fixedBoundaryFlux = (formData, side) => {
+  const condition = formData[BOUNDARY_SIDES.find(s => s.side === side).field]
+  return condition.type === BOUNDARY_TYPES.FIXED_FLUX ? condition.flux : 0
+}
+
+const TEMPERATURE_WARN_RANGE = [-50, 200]
+
+/**
+ * 경계 조건과 주변 온도 일정 검증. 키는 `boundary_top.<필드>` 또는 일정 행의 `${AMBIENT_SCHEDULE_KEY}:${index}`
+ */
+export function validateBoundaryConditions(formData) {
+  const errors = {}
+  const warnings = {}
+  const checkTemperature = (key, value, label) => {
+    if (!isNumber(value)) errors[key] = `${label}을(를) 입력하세요.`
+    else if (value <= -273.15) errors[key] = `${label}은(는) -273.15보다 커야 합니다.`
+    else if (value < TEMPERATURE_WARN_RANGE[0] || value > TEMPERATURE_WARN_RANGE[1]) {
+      warnings[key] = `${label}이(가) 일반적인 범위(${TEMPERATURE_WARN_RANGE[0]} ~ ${TEMPERATURE_WARN_RANGE[1]})를 벗어났습니다.`
+    }
+  }
+
+  BOUNDARY_SIDES.forEach(({ field, label }) => {
+    const condition = formData[field]
+    const key = (name) => `${field}.${name}`
+    if (condition.type === BOUNDARY_TYPES.CONVECTIVE) {
+      const h = condition.h_conv
+      if (!isNumber(h)) errors[key('h_conv')] = `${label} 대류 계수를 입력하세요.`
+      else if (h < 0) errors[key('h_conv')] = `${label} 대류 계수는 0 이상이어야 합니다.`
+      else if (h < 1 || h > 500) warnings[key('h_conv')] = `${label} 대류 계수가 일반적인 범위(1 ~ 500)를 벗어났습니다.`
+    } else if (condition.type === BOUNDARY_TYPES.FIXED_TEMPERATURE) {
+      checkTemperature(key('temperature'), condition.temperature, `${label} 고정 온도`)
+    } else if (condition.type === BOUNDARY_TYPES.FIXED_FLUX) {
+      if (!isNumber(condition.flux)) errors[key('flux')] = `${label} 열유속을 입력하세요.`
+    } else if (condition.type === BOUNDARY_TYPES.HEAT_SINK) {
+      const R = condition.sink_resistance
+      if (!isNumber(R)) errors[key('sink_resistance')] = `${label} 히트싱크 열저항을 입력하세요.`
+      else if (R <= 0) errors[key('sink_resistance')] = `${label} 히트싱크 열저항은 0보다 커야 합니다 (완전 접촉은 고정 온도 사용).`
+      checkTemperature(key('sink_temperature'), condition.sink_temperature, `${label} 히트싱크 온도`)
+    } else {
+      errors[key('type')] = '알 수 없는 경계 조건입니다.'
+    }
+  })
+
+  // 정상상태는 온도에 따라 방열이 바뀌는 경계가 하나는 있어야 풀린다
+  if (formData.analysis_mode === ANALYSIS_MODES.STEADY &&
+      BOUNDARY_SIDES.every(({ side }) => !(boundaryConductance(formData, side) > 0))) {
+    errors['boundary_top.type'] = '정상상태 해석에는 대류, 복사, 히트싱크 또는 고정 온도로 열이 빠져나갈 경로가 필요합니다.'
+  }
+
+  const schedule = formData.ambient_schedule
+  if (scheduleInUse(formData)) {
+    const span = formData.t_end - formData.t_start
+    if (!Array.isArray(schedule.table) || schedule.table.length === 0) {
+      errors[AMBIENT_SCHEDULE_KEY] = '주변 온도 일정에 점을 하나 이상 입력하세요.'
+    } else {
+      schedule.table.forEach((row, i) => {
+        const key = `${AMBIENT_SCHEDULE_KEY}:${i}`
+        if (![row.time, row.temperature].every(isNumber)) {
+          errors[key] = '시간과 온도를 모두 입력하세요.'
+        } else if (row.temperature <= -273.15) {
+          errors[key] = '온도는 -273.15보다 커야 합니다.'
+        } else if (i === 0 && row.time < 0) {
+          errors[key] = '시간은 0 이상이어야 합니다.'
+        } else if (i > 0 && isNumber(schedule.table[i - 1].time) && row.time <= schedule.table[i - 1].time) {
+          errors[key] = '시간은 이전 행보다 커야 합니다.'
+        } else if (isNumber(span) && row.time > span) {
+          warnings[key] = '시뮬레이션 시간 범위를 벗어난 점입니다.'
+        }
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * 경계 조건 설명 (비교 표, 엑셀 입력 시트용)
+ */
+export function describeBoundaryCondition(condition) {
+  if (condition.type === BOUNDARY_TYPES.FIXED_TEMPERATURE) return `고정 온도 ${condition.temperature} °C`
+  if (condition.type === BOUNDARY_TYPES.FIXED_FLUX) return `고정 열유속 ${condition.flux} W/m²`
+  if (condition.type === BOUNDARY_TYPES.HEAT_SINK) {
+    return `히트싱크: R ${condition.sink_resistance} m²·K/W, ${condition.sink_temperature} °C`
+  }
+  return `대류 + 복사: h ${condition.h_conv} W/m²·K`
+}
+
+/**
+ * 주변 온도 일정 설명 ('일정' 또는 '0 s 25 °C → 500 s 85 °C')
+ */
+export function describeAmbientSchedule(schedule) {
+  if (!schedule?.enabled) return '일정'
+  return schedule.table.map(row => `${row.time} s ${row.temperature} °C`).join(' → ')
+}
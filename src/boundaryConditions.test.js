@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { BOUNDARY_TYPES } from './solver/boundaryConditions.js'
+import { summarizeEnergyBalance } from './diagnostics.js'
+import { applyParameterValue, getSweepParameters } from './sweep.js'
+import { removeLayer, renameLayer } from './layerStack.js'
+import {
+  AMBIENT_SCHEDULE_KEY,
+  DEFAULT_BOUNDARY_CONDITION,
+  getAmbientTemperature,
+  getSurfaceLayerName,
+  validateBoundaryConditions,
+  withDefaultBoundaryConditions
+} from './boundaryConditions.js'
+
+const withBoundary = (formData, side, condition) => ({
+  ...formData,
+  [`boundary_${side}`]: { ...DEFAULT_BOUNDARY_CONDITION, ...condition }
+})
+
+const INSULATED = { type: BOUNDARY_TYPES.FIXED_FLUX, flux: 0 }
+const STEADY = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }
+
+// 표면 노드 온도: 하부는 Glass 첫 노드, 상부는 활성층 마지막 노드
+const bottomTemperature = (result, t) => result.temperature_glass[0][t]
+const topTemperature = (result, t) => result.temperature_active[result.temperature_active.length - 1][t]
+
+describe('표면 경계 조건', () => {
+  it('고정 온도 경계는 표면을 그 온도로 유지하고 발생 열이 모두 그쪽으로 빠진다', () => {
+    const formData = withBoundary(withBoundary(STEADY, 'bottom', { type: BOUNDARY_TYPES.FIXED_TEMPERATURE, temperature: 40 }), 'top', INSULATED)
+    const result = simulate(formData)
+    expect(bottomTemperature(result, 0)).toBeCloseTo(40, 4)
+    expect(result.heat_balance.bottom.conduction / result.heat_balance.generated).toBeCloseTo(1, 6)
+    expect(result.heat_balance.top.total).toBeCloseTo(0, 9)
+  })
+
+  it('히트싱크 방열은 (표면 온도 - 히트싱크 온도) / 열저항이다', () => {
+    const resistance = 2e-3
+    const formData = withBoundary(STEADY, 'bottom', { type: BOUNDARY_TYPES.HEAT_SINK, sink_resistance: resistance, sink_temperature: 20 })
+    const result = simulate(formData)
+    const { bottom, top, generated } = result.heat_balance
+    expect(bottom.conduction).toBeCloseTo((bottomTemperature(result, 0) - 20) / resistance, 6)
+    expect((bottom.total + top.total) / generated).toBeCloseTo(1, 6)
+    // 히트싱크가 대류보다 훨씬 잘 빼내므로 기본 경계보다 차갑다
+    expect(result.perovskite_center_temp[0]).toBeLessThan(simulate(STEADY).perovskite_center_temp[0])
+  })
+
+  it('고정 열유속 경계가 있는 과도 해석도 에너지 수지가 맞는다', () => {
+    const formData = withBoundary({ ...DEFAULT_VALUES, t_end: 100 }, 'top', { type: BOUNDARY_TYPES.FIXED_FLUX, flux: 50 })
+    const result = simulate(formData)
+    expect(result.diagnostics.surface.top.conduction.every(q => q === 50)).toBe(true)
+    expect(summarizeEnergyBalance(result.diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+  })
+
+  it('주변 온도 일정을 따라 표면 온도가 움직인다', () => {
+    const schedule = { enabled: true, table: [{ time: 0, temperature: 25 }, { time: 50, temperature: 85 }] }
+    const base = { ...DEFAULT_VALUES, voltage: 0, current_density: 0, t_end: 400 }
+    expect(getAmbientTemperature({ ...base, ambient_schedule: schedule }, 25)).toBeCloseTo(55, 12)
+    expect(getAmbientTemperature({ ...base, ambient_schedule: schedule }, 1000)).toBe(85)
+    // 정상상태에서는 일정을 쓰지 않는다
+    expect(getAmbientTemperature({ ...STEADY, ambient_schedule: schedule }, 25)).toBe(DEFAULT_VALUES.T_ambient)
+
+    const result = simulate({ ...base, ambient_schedule: schedule })
+    const last = result.time.length - 1
+    // 발열이 없으면 처음에는 주변 온도와 같고 이후 새 주변 온도를 향해 오른다
+    expect(topTemperature(result, 0)).toBeCloseTo(25, 9)
+    expect(topTemperature(result, last)).toBeGreaterThan(30)
+    expect(topTemperature(result, last)).toBeLessThan(85)
+    // 발열이 없으므로 주변에서 들어온 열이 모두 저장된다 (수지 오차는 저장 열 기준)
+    const { stored, error } = result.diagnostics.energy
+    expect(Math.max(...error.map(Math.abs))).toBeLessThan(0.01 * Math.max(...stored))
+  })
+
+  it('경계 조건별 입력을 검증하고 정상상태에는 방열 경로를 요구한다', () => {
+    expect(validateBoundaryConditions(DEFAULT_VALUES)).toEqual({ errors: {}, warnings: {} })
+    const invalid = withBoundary(withBoundary(DEFAULT_VALUES, 'top', { type: BOUNDARY_TYPES.HEAT_SINK, sink_resistance: 0, sink_temperature: 400 }),
+      'bottom', { type: BOUNDARY_TYPES.FIXED_TEMPERATURE, temperature: -300 })
+    const { errors, warnings } = validateBoundaryConditions(invalid)
+    expect(errors['boundary_top.sink_resistance']).toMatch(/0보다 커야/)
+    expect(warnings['boundary_top.sink_temperature']).toBeDefined()
+    expect(errors['boundary_bottom.temperature']).toMatch(/-273.15/)
+
+    const insulated = withBoundary(withBoundary(STEADY, 'top', INSULATED), 'bottom', INSULATED)
+    expect(validateBoundaryConditions(insulated).errors['boundary_top.type']).toBeDefined()
+
+    const schedule = { enabled: true, table: [{ time: 10, temperature: 25 }, { time: 5, temperature: 30 }] }
+    const scheduleErrors = validateBoundaryConditions({ ...DEFAULT_VALUES, ambient_schedule: schedule }).errors
+    expect(scheduleErrors[`${AMBIENT_SCHEDULE_KEY}:1`]).toMatch(/이전 행/)
+    // 정상상태에서는 일정을 검증하지 않는다
+    expect(validateBoundaryConditions({ ...STEADY, ambient_schedule: schedule }).errors).toEqual({})
+  })
+
+  it('공통 h_conv만 있던 입력은 양면 대류+복사로 옮긴다', () => {
+    const { boundary_top: top, boundary_bottom: bottom, ambient_schedule: schedule, ...legacy } = DEFAULT_VALUES
+    const migrated = withDefaultBoundaryConditions({ ...legacy, h_conv: 35 })
+    expect(migrated.h_conv).toBeUndefined()
+    expect(migrated.boundary_top).toEqual({ ...top, h_conv: 35 })
+    expect(migrated.boundary_bottom).toEqual({ ...bottom, h_conv: 35 })
+    expect(migrated.ambient_schedule).toEqual(schedule)
+    expect(withDefaultBoundaryConditions(DEFAULT_VALUES)).toBe(DEFAULT_VALUES)
+  })
+
+  it('스윕은 한쪽 표면의 경계 조건 값만 바꾼다', () => {
+    const parameter = getSweepParameters(DEFAULT_VALUES).find(p => p.id === 'boundary_bottom.sink_resistance')
+    const swept = applyParameterValue(DEFAULT_VALUES, parameter, 5e-4)
+    expect(swept.boundary_bottom.sink_resistance).toBe(5e-4)
+    expect(swept.boundary_top).toBe(DEFAULT_VALUES.boundary_top)
+  })
+
+  it('표면 레이어 이름은 현재 레이어 구성을 따른다', () => {
+    const formData = renameLayer(removeLayer(DEFAULT_VALUES, 5), 4, 'Ag')
+    expect(getSurfaceLayerName(formData, 'top')).toBe('Ag')
+    expect(getSurfaceLayerName(formData, 'bottom')).toBe('Glass')
+  })
+})
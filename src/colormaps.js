@@ -0,0 +1,42 @@
+// 히트맵용 컬러맵 (matplotlib 컬러맵을 균등 간격 제어점으로 근사, 선형 보간)
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+export const COLORMAPS = {
+  viridis: {
+    label: 'Viridis',
+    stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+  },
+  inferno: {
+    label: 'Inferno',
+    stops: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4']
+  },
+  coolwarm: {
+    label: 'Coolwarm',
+    stops: ['#3b4cc0', '#6688ee', '#88bbff', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#e0654f', '#b40426']
+  },
+  grayscale: {
+    label: 'Grayscale',
+    stops: ['#000000', '#ffffff']
+  }
+}
+
+export const DEFAULT_COLORMAP = 'inferno'
+
+const rgbStopsCache = {}
+const getRgbStops = (name) => {
+  if (!rgbStopsCache[name]) rgbStopsCache[name] = COLORMAPS[name].stops.map(hexToRgb)
+  return rgbStopsCache[name]
+}
+
+// t ∈ [0, 1] → [r, g, b] (0–255)
+export function sampleColormap(name, t) {
+  const stops = getRgbStops(name)
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0))
+  const pos = clamped * (stops.length - 1)
+  const i = Math.min(Math.floor(pos), stops.length - 2)
+  const f = pos - i
+  const a = stops[i]
+  const b = stops[i + 1]
+  return [0, 1, 2].map(c => Math.round(a[c] + (b[c] - a[c]) * f))
+}
@@ -0,0 +1,207 @@
+import {
+  AMBIENT_SCHEDULE_KEY,
+  BOUNDARY_SIDES,
+  BOUNDARY_TYPE_LABELS,
+  getSurfaceLayerName
+} from '../boundaryConditions.js'
+import { BOUNDARY_TYPES } from '../solver/boundaryConditions.js'
+import { ANALYSIS_MODES } from '../solver/thermalModel.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+// 경계 종류별 입력 필드 [필드, 라벨, step]
+const BOUNDARY_FIELDS = {
+  [BOUNDARY_TYPES.CONVECTIVE]: [['h_conv', '대류 계수 (W/m²·K)', '0.1']],
+  [BOUNDARY_TYPES.FIXED_TEMPERATURE]: [['temperature', '고정 온도 (°C)', '1']],
+  [BOUNDARY_TYPES.FIXED_FLUX]: [['flux', '열유속 (W/m², 유출 +)', '10']],
+  [BOUNDARY_TYPES.HEAT_SINK]: [
+    ['sink_resistance', '열저항 (m²·K/W)', '0.0001'],
+    ['sink_temperature', '히트싱크 온도 (°C)', '1']
+  ]
+}
+
+const BOUNDARY_HINTS = {
+  [BOUNDARY_TYPES.CONVECTIVE]: '주변 온도로 대류와 복사(방사율)로 열을 잃습니다.',
+  [BOUNDARY_TYPES.FIXED_TEMPERATURE]: '표면 온도를 입력 값으로 고정합니다 (이상적인 항온 접촉).',
+  [BOUNDARY_TYPES.FIXED_FLUX]: '온도와 관계없이 일정한 열유속이 빠져나갑니다. 음수면 외부에서 들어옵니다.',
+  [BOUNDARY_TYPES.HEAT_SINK]: '열저항을 거쳐 일정 온도의 히트싱크로 열이 빠져나갑니다.'
+}
+
+const SCHEDULE_COLUMNS = [
+  ['time', '시간 (s)', '1'],
+  ['temperature', '주변 온도 (°C)', '1']
+]
+
+// 상부/하부 경계 조건과 주변 온도 (일정 또는 시간표) 입력
+function BoundaryConditionEditor({ formData, validation, onChange }) {
+  const { errors, warnings } = validation
+  const schedule = formData.ambient_schedule
+  const isSteady = formData.analysis_mode === ANALYSIS_MODES.STEADY
+
+  const handleConditionChange = (field, name, value) => {
+    onChange({ ...formData, [field]: { ...formData[field], [name]: value } })
+  }
+
+  const handleScheduleChange = (next) => {
+    onChange({ ...formData, ambient_schedule: { ...schedule, ...next } })
+  }
+
+  const handleRowChange = (index, name, value) => {
+    const table = schedule.table.map((row, i) => (i === index ? { ...row, [name]: parseNumberInput(value) } : row))
+    handleScheduleChange({ table })
+  }
+
+  // 새 행은 마지막 점의 온도를 이어받고 시간만 뒤로
+  const handleAddRow = () => {
+    const last = schedule.table[schedule.table.length - 1]
+    const row = last
+      ? { ...last, time: (Number.isFinite(last.time) ? last.time : 0) + 100 }
+      : { time: 0, temperature: formData.T_ambient }
+    handleScheduleChange({ table: [...schedule.table, row] })
+  }
+
+  const handleRemoveRow = (index) => {
+    handleScheduleChange({ table: schedule.table.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <div className="boundary-editor">
+      {BOUNDARY_SIDES.map(({ side, field, epsilonField, label }) => {
+        const condition = formData[field]
+        const typeKey = `${field}.type`
+        return (
+          <div className="boundary-side" key={field}>
+            <h4>{label} 표면 ({getSurfaceLayerName(formData, side)})</h4>
+            <div className="parameters-grid">
+              <div className="input-field">
+                <label>경계 조건</label>
+                <select
+                  className={fieldClassName(errors[typeKey], warnings[typeKey])}
+                  value={condition.type}
+                  onChange={(e) => handleConditionChange(field, 'type', e.target.value)}
+                >
+                  {Object.values(BOUNDARY_TYPES).map(type => (
+                    <option key={type} value={type}>{BOUNDARY_TYPE_LABELS[type]}</option>
+                  ))}
+                </select>
+                <FieldMessage error={errors[typeKey]} warning={warnings[typeKey]} />
+              </div>
+              {(BOUNDARY_FIELDS[condition.type] || []).map(([name, fieldLabel, step]) => {
+                const key = `${field}.${name}`
+                return (
+                  <div className="input-field" key={name}>
+                    <label>{fieldLabel}</label>
+                    <input
+                      type="number"
+                      className={fieldClassName(errors[key], warnings[key])}
+                      value={condition[name]}
+                      onChange={(e) => handleConditionChange(field, name, parseNumberInput(e.target.value))}
+                      step={step}
+                    />
+                    <FieldMessage error={errors[key]} warning={warnings[key]} />
+                  </div>
+                )
+              })}
+              {condition.type === BOUNDARY_TYPES.CONVECTIVE && (
+                <div className="input-field">
+                  <label>방사율</label>
+                  <input
+                    type="number"
+                    className={fieldClassName(errors[epsilonField], warnings[epsilonField])}
+                    value={formData[epsilonField]}
+                    onChange={(e) => onChange({ ...formData, [epsilonField]: parseNumberInput(e.target.value) })}
+                    step="0.01"
+                    min="0"
+                    max="1"
+                  />
+                  <FieldMessage error={errors[epsilonField]} warning={warnings[epsilonField]} />
+                </div>
+              )}
+            </div>
+            <p className="drive-hint">{BOUNDARY_HINTS[condition.type]}</p>
+          </div>
+        )
+      })}
+
+      <div className="boundary-side">
+        <h4>주변 온도</h4>
+        <div className="parameters-grid">
+          <div className="input-field">
+            <label>주변 온도 (°C)</label>
+            <input
+              type="number"
+              className={fieldClassName(errors.T_ambient, warnings.T_ambient)}
+              value={formData.T_ambient}
+              onChange={(e) => onChange({ ...formData, T_ambient: parseNumberInput(e.target.value) })}
+              step="1"
+            />
+            <FieldMessage error={errors.T_ambient} warning={warnings.T_ambient} />
+          </div>
+        </div>
+        {!isSteady && (
+          <label className="boundary-schedule-toggle">
+            <input
+              type="checkbox"
+              checked={schedule.enabled}
+              onChange={(e) => handleScheduleChange({ enabled: e.target.checked })}
+            />
+            시간에 따른 주변 온도 일정 사용
+          </label>
+        )}
+        {!isSteady && schedule.enabled && (
+          <>
+            <p className="drive-hint">
+              시작 시간 기준의 점 사이를 선형으로 잇고 범위 밖은 끝 값을 유지합니다. 대류 + 복사 경계에만 적용되며
+              초기 온도는 위의 주변 온도 입력입니다.
+            </p>
+            <table className="probe-table drive-table">
+              <thead>
+                <tr>
+                  {SCHEDULE_COLUMNS.map(([name, columnLabel]) => <th key={name}>{columnLabel}</th>)}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.table.map((row, i) => {
+                  const key = `${AMBIENT_SCHEDULE_KEY}:${i}`
+                  return (
+                    <tr key={i}>
+                      {SCHEDULE_COLUMNS.map(([name, , step]) => (
+                        <td key={name}>
+                          <input
+                            type="number"
+                            className={fieldClassName(errors[key], warnings[key])}
+                            value={row[name]}
+                            onChange={(e) => handleRowChange(i, name, e.target.value)}
+                            step={step}
+                          />
+                        </td>
+                      ))}
+                      <td>
+                        <button
+                          type="button"
+                          className="layer-action-button layer-action-danger"
+                          onClick={() => handleRemoveRow(i)}
+                          disabled={schedule.table.length <= 1}
+                        >
+                          삭제
+                        </button>
+                        <FieldMessage error={errors[key]} warning={warnings[key]} />
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+            <FieldMessage error={errors[AMBIENT_SCHEDULE_KEY]} />
+            <button type="button" className="layer-action-button" onClick={handleAddRow}>
+              점 추가
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BoundaryConditionEditor
@@ -0,0 +1,169 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts'
+import { computeFluxProfile, summarizeEnergyBalance } from '../diagnostics.js'
+
+const INTERFACE_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d', '#4b5563']
+const SURFACE_SERIES = [
+  { key: 'top_convection', side: 'top', part: 'convection', label: '상부 대류', color: '#dc2626', dash: undefined },
+  { key: 'top_radiation', side: 'top', part: 'radiation', label: '상부 복사', color: '#dc2626', dash: '6 3' },
+  { key: 'top_conduction', side: 'top', part: 'conduction', label: '상부 전도', color: '#dc2626', dash: '2 2' },
+  { key: 'bottom_convection', side: 'bottom', part: 'convection', label: '하부 대류', color: '#2563eb', dash: undefined },
+  { key: 'bottom_radiation', side: 'bottom', part: 'radiation', label: '하부 복사', color: '#2563eb', dash: '6 3' },
+  { key: 'bottom_conduction', side: 'bottom', part: 'conduction', label: '하부 전도', color: '#2563eb', dash: '2 2' }
+]
+const ENERGY_SERIES = [
+  { key: 'generated', label: 'Joule 발열 (누적)', color: '#dc2626' },
+  { key: 'stored', label: '저장 열', color: '#16a34a' },
+  { key: 'lost', label: '표면 방열 (누적)', color: '#2563eb' },
+  { key: 'error', label: '수지 오차', color: '#111827' }
+]
+// 이보다 큰 상대 오차는 수치 문제로 표시
+const ENERGY_ERROR_WARNING = 0.01
+
+const CHART_HEIGHT = 300
+
+const formatEnergy = (value) => value.toExponential(3)
+const formatPercent = (value) => `${(value * 100).toFixed(3)}%`
+
+// 열유속/표면 방열/에너지 수지 진단 (결과의 diagnostics, diagnostics.js)
+function DiagnosticsPanel({ result, timeIndex }) {
+  const { diagnostics, time } = result
+  const { interfaces, surface, energy } = diagnostics
+
+  const fluxRows = time.map((t, idx) => {
+    const row = { time: t }
+    interfaces.forEach((iface, i) => {
+      row[`interface_${i}`] = iface.flux[idx]
+    })
+    // 전도 항이 없는 이전 결과는 0
+    SURFACE_SERIES.forEach(({ key, side, part }) => {
+      row[key] = surface[side][part]?.[idx] ?? 0
+    })
+    row.top_total = row.top_convection + row.top_radiation + row.top_conduction
+    row.bottom_total = row.bottom_convection + row.bottom_radiation + row.bottom_conduction
+    return row
+  })
+  const energyRows = energy && time.map((t, idx) => {
+    const row = { time: t }
+    ENERGY_SERIES.forEach(({ key }) => {
+      row[key] = energy[key][idx]
+    })
+    return row
+  })
+  // Glass 내부는 두께가 활성층보다 수천 배 커서 활성층만 표시
+  const profileRows = computeFluxProfile(result, diagnostics, timeIndex).filter(row => row.position >= 0)
+  const summary = energy && summarizeEnergyBalance(energy)
+  const timeLabel = result.steady_state ? '정상상태' : `t = ${time[timeIndex].toFixed(1)} s`
+
+  return (
+    <div className="diagnostics-panel">
+      {!result.steady_state && (
+        <>
+          <h4>계면 열유속과 표면 방열 (양수: 상부 방향 / 주변으로 방출)</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={fluxRows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '열유속 (W/m²)', angle: -90, position: 'insideLeft' }} />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              {interfaces.map((iface, i) => (
+                <Line
+                  key={iface.name}
+                  type="monotone"
+                  dataKey={`interface_${i}`}
+                  name={iface.name}
+                  stroke={INTERFACE_COLORS[i % INTERFACE_COLORS.length]}
+                  strokeWidth={1.5}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+              <Line type="monotone" dataKey="top_total" name="상부 표면 방열" stroke="#dc2626" strokeWidth={2} strokeDasharray="6 3" dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="bottom_total" name="하부 표면 방열" stroke="#111827" strokeWidth={2} strokeDasharray="6 3" dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h4>표면 방열 분해 (대류 + ε·σ 복사 + 고정 온도/히트싱크/고정 열유속 전도)</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={fluxRows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '열유속 (W/m²)', angle: -90, position: 'insideLeft' }} />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              {SURFACE_SERIES.map(({ key, label, color, dash }) => (
+                <Line key={key} type="monotone" dataKey={key} name={label} stroke={color} strokeDasharray={dash} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      <h4>위치별 열유속 ({timeLabel})</h4>
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <LineChart data={profileRows}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="position"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            label={{ value: 'ITO/Glass 경계로부터의 위치 (nm)', position: 'insideBottom', offset: -5 }}
+            height={50}
+          />
+          <YAxis label={{ value: '열유속 (W/m²)', angle: -90, position: 'insideLeft' }} />
+          <Tooltip />
+          <ReferenceLine y={0} stroke="#888" />
+          {interfaces.slice(1).map(iface => (
+            <ReferenceLine key={iface.name} x={iface.position_nm} stroke="#888" strokeDasharray="3 3" strokeOpacity={0.5} />
+          ))}
+          <Line type="linear" dataKey="flux" name="열유속" stroke="#7c3aed" strokeWidth={2} dot={false} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      {summary && (
+        <>
+          <h4>에너지 수지 (Joule 발열 − 저장 열 − 표면 방열)</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={energyRows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '에너지 (J/m²)', angle: -90, position: 'insideLeft' }} tickFormatter={formatEnergy} width={90} />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              {ENERGY_SERIES.map(({ key, label, color }) => (
+                <Line key={key} type="monotone" dataKey={key} name={label} stroke={color} strokeWidth={key === 'error' ? 2 : 1.5} dot={false} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <table className="probe-table diagnostics-summary">
+            <tbody>
+              <tr><td>Joule 발열 (누적, J/m²)</td><td>{formatEnergy(summary.generated)}</td></tr>
+              <tr><td>저장 열 (J/m²)</td><td>{formatEnergy(summary.stored)}</td></tr>
+              <tr><td>표면 방열 (누적, J/m²)</td><td>{formatEnergy(summary.lost)}</td></tr>
+              <tr><td>수지 오차 (J/m²)</td><td>{formatEnergy(summary.error)} ({formatPercent(summary.relativeError)})</td></tr>
+              <tr><td>최대 상대 오차 (전체 시간)</td><td>{formatPercent(summary.maxRelativeError)}</td></tr>
+              <tr><td>이산화된 열원 / 명목 발열 V·J·(1 − EQE)</td><td>{formatPercent(diagnostics.source_ratio)}</td></tr>
+            </tbody>
+          </table>
+          {summary.maxRelativeError > ENERGY_ERROR_WARNING && (
+            <div className="warning-message">
+              에너지 수지 오차가 {formatPercent(summary.maxRelativeError)}로 큽니다. 출력 시간 간격이 너무 넓거나 수치 오차가 있을 수 있습니다.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DiagnosticsPanel
@@ -0,0 +1,141 @@
+import { DRIVE_TABLE_KEY, DRIVE_TYPES, DRIVE_TYPE_LABELS } from '../drive.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+// 파형 종류별 입력 필드 [필드, 라벨, step]
+const DRIVE_FIELDS = {
+  [DRIVE_TYPES.PULSE]: [
+    ['frequency_hz', '주파수 (Hz)', '0.1'],
+    ['duty', '듀티비 (0 ~ 1)', '0.05']
+  ],
+  [DRIVE_TYPES.RAMP]: [
+    ['start_voltage', '시작 전압 (V)', '0.1'],
+    ['start_current_density', '시작 전류 밀도 (A/m²)', '1'],
+    ['ramp_time', '램프 시간 (s)', '1']
+  ],
+  [DRIVE_TYPES.STAIRCASE]: [
+    ['start_voltage', '시작 전압 (V)', '0.1'],
+    ['start_current_density', '시작 전류 밀도 (A/m²)', '1'],
+    ['step_count', '계단 수', '1'],
+    ['step_duration', '계단 유지 시간 (s)', '1']
+  ]
+}
+
+const DRIVE_HINTS = {
+  [DRIVE_TYPES.CONSTANT]: '위의 전압과 전류 밀도로 시뮬레이션 내내 구동합니다.',
+  [DRIVE_TYPES.PULSE]: '켜짐 구간은 위의 전압과 전류 밀도, 꺼짐 구간은 0입니다.',
+  [DRIVE_TYPES.RAMP]: '시작 값에서 위의 전압과 전류 밀도까지 선형으로 올린 뒤 유지합니다.',
+  [DRIVE_TYPES.STAIRCASE]: '시작 값에서 위의 전압과 전류 밀도까지 같은 간격의 계단으로 올린 뒤 마지막 계단을 유지합니다.',
+  [DRIVE_TYPES.TABLE]: '시작 시간 기준의 점 사이를 선형으로 잇고 마지막 점 이후는 유지합니다. 위의 전압과 전류 밀도는 사용하지 않습니다.'
+}
+
+const TABLE_COLUMNS = [
+  ['time', '시간 (s)', '1'],
+  ['voltage', '전압 (V)', '0.1'],
+  ['current_density', '전류 밀도 (A/m²)', '1']
+]
+
+// 시간에 따른 구동 파형 입력 (일정, 펄스, 램프, 계단, 구간 선형 표)
+function DriveEditor({ drive, validation, onChange }) {
+  const { errors, warnings } = validation
+
+  const handleFieldChange = (field, value) => {
+    onChange({ ...drive, [field]: parseNumberInput(value) })
+  }
+
+  const handleRowChange = (index, field, value) => {
+    const table = drive.table.map((row, i) => (i === index ? { ...row, [field]: parseNumberInput(value) } : row))
+    onChange({ ...drive, table })
+  }
+
+  // 새 행은 마지막 점의 값을 이어받고 시간만 뒤로
+  const handleAddRow = () => {
+    const last = drive.table[drive.table.length - 1]
+    const row = last
+      ? { ...last, time: (Number.isFinite(last.time) ? last.time : 0) + 10 }
+      : { time: 0, voltage: 0, current_density: 0 }
+    onChange({ ...drive, table: [...drive.table, row] })
+  }
+
+  const handleRemoveRow = (index) => {
+    onChange({ ...drive, table: drive.table.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <div className="drive-editor">
+      <div className="parameters-grid">
+        <div className="input-field">
+          <label>구동 파형</label>
+          <select value={drive.type} onChange={(e) => onChange({ ...drive, type: e.target.value })}>
+            {Object.values(DRIVE_TYPES).map(type => (
+              <option key={type} value={type}>{DRIVE_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+        {(DRIVE_FIELDS[drive.type] || []).map(([field, label, step]) => (
+          <div className="input-field" key={field}>
+            <label>{label}</label>
+            <input
+              type="number"
+              className={fieldClassName(errors[`drive.${field}`], warnings[`drive.${field}`])}
+              value={drive[field]}
+              onChange={(e) => handleFieldChange(field, e.target.value)}
+              step={step}
+            />
+            <FieldMessage error={errors[`drive.${field}`]} warning={warnings[`drive.${field}`]} />
+          </div>
+        ))}
+      </div>
+      <p className="drive-hint">{DRIVE_HINTS[drive.type]}</p>
+      {drive.type === DRIVE_TYPES.TABLE && (
+        <>
+          <table className="probe-table drive-table">
+            <thead>
+              <tr>
+                {TABLE_COLUMNS.map(([field, label]) => <th key={field}>{label}</th>)}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {drive.table.map((row, i) => {
+                const key = `${DRIVE_TABLE_KEY}:${i}`
+                return (
+                  <tr key={i}>
+                    {TABLE_COLUMNS.map(([field, , step]) => (
+                      <td key={field}>
+                        <input
+                          type="number"
+                          className={fieldClassName(errors[key], warnings[key])}
+                          value={row[field]}
+                          onChange={(e) => handleRowChange(i, field, e.target.value)}
+                          step={step}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      <button
+                        type="button"
+                        className="layer-action-button layer-action-danger"
+                        onClick={() => handleRemoveRow(i)}
+                        disabled={drive.table.length <= 1}
+                      >
+                        삭제
+                      </button>
+                      <FieldMessage error={errors[key]} warning={warnings[key]} />
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <FieldMessage error={errors[DRIVE_TABLE_KEY]} />
+          <button type="button" className="layer-action-button" onClick={handleAddRow}>
+            점 추가
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DriveEditor
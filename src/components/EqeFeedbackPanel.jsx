@@ -0,0 +1,99 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts'
+import { RUNAWAY_LOOP_GAIN, THERMAL_STABILITY, THERMAL_STABILITY_LABELS } from '../eqeFeedback.js'
+
+const CHART_HEIGHT = 320
+
+const STATUS_CLASS_NAMES = {
+  [THERMAL_STABILITY.STABLE]: 'stability-banner stability-stable',
+  [THERMAL_STABILITY.HEATING]: 'stability-banner warning-message',
+  [THERMAL_STABILITY.RUNAWAY]: 'stability-banner error-message'
+}
+
+// EQE(T) 되먹임 결과 (결과의 eqe_feedback, eqeFeedback.js): 안정성 판정, 유효 EQE와 발광층 온도, 되먹임 이득
+function EqeFeedbackPanel({ result }) {
+  const { eqe_feedback: feedback, time, perovskite_center_temp: centerTemp } = result
+  const rows = time.map((t, idx) => ({
+    time: t,
+    temperature: centerTemp[idx],
+    eqe: feedback.eqe[idx],
+    gain: feedback.loop_gain[idx]
+  }))
+  const last = time.length - 1
+  // 열폭주 시작 시간 표시 (두 축 그래프는 온도 축 기준)
+  const renderRunawayLine = (yAxisId) => feedback.runaway_time !== null && (
+    <ReferenceLine
+      x={feedback.runaway_time}
+      yAxisId={yAxisId}
+      stroke="#dc2626"
+      strokeDasharray="4 4"
+      label={{ value: '열폭주 시작', fill: '#dc2626', position: 'top' }}
+    />
+  )
+
+  return (
+    <div className="diagnostics-panel">
+      <div className={STATUS_CLASS_NAMES[feedback.status]}>
+        <strong>{THERMAL_STABILITY_LABELS[feedback.status]}</strong>
+        {feedback.status === THERMAL_STABILITY.RUNAWAY && (
+          <> — EQE 감소로 늘어난 발열이 방열 증가를 넘어섰습니다 (최대 되먹임 이득 {feedback.max_loop_gain.toFixed(2)} ≥ {RUNAWAY_LOOP_GAIN}).</>
+        )}
+        {feedback.status === THERMAL_STABILITY.HEATING && (
+          <> — 열폭주 조건은 아니지만 종료 시간에도 온도가 {feedback.final_heating_rate.toExponential(2)} K/s로 변하고 있습니다. 종료 시간을 늘려 확인하세요.</>
+        )}
+      </div>
+
+      <table className="probe-table diagnostics-summary">
+        <tbody>
+          <tr><td>최대 되먹임 이득 G</td><td>{feedback.max_loop_gain.toFixed(3)}</td></tr>
+          <tr><td>열폭주 시작 시간 (s)</td><td>{feedback.runaway_time !== null ? feedback.runaway_time.toFixed(1) : '-'}</td></tr>
+          <tr><td>{result.steady_state ? '정상상태' : '최종'} 유효 EQE</td><td>{feedback.eqe[last].toFixed(4)}</td></tr>
+          <tr><td>{result.steady_state ? '정상상태' : '최종'} {result.emissive_layer_name} 중간 온도 (°C)</td><td>{centerTemp[last].toFixed(2)}</td></tr>
+        </tbody>
+      </table>
+
+      {!result.steady_state && (
+        <>
+          <h4>유효 EQE와 {result.emissive_layer_name} 중간 지점 온도</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={rows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis yAxisId="temperature" label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} />
+              <YAxis yAxisId="eqe" orientation="right" domain={[0, 1]} label={{ value: 'EQE', angle: 90, position: 'insideRight' }} />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              {renderRunawayLine('temperature')}
+              <Line yAxisId="temperature" type="monotone" dataKey="temperature" name="온도 (°C)" stroke="#dc2626" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line yAxisId="eqe" type="monotone" dataKey="eqe" name="유효 EQE" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h4>되먹임 이득 G = V·J · (−dEQE/dT) · R_th (1 이상이면 열폭주)</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={rows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '되먹임 이득', angle: -90, position: 'insideLeft' }} />
+              <Tooltip />
+              <ReferenceLine y={RUNAWAY_LOOP_GAIN} stroke="#dc2626" strokeDasharray="6 3" />
+              {renderRunawayLine(0)}
+              <Line type="monotone" dataKey="gain" name="되먹임 이득" stroke="#7c3aed" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EqeFeedbackPanel
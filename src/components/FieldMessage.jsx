@@ -0,0 +1,8 @@
+// 입력 필드 아래 검증 메시지 (오류가 있으면 오류만 표시)
+function FieldMessage({ error, warning }) {
+  if (error) return <span className="field-error">{error}</span>
+  if (warning) return <span className="field-warning">{warning}</span>
+  return null
+}
+
+export default FieldMessage
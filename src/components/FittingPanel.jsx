@@ -0,0 +1,445 @@
+import { useRef, useState } from 'react'
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts'
+import * as XLSX from 'xlsx'
+import {
+  DEFAULT_MAX_ITERATIONS,
+  MAX_FIT_PARAMETERS,
+  applyFitValues,
+  defaultMeasurementPosition,
+  formatMeasurementLabel,
+  parseMeasuredCsv,
+  runFit
+} from '../fitting.js'
+import { SWEEP_SCALES, formatParameterLabel, getParameterValue, getSweepParameters } from '../sweep.js'
+import { PROBE_MODES } from '../probes.js'
+import { isAbortError } from '../solver/simulationClient.js'
+import { dateStamp } from '../fileUtils.js'
+
+const CHART_HEIGHT = 360
+
+const formatValue = (v) => (v === null || !Number.isFinite(v) ? '-' : Number(v.toPrecision(4)).toString())
+
+// 새 자유 파라미터의 기본 경계: 양수면 현재 값의 1/10 ~ 10배 (로그), 아니면 ±10 (선형)
+const defaultBounds = (value) => (value > 0
+  ? { lower: value / 10, upper: value * 10, scale: SWEEP_SCALES.LOG }
+  : { lower: value - 10, upper: value + 10, scale: SWEEP_SCALES.LINEAR })
+
+// 역문제 피팅 패널: 측정 T(t) CSV와 측정 위치, 자유 파라미터와 경계를 정해 반복 시뮬레이션으로 추정
+// 적합값과 신뢰 구간, 측정/시뮬레이션 겹쳐 그리기, 잔차 표시
+function FittingPanel({ formData, solverMode, inputValid, onApply }) {
+  const parameters = getSweepParameters(formData)
+  const [measurement, setMeasurement] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [name, setName] = useState('')
+  const [position, setPosition] = useState(() => defaultMeasurementPosition(formData))
+  const [freeParameters, setFreeParameters] = useState([])
+  const [parameterId, setParameterId] = useState('boundary_top.h_conv')
+  const [maxIterations, setMaxIterations] = useState(DEFAULT_MAX_ITERATIONS)
+  const [running, setRunning] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [fit, setFit] = useState(null)
+  const [error, setError] = useState(null)
+  const abortRef = useRef(null)
+  const fileInputRef = useRef(null)
+
+  const findParameter = (id) => parameters.find(p => p.id === id)
+  const available = parameters.filter(p => !freeParameters.some(free => free.id === p.id))
+  const selectedId = available.some(p => p.id === parameterId) ? parameterId : available[0]?.id
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const parsed = parseMeasuredCsv(await file.text())
+      setMeasurement(parsed)
+      setFileName(file.name)
+      setFit(null)
+      if (parsed.warnings.length > 0) alert(parsed.warnings.join('\n'))
+    } catch (err) {
+      console.error('측정 데이터 가져오기 오류:', err)
+      alert('측정 데이터를 읽을 수 없습니다:\n' + err.message)
+    }
+  }
+
+  const handleAddParameter = () => {
+    if (!selectedId) return
+    if (freeParameters.length >= MAX_FIT_PARAMETERS) {
+      alert(`자유 파라미터는 최대 ${MAX_FIT_PARAMETERS}개까지 선택할 수 있습니다.`)
+      return
+    }
+    const value = getParameterValue(formData, findParameter(selectedId))
+    setFreeParameters([...freeParameters, { id: selectedId, ...defaultBounds(value) }])
+  }
+
+  const handleParameterChange = (id, field, value) => {
+    setFreeParameters(freeParameters.map(free => (free.id === id ? { ...free, [field]: value } : free)))
+  }
+
+  const handleRun = async () => {
+    if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+      alert('최대 반복 수는 1 이상의 정수여야 합니다.')
+      return
+    }
+    const controller = new AbortController()
+    abortRef.current = controller
+    setRunning(true)
+    setError(null)
+    setFit(null)
+    setProgress(null)
+    try {
+      const fitted = await runFit({
+        formData,
+        measurement: { ...measurement, name, position },
+        freeParameters,
+        mode: solverMode,
+        signal: controller.signal,
+        maxIterations,
+        onProgress: setProgress
+      })
+      setFit({ ...fitted, label: formatMeasurementLabel({ name, position }, formData.layer_names) })
+    } catch (err) {
+      if (isAbortError(err)) {
+        setError('피팅이 취소되었습니다.')
+      } else {
+        console.error('피팅 오류:', err)
+        setError(`피팅 중 오류가 발생했습니다: ${err.message}`)
+      }
+    } finally {
+      abortRef.current = null
+      setRunning(false)
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort()
+  }
+
+  // 현재 입력에 적합값 적용 (피팅 후 스택을 바꿔 파라미터가 사라졌으면 알림)
+  const handleApply = () => {
+    const fittedParameters = fit.parameters.map(p => findParameter(p.id))
+    if (fittedParameters.some(p => !p)) {
+      alert('피팅한 파라미터가 현재 입력에 없습니다. 레이어 구성을 확인하세요.')
+      return
+    }
+    onApply(applyFitValues(formData, fittedParameters, fit.parameters.map(p => p.value)))
+  }
+
+  const handleExport = () => {
+    try {
+      const parameterData = [['파라미터', '초기값', '적합값', '표준 오차', '95% 하한', '95% 상한', '경계에 걸림']]
+      fit.parameters.forEach(p => {
+        parameterData.push([
+          formatParameterLabel(p),
+          Number(p.initial),
+          Number(p.value),
+          p.stdError === null ? '' : Number(p.stdError),
+          p.interval ? Number(p.interval[0]) : '',
+          p.interval ? Number(p.interval[1]) : '',
+          p.atBound ? '예' : ''
+        ])
+      })
+      parameterData.push([])
+      parameterData.push(['RMSE (K)', Number(fit.rmse)])
+      parameterData.push(['최대 잔차 (K)', Number(fit.maxResidual)])
+      parameterData.push(['반복 / 시뮬레이션 수', `${fit.iterations} / ${fit.evaluations}`])
+
+      const pointData = [['시간 (s)', `측정 온도 (°C, ${fit.label})`, '초기값 시뮬레이션 (°C)', '적합값 시뮬레이션 (°C)', '잔차 (K, 측정 - 적합)']]
+      fit.points.forEach(p => {
+        pointData.push([Number(p.time), Number(p.measured), Number(p.initial), Number(p.fitted), Number(p.residual)])
+      })
+
+      const wb = XLSX.utils.book_new()
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(parameterData), '적합 파라미터')
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(pointData), '측정 vs 시뮬레이션')
+      XLSX.writeFile(wb, `fit_${dateStamp()}.xlsx`)
+    } catch (err) {
+      console.error('피팅 Excel 저장 중 오류:', err)
+      alert('Excel 저장 중 오류가 발생했습니다: ' + err.message)
+    }
+  }
+
+  const layerIndex = Math.min(position.layer_index ?? 0, formData.layer_names.length - 1)
+  const canRun = inputValid && measurement && freeParameters.length > 0
+
+  return (
+    <div className="sweep-section fitting-section">
+      <h2>측정 데이터 피팅</h2>
+      <p className="drive-hint">
+        측정한 T(t) CSV (시간, 온도 열, 단위는 머리글 괄호 안: s/ms/min/h, °C/K)를 불러와 선택한 파라미터를 경계 안에서 바꿔 가며
+        측정과의 잔차 제곱합이 최소가 되도록 반복 시뮬레이션합니다. 측정 시간은 시뮬레이션 시간과 같은 기준이며 범위 밖의 점은 뺍니다.
+      </p>
+      <div className="parameters-section">
+        <div className="parameters-grid">
+          <div className="input-field">
+            <label>측정 데이터</label>
+            <button type="button" className="layer-action-button" onClick={() => fileInputRef.current.click()} disabled={running}>
+              CSV 불러오기
+            </button>
+            <span className="drive-hint">
+              {measurement ? `${fileName}: ${measurement.time.length}점, ${formatValue(measurement.time[0])} ~ ${formatValue(measurement.time[measurement.time.length - 1])} s` : '불러온 데이터 없음'}
+            </span>
+            <input ref={fileInputRef} type="file" accept=".csv,.txt" onChange={handleFileChange} style={{ display: 'none' }} />
+          </div>
+          <div className="input-field">
+            <label>측정 위치 이름</label>
+            <input type="text" value={name} placeholder="예: 열전대 1" onChange={(e) => setName(e.target.value)} disabled={running} />
+          </div>
+          <div className="input-field">
+            <label>위치 지정 방식</label>
+            <select
+              value={position.mode}
+              onChange={(e) => setPosition(e.target.value === PROBE_MODES.POSITION
+                ? { mode: PROBE_MODES.POSITION, position_nm: 0 }
+                : defaultMeasurementPosition(formData))}
+              disabled={running}
+            >
+              <option value={PROBE_MODES.LAYER}>레이어 + 비율</option>
+              <option value={PROBE_MODES.POSITION}>위치 (nm)</option>
+            </select>
+          </div>
+          {position.mode === PROBE_MODES.POSITION ? (
+            <div className="input-field">
+              <label>ITO/Glass 경계로부터의 위치 (nm, Glass 쪽은 음수)</label>
+              <input
+                type="number"
+                value={position.position_nm}
+                onChange={(e) => setPosition({ ...position, position_nm: parseFloat(e.target.value) })}
+                disabled={running}
+              />
+            </div>
+          ) : (
+            <>
+              <div className="input-field">
+                <label>레이어</label>
+                <select
+                  value={layerIndex}
+                  onChange={(e) => setPosition({ ...position, layer_index: parseInt(e.target.value, 10) })}
+                  disabled={running}
+                >
+                  {formData.layer_names.map((layerName, i) => (
+                    <option key={i} value={i}>{layerName}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="input-field">
+                <label>레이어 내 위치 (%, 아래쪽 0 → 위쪽 100)</label>
+                <input
+                  type="number"
+                  value={position.fraction * 100}
+                  min="0"
+                  max="100"
+                  onChange={(e) => setPosition({ ...position, layer_index: layerIndex, fraction: parseFloat(e.target.value) / 100 })}
+                  disabled={running}
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <h3>자유 파라미터</h3>
+        <div className="probe-add-row">
+          <div className="input-field">
+            <label>파라미터</label>
+            <select value={selectedId} onChange={(e) => setParameterId(e.target.value)} disabled={running}>
+              {available.map(p => (
+                <option key={p.id} value={p.id}>{formatParameterLabel(p)}</option>
+              ))}
+            </select>
+          </div>
+          <button type="button" className="layer-action-button" onClick={handleAddParameter} disabled={running || !selectedId}>
+            파라미터 추가
+          </button>
+        </div>
+        {freeParameters.length > 0 && (
+          <table className="probe-table">
+            <thead>
+              <tr>
+                <th>파라미터</th>
+                <th>현재 값</th>
+                <th>하한</th>
+                <th>상한</th>
+                <th>스케일</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {freeParameters.map(free => {
+                const parameter = findParameter(free.id)
+                return (
+                  <tr key={free.id}>
+                    <td>{parameter ? formatParameterLabel(parameter) : `${free.id} (현재 입력에 없음)`}</td>
+                    <td>{parameter ? formatValue(getParameterValue(formData, parameter)) : '-'}</td>
+                    <td>
+                      <input type="number" value={free.lower} onChange={(e) => handleParameterChange(free.id, 'lower', parseFloat(e.target.value))} disabled={running} />
+                    </td>
+                    <td>
+                      <input type="number" value={free.upper} onChange={(e) => handleParameterChange(free.id, 'upper', parseFloat(e.target.value))} disabled={running} />
+                    </td>
+                    <td>
+                      <select value={free.scale} onChange={(e) => handleParameterChange(free.id, 'scale', e.target.value)} disabled={running}>
+                        <option value={SWEEP_SCALES.LINEAR}>선형</option>
+                        <option value={SWEEP_SCALES.LOG}>로그</option>
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="layer-action-button layer-action-danger"
+                        onClick={() => setFreeParameters(freeParameters.filter(p => p.id !== free.id))}
+                        disabled={running}
+                      >
+                        삭제
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <div className="sweep-controls">
+          <div className="input-field">
+            <label>최대 반복 수</label>
+            <input
+              type="number"
+              value={maxIterations}
+              min="1"
+              step="1"
+              onChange={(e) => setMaxIterations(parseInt(e.target.value, 10))}
+              disabled={running}
+            />
+          </div>
+          {running ? (
+            <button type="button" className="reset-button" onClick={handleCancel}>취소</button>
+          ) : (
+            <button
+              type="button"
+              className="simulate-button"
+              onClick={handleRun}
+              disabled={!canRun}
+              title={inputValid ? (canRun ? undefined : '측정 데이터와 자유 파라미터를 먼저 정하세요') : '입력 오류를 먼저 수정하세요'}
+            >
+              피팅 실행
+            </button>
+          )}
+          {fit && (
+            <>
+              <button type="button" className="simulate-button" onClick={handleApply} disabled={running}>
+                적합값을 입력에 적용
+              </button>
+              <button type="button" className="simulate-button" onClick={handleExport} disabled={running}>
+                피팅 Excel 저장
+              </button>
+            </>
+          )}
+          {running && progress && (
+            <div className="sweep-progress">
+              <span>반복 {progress.iteration}, 시뮬레이션 {progress.evaluations}회, RMSE {formatValue(progress.rmse)} K</span>
+            </div>
+          )}
+        </div>
+        {error && <div className="error-message">{error}</div>}
+      </div>
+
+      {fit && (
+        <div className="chart-container diagnostics-panel">
+          <div className={fit.converged ? 'stability-banner stability-stable' : 'stability-banner warning-message'}>
+            <strong>{fit.converged ? '수렴' : '최대 반복 수 도달 (수렴하지 않음)'}</strong>
+            {' '}— 반복 {fit.iterations}회, 시뮬레이션 {fit.evaluations}회, RMSE {formatValue(fit.rmse)} K, 최대 잔차 {formatValue(fit.maxResidual)} K
+            {fit.excluded > 0 && `, 시뮬레이션 시간 범위 밖 측정 ${fit.excluded}점 제외`}
+          </div>
+
+          <h4>적합 파라미터 ({fit.label})</h4>
+          <table className="probe-table">
+            <thead>
+              <tr>
+                <th>파라미터</th>
+                <th>초기값</th>
+                <th>적합값</th>
+                <th>표준 오차</th>
+                <th>95% 신뢰 구간</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fit.parameters.map(p => (
+                <tr key={p.id}>
+                  <td>{formatParameterLabel(p)}{p.atBound && ' (경계에 걸림)'}</td>
+                  <td>{formatValue(p.initial)}</td>
+                  <td>{formatValue(p.value)}</td>
+                  <td>{formatValue(p.stdError)}</td>
+                  <td>{p.interval ? `${formatValue(p.interval[0])} ~ ${formatValue(p.interval[1])}` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {fit.correlation === null && (
+            <div className="warning-message">
+              측정이 파라미터를 구분하지 못해 신뢰 구간을 구할 수 없습니다. 파라미터 수를 줄이거나 측정 점을 늘리세요.
+            </div>
+          )}
+          {fit.correlation && fit.parameters.length > 1 && (
+            <>
+              <h4>파라미터 상관 계수 (|값|이 1에 가까우면 서로 구분하기 어려움)</h4>
+              <table className="probe-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {fit.parameters.map(p => <th key={p.id}>{p.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {fit.parameters.map((p, a) => (
+                    <tr key={p.id}>
+                      <td>{p.label}</td>
+                      {fit.correlation[a].map((value, b) => <td key={b}>{value.toFixed(3)}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <h4>측정 vs 시뮬레이션 ({fit.label})</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              <Line data={fit.curves.initial} dataKey="temperature" name="초기값 시뮬레이션" stroke="#9ca3af" strokeDasharray="6 3" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line data={fit.curves.fitted} dataKey="temperature" name="적합값 시뮬레이션" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line data={fit.points} dataKey="measured" name="측정" stroke="none" dot={{ r: 3, fill: '#dc2626', stroke: '#dc2626' }} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h4>잔차 (측정 - 적합값 시뮬레이션)</h4>
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT * 0.7}>
+            <LineChart data={fit.points}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis label={{ value: '잔차 (K)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+              <Tooltip />
+              <ReferenceLine y={0} stroke="#888" />
+              <Line dataKey="residual" name="잔차" stroke="#7c3aed" strokeWidth={1} dot={{ r: 2 }} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FittingPanel
@@ -0,0 +1,154 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceArea
+} from 'recharts'
+import { SOURCE_INTERFACES, SOURCE_PROFILE_TYPES } from '../solver/heatSource.js'
+import {
+  HEAT_FRACTION_SUM_KEY,
+  SOURCE_INTERFACE_LABELS,
+  SOURCE_PROFILE_KEY,
+  SOURCE_PROFILE_TYPE_LABELS,
+  computeSourcePreview,
+  heatFractionKey,
+  sumHeatFractions
+} from '../heatSource.js'
+import { SUBSTRATE_INDEX, getLayerColor, updateLayerProperty } from '../layerStack.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+const PREVIEW_HEIGHT = 220
+
+// 분포 종류별 입력 필드 [필드, 라벨, step]
+const PROFILE_FIELDS = {
+  [SOURCE_PROFILE_TYPES.GAUSSIAN]: [
+    ['center_nm', '중심 위치 (nm, 아래 계면 기준)', '1'],
+    ['width_nm', '폭 σ (nm)', '1']
+  ],
+  [SOURCE_PROFILE_TYPES.EXPONENTIAL]: [
+    ['decay_length_nm', '감소 길이 (nm)', '1']
+  ]
+}
+
+// 레이어별 발열 비율과 발광층 안의 발열 분포 (heat_fractions, source_profile), 발열 밀도 미리보기
+function HeatSourceEditor({ formData, validation, onChange }) {
+  const { errors, warnings } = validation
+  const profile = formData.source_profile
+  const sum = sumHeatFractions(formData.heat_fractions)
+  // 입력이 모두 유효할 때만 미리보기 (잘못된 두께나 폭으로 그리면 의미 없는 그래프가 됨)
+  const previewable = Object.keys(errors).every(key =>
+    !key.startsWith('heat_fractions') && key !== SOURCE_PROFILE_KEY && !key.startsWith('thickness_layers_nm') &&
+    !['voltage', 'current_density', 'eqe'].includes(key))
+  const preview = previewable ? computeSourcePreview(formData) : []
+
+  // 미리보기 배경의 레이어 구간 (ITO 시작 기준)
+  let offset = 0
+  const layerBands = formData.layer_names.map((name, i) => {
+    if (i === SUBSTRATE_INDEX) return null
+    const band = { index: i, name, x1: offset, x2: offset + formData.thickness_layers_nm[i] }
+    offset = band.x2
+    return band
+  }).filter(Boolean)
+
+  const handleProfileChange = (field, value) => {
+    onChange({ ...formData, source_profile: { ...profile, [field]: value } })
+  }
+
+  return (
+    <div className="heat-source-editor">
+      <div className="parameters-grid">
+        {formData.layer_names.map((name, i) => {
+          if (i === SUBSTRATE_INDEX) return null
+          const key = heatFractionKey(i)
+          return (
+            <div className="input-field" key={i}>
+              <label>
+                {name} 발열 비율 (%){i === formData.emissive_layer_index && ' — 발광층'}
+              </label>
+              <input
+                type="number"
+                className={fieldClassName(errors[key], warnings[key])}
+                value={formData.heat_fractions[i]}
+                onChange={(e) => onChange(updateLayerProperty(formData, i, 'heat_fractions', parseNumberInput(e.target.value)))}
+                step="1"
+                min="0"
+                max="100"
+              />
+              <FieldMessage error={errors[key]} warning={warnings[key]} />
+            </div>
+          )
+        })}
+      </div>
+      <p className="drive-hint">
+        합계 {Number(sum.toFixed(4))}% — 명목 발열 V·J·(1 − EQE)를 레이어마다 나눕니다. 발광층 외 레이어 안에서는 균일합니다.
+      </p>
+      <FieldMessage error={errors[HEAT_FRACTION_SUM_KEY]} />
+
+      <div className="parameters-grid">
+        <div className="input-field">
+          <label>{formData.layer_names[formData.emissive_layer_index]} 안의 발열 분포</label>
+          <select value={profile.type} onChange={(e) => handleProfileChange('type', e.target.value)}>
+            {Object.values(SOURCE_PROFILE_TYPES).map(type => (
+              <option key={type} value={type}>{SOURCE_PROFILE_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+        {profile.type === SOURCE_PROFILE_TYPES.EXPONENTIAL && (
+          <div className="input-field">
+            <label>시작 계면</label>
+            <select value={profile.interface} onChange={(e) => handleProfileChange('interface', e.target.value)}>
+              {Object.values(SOURCE_INTERFACES).map(side => (
+                <option key={side} value={side}>{SOURCE_INTERFACE_LABELS[side]}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {(PROFILE_FIELDS[profile.type] || []).map(([field, label, step]) => (
+          <div className="input-field" key={field}>
+            <label>{label}</label>
+            <input
+              type="number"
+              className={fieldClassName(errors[SOURCE_PROFILE_KEY], warnings[SOURCE_PROFILE_KEY])}
+              value={profile[field]}
+              onChange={(e) => handleProfileChange(field, parseNumberInput(e.target.value))}
+              step={step}
+            />
+          </div>
+        ))}
+      </div>
+      <FieldMessage error={errors[SOURCE_PROFILE_KEY]} warning={warnings[SOURCE_PROFILE_KEY]} />
+
+      {previewable && (
+        <>
+          <h4>발열 밀도 미리보기 (켜짐 구동, EQE 기준값)</h4>
+          <ResponsiveContainer width="100%" height={PREVIEW_HEIGHT}>
+            <LineChart data={preview}>
+              <CartesianGrid strokeDasharray="3 3" />
+              {layerBands.map(band => (
+                <ReferenceArea
+                  key={band.index}
+                  x1={band.x1}
+                  x2={band.x2}
+                  fill={getLayerColor(band.index)}
+                  fillOpacity={0.3}
+                  label={{ value: band.name, position: 'insideTop', fontSize: 11 }}
+                />
+              ))}
+              <XAxis dataKey="position" type="number" domain={[0, offset]} label={{ value: '위치 (nm)', position: 'insideBottom', offset: -5 }} height={50} />
+              <YAxis tickFormatter={(value) => value.toExponential(1)} label={{ value: '발열 밀도 (W/m³)', angle: -90, position: 'insideLeft' }} width={80} />
+              <Tooltip formatter={(value) => [`${value.toExponential(3)} W/m³`, '발열 밀도']} labelFormatter={(value) => `${Number(value).toFixed(1)} nm`} />
+              <Line type="linear" dataKey="density" stroke="#dc2626" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default HeatSourceEditor
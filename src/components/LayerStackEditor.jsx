@@ -0,0 +1,263 @@
+import { Fragment, useState } from 'react'
+import {
+  SUBSTRATE_INDEX,
+  applyMaterial,
+  canRemoveLayer,
+  getLayerColor,
+  insertLayer,
+  moveLayer,
+  removeLayer,
+  renameLayer,
+  setEmissiveLayer,
+  updateLayerProperty
+} from '../layerStack.js'
+import { MATERIAL_CATEGORIES, findMatchingMaterial } from '../materials.js'
+import { fieldClassName, layerFieldKey, parseNumberInput } from '../validation.js'
+import { PROPERTY_MODEL_TYPES, TEMPERATURE_DEPENDENT_FIELDS } from '../solver/propertyModels.js'
+import { getPropertyModel, propertyModelKey } from '../propertyModels.js'
+import { interfaceResistanceKey } from '../interfaceResistance.js'
+import FieldMessage from './FieldMessage.jsx'
+import PropertyModelEditor from './PropertyModelEditor.jsx'
+
+const PROPERTY_INPUTS = [
+  { field: 'thickness_layers_nm', label: '두께 (nm)', step: '0.1' },
+  { field: 'k_therm_layers', label: '열전도도 (W/m·K)', step: '0.1' },
+  { field: 'rho_layers', label: '밀도 (kg/m³)', step: '1' },
+  { field: 'c_p_layers', label: '비열 (J/kg·K)', step: '1' }
+]
+
+// 레이어 스택 편집기: 카드별 물성 입력(온도 의존 모델 포함), 이름 변경, 삽입/삭제, 드래그 정렬, 발광층 지정, 재료 선택,
+// 카드 사이의 계면 열저항 입력
+// validation: validateFormData 결과 (필드별 오류/경고 표시)
+function LayerStackEditor({ formData, onChange, materials, onSaveMaterial, validation }) {
+  const messageOf = (field, index) => {
+    const key = layerFieldKey(field, index)
+    return { error: validation.errors[key], warning: validation.warnings[key] }
+  }
+
+  const [dragIndex, setDragIndex] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+
+  const handleDragEnd = () => {
+    setDragIndex(null)
+    setDropIndex(null)
+  }
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null) onChange(moveLayer(formData, dragIndex, index))
+    handleDragEnd()
+  }
+
+  const materialGroups = MATERIAL_CATEGORIES
+    .map(category => ({ category, items: materials.filter(m => m.category === category) }))
+    .filter(group => group.items.length > 0)
+
+  const handleModelChange = (index, field, model) => {
+    const models = { ...formData.property_models[index], [field]: model }
+    onChange(updateLayerProperty(formData, index, 'property_models', models))
+  }
+
+  const handleMaterialSelect = (index, materialId) => {
+    const material = materials.find(m => m.id === materialId)
+    if (material) onChange(applyMaterial(formData, index, material))
+  }
+
+  const handleInterfaceChange = (index, value) => {
+    const resistances = formData.interface_resistances.map((r, i) => (i === index ? value : r))
+    onChange({ ...formData, interface_resistances: resistances })
+  }
+
+  // 레이어 index와 index + 1 사이의 계면 열저항 입력
+  const renderInterface = (index) => {
+    const key = interfaceResistanceKey(index)
+    const error = validation.errors[key]
+    const warning = validation.warnings[key]
+    return (
+      <div className="layer-interface">
+        <div className="input-field">
+          <label>
+            계면 열저항 (m²·K/W)
+            <span className="layer-interface-names">
+              {formData.layer_names[index]} / {formData.layer_names[index + 1]}
+            </span>
+          </label>
+          <input
+            type="number"
+            className={fieldClassName(error, warning)}
+            value={formData.interface_resistances[index]}
+            onChange={(e) => handleInterfaceChange(index, parseNumberInput(e.target.value))}
+            step="1e-9"
+            min="0"
+            title="0이면 완전 접촉 (온도 점프 없음)"
+          />
+          <FieldMessage error={error} warning={warning} />
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="layers-grid">
+      {formData.layer_names.map((name, index) => {
+        const isSubstrate = index === SUBSTRATE_INDEX
+        const isEmissive = index === formData.emissive_layer_index
+        const matchedMaterial = findMatchingMaterial(
+          materials,
+          formData.k_therm_layers[index],
+          formData.rho_layers[index],
+          formData.c_p_layers[index]
+        )
+        const cardClassName = [
+          'layer-card',
+          isEmissive && 'layer-card-emissive',
+          dragIndex === index && 'layer-card-dragging',
+          dropIndex === index && dragIndex !== index && 'layer-card-drop-target'
+        ].filter(Boolean).join(' ')
+
+        return (
+          <Fragment key={index}>
+            <div
+              className={cardClassName}
+              draggable={!isSubstrate}
+              onDragStart={(e) => {
+                // 입력창에서 텍스트를 드래그할 때는 레이어를 옮기지 않음
+                if (e.target.tagName === 'INPUT') {
+                  e.preventDefault()
+                  return
+                }
+                e.dataTransfer.effectAllowed = 'move'
+                setDragIndex(index)
+              }}
+              onDragOver={(e) => {
+                if (dragIndex === null || isSubstrate) return
+                e.preventDefault()
+                setDropIndex(index)
+              }}
+              onDrop={(e) => {
+                e.preventDefault()
+                handleDrop(index)
+              }}
+              onDragEnd={handleDragEnd}
+            >
+              <div className="layer-header">
+                {!isSubstrate && <span className="layer-drag-handle" title="드래그하여 순서 변경">⋮⋮</span>}
+                <input
+                  className={['layer-name-input', fieldClassName(messageOf('layer_names', index).error)].filter(Boolean).join(' ')}
+                  type="text"
+                  value={name}
+                  onChange={(e) => onChange(renameLayer(formData, index, e.target.value))}
+                  aria-label="레이어 이름"
+                  title={messageOf('layer_names', index).error}
+                />
+                <div className="layer-visual" style={{
+                  height: `${Math.max(30, Math.log10(formData.thickness_layers_nm[index] + 1) * 10)}px`,
+                  backgroundColor: getLayerColor(index)
+                }}></div>
+              </div>
+              <FieldMessage error={messageOf('layer_names', index).error} />
+              <div className="layer-role">
+                {isSubstrate ? (
+                  <span className="layer-badge">기판 (축약 계산)</span>
+                ) : (
+                  <label className="layer-emissive-toggle">
+                    <input
+                      type="radio"
+                      name="emissive-layer"
+                      checked={isEmissive}
+                      onChange={() => onChange(setEmissiveLayer(formData, index))}
+                    />
+                    발광층 (열원)
+                  </label>
+                )}
+              </div>
+              <div className="layer-inputs">
+                <div className="input-field">
+                  <label>재료</label>
+                  <select
+                    value={matchedMaterial ? matchedMaterial.id : ''}
+                    onChange={(e) => handleMaterialSelect(index, e.target.value)}
+                    title={matchedMaterial ? matchedMaterial.source : '재료를 선택하면 k, ρ, c_p가 채워집니다'}
+                  >
+                    <option value="">직접 입력</option>
+                    {materialGroups.map(({ category, items }) => (
+                      <optgroup key={category} label={category}>
+                        {items.map(m => (
+                          <option key={m.id} value={m.id}>{m.name}</option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                </div>
+                {PROPERTY_INPUTS.map(({ field, label, step }) => {
+                  const { error, warning } = messageOf(field, index)
+                  const hasModel = TEMPERATURE_DEPENDENT_FIELDS.includes(field)
+                  const model = hasModel ? getPropertyModel(formData, index, field) : null
+                  const modelKey = propertyModelKey(field, index)
+                  // 표 모델은 표 값만 사용하므로 카드 값 입력을 숨김
+                  const showValue = !model || model.type !== PROPERTY_MODEL_TYPES.TABLE
+                  return (
+                    <div key={field} className="input-field">
+                      <label>{model?.type === PROPERTY_MODEL_TYPES.LINEAR ? `${label} @ T_ref` : label}</label>
+                      {showValue && (
+                        <input
+                          type="number"
+                          className={fieldClassName(error, warning)}
+                          value={formData[field][index]}
+                          onChange={(e) => onChange(updateLayerProperty(formData, index, field, parseNumberInput(e.target.value)))}
+                          step={step}
+                        />
+                      )}
+                      <FieldMessage error={error} warning={warning} />
+                      {hasModel && (
+                        <PropertyModelEditor
+                          model={model}
+                          field={field}
+                          baseValue={formData[field][index]}
+                          error={validation.errors[modelKey]}
+                          warning={validation.warnings[modelKey]}
+                          onChange={(next) => handleModelChange(index, field, next)}
+                        />
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+              <div className="layer-actions">
+                <button
+                  type="button"
+                  className="layer-action-button"
+                  onClick={() => onChange(insertLayer(formData, index + 1))}
+                  title="이 레이어 바로 다음(상부)에 새 레이어를 삽입합니다"
+                >
+                  + 다음 층 삽입
+                </button>
+                <button
+                  type="button"
+                  className="layer-action-button"
+                  onClick={() => onSaveMaterial(index)}
+                  title="현재 k, ρ, c_p 값을 사용자 재료로 저장합니다"
+                >
+                  재료로 저장
+                </button>
+                {!isSubstrate && (
+                  <button
+                    type="button"
+                    className="layer-action-button layer-action-danger"
+                    onClick={() => onChange(removeLayer(formData, index))}
+                    disabled={!canRemoveLayer(formData, index)}
+                    title={isEmissive ? '발광층은 삭제할 수 없습니다. 다른 레이어를 발광층으로 지정하세요.' : '레이어 삭제'}
+                  >
+                    삭제
+                  </button>
+                )}
+              </div>
+            </div>
+            {index < formData.layer_names.length - 1 && renderInterface(index)}
+          </Fragment>
+        )
+      })}
+    </div>
+  )
+}
+
+export default LayerStackEditor
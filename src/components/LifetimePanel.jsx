@@ -0,0 +1,80 @@
+import { analyzeLifetime, formatLifetimeStats, listLifetimeSources, validateLifetime } from '../lifetime.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+// 수치 입력 필드 [필드, 라벨, step]
+const LIFETIME_FIELDS = [
+  ['activation_energy', '활성화 에너지 Ea (eV)', '0.05'],
+  ['t50_ref', '기준 T50 (h)', '100'],
+  ['T_ref', '기준 온도 (°C)', '1']
+]
+
+const formatValue = (value) => (typeof value === 'number' ? Number(value.toPrecision(4)).toString() : value)
+
+// 수명 추정 패널: Arrhenius 설정 입력과 결과 표 (설정을 바꿔도 다시 계산할 필요 없음)
+function LifetimePanel({ result, formData, onChange }) {
+  const { lifetime } = formData
+  const { errors, warnings } = validateLifetime(lifetime)
+  const sources = listLifetimeSources(formData)
+  const analysis = analyzeLifetime(result, formData)
+
+  const handleFieldChange = (field, value) => {
+    onChange({ ...lifetime, [field]: value })
+  }
+
+  return (
+    <div className="probe-panel">
+      <label className="probe-click-toggle">
+        <input type="checkbox" checked={lifetime.enabled} onChange={(e) => handleFieldChange('enabled', e.target.checked)} />
+        Arrhenius 온도 가속 모델로 수명 추정
+      </label>
+      {lifetime.enabled && (
+        <>
+          <div className="parameters-grid">
+            <div className="input-field">
+              <label>온도 이력</label>
+              <select value={lifetime.source} onChange={(e) => handleFieldChange('source', e.target.value)}>
+                {sources.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+                {!sources.some(({ value }) => value === lifetime.source) && (
+                  <option value={lifetime.source}>삭제된 프로브</option>
+                )}
+              </select>
+            </div>
+            {LIFETIME_FIELDS.map(([field, label, step]) => (
+              <div className="input-field" key={field}>
+                <label>{label}</label>
+                <input
+                  type="number"
+                  className={fieldClassName(errors[`lifetime.${field}`], warnings[`lifetime.${field}`])}
+                  value={lifetime[field]}
+                  onChange={(e) => handleFieldChange(field, parseNumberInput(e.target.value))}
+                  step={step}
+                />
+                <FieldMessage error={errors[`lifetime.${field}`]} warning={warnings[`lifetime.${field}`]} />
+              </div>
+            ))}
+          </div>
+          <p className="drive-hint">
+            가속 계수 AF = exp(Ea/k_B · (1/T_ref - 1/T))로 온도 이력의 노화를 기준 온도로 환산합니다.
+            등온 소자는 자체 발열 없이 주변 온도에 있는 소자입니다. 전류 밀도에 의한 가속은 포함하지 않습니다.
+          </p>
+          {analysis ? (
+            <table className="probe-table diagnostics-summary">
+              <tbody>
+                {formatLifetimeStats(analysis, lifetime).map(({ label, value }) => (
+                  <tr key={label}><td>{label}</td><td>{formatValue(value)}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          ) : Object.keys(errors).length === 0 && (
+            <div className="warning-message">선택한 프로브의 온도 이력이 없습니다. 다른 온도 이력을 선택하세요.</div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LifetimePanel
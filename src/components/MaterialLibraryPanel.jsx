@@ -0,0 +1,109 @@
+import { useRef, useState } from 'react'
+import {
+  USER_MATERIAL_CATEGORY,
+  mergeUserMaterials,
+  parseMaterialLibrary,
+  searchMaterials,
+  serializeMaterialLibrary
+} from '../materials.js'
+import { dateStamp, downloadTextFile } from '../fileUtils.js'
+
+// 재료 라이브러리 검색/관리 패널 (사용자 재료 삭제, JSON 가져오기/내보내기)
+function MaterialLibraryPanel({ materials, userMaterials, onUserMaterialsChange }) {
+  const [query, setQuery] = useState('')
+  const fileInputRef = useRef(null)
+  const filtered = searchMaterials(materials, query)
+
+  const handleExport = () => {
+    if (userMaterials.length === 0) {
+      alert('내보낼 사용자 재료가 없습니다.')
+      return
+    }
+    downloadTextFile(`materials_${dateStamp()}.json`, serializeMaterialLibrary(userMaterials))
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { materials: imported, errors } = parseMaterialLibrary(await file.text())
+      onUserMaterialsChange(mergeUserMaterials(userMaterials, imported))
+      const summary = `${imported.length}개 재료를 가져왔습니다.`
+      alert(errors.length > 0 ? `${summary}\n\n건너뛴 항목:\n${errors.join('\n')}` : summary)
+    } catch (err) {
+      console.error('재료 라이브러리 가져오기 오류:', err)
+      alert('재료 라이브러리를 읽을 수 없습니다: ' + err.message)
+    }
+  }
+
+  const handleDelete = (id) => {
+    onUserMaterialsChange(userMaterials.filter(m => m.id !== id))
+  }
+
+  return (
+    <details className="material-library">
+      <summary>재료 라이브러리 ({materials.length}개)</summary>
+      <div className="material-library-toolbar">
+        <input
+          type="search"
+          placeholder="재료 이름, 분류, 출처 검색"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button type="button" className="layer-action-button" onClick={() => fileInputRef.current.click()}>
+          JSON 가져오기
+        </button>
+        <button type="button" className="layer-action-button" onClick={handleExport}>
+          사용자 재료 내보내기
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+      </div>
+      <table className="material-table">
+        <thead>
+          <tr>
+            <th>재료</th>
+            <th>분류</th>
+            <th>k (W/m·K)</th>
+            <th>ρ (kg/m³)</th>
+            <th>c_p (J/kg·K)</th>
+            <th>출처</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.map(m => (
+            <tr key={m.id}>
+              <td>{m.name}</td>
+              <td>{m.category}</td>
+              <td>{m.k}</td>
+              <td>{m.rho}</td>
+              <td>{m.c_p}</td>
+              <td className="material-source">{m.source}</td>
+              <td>
+                {m.category === USER_MATERIAL_CATEGORY && (
+                  <button type="button" className="layer-action-button layer-action-danger" onClick={() => handleDelete(m.id)}>
+                    삭제
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {filtered.length === 0 && (
+            <tr>
+              <td colSpan={7} className="material-empty">검색 결과가 없습니다.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </details>
+  )
+}
+
+export default MaterialLibraryPanel
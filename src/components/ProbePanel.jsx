@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { MAX_PROBES, PROBE_MODES, addProbe, formatProbeLabel, removeProbe } from '../probes.js'
+
+// 온도 프로브 목록/추가 패널 (위치 직접 입력 또는 레이어 + 비율)
+function ProbePanel({ probes, layerNames, evaluated, colors, onChange }) {
+  const [mode, setMode] = useState(PROBE_MODES.LAYER)
+  const [position, setPosition] = useState(0)
+  const [layerIndex, setLayerIndex] = useState(1)
+  const [percent, setPercent] = useState(50)
+
+  const handleAdd = () => {
+    if (probes.length >= MAX_PROBES) {
+      alert(`프로브는 최대 ${MAX_PROBES}개까지 추가할 수 있습니다.`)
+      return
+    }
+    if (mode === PROBE_MODES.POSITION) {
+      if (!Number.isFinite(position)) {
+        alert('프로브 위치를 입력하세요.')
+        return
+      }
+      onChange(addProbe(probes, { mode, position_nm: position }))
+    } else {
+      if (!(percent >= 0 && percent <= 100)) {
+        alert('레이어 내 위치는 0 ~ 100% 사이여야 합니다.')
+        return
+      }
+      onChange(addProbe(probes, { mode, layer_index: Math.min(layerIndex, layerNames.length - 1), fraction: percent / 100 }))
+    }
+  }
+
+  return (
+    <div className="probe-panel">
+      <div className="probe-add-row">
+        <div className="input-field">
+          <label>프로브 지정 방식</label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value={PROBE_MODES.LAYER}>레이어 + 비율</option>
+            <option value={PROBE_MODES.POSITION}>위치 (nm)</option>
+          </select>
+        </div>
+        {mode === PROBE_MODES.POSITION ? (
+          <div className="input-field">
+            <label>ITO/Glass 경계로부터의 위치 (nm, Glass 쪽은 음수)</label>
+            <input type="number" value={position} onChange={(e) => setPosition(parseFloat(e.target.value))} />
+          </div>
+        ) : (
+          <>
+            <div className="input-field">
+              <label>레이어</label>
+              <select value={Math.min(layerIndex, layerNames.length - 1)} onChange={(e) => setLayerIndex(parseInt(e.target.value, 10))}>
+                {layerNames.map((name, i) => (
+                  <option key={i} value={i}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-field">
+              <label>레이어 내 위치 (%, 아래쪽 0 → 위쪽 100)</label>
+              <input type="number" value={percent} min="0" max="100" onChange={(e) => setPercent(parseFloat(e.target.value))} />
+            </div>
+          </>
+        )}
+        <button type="button" className="layer-action-button" onClick={handleAdd}>
+          프로브 추가
+        </button>
+      </div>
+      {probes.length > 0 && (
+        <table className="probe-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>프로브</th>
+              <th>위치 (nm)</th>
+              <th>최종 온도 (°C)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {probes.map((probe, i) => {
+              const entry = evaluated && evaluated.find(e => e.probe.id === probe.id)
+              return (
+                <tr key={probe.id}>
+                  <td><span className="probe-swatch" style={{ backgroundColor: colors[i % colors.length] }} /></td>
+                  <td>{formatProbeLabel(probe, layerNames)}</td>
+                  <td>{entry ? (entry.position === null ? '스택 범위 밖' : entry.position.toFixed(1)) : '-'}</td>
+                  <td>{entry && entry.series ? entry.series[entry.series.length - 1].toFixed(2) : '-'}</td>
+                  <td>
+                    <button type="button" className="layer-action-button layer-action-danger" onClick={() => onChange(removeProbe(probes, probe.id))}>
+                      삭제
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default ProbePanel
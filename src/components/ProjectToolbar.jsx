@@ -0,0 +1,61 @@
+import { useRef, useState } from 'react'
+
+// 프로젝트 저장/열기, 엑셀/CSV 가져오기와 공유 링크 복사
+function ProjectToolbar({ hasResult, onSave, onOpen, onImport, onCopyLink }) {
+  const [includeResult, setIncludeResult] = useState(false)
+  const fileInputRef = useRef(null)
+  const importInputRef = useRef(null)
+
+  const handleFileChange = (handler) => (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) handler(file)
+  }
+
+  return (
+    <div className="project-toolbar">
+      <button type="button" className="layer-action-button" onClick={() => onSave(includeResult && hasResult)}>
+        프로젝트 저장
+      </button>
+      <label className="project-include-result">
+        <input
+          type="checkbox"
+          checked={includeResult}
+          onChange={(e) => setIncludeResult(e.target.checked)}
+          disabled={!hasResult}
+        />
+        결과 포함
+      </label>
+      <button type="button" className="layer-action-button" onClick={() => fileInputRef.current.click()}>
+        프로젝트 열기
+      </button>
+      <button
+        type="button"
+        className="layer-action-button"
+        onClick={() => importInputRef.current.click()}
+        title="엑셀 저장의 입력 파라미터 시트나 레이어(이름, 두께, k, ρ, c_p)/구동 파형(시간, 전압, 전류 밀도) CSV"
+      >
+        엑셀/CSV 가져오기
+      </button>
+      <button type="button" className="layer-action-button" onClick={onCopyLink}>
+        링크 복사
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChange(onOpen)}
+        style={{ display: 'none' }}
+      />
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".xlsx,.xls,.csv"
+        onChange={handleFileChange(onImport)}
+        style={{ display: 'none' }}
+      />
+    </div>
+  )
+}
+
+export default ProjectToolbar
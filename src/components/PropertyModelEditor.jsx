@@ -0,0 +1,165 @@
+import { useRef } from 'react'
+import { PROPERTY_MODEL_TYPES } from '../solver/propertyModels.js'
+import { PROPERTY_MODEL_TYPE_LABELS, PROPERTY_UNITS, parseModelTableCsv } from '../propertyModels.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+// 표 모델로 바꿀 때 채울 두 번째 점의 온도 (T_ref 기준 °C 간격)
+const SEED_TABLE_SPAN = 75
+
+// 레이어 카드의 물성 하나(또는 EQE, field = 'eqe')에 대한 온도 의존 모델 입력 (일정, 선형, 온도별 표)
+// baseValue: 레이어 카드의 물성 값 (선형 모델의 T_ref 값, 표를 처음 만들 때의 값)
+function PropertyModelEditor({ model, field, baseValue, error, warning, onChange }) {
+  const unit = PROPERTY_UNITS[field]
+  const fileInputRef = useRef(null)
+
+  const handleTypeChange = (type) => {
+    // 빈 표로 바꾸면 현재 값으로 두 점을 채워 일정한 곡선에서 시작
+    const table = type === PROPERTY_MODEL_TYPES.TABLE && model.table.length === 0
+      ? [
+          { temperature: model.T_ref, value: baseValue },
+          { temperature: model.T_ref + SEED_TABLE_SPAN, value: baseValue }
+        ]
+      : model.table
+    onChange({ ...model, type, table })
+  }
+
+  const handleRowChange = (index, key, value) => {
+    const table = model.table.map((row, i) => (i === index ? { ...row, [key]: parseNumberInput(value) } : row))
+    onChange({ ...model, table })
+  }
+
+  // 새 행은 마지막 점의 값을 이어받고 온도만 위로
+  const handleAddRow = () => {
+    const last = model.table[model.table.length - 1]
+    const row = last
+      ? { temperature: (Number.isFinite(last.temperature) ? last.temperature : model.T_ref) + 25, value: last.value }
+      : { temperature: model.T_ref, value: baseValue }
+    onChange({ ...model, table: [...model.table, row] })
+  }
+
+  const handleRemoveRow = (index) => {
+    onChange({ ...model, table: model.table.filter((_, i) => i !== index) })
+  }
+
+  // "온도(°C), 값" CSV로 표 전체를 바꿈 (EQE는 머리글에 %가 있으면 백분율로 읽음)
+  const handleImportTable = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { table, errors } = parseModelTableCsv(await file.text(), { percentHeader: field === 'eqe' })
+      if (errors.length > 0) {
+        alert(`표 CSV를 불러오지 않았습니다:\n${errors.join('\n')}`)
+        return
+      }
+      onChange({ ...model, table })
+    } catch (err) {
+      console.error('표 CSV 읽기 오류:', err)
+      alert('표 CSV를 읽을 수 없습니다: ' + err.message)
+    }
+  }
+
+  const inputClassName = fieldClassName(error, warning)
+
+  return (
+    <div className="property-model-editor">
+      <select
+        value={model.type}
+        onChange={(e) => handleTypeChange(e.target.value)}
+        aria-label="온도 의존 모델"
+      >
+        {Object.values(PROPERTY_MODEL_TYPES).map(type => (
+          <option key={type} value={type}>{PROPERTY_MODEL_TYPE_LABELS[type]}</option>
+        ))}
+      </select>
+      {model.type === PROPERTY_MODEL_TYPES.LINEAR && (
+        <div className="property-model-fields">
+          <label>
+            T_ref (°C)
+            <input
+              type="number"
+              className={inputClassName}
+              value={model.T_ref}
+              onChange={(e) => onChange({ ...model, T_ref: parseNumberInput(e.target.value) })}
+              step="1"
+            />
+          </label>
+          <label>
+            기울기 ({unit || '1'}/K)
+            <input
+              type="number"
+              className={inputClassName}
+              value={model.slope}
+              onChange={(e) => onChange({ ...model, slope: parseNumberInput(e.target.value) })}
+              step="any"
+            />
+          </label>
+        </div>
+      )}
+      {model.type === PROPERTY_MODEL_TYPES.TABLE && (
+        <>
+          <table className="probe-table property-model-table">
+            <thead>
+              <tr>
+                <th>온도 (°C)</th>
+                <th>값 ({unit || '0 ~ 1'})</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {model.table.map((row, i) => (
+                <tr key={i}>
+                  <td>
+                    <input
+                      type="number"
+                      className={inputClassName}
+                      value={row.temperature}
+                      onChange={(e) => handleRowChange(i, 'temperature', e.target.value)}
+                      step="1"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className={inputClassName}
+                      value={row.value}
+                      onChange={(e) => handleRowChange(i, 'value', e.target.value)}
+                      step="any"
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="layer-action-button layer-action-danger"
+                      onClick={() => handleRemoveRow(i)}
+                      disabled={model.table.length <= 1}
+                    >
+                      삭제
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button type="button" className="layer-action-button" onClick={handleAddRow}>
+            점 추가
+          </button>
+          <button type="button" className="layer-action-button" onClick={() => fileInputRef.current.click()}>
+            CSV 불러오기
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="text/csv,.csv,.txt"
+            onChange={handleImportTable}
+            style={{ display: 'none' }}
+          />
+        </>
+      )}
+      <FieldMessage error={error} warning={warning} />
+    </div>
+  )
+}
+
+export default PropertyModelEditor
@@ -0,0 +1,174 @@
+import { CartesianGrid, Line, LineChart, ReferenceLine, XAxis, YAxis } from 'recharts'
+import {
+  REPORT_LOGO_SRC,
+  buildReportHeader,
+  buildReportStats,
+  buildReportTables,
+  buildStackSchematic,
+  formatReportNumber
+} from '../report.js'
+import { compareStats } from '../runComparison.js'
+import { formatRunLabel } from '../runHistory.js'
+
+// A4 (210 mm) 폭을 96 dpi로 그린 크기 — reportPdf.js가 이 폭을 A4 폭에 맞춘다
+export const REPORT_PAGE_WIDTH = 794
+const REPORT_CHART_WIDTH = 714
+const REPORT_CHART_HEIGHT = 300
+
+function ReportHeader({ header }) {
+  return (
+    <div className="report-header">
+      <div>
+        <h1>{header.title}</h1>
+        {header.runLabel && <div className="report-run-label">{header.runLabel}</div>}
+        <div className="report-meta">
+          {header.runTime && <>실행 시각 {header.runTime} · </>}보고서 작성 {header.generatedTime}
+        </div>
+      </div>
+      <img src={REPORT_LOGO_SRC} alt="PNEL Logo" className="report-logo" />
+    </div>
+  )
+}
+
+// 소자 단면 (위가 상부 표면): 활성층은 두께 비례, 기판은 축약
+function StackSchematic({ schematic }) {
+  return (
+    <div className="report-schematic">
+      <div className="report-boundary">상부: {schematic.top}</div>
+      {schematic.layers.map((layer, i) => (
+        <div
+          key={i}
+          className={`report-layer${layer.substrate ? ' report-layer-substrate' : ''}`}
+          style={{ height: layer.height, backgroundColor: layer.color }}
+        >
+          <span>{layer.name}{layer.emissive && ' ★'}</span>
+          <span>{layer.thickness}{layer.substrate && ' (축약)'}</span>
+        </div>
+      ))}
+      <div className="report-boundary">하부: {schematic.bottom}</div>
+    </div>
+  )
+}
+
+function ReportTable({ table }) {
+  return (
+    <div className="report-table-block">
+      <h3>{table.title}</h3>
+      <table className="report-table">
+        {table.columns && (
+          <thead>
+            <tr>{table.columns.map(column => <th key={column}>{column}</th>)}</tr>
+          </thead>
+        )}
+        <tbody>
+          {table.rows.map((row, i) => (
+            <tr key={i}>{row.map((cell, j) => <td key={j}>{cell}</td>)}</tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// 화면에 없는 실행(일괄 보고서)의 그래프: 최종 온도 프로파일 (활성층)
+function ProfileChart({ result }) {
+  const last = result.time.length - 1
+  const data = result.position_active_nm.map((position, i) => ({ position, temperature: result.temperature_active[i][last] }))
+  return (
+    <LineChart width={REPORT_CHART_WIDTH} height={REPORT_CHART_HEIGHT} data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="position" type="number" domain={['dataMin', 'dataMax']} height={40}
+        label={{ value: 'ITO/Glass 경계로부터의 위치 (nm)', position: 'insideBottom', offset: -2 }} />
+      <YAxis domain={['auto', 'auto']} label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} />
+      {result.layer_boundaries_nm.slice(1, -1).map(boundary => (
+        <ReferenceLine key={boundary} x={boundary} stroke="#888" strokeDasharray="3 3" />
+      ))}
+      <Line type="monotone" dataKey="temperature" stroke="#dc2626" strokeWidth={2} dot={false} isAnimationActive={false} />
+    </LineChart>
+  )
+}
+
+// 발광층 중간 지점의 시간에 따른 온도
+function TimelineChart({ result }) {
+  const data = result.time.map((time, i) => ({ time, temperature: result.perovskite_center_temp[i] }))
+  return (
+    <LineChart width={REPORT_CHART_WIDTH} height={REPORT_CHART_HEIGHT} data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} height={40}
+        label={{ value: '시간 (s)', position: 'insideBottom', offset: -2 }} />
+      <YAxis domain={['auto', 'auto']} label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} />
+      <Line type="monotone" dataKey="temperature" stroke="#16a34a" strokeWidth={2} dot={false} isAnimationActive={false} />
+    </LineChart>
+  )
+}
+
+// 화면 그래프를 캡처한 이미지가 있으면 그것을, 없으면 보고서용 그래프를 그림
+function ReportChart({ title, image, children }) {
+  return (
+    <div className="report-chart">
+      <h3>{title}</h3>
+      {image ? <img src={image} alt={title} /> : children}
+    </div>
+  )
+}
+
+/**
+ * 일괄 보고서 첫 장: 실행별 요약 통계 비교 (첫 번째 실행 기준)
+ */
+export function ReportCover({ runs, generatedAt }) {
+  const header = buildReportHeader({ label: `일괄 보고서 (실행 ${runs.length}개)` }, generatedAt)
+  const rows = compareStats(runs)
+  return (
+    <div className="report-page">
+      <ReportHeader header={header} />
+      <ReportTable
+        table={{
+          title: '실행 요약',
+          columns: ['항목', ...runs.map(run => run.label || formatRunLabel(run))],
+          rows: [
+            ['발광층', ...runs.map(run => run.result.emissive_layer_name)],
+            ...rows.map(row => [row.label, ...row.values.map(formatReportNumber)])
+          ]
+        }}
+      />
+    </div>
+  )
+}
+
+/**
+ * 실행 하나의 보고서 페이지들 (.report-page마다 PDF 한 쪽, 넘치면 reportPdf.js가 나눔)
+ * run: { label, createdAt, solverMode, formData, result }, charts: { profile, timeline } 화면 그래프 캡처 (선택)
+ */
+function ReportDocument({ run, charts = {}, generatedAt }) {
+  const { formData, result, solverMode } = run
+  const header = buildReportHeader(run, generatedAt)
+  const stats = buildReportStats(result, formData)
+  const tables = buildReportTables(formData, solverMode)
+  const profileTitle = result.steady_state ? '정상상태 온도 프로파일' : '최종 온도 프로파일'
+
+  return (
+    <>
+      <div className="report-page" data-solver-mode={solverMode}>
+        <ReportHeader header={header} />
+        <div className="report-overview">
+          <StackSchematic schematic={buildStackSchematic(formData)} />
+          <ReportTable table={{ title: '요약', columns: null, rows: stats.map(({ label, value }) => [label, value]) }} />
+        </div>
+        <ReportChart title={profileTitle} image={charts.profile}>
+          <ProfileChart result={result} />
+        </ReportChart>
+      </div>
+      <div className="report-page" data-solver-mode={solverMode}>
+        {!result.steady_state && (
+          <ReportChart title={`${result.emissive_layer_name} 중간 지점의 시간에 따른 온도`} image={charts.timeline}>
+            <TimelineChart result={result} />
+          </ReportChart>
+        )}
+        <h2>입력 파라미터</h2>
+        {tables.map(table => <ReportTable key={table.title} table={table} />)}
+      </div>
+    </>
+  )
+}
+
+export default ReportDocument
@@ -0,0 +1,147 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts'
+import { compareStats, diffInputs } from '../runComparison.js'
+import { formatRunLabel } from '../runHistory.js'
+
+const RUN_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777']
+
+const formatCell = (value) => {
+  if (value === undefined) return '-'
+  return typeof value === 'number' ? Number(value.toPrecision(6)).toString() : value
+}
+
+const formatDelta = (delta) => `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}`
+
+// 선택한 실행들의 최종 프로파일/발광층 과도응답 겹쳐 그리기와 입력·통계 차이 표
+function RunComparison({ runs }) {
+  const inputDiffs = diffInputs(runs.map(run => run.formData))
+  const statRows = compareStats(runs)
+  const colorOf = (i) => RUN_COLORS[i % RUN_COLORS.length]
+
+  return (
+    <div className="run-comparison">
+      <div className="chart-container">
+        <h3>최종 온도 프로파일 비교 (활성층)</h3>
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="position"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              label={{ value: 'ITO/Glass 경계로부터의 위치 (nm)', position: 'insideBottom', offset: -5 }}
+              height={60}
+            />
+            <YAxis label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+            <Tooltip />
+            <Legend verticalAlign="top" />
+            {runs.map((run, i) => {
+              const { position_active_nm, temperature_active, time } = run.result
+              const finalIdx = time.length - 1
+              return (
+                <Line
+                  key={run.id}
+                  data={position_active_nm.map((pos, idx) => ({ position: pos, temperature: temperature_active[idx][finalIdx] }))}
+                  type="monotone"
+                  dataKey="temperature"
+                  name={formatRunLabel(run)}
+                  stroke={colorOf(i)}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              )
+            })}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="chart-container">
+        <h3>발광층 중간 지점 온도 비교</h3>
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }}
+              height={60}
+            />
+            <YAxis label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+            <Tooltip />
+            <Legend verticalAlign="top" />
+            {runs.map((run, i) => (
+              <Line
+                key={run.id}
+                data={run.result.time.map((t, idx) => ({ time: t, temperature: run.result.perovskite_center_temp[idx] }))}
+                type="monotone"
+                dataKey="temperature"
+                name={`${formatRunLabel(run)} (${run.result.emissive_layer_name})`}
+                stroke={colorOf(i)}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h3>입력 차이</h3>
+      {inputDiffs.length === 0 ? (
+        <p className="run-comparison-note">선택한 실행들의 입력이 모두 같습니다.</p>
+      ) : (
+        <table className="probe-table">
+          <thead>
+            <tr>
+              <th>항목</th>
+              {runs.map((run, i) => <th key={run.id} style={{ color: colorOf(i) }}>{formatRunLabel(run)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {inputDiffs.map(row => (
+              <tr key={row.key}>
+                <td>{row.label}</td>
+                {row.values.map((v, i) => <td key={runs[i].id}>{formatCell(v)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3>결과 요약 비교 (첫 번째 선택 실행 대비 Δ)</h3>
+      <table className="probe-table">
+        <thead>
+          <tr>
+            <th>항목</th>
+            {runs.map((run, i) => <th key={run.id} style={{ color: colorOf(i) }}>{formatRunLabel(run)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {statRows.map(row => (
+            <tr key={row.key}>
+              <td>{row.label}</td>
+              {row.values.map((v, i) => (
+                <td key={runs[i].id}>
+                  {v.toFixed(2)}
+                  {i > 0 && <span className="run-delta"> ({formatDelta(row.deltas[i])})</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default RunComparison
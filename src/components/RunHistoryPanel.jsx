@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import { formatRunLabel } from '../runHistory.js'
+import RunComparison from './RunComparison.jsx'
+
+const formatTimestamp = (ms) => new Date(ms).toLocaleString('ko-KR')
+
+// 실행 기록 목록 (이름 변경, 불러오기, 삭제)과 2개 이상 선택 시 비교, 선택한 실행의 일괄 PDF 보고서
+function RunHistoryPanel({ runs, onRename, onLoad, onDelete, onClear, onReport, reportBusy }) {
+  const [selectedIds, setSelectedIds] = useState([])
+
+  // 삭제된 기록은 선택에서 제외, 선택한 순서 유지 (첫 번째가 비교 기준)
+  const selectedRuns = selectedIds.map(id => runs.find(run => run.id === id)).filter(Boolean)
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(i => i !== id) : [...selectedIds, id])
+  }
+
+  const handleClear = () => {
+    if (!window.confirm('모든 실행 기록을 삭제할까요?')) return
+    setSelectedIds([])
+    onClear()
+  }
+
+  return (
+    <div className="sweep-section history-section">
+      <h2>실행 기록</h2>
+      {runs.length === 0 ? (
+        <p className="run-comparison-note">시뮬레이션을 실행하면 입력과 결과가 이 브라우저에 기록됩니다.</p>
+      ) : (
+        <div className="parameters-section">
+          <p className="run-comparison-note">
+            2개 이상 선택하면 결과를 겹쳐 비교합니다. 처음 선택한 실행이 비교 기준입니다.
+            선택한 실행은 PDF 보고서 하나로 묶어 저장할 수 있습니다.
+          </p>
+          <table className="probe-table">
+            <thead>
+              <tr>
+                <th>비교</th>
+                <th>이름</th>
+                <th>실행 시각</th>
+                <th>발광층</th>
+                <th>최종 온도 (°C)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => {
+                const { perovskite_center_temp, emissive_layer_name } = run.result
+                const order = selectedIds.indexOf(run.id)
+                return (
+                  <tr key={run.id}>
+                    <td>
+                      <label className="run-select">
+                        <input type="checkbox" checked={order >= 0} onChange={() => toggleSelected(run.id)} />
+                        {order >= 0 && <span>{order + 1}</span>}
+                      </label>
+                    </td>
+                    <td>
+                      <input
+                        key={run.label}
+                        className="layer-name-input"
+                        defaultValue={run.label}
+                        placeholder={formatRunLabel(run)}
+                        onBlur={(e) => {
+                          if (e.target.value !== run.label) onRename(run.id, e.target.value.trim())
+                        }}
+                      />
+                    </td>
+                    <td>{formatTimestamp(run.createdAt)}</td>
+                    <td>{emissive_layer_name}</td>
+                    <td>{perovskite_center_temp[perovskite_center_temp.length - 1].toFixed(2)}</td>
+                    <td className="run-actions">
+                      <button type="button" className="layer-action-button" onClick={() => onLoad(run)}>
+                        불러오기
+                      </button>
+                      <button type="button" className="layer-action-button layer-action-danger" onClick={() => onDelete(run.id)}>
+                        삭제
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <div className="sweep-controls">
+            <button
+              type="button"
+              className="layer-action-button"
+              disabled={selectedRuns.length === 0 || reportBusy}
+              onClick={() => onReport(selectedRuns)}
+            >
+              {reportBusy ? 'PDF 만드는 중...' : `선택한 실행 PDF 보고서 (${selectedRuns.length})`}
+            </button>
+            <button type="button" className="layer-action-button layer-action-danger" onClick={handleClear}>
+              전체 기록 삭제
+            </button>
+          </div>
+        </div>
+      )}
+      {selectedRuns.length >= 2 && <RunComparison runs={selectedRuns} />}
+    </div>
+  )
+}
+
+export default RunHistoryPanel
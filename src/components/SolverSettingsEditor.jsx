@@ -0,0 +1,135 @@
+import { updateLayerProperty } from '../layerStack.js'
+import {
+  INTEGRATION_METHOD_LABELS,
+  MESH_MODE_LABELS,
+  OUTPUT_SPACING_LABELS,
+  POINTS_PER_LAYER_KEY,
+  computeGridSize,
+  pointsPerLayerKey
+} from '../solverSettings.js'
+import { INTEGRATION_METHODS, LOCAL_INTEGRATION_METHOD, MESH_MODES, OUTPUT_SPACINGS, defaultPointsPerLayer } from '../solver/solverOptions.js'
+import { SOLVER_MODES } from '../solver/simulationClient.js'
+import { ANALYSIS_MODES } from '../solver/thermalModel.js'
+import { fieldClassName, parseNumberInput } from '../validation.js'
+import FieldMessage from './FieldMessage.jsx'
+
+// 고급 설정: 격자 해상도, 출력 시간, 허용 오차, 적분 방법 (서버 솔버만)
+function SolverSettingsEditor({ formData, solverMode, validation, onChange }) {
+  const { errors, warnings } = validation
+  const isSteady = formData.analysis_mode === ANALYSIS_MODES.STEADY
+  const grid = computeGridSize(formData)
+
+  const handleChange = (field, value) => onChange({ ...formData, [field]: value })
+
+  // 레이어별 노드 수로 바꿀 때는 현재 스택의 기본 분포에서 시작
+  const handleMeshModeChange = (mode) => {
+    const next = { ...formData, mesh_mode: mode }
+    if (mode === MESH_MODES.POINTS && formData.mesh_mode === MESH_MODES.DEFAULT) {
+      next.points_per_layer = defaultPointsPerLayer(formData.layer_names.length, formData.emissive_layer_index)
+    }
+    onChange(next)
+  }
+
+  const numberField = (field, label, step, hint) => (
+    <div className="input-field">
+      <label>{label}</label>
+      <input
+        type="number"
+        className={fieldClassName(errors[field], warnings[field])}
+        value={formData[field]}
+        onChange={(e) => handleChange(field, parseNumberInput(e.target.value))}
+        step={step}
+      />
+      {hint && <small className="input-hint">{hint}</small>}
+      <FieldMessage error={errors[field]} warning={warnings[field]} />
+    </div>
+  )
+
+  return (
+    <details className="solver-settings">
+      <summary>고급 설정 (격자, 출력 시간, 허용 오차)</summary>
+
+      <h4>격자</h4>
+      <div className="parameters-grid">
+        <div className="input-field">
+          <label>격자 해상도</label>
+          <select value={formData.mesh_mode} onChange={(e) => handleMeshModeChange(e.target.value)}>
+            {Object.values(MESH_MODES).map(mode => (
+              <option key={mode} value={mode}>{MESH_MODE_LABELS[mode]}</option>
+            ))}
+          </select>
+        </div>
+        {formData.mesh_mode === MESH_MODES.MAX_CELL && numberField('max_cell_size_nm', '최대 셀 크기 (nm)', '1', '활성층에만 적용, 기판은 기본값 50')}
+        {formData.mesh_mode === MESH_MODES.POINTS && formData.layer_names.map((name, i) => {
+          const key = pointsPerLayerKey(i)
+          return (
+            <div className="input-field" key={i}>
+              <label>{name} 노드 수</label>
+              <input
+                type="number"
+                className={fieldClassName(errors[key], warnings[key])}
+                value={formData.points_per_layer[i]}
+                onChange={(e) => onChange(updateLayerProperty(formData, i, 'points_per_layer', parseNumberInput(e.target.value)))}
+                step="1"
+                min="1"
+              />
+              <FieldMessage error={errors[key]} warning={warnings[key]} />
+            </div>
+          )
+        })}
+      </div>
+      {grid && (
+        <p className="drive-hint">
+          전체 노드 {grid.nodes}개 (레이어별 {grid.points.join(' / ')})
+        </p>
+      )}
+      <FieldMessage error={errors[POINTS_PER_LAYER_KEY]} warning={warnings[POINTS_PER_LAYER_KEY]} />
+
+      {isSteady ? (
+        <p className="drive-hint">정상상태 해석은 Newton 반복으로 바로 풀기 때문에 출력 시간과 허용 오차를 사용하지 않습니다.</p>
+      ) : (
+        <>
+          <h4>출력 시간</h4>
+          <div className="parameters-grid">
+            {numberField('output_points', '출력 시간 점 수', '10')}
+            <div className="input-field">
+              <label>출력 시간 간격</label>
+              <select value={formData.output_spacing} onChange={(e) => handleChange('output_spacing', e.target.value)}>
+                {Object.values(OUTPUT_SPACINGS).map(spacing => (
+                  <option key={spacing} value={spacing}>{OUTPUT_SPACING_LABELS[spacing]}</option>
+                ))}
+              </select>
+            </div>
+            {formData.output_spacing === OUTPUT_SPACINGS.LOG &&
+              numberField('log_first_time', '첫 출력 시간 (s, 시작 기준)', '0.001', '이후 종료 시간까지 로그 간격')}
+          </div>
+
+          <h4>적분기</h4>
+          <div className="parameters-grid">
+            {numberField('rtol', '상대 허용 오차 (rtol)', '0.00001')}
+            {numberField('atol', '절대 허용 오차 (atol, K)', '0.000001')}
+            <div className="input-field">
+              <label>적분 방법</label>
+              <select
+                value={solverMode === SOLVER_MODES.SERVER ? formData.integration_method : LOCAL_INTEGRATION_METHOD}
+                disabled={solverMode !== SOLVER_MODES.SERVER}
+                onChange={(e) => handleChange('integration_method', e.target.value)}
+              >
+                {solverMode === SOLVER_MODES.SERVER
+                  ? Object.values(INTEGRATION_METHODS).map(method => (
+                    <option key={method} value={method}>{INTEGRATION_METHOD_LABELS[method]}</option>
+                  ))
+                  : <option value={LOCAL_INTEGRATION_METHOD}>BDF2 (브라우저 솔버)</option>}
+              </select>
+              {solverMode !== SOLVER_MODES.SERVER && (
+                <small className="input-hint">적분 방법은 서버 솔버에서만 고를 수 있습니다.</small>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </details>
+  )
+}
+
+export default SolverSettingsEditor
@@ -0,0 +1,117 @@
+// 정상상태 결과: 상부/하부 표면 방열 분해와 레이어별 직렬 열저항 표
+// 결과에 보관된 heat_balance, layer_resistances, boundary_resistances, path_resistances (simulationPayload.js)를 표시
+
+const formatFlux = (value) => value.toFixed(2)
+const formatResistance = (value) => (Number.isFinite(value) ? value.toExponential(3) : '∞')
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`
+
+function SteadyStatePanel({ result }) {
+  const { heat_balance: balance, layer_resistances: layers, path_resistances: paths } = result
+  const totalLoss = balance.top.total + balance.bottom.total
+  const surfaces = [
+    { key: 'top', label: `상부 (${result.layer_names[result.layer_names.length - 1]})`, loss: balance.top, path: paths.top },
+    { key: 'bottom', label: `하부 (${result.substrate_name})`, loss: balance.bottom, path: paths.bottom }
+  ]
+  // 전도 저항이 가장 큰 레이어 강조
+  const dominantIndex = layers.reduce((best, r, i) => (r.resistance > layers[best].resistance ? i : best), 0)
+  // 완전 접촉이 아닌 계면만 (계면 열저항이 없던 이전 결과에는 boundary_resistances가 없음)
+  const interfaces = (result.boundary_resistances ?? []).filter(r => r.resistance > 0)
+
+  return (
+    <div className="steady-state-panel">
+      <h4>표면 방열 분해 (W/m²)</h4>
+      <table className="probe-table">
+        <thead>
+          <tr>
+            <th>표면</th>
+            <th>표면 온도 (°C)</th>
+            <th>대류</th>
+            <th>복사</th>
+            <th>전도 (고정 온도/히트싱크/열유속)</th>
+            <th>합계</th>
+            <th>방열 비율</th>
+          </tr>
+        </thead>
+        <tbody>
+          {surfaces.map(({ key, label, loss }) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td>{loss.temperature.toFixed(2)}</td>
+              <td>{formatFlux(loss.convection)}</td>
+              <td>{formatFlux(loss.radiation)}</td>
+              <td>{formatFlux(loss.conduction ?? 0)}</td>
+              <td>{formatFlux(loss.total)}</td>
+              <td>{totalLoss > 0 ? formatPercent(loss.total / totalLoss) : '-'}</td>
+            </tr>
+          ))}
+          <tr className="steady-state-total">
+            <td>방열 합계 / 발생 열</td>
+            <td></td>
+            <td>{formatFlux(balance.top.convection + balance.bottom.convection)}</td>
+            <td>{formatFlux(balance.top.radiation + balance.bottom.radiation)}</td>
+            <td>{formatFlux((balance.top.conduction ?? 0) + (balance.bottom.conduction ?? 0))}</td>
+            <td>{formatFlux(totalLoss)} / {formatFlux(balance.generated)}</td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h4>직렬 열저항 (m²·K/W)</h4>
+      <table className="probe-table">
+        <thead>
+          <tr>
+            <th>레이어</th>
+            <th>두께 (nm)</th>
+            <th>열전도도 (W/m·K, 층 평균 온도)</th>
+            <th>R = L / k</th>
+            <th>전도 저항 비율</th>
+          </tr>
+        </thead>
+        <tbody>
+          {layers.map((layer, i) => (
+            <tr key={i} className={i === dominantIndex ? 'steady-state-dominant' : undefined}>
+              <td>{layer.name}</td>
+              <td>{layer.thickness_nm}</td>
+              <td>{Number(layer.k.toPrecision(4))}</td>
+              <td>{formatResistance(layer.resistance)}</td>
+              <td>{formatPercent(layer.share)}</td>
+            </tr>
+          ))}
+          {interfaces.map(boundary => (
+            <tr key={`interface-${boundary.name}`}>
+              <td>계면 {boundary.name}</td>
+              <td>-</td>
+              <td>-</td>
+              <td>{formatResistance(boundary.resistance)}</td>
+              <td>{formatPercent(boundary.share)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4>발광층 중간에서 주변까지의 열 경로 (m²·K/W)</h4>
+      <table className="probe-table">
+        <thead>
+          <tr>
+            <th>경로</th>
+            <th>전도</th>
+            <th>표면 (대류 + 선형화 복사)</th>
+            <th>합계</th>
+          </tr>
+        </thead>
+        <tbody>
+          {surfaces.map(({ key, label, path }) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td>{formatResistance(path.conduction)}</td>
+              <td>{formatResistance(path.surface)}</td>
+              <td>{formatResistance(path.total)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default SteadyStatePanel
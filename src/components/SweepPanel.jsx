@@ -0,0 +1,278 @@
+import { useRef, useState } from 'react'
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts'
+import * as XLSX from 'xlsx'
+import {
+  SWEEP_SCALES,
+  MAX_SWEEP_STEPS,
+  buildSweepValues,
+  formatParameterLabel,
+  getParameterValue,
+  getSweepParameters,
+  runSweep
+} from '../sweep.js'
+import { isAbortError } from '../solver/simulationClient.js'
+import { dateStamp } from '../fileUtils.js'
+
+const formatValue = (v) => Number(v.toPrecision(4)).toString()
+
+// 스윕 곡선 색상 (파랑 → 빨강)
+const getSweepColor = (i, n) => `hsl(${n > 1 ? 240 - 240 * i / (n - 1) : 240}, 70%, 45%)`
+
+// 파라미터 스윕 패널: 범위 설정, 진행률/취소, 과도응답 겹쳐 그리기, 요약 곡선, Excel 내보내기
+function SweepPanel({ formData, solverMode, inputValid }) {
+  const parameters = getSweepParameters(formData)
+  const [parameterId, setParameterId] = useState('current_density')
+  const [start, setStart] = useState(formData.current_density * 0.5)
+  const [end, setEnd] = useState(formData.current_density * 1.5)
+  const [steps, setSteps] = useState(5)
+  const [scale, setScale] = useState(SWEEP_SCALES.LINEAR)
+  const [running, setRunning] = useState(false)
+  const [progress, setProgress] = useState({ done: 0, total: 0 })
+  const [sweep, setSweep] = useState(null)
+  const [error, setError] = useState(null)
+  const abortRef = useRef(null)
+
+  // 스택 편집으로 선택한 레이어 파라미터가 사라지면 첫 항목으로 대체
+  const parameter = parameters.find(p => p.id === parameterId) || parameters[0]
+
+  const handleParameterChange = (id) => {
+    const next = parameters.find(p => p.id === id)
+    const current = getParameterValue(formData, next)
+    setParameterId(id)
+    setStart(current * 0.5)
+    setEnd(current * 1.5)
+  }
+
+  const handleRun = async () => {
+    let values
+    try {
+      values = buildSweepValues(start, end, steps, scale)
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    setRunning(true)
+    setError(null)
+    setProgress({ done: 0, total: values.length })
+    setSweep({ parameter, scale, points: [] })
+
+    try {
+      await runSweep({
+        formData,
+        parameter,
+        values,
+        mode: solverMode,
+        signal: controller.signal,
+        onPoint: (point, i) => {
+          setSweep(prev => ({ ...prev, points: [...prev.points, point] }))
+          setProgress({ done: i + 1, total: values.length })
+        }
+      })
+    } catch (err) {
+      if (isAbortError(err)) {
+        setError('스윕이 취소되었습니다. 완료된 점까지만 표시합니다.')
+      } else {
+        console.error('스윕 실행 오류:', err)
+        setError(`스윕 실행 중 오류가 발생했습니다: ${err.message}`)
+      }
+    } finally {
+      abortRef.current = null
+      setRunning(false)
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort()
+  }
+
+  const succeeded = sweep ? sweep.points.filter(p => p.success) : []
+  const failed = sweep ? sweep.points.filter(p => !p.success) : []
+
+  const handleExport = () => {
+    if (succeeded.length === 0) {
+      alert('내보낼 스윕 결과가 없습니다.')
+      return
+    }
+    try {
+      const label = formatParameterLabel(sweep.parameter)
+
+      const summaryData = [[label, '최종 온도 (°C)', '소자 내부 최대 온도 (°C)', '상태']]
+      sweep.points.forEach(p => {
+        summaryData.push(p.success
+          ? [Number(p.value), Number(p.finalTemp), Number(p.maxTemp), '성공']
+          : [Number(p.value), '', '', p.error])
+      })
+
+      const transientData = [['시간', ...succeeded.map(p => `${label} = ${formatValue(p.value)}`)]]
+      succeeded[0].time.forEach((t, idx) => {
+        transientData.push([Number(t), ...succeeded.map(p => Number(p.centerTemp[idx]))])
+      })
+
+      const wb = XLSX.utils.book_new()
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summaryData), '스윕 요약')
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(transientData), '발광층 온도 과도응답')
+      XLSX.writeFile(wb, `sweep_${sweep.parameter.field}_${dateStamp()}.xlsx`)
+    } catch (err) {
+      console.error('스윕 Excel 저장 중 오류:', err)
+      alert('Excel 저장 중 오류가 발생했습니다: ' + err.message)
+    }
+  }
+
+  return (
+    <div className="sweep-section">
+      <h2>파라미터 스윕</h2>
+      <div className="parameters-section">
+        <div className="parameters-grid">
+          <div className="input-field">
+            <label>스윕 파라미터</label>
+            <select value={parameter.id} onChange={(e) => handleParameterChange(e.target.value)} disabled={running}>
+              {parameters.map(p => (
+                <option key={p.id} value={p.id}>{formatParameterLabel(p)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="input-field">
+            <label>시작값</label>
+            <input type="number" value={start} onChange={(e) => setStart(parseFloat(e.target.value))} disabled={running} />
+          </div>
+          <div className="input-field">
+            <label>끝값</label>
+            <input type="number" value={end} onChange={(e) => setEnd(parseFloat(e.target.value))} disabled={running} />
+          </div>
+          <div className="input-field">
+            <label>스텝 수</label>
+            <input
+              type="number"
+              value={steps}
+              onChange={(e) => setSteps(parseInt(e.target.value, 10))}
+              min="2"
+              max={MAX_SWEEP_STEPS}
+              step="1"
+              disabled={running}
+            />
+          </div>
+          <div className="input-field">
+            <label>간격</label>
+            <select value={scale} onChange={(e) => setScale(e.target.value)} disabled={running}>
+              <option value={SWEEP_SCALES.LINEAR}>선형</option>
+              <option value={SWEEP_SCALES.LOG}>로그</option>
+            </select>
+          </div>
+        </div>
+        <div className="sweep-controls">
+          {running ? (
+            <button type="button" className="reset-button" onClick={handleCancel}>취소</button>
+          ) : (
+            <button
+              type="button"
+              className="simulate-button"
+              onClick={handleRun}
+              disabled={!inputValid}
+              title={inputValid ? undefined : '입력 오류를 먼저 수정하세요'}
+            >
+              스윕 실행
+            </button>
+          )}
+          {sweep && (
+            <button type="button" className="simulate-button" onClick={handleExport} disabled={running}>
+              스윕 Excel 저장
+            </button>
+          )}
+          {progress.total > 0 && (
+            <div className="sweep-progress">
+              <progress value={progress.done} max={progress.total} />
+              <span>{progress.done} / {progress.total}</span>
+            </div>
+          )}
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        {failed.length > 0 && (
+          <div className="error-message">
+            {failed.map(p => (
+              <div key={p.value}>{formatParameterLabel(sweep.parameter)} = {formatValue(p.value)}: {p.error}</div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {succeeded.length > 0 && (
+        <>
+          <div className="chart-container">
+            <h3>발광층 중간 지점 온도 과도응답 ({formatParameterLabel(sweep.parameter)})</h3>
+            <ResponsiveContainer width="100%" height={400}>
+              <LineChart>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }}
+                  domain={['dataMin', 'dataMax']}
+                  height={60}
+                />
+                <YAxis
+                  label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }}
+                  domain={['auto', 'auto']}
+                />
+                <Tooltip />
+                <Legend verticalAlign="top" />
+                {succeeded.map((p, i) => (
+                  <Line
+                    key={p.value}
+                    data={p.time.map((t, idx) => ({ time: t, temperature: p.centerTemp[idx] }))}
+                    type="monotone"
+                    dataKey="temperature"
+                    name={formatValue(p.value)}
+                    stroke={getSweepColor(i, succeeded.length)}
+                    strokeWidth={2}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-container">
+            <h3>최종 온도 vs {formatParameterLabel(sweep.parameter)}</h3>
+            <ResponsiveContainer width="100%" height={350}>
+              <LineChart data={succeeded.map(p => ({ value: p.value, finalTemp: p.finalTemp, maxTemp: p.maxTemp }))}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="value"
+                  type="number"
+                  scale={sweep.scale === SWEEP_SCALES.LOG ? 'log' : 'auto'}
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={formatValue}
+                  label={{ value: formatParameterLabel(sweep.parameter), position: 'insideBottom', offset: -5 }}
+                  height={60}
+                />
+                <YAxis
+                  label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }}
+                  domain={['auto', 'auto']}
+                />
+                <Tooltip labelFormatter={formatValue} />
+                <Legend verticalAlign="top" />
+                <Line type="monotone" dataKey="finalTemp" name="최종 온도 (발광층 중간)" stroke="#dc2626" strokeWidth={2} isAnimationActive={false} />
+                <Line type="monotone" dataKey="maxTemp" name="소자 내부 최대 온도" stroke="#2563eb" strokeWidth={2} strokeDasharray="5 5" isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SweepPanel
@@ -0,0 +1,235 @@
+import { useEffect, useRef, useState } from 'react'
+import { COLORMAPS, DEFAULT_COLORMAP, sampleColormap } from '../colormaps.js'
+import { nearestIndex } from '../interpolation.js'
+
+// 캔버스 내부 해상도와 여백 (CSS로 가로폭에 맞춰 축소/확대)
+const CANVAS_WIDTH = 900
+const CANVAS_HEIGHT = 380
+const MARGIN = { left: 70, right: 100, top: 15, bottom: 50 }
+const PLOT = {
+  x0: MARGIN.left,
+  x1: CANVAS_WIDTH - MARGIN.right,
+  y0: MARGIN.top,
+  y1: CANVAS_HEIGHT - MARGIN.bottom
+}
+const PLOT_WIDTH = PLOT.x1 - PLOT.x0
+const PLOT_HEIGHT = PLOT.y1 - PLOT.y0
+
+const CLICK_MODES = {
+  TIME: 'time',
+  POSITION: 'position'
+}
+
+// 축 눈금 (1, 2, 5 × 10^n 간격)
+const niceTicks = (min, max, count = 6) => {
+  const range = max - min
+  if (!(range > 0)) return [min]
+  const rough = range / count
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough)
+  const ticks = []
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v)
+  return ticks
+}
+
+const formatTick = (v) => Number(v.toPrecision(4)).toString()
+
+// 활성층 온도의 위치 × 시간 히트맵 (컬러맵 선택, 컬러바, 레이어 경계, 호버 값 표시, 클릭 선택)
+function TemperatureHeatmap({ result, selectedTimeIndex, selectedPositionIndex, onSelectTime, onSelectPosition }) {
+  const canvasRef = useRef(null)
+  const [colormap, setColormap] = useState(DEFAULT_COLORMAP)
+  const [clickMode, setClickMode] = useState(CLICK_MODES.TIME)
+  const [hover, setHover] = useState(null)
+
+  const { time, position_active_nm: positions, temperature_active: temps, layer_boundaries_nm: boundaries } = result
+  const tMin = time[0]
+  const tMax = time[time.length - 1]
+  const xMax = positions[positions.length - 1]
+
+  // 캔버스 좌표 → (시간 인덱스, 노드 인덱스), 플롯 영역 밖이면 null
+  const locate = (cx, cy) => {
+    if (cx < PLOT.x0 || cx > PLOT.x1 || cy < PLOT.y0 || cy > PLOT.y1) return null
+    const t = tMin + (cx - PLOT.x0) / PLOT_WIDTH * (tMax - tMin)
+    const x = xMax * (1 - (cy - PLOT.y0) / PLOT_HEIGHT)
+    return { timeIdx: nearestIndex(time, t), nodeIdx: nearestIndex(positions, x) }
+  }
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+
+    let vMin = Infinity
+    let vMax = -Infinity
+    temps.forEach(row => row.forEach(v => {
+      if (v < vMin) vMin = v
+      if (v > vMax) vMax = v
+    }))
+    const vRange = vMax - vMin || 1
+
+    // 픽셀 열/행마다 가장 가까운 시간/노드 인덱스를 미리 계산
+    const columnTimeIdx = Array.from({ length: PLOT_WIDTH }, (_, c) =>
+      nearestIndex(time, tMin + (c + 0.5) / PLOT_WIDTH * (tMax - tMin)))
+    const rowNodeIdx = Array.from({ length: PLOT_HEIGHT }, (_, r) =>
+      nearestIndex(positions, xMax * (1 - (r + 0.5) / PLOT_HEIGHT)))
+
+    const image = ctx.createImageData(PLOT_WIDTH, PLOT_HEIGHT)
+    for (let r = 0; r < PLOT_HEIGHT; r++) {
+      const row = temps[rowNodeIdx[r]]
+      for (let c = 0; c < PLOT_WIDTH; c++) {
+        const [red, green, blue] = sampleColormap(colormap, (row[columnTimeIdx[c]] - vMin) / vRange)
+        const offset = (r * PLOT_WIDTH + c) * 4
+        image.data[offset] = red
+        image.data[offset + 1] = green
+        image.data[offset + 2] = blue
+        image.data[offset + 3] = 255
+      }
+    }
+    ctx.putImageData(image, PLOT.x0, PLOT.y0)
+
+    const toCanvasX = (t) => PLOT.x0 + (t - tMin) / (tMax - tMin) * PLOT_WIDTH
+    const toCanvasY = (x) => PLOT.y1 - x / xMax * PLOT_HEIGHT
+
+    // 레이어 경계와 이름
+    ctx.font = '11px sans-serif'
+    ctx.textBaseline = 'middle'
+    boundaries.forEach((b, i) => {
+      if (i > 0 && i < boundaries.length - 1) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)'
+        ctx.setLineDash([4, 4])
+        ctx.beginPath()
+        ctx.moveTo(PLOT.x0, toCanvasY(b))
+        ctx.lineTo(PLOT.x1, toCanvasY(b))
+        ctx.stroke()
+        ctx.setLineDash([])
+      }
+      if (i < boundaries.length - 1 && result.layer_names[i]) {
+        const yMid = toCanvasY((b + boundaries[i + 1]) / 2)
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)'
+        ctx.fillText(result.layer_names[i], PLOT.x0 + 6, yMid)
+      }
+    })
+
+    // 선택한 시간/위치 표시
+    ctx.strokeStyle = '#22d3ee'
+    ctx.lineWidth = 1.5
+    if (selectedTimeIndex !== null) {
+      const cx = toCanvasX(time[selectedTimeIndex])
+      ctx.beginPath()
+      ctx.moveTo(cx, PLOT.y0)
+      ctx.lineTo(cx, PLOT.y1)
+      ctx.stroke()
+    }
+    if (selectedPositionIndex !== null) {
+      const cy = toCanvasY(positions[selectedPositionIndex])
+      ctx.beginPath()
+      ctx.moveTo(PLOT.x0, cy)
+      ctx.lineTo(PLOT.x1, cy)
+      ctx.stroke()
+    }
+    ctx.lineWidth = 1
+
+    // 축과 눈금
+    ctx.strokeStyle = '#666'
+    ctx.strokeRect(PLOT.x0, PLOT.y0, PLOT_WIDTH, PLOT_HEIGHT)
+    ctx.fillStyle = '#333'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    niceTicks(tMin, tMax).forEach(t => {
+      ctx.fillText(formatTick(t), toCanvasX(t), PLOT.y1 + 6)
+    })
+    ctx.fillText('시간 (s)', PLOT.x0 + PLOT_WIDTH / 2, PLOT.y1 + 26)
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'middle'
+    niceTicks(0, xMax).forEach(x => {
+      ctx.fillText(formatTick(x), PLOT.x0 - 6, toCanvasY(x))
+    })
+    ctx.save()
+    ctx.translate(16, PLOT.y0 + PLOT_HEIGHT / 2)
+    ctx.rotate(-Math.PI / 2)
+    ctx.textAlign = 'center'
+    ctx.fillText('ITO/Glass 경계로부터의 위치 (nm)', 0, 0)
+    ctx.restore()
+
+    // 컬러바
+    const barX = PLOT.x1 + 20
+    const barWidth = 16
+    for (let r = 0; r < PLOT_HEIGHT; r++) {
+      const [red, green, blue] = sampleColormap(colormap, 1 - r / (PLOT_HEIGHT - 1))
+      ctx.fillStyle = `rgb(${red}, ${green}, ${blue})`
+      ctx.fillRect(barX, PLOT.y0 + r, barWidth, 1)
+    }
+    ctx.strokeRect(barX, PLOT.y0, barWidth, PLOT_HEIGHT)
+    ctx.fillStyle = '#333'
+    ctx.textAlign = 'left'
+    niceTicks(vMin, vMax, 5).forEach(v => {
+      ctx.fillText(formatTick(v), barX + barWidth + 4, PLOT.y1 - (v - vMin) / vRange * PLOT_HEIGHT)
+    })
+    ctx.fillText('°C', barX, PLOT.y1 + 16)
+  }, [result, time, positions, temps, boundaries, tMin, tMax, xMax, colormap, selectedTimeIndex, selectedPositionIndex])
+
+  const toCanvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return {
+      cx: (e.clientX - rect.left) * CANVAS_WIDTH / rect.width,
+      cy: (e.clientY - rect.top) * CANVAS_HEIGHT / rect.height
+    }
+  }
+
+  const handleMouseMove = (e) => {
+    const { cx, cy } = toCanvasPoint(e)
+    const hit = locate(cx, cy)
+    setHover(hit && {
+      t: time[hit.timeIdx],
+      x: positions[hit.nodeIdx],
+      T: temps[hit.nodeIdx][hit.timeIdx]
+    })
+  }
+
+  const handleClick = (e) => {
+    const { cx, cy } = toCanvasPoint(e)
+    const hit = locate(cx, cy)
+    if (!hit) return
+    if (clickMode === CLICK_MODES.TIME) onSelectTime(hit.timeIdx)
+    else onSelectPosition(hit.nodeIdx)
+  }
+
+  return (
+    <div>
+      <div className="heatmap-toolbar">
+        <div className="input-field">
+          <label>컬러맵</label>
+          <select value={colormap} onChange={(e) => setColormap(e.target.value)}>
+            {Object.entries(COLORMAPS).map(([name, { label }]) => (
+              <option key={name} value={name}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-field">
+          <label>클릭 동작</label>
+          <select value={clickMode} onChange={(e) => setClickMode(e.target.value)}>
+            <option value={CLICK_MODES.TIME}>프로파일 그래프 시간 선택</option>
+            <option value={CLICK_MODES.POSITION}>과도응답 그래프 위치 선택</option>
+          </select>
+        </div>
+        <div className="heatmap-readout">
+          {hover
+            ? `t = ${hover.t.toFixed(2)} s, x = ${hover.x.toFixed(1)} nm, T = ${hover.T.toFixed(2)} °C`
+            : '히트맵 위에 마우스를 올리면 값이 표시됩니다.'}
+        </div>
+      </div>
+      <canvas
+        ref={canvasRef}
+        className="heatmap-canvas"
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+        onClick={handleClick}
+      />
+    </div>
+  )
+}
+
+export default TemperatureHeatmap
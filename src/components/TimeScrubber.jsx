@@ -0,0 +1,53 @@
+import { useEffect } from 'react'
+
+// 재생 시 프레임 간격 (ms)과 프레임당 전진할 시간 스텝 수 선택지
+const FRAME_INTERVAL_MS = 80
+const PLAYBACK_SPEEDS = [1, 2, 5, 10]
+
+// 시간 슬라이더 + 재생/일시정지 + 스냅샷 고정 버튼
+function TimeScrubber({ time, timeIndex, onChange, playing, onPlayingChange, speed, onSpeedChange, onPin, pinDisabled }) {
+  const lastIndex = time.length - 1
+
+  useEffect(() => {
+    if (!playing) return
+    if (timeIndex >= lastIndex) {
+      onPlayingChange(false)
+      return
+    }
+    const timer = setTimeout(() => onChange(Math.min(timeIndex + speed, lastIndex)), FRAME_INTERVAL_MS)
+    return () => clearTimeout(timer)
+  }, [playing, timeIndex, lastIndex, speed, onChange, onPlayingChange])
+
+  // 끝에서 재생을 누르면 처음부터 다시 재생
+  const handleTogglePlay = () => {
+    if (!playing && timeIndex >= lastIndex) onChange(0)
+    onPlayingChange(!playing)
+  }
+
+  return (
+    <div className="time-scrubber">
+      <button type="button" className="layer-action-button" onClick={handleTogglePlay}>
+        {playing ? '일시정지' : '재생'}
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={lastIndex}
+        step="1"
+        value={timeIndex}
+        onChange={(e) => onChange(parseInt(e.target.value, 10))}
+      />
+      <span className="time-scrubber-value">t = {time[timeIndex].toFixed(1)} s</span>
+      <select value={speed} onChange={(e) => onSpeedChange(parseInt(e.target.value, 10))} title="재생 속도">
+        {PLAYBACK_SPEEDS.map(s => (
+          <option key={s} value={s}>{s}×</option>
+        ))}
+      </select>
+      <button type="button" className="layer-action-button" onClick={onPin} disabled={pinDisabled}>
+        스냅샷 고정
+      </button>
+    </div>
+  )
+}
+
+export default TimeScrubber
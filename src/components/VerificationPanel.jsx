@@ -0,0 +1,234 @@
+import { useRef, useState } from 'react'
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts'
+import {
+  BASE_CASE_ID,
+  VERIFICATION_LEVELS,
+  VERIFICATION_LEVEL_LABELS,
+  analyzeVerification,
+  buildVerificationCases,
+  runVerification
+} from '../verification.js'
+import { isAbortError } from '../solver/simulationClient.js'
+
+const CHART_HEIGHT = 320
+const CASE_COLORS = ['#111827', '#2563eb', '#7c3aed', '#dc2626', '#ea580c']
+
+const LEVEL_CLASS_NAMES = {
+  [VERIFICATION_LEVELS.GOOD]: 'stability-banner stability-stable',
+  [VERIFICATION_LEVELS.CAUTION]: 'stability-banner warning-message',
+  [VERIFICATION_LEVELS.POOR]: 'stability-banner error-message'
+}
+
+const formatDelta = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(4)}`)
+const formatPercent = (value) => `${(value * 100).toFixed(2)}%`
+
+// 정확도 검증 패널: 격자 세분화와 Glass 축소 배율을 바꿔 다시 계산하고 수렴 표, 온도 변화 그래프, 판정 표시
+function VerificationPanel({ formData, solverMode, inputValid }) {
+  const [running, setRunning] = useState(false)
+  const [progress, setProgress] = useState({ done: 0, total: 0 })
+  const [results, setResults] = useState([])
+  const [verifiedInputs, setVerifiedInputs] = useState(null)
+  const [error, setError] = useState(null)
+  const abortRef = useRef(null)
+
+  const handleRun = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setRunning(true)
+    setError(null)
+    setResults([])
+    setVerifiedInputs(formData)
+    setProgress({ done: 0, total: buildVerificationCases(formData).length })
+
+    try {
+      await runVerification({
+        formData,
+        mode: solverMode,
+        signal: controller.signal,
+        onCase: (entry, i, total) => {
+          setResults(prev => [...prev, entry])
+          setProgress({ done: i + 1, total })
+        }
+      })
+    } catch (err) {
+      if (isAbortError(err)) {
+        setError('검증이 취소되었습니다. 완료된 실행까지만 표시합니다.')
+      } else {
+        console.error('정확도 검증 오류:', err)
+        setError(`정확도 검증 중 오류가 발생했습니다: ${err.message}`)
+      }
+    } finally {
+      abortRef.current = null
+      setRunning(false)
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort()
+  }
+
+  const analysis = verifiedInputs && analyzeVerification(results, verifiedInputs)
+  const failed = results.filter(entry => !entry.success)
+  const succeeded = results.filter(entry => entry.success)
+  const base = succeeded.find(entry => entry.id === BASE_CASE_ID)
+  // 기준 결과 대비 발광층 온도 변화 ΔT(t) (같은 출력 시간끼리, 정상상태는 시간 점이 하나라 생략)
+  const compared = base ? succeeded.filter(entry => entry !== base && entry.time.length === base.time.length) : []
+  const transientRows = base && base.time.length > 1
+    ? base.time.map((t, idx) => Object.fromEntries([
+      ['time', t],
+      ...compared.map(entry => [entry.id, entry.centerTemp[idx] - base.centerTemp[idx]])
+    ]))
+    : null
+  const meshRows = analysis ? analysis.rows.filter(row => row.meshSeries && row.nodes !== null) : []
+
+  return (
+    <div className="sweep-section verification-section">
+      <h2>정확도 검증</h2>
+      <p className="drive-hint">
+        현재 설정을 격자 노드 수 2배, 4배와 Glass 두께 축소 배율(기본 10000배)을 바꿔 다시 계산해
+        발광층 중간 온도의 변화로 이산화 오차를 추정합니다.
+      </p>
+      <div className="sweep-controls">
+        {running ? (
+          <button type="button" className="reset-button" onClick={handleCancel}>취소</button>
+        ) : (
+          <button
+            type="button"
+            className="simulate-button"
+            onClick={handleRun}
+            disabled={!inputValid}
+            title={inputValid ? undefined : '입력 오류를 먼저 수정하세요'}
+          >
+            정확도 검증
+          </button>
+        )}
+        {progress.total > 0 && (
+          <div className="sweep-progress">
+            <progress value={progress.done} max={progress.total} />
+            <span>{progress.done} / {progress.total}</span>
+          </div>
+        )}
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      {failed.length > 0 && (
+        <div className="error-message">
+          {failed.map(entry => <div key={entry.id}>{entry.label}: {entry.error}</div>)}
+        </div>
+      )}
+
+      {analysis && (
+        <div className="chart-container diagnostics-panel">
+          {analysis.level && (
+            <div className={LEVEL_CLASS_NAMES[analysis.level]}>
+              <strong>{VERIFICATION_LEVEL_LABELS[analysis.level]}</strong>
+              {' '}— 추정 오차 {analysis.totalError.toFixed(4)} K, 온도 상승 {analysis.rise.toFixed(2)} K의 {formatPercent(analysis.relativeError)}
+            </div>
+          )}
+
+          <h4>수렴 표 (발광층 중간 온도)</h4>
+          <table className="probe-table">
+            <thead>
+              <tr>
+                <th>실행</th>
+                <th>노드 수</th>
+                <th>Glass 축소 배율</th>
+                <th>최종 온도 (°C)</th>
+                <th>기준 대비 (K)</th>
+                <th>과도응답 최대 차이 (K)</th>
+                <th>계산 시간 (s)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.rows.map(row => (
+                <tr key={row.id}>
+                  <td>{row.label}{row.reference && ' (비교 기준)'}</td>
+                  <td>{row.nodes ?? '-'}</td>
+                  <td>{row.glassScale}</td>
+                  <td>{row.finalTemp.toFixed(4)}</td>
+                  <td>{formatDelta(row.deltaFinal)}</td>
+                  <td>{row.transientDelta === null ? '-' : row.transientDelta.toFixed(4)}</td>
+                  <td>{row.wallTime === null ? '-' : row.wallTime.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="probe-table diagnostics-summary">
+            <tbody>
+              {analysis.mesh && (
+                <>
+                  <tr><td>격자 관측 수렴 차수</td><td>{analysis.mesh.order === null ? '- (단조 수렴 아님, 최대 격자와의 차이 사용)' : analysis.mesh.order.toFixed(2)}</td></tr>
+                  <tr><td>Richardson 외삽 최종 온도 (°C)</td><td>{analysis.mesh.extrapolated === null ? '-' : analysis.mesh.extrapolated.toFixed(4)}</td></tr>
+                  <tr><td>기준 격자 추정 이산화 오차 (K)</td><td>{analysis.mesh.error.toFixed(4)}</td></tr>
+                  <tr><td>가장 고운 격자 GCI (K)</td><td>{analysis.mesh.gci === null ? '-' : analysis.mesh.gci.toFixed(4)}</td></tr>
+                </>
+              )}
+              {analysis.glass && (
+                <tr><td>Glass 축소로 인한 최종 온도 차이 (K)</td><td>{analysis.glass.error.toFixed(4)}</td></tr>
+              )}
+            </tbody>
+          </table>
+
+          {transientRows && (
+            <>
+              <h4>기준 결과 대비 발광층 중간 온도 변화 ΔT(t)</h4>
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <LineChart data={transientRows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} label={{ value: '시간 (s)', position: 'insideBottom', offset: -5 }} height={50} />
+                  <YAxis label={{ value: 'ΔT (K)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+                  <Tooltip />
+                  <Legend verticalAlign="top" />
+                  <ReferenceLine y={0} stroke="#888" />
+                  {compared.map((entry, i) => (
+                    <Line
+                      key={entry.id}
+                      type="monotone"
+                      dataKey={entry.id}
+                      name={entry.label}
+                      stroke={CASE_COLORS[(i + 1) % CASE_COLORS.length]}
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </>
+          )}
+
+          {meshRows.length > 1 && (
+            <>
+              <h4>격자 수렴: 최종 온도 vs 노드 수</h4>
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <LineChart data={meshRows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="nodes" type="number" scale="log" domain={['dataMin', 'dataMax']} label={{ value: '노드 수', position: 'insideBottom', offset: -5 }} height={50} />
+                  <YAxis label={{ value: '온도 (°C)', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+                  <Tooltip />
+                  <Legend verticalAlign="top" />
+                  {analysis.mesh?.extrapolated !== null && analysis.mesh?.extrapolated !== undefined && (
+                    <ReferenceLine y={analysis.mesh.extrapolated} stroke="#dc2626" strokeDasharray="6 3" label={{ value: '외삽값', fill: '#dc2626', position: 'right' }} />
+                  )}
+                  <Line type="monotone" dataKey="finalTemp" name="최종 온도 (발광층 중간)" stroke="#2563eb" strokeWidth={2} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VerificationPanel
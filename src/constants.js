@@ -0,0 +1,39 @@
+import { DEFAULT_DRIVE } from './drive.js'
+import { DEFAULT_PROPERTY_MODEL, createConstantLayerModels } from './propertyModels.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { DEFAULT_SOURCE_PROFILE } from './heatSource.js'
+import { DEFAULT_AMBIENT_SCHEDULE, DEFAULT_BOUNDARY_CONDITION } from './boundaryConditions.js'
+import { DEFAULT_SOLVER_SETTINGS } from './solverSettings.js'
+import { DEFAULT_LIFETIME } from './lifetime.js'
+
+export const LAYER_NAMES = ['Glass', 'ITO', 'HTL', 'Perovskite', 'ETL', 'Cathode']
+export const DEFAULT_VALUES = {
+  layer_names: LAYER_NAMES,
+  k_therm_layers: [0.8, 10.0, 0.2, 0.5, 0.2, 200.0],
+  rho_layers: [2500, 7140, 1000, 4100, 1200, 2700],
+  c_p_layers: [1000, 280, 1500, 250, 1500, 900],
+  thickness_layers_nm: [1100000, 70, 80, 280, 50, 100],
+  property_models: LAYER_NAMES.map(createConstantLayerModels), // 레이어별 k, ρ, c_p 온도 의존 모델 (propertyModels.js)
+  interface_resistances: [0, 0, 0, 0, 0], // 레이어 i와 i + 1 사이 계면 열저항 (m²·K/W, interfaceResistance.js)
+  emissive_layer_index: 3, // 열원(발광층) 레이어: Perovskite
+  heat_fractions: [0, 0, 0, 100, 0, 0], // 레이어별 발열 비율 (%, 합 100, heatSource.js)
+  source_profile: DEFAULT_SOURCE_PROFILE, // 발광층 안의 발열 분포 모양
+  voltage: 2.9,
+  current_density: 300.0,
+  drive: DEFAULT_DRIVE, // 구동 파형 (drive.js), 전압/전류 밀도는 켜짐(목표) 값
+  eqe: 0.2, // External Quantum Efficiency (20%)
+  eqe_model: DEFAULT_PROPERTY_MODEL, // EQE(T) 모델 (propertyModels.js), 선형 모델의 T_ref 값은 eqe
+  epsilon_top: 0.05, // 상부 방사율 (대류+복사 경계)
+  epsilon_bottom: 0.85, // 하부 방사율
+  boundary_top: DEFAULT_BOUNDARY_CONDITION, // 상부(최상층) 표면 경계 조건 (boundaryConditions.js)
+  boundary_bottom: DEFAULT_BOUNDARY_CONDITION, // 하부(기판) 표면 경계 조건
+  T_ambient: 25.0, // 섭씨 (°C), 시작 온도이자 일정이 없을 때의 주변 온도
+  ambient_schedule: DEFAULT_AMBIENT_SCHEDULE, // 시간에 따른 주변 온도
+  t_start: 0,
+  t_end: 1000.0,
+  analysis_mode: ANALYSIS_MODES.TRANSIENT, // 과도 해석 또는 정상상태 직접 풀이
+  ...DEFAULT_SOLVER_SETTINGS, // 격자, 출력 시간, 허용 오차, 적분 방법 (solverSettings.js)
+  points_per_layer: [50, 20, 20, 40, 20, 20], // 레이어별 노드 수 (mesh_mode가 레이어별 노드 수일 때)
+  probes: [], // 온도 프로브 (probes.js)
+  lifetime: DEFAULT_LIFETIME // Arrhenius 수명 추정 (lifetime.js, 시뮬레이션에는 영향 없음)
+}
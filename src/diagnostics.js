@@ -0,0 +1,171 @@
+// 열유속과 에너지 수지 진단
+// 솔버와 같은 유한체적 그리드(buildGrid, Glass 축소 포함)로 계산하므로
+// 에너지 수지 오차는 솔버의 시간 적분 오차와 진단의 시간 적분(사다리꼴) 오차만 반영한다.
+// 온도 의존 물성은 솔버와 같은 노드별 평가기(createNodeProperties)로 출력 시간마다 다시 계산한다.
+// EQE(T)도 출력 시간마다 발광층 노드 온도로 다시 평가한다 (computeSourceHeatFractions).
+// 열유속의 부호: 양수 = 상부(최상층) 방향, 표면 방열은 주변으로 나가는 방향이 양수
+import { buildFaceResistances, buildGrid, createNodeProperties } from './solver/thermalModel.js'
+import { integrateDriveEnergy } from './drive.js'
+import { computeSourceHeatFractions } from './eqeFeedback.js'
+import { computeFormSourceDistribution } from './heatSource.js'
+import { computeBoundaryLoss, getAmbientTemperature } from './boundaryConditions.js'
+
+// 노드 온도 (°C): Glass 노드 + 활성층 노드 순서 (솔버 노드 순서와 같음)
+const nodeTemperature = (result, node, timeIndex) => {
+  const glassCount = result.temperature_glass.length
+  return node < glassCount
+    ? result.temperature_glass[node][timeIndex]
+    : result.temperature_active[node - glassCount][timeIndex]
+}
+
+// 노드의 제어체적 폭 (m): 경계 노드는 반 칸
+const volumeWidths = ({ dx, rhoCp }) => Array.from(rhoCp, (_, i) => {
+  const left = i > 0 ? dx[i - 1] / 2 : 0
+  const right = i < dx.length ? dx[i] / 2 : 0
+  return left + right
+})
+
+// 인접 노드 사이 면의 컨덕턴스 1 / (dx/k + 계면 열저항) (W/m²·K), k는 조화평균 (솔버와 같음)
+const faceConductance = (dx, k, resistances) =>
+  Array.from(dx, (d, i) => 1 / (d * (k[i] + k[i + 1]) / (2 * k[i] * k[i + 1]) + resistances[i]))
+
+// 누적 사다리꼴 적분
+const cumulativeTrapezoid = (time, values) => {
+  const out = [0]
+  for (let i = 1; i < time.length; i++) {
+    out.push(out[i - 1] + (time[i] - time[i - 1]) * (values[i] + values[i - 1]) / 2)
+  }
+  return out
+}
+
+/**
+ * 결과(섭씨)와 실행 입력으로 열유속/에너지 수지 진단 계산
+ * 반환:
+ *   faces: { position_nm, conductance, conductance_by_time? } — 인접 노드 사이 면의 위치(ITO 시작 기준, Glass는 음수)와
+ *     기준 물성의 1 / (dx/k + 계면 열저항) (W/m²·K). 물성이 온도에 의존하면 출력 시간별 값 conductance_by_time[시간][면]도 포함
+ *   interfaces: [{ name, position_nm, flux: [시간별 W/m²] }] — 레이어 경계 노드 양쪽 면 열유속의 평균
+ *   surface: { top: { convection, radiation, conduction }, bottom: {...} } — 시간별 표면 방열 (W/m²),
+ *     conduction은 고정 온도/히트싱크/고정 열유속 경계로 나가는 열
+ *   energy: { generated, stored, lost, error } — t_start부터 누적 (J/m²), 과도 해석만
+ *   source_ratio: 이산화된 열원이 실제로 넣는 열 / 명목 발열 V·J·(1 - EQE) (발열 비율이 정확히 배분되면 1)
+ */
+export function computeDiagnostics(result, formData) {
+  const grid = buildGrid(formData)
+  const { dx, k, layerRanges } = grid
+  const nodeCount = k.length
+  const { time } = result
+  if (result.temperature_glass.length + result.temperature_active.length !== nodeCount) {
+    throw new Error('결과의 노드 수가 입력으로 만든 그리드와 다릅니다.')
+  }
+
+  // 노드 위치 (ITO 시작 기준 nm)
+  const positions = [
+    ...result.position_glass_nm.map(x => x - result.glass_ito_boundary_nm),
+    ...result.position_active_nm
+  ]
+  // 물성 모델의 온도는 formData와 같은 섭씨이므로 결과 온도(섭씨)로 바로 평가
+  const properties = createNodeProperties(formData, grid)
+  const nodeTemperatures = (timeIndex) => Array.from(k, (_, i) => nodeTemperature(result, i, timeIndex))
+  const resistances = buildFaceResistances(formData, grid)
+  const conductance = faceConductance(dx, k, resistances)
+  const conductanceByTime = properties.temperatureDependent
+    ? time.map((_, t) => faceConductance(dx, properties.evaluate(nodeTemperatures(t)).k, resistances))
+    : null
+  const faceFlux = (i, timeIndex) =>
+    -(conductanceByTime ? conductanceByTime[timeIndex] : conductance)[i] *
+      (nodeTemperature(result, i + 1, timeIndex) - nodeTemperature(result, i, timeIndex))
+
+  const interfaces = layerRanges.slice(0, -1).map(({ end }, i) => ({
+    name: `${formData.layer_names[i]}/${formData.layer_names[i + 1]}`,
+    position_nm: positions[end],
+    flux: time.map((_, t) => (faceFlux(end - 1, t) + faceFlux(end, t)) / 2)
+  }))
+
+  const side = (node, name) => {
+    const losses = time.map((t, i) =>
+      computeBoundaryLoss(formData, name, nodeTemperature(result, node, i), getAmbientTemperature(formData, t)))
+    return {
+      convection: losses.map(loss => loss.convection),
+      radiation: losses.map(loss => loss.radiation),
+      conduction: losses.map(loss => loss.conduction)
+    }
+  }
+  const surface = {
+    top: side(nodeCount - 1, 'top'),
+    bottom: side(0, 'bottom')
+  }
+
+  // 열원: 노드별 발열량은 발열 비중 × V·J·(1 - EQE)로 물성과 무관 -> 비율은 비중의 합 (발열 비율 합과 같아야 함)
+  const widths = volumeWidths(grid)
+  const { weights: sourceWeights } = computeFormSourceDistribution(formData, grid)
+  const sourceRatio = sourceWeights.reduce((sum, w) => sum + w, 0)
+
+  let energy = null
+  if (!result.steady_state) {
+    // 구동 에너지 증분 × 구간 양 끝 발열 비율 Σ w·(1 - EQE(T))의 평균 (EQE가 일정하면 정확)
+    const driveEnergy = integrateDriveEnergy(formData, time)
+    const heatFractions = computeSourceHeatFractions(result, formData)
+    const generated = [driveEnergy[0] * heatFractions[0]]
+    for (let t = 1; t < time.length; t++) {
+      generated.push(generated[t - 1] + (driveEnergy[t] - driveEnergy[t - 1]) * (heatFractions[t] + heatFractions[t - 1]) / 2)
+    }
+    // 저장 열 = Σ 제어체적 폭 × ∫ρc_p dT (일정 물성이면 열용량 × 온도 변화)
+    const stored = time.map((_, t) => {
+      let sum = 0
+      for (let i = 0; i < nodeCount; i++) {
+        sum += widths[i] * properties.heatContent(i, nodeTemperature(result, i, 0), nodeTemperature(result, i, t))
+      }
+      return sum
+    })
+    const sideLoss = (s, t) => s.convection[t] + s.radiation[t] + s.conduction[t]
+    const totalLoss = time.map((_, t) => sideLoss(surface.top, t) + sideLoss(surface.bottom, t))
+    const lost = cumulativeTrapezoid(time, totalLoss)
+    energy = {
+      generated,
+      stored,
+      lost,
+      error: generated.map((g, t) => g - stored[t] - lost[t])
+    }
+  }
+
+  return {
+    faces: {
+      position_nm: conductance.map((_, i) => (positions[i] + positions[i + 1]) / 2),
+      conductance,
+      ...(conductanceByTime && { conductance_by_time: conductanceByTime })
+    },
+    interfaces,
+    surface,
+    energy,
+    source_ratio: sourceRatio
+  }
+}
+
+/**
+ * 시간 인덱스의 위치별 열유속 [{ position, flux }] (면 위치 기준)
+ */
+export function computeFluxProfile(result, diagnostics, timeIndex) {
+  const { position_nm: positions } = diagnostics.faces
+  const conductance = diagnostics.faces.conductance_by_time?.[timeIndex] ?? diagnostics.faces.conductance
+  return positions.map((position, i) => ({
+    position,
+    flux: -conductance[i] * (nodeTemperature(result, i + 1, timeIndex) - nodeTemperature(result, i, timeIndex))
+  }))
+}
+
+/**
+ * 에너지 수지 요약: 최종 시간 값과 발생 열 대비 최대 상대 오차
+ */
+export function summarizeEnergyBalance(energy) {
+  const last = energy.generated.length - 1
+  const scale = Math.max(...energy.generated.map(Math.abs))
+  const maxError = Math.max(...energy.error.map(Math.abs))
+  return {
+    generated: energy.generated[last],
+    stored: energy.stored[last],
+    lost: energy.lost[last],
+    error: energy.error[last],
+    relativeError: scale > 0 ? energy.error[last] / scale : 0,
+    maxRelativeError: scale > 0 ? maxError / scale : 0
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { DRIVE_TYPES } from './drive.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { computeFluxProfile, summarizeEnergyBalance } from './diagnostics.js'
+
+describe('열유속과 에너지 수지 진단', () => {
+  it('과도 해석의 에너지 수지 오차가 발생 열의 1% 미만이다', () => {
+    const { diagnostics } = simulate(DEFAULT_VALUES)
+    const summary = summarizeEnergyBalance(diagnostics.energy)
+    expect(summary.generated).toBeGreaterThan(0)
+    expect(summary.maxRelativeError).toBeLessThan(0.01)
+  })
+
+  it('펄스 구동에서도 에너지 수지가 맞는다', () => {
+    const formData = { ...DEFAULT_VALUES, t_end: 200, drive: { ...DEFAULT_VALUES.drive, type: DRIVE_TYPES.PULSE, frequency_hz: 0.05, duty: 0.3 } }
+    const summary = summarizeEnergyBalance(simulate(formData).diagnostics.energy)
+    expect(Math.abs(summary.relativeError)).toBeLessThan(0.01)
+  })
+
+  it('온도 의존 열용량과 열전도도에서도 에너지 수지가 맞는다', () => {
+    const formData = {
+      ...DEFAULT_VALUES,
+      current_density: 3000,
+      property_models: DEFAULT_VALUES.property_models.map((models, i) => (i === DEFAULT_VALUES.emissive_layer_index
+        ? {
+            ...models,
+            k_therm_layers: { ...models.k_therm_layers, type: 'linear', T_ref: 25, slope: -0.002 },
+            c_p_layers: { ...models.c_p_layers, type: 'table', table: [{ temperature: 20, value: 250 }, { temperature: 120, value: 400 }] }
+          }
+        : models))
+    }
+    const { diagnostics } = simulate(formData)
+    expect(diagnostics.faces.conductance_by_time).toHaveLength(diagnostics.surface.top.convection.length)
+    expect(summarizeEnergyBalance(diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+  })
+
+  it('레이어 경계마다 계면 열유속을 계산한다', () => {
+    const { diagnostics } = simulate({ ...DEFAULT_VALUES, t_end: 100 })
+    expect(diagnostics.interfaces.map(i => i.name)).toEqual(['Glass/ITO', 'ITO/HTL', 'HTL/Perovskite', 'Perovskite/ETL', 'ETL/Cathode'])
+    expect(diagnostics.interfaces[0].position_nm).toBe(0)
+    // 발광층 아래는 기판 쪽(음수), 위는 상부 쪽(양수)으로 흐른다
+    const last = diagnostics.interfaces[0].flux.length - 1
+    expect(diagnostics.interfaces[1].flux[last]).toBeLessThan(0)
+    expect(diagnostics.interfaces[4].flux[last]).toBeGreaterThan(0)
+  })
+
+  it('정상상태에서 최상단 면의 열유속은 상부 표면 방열과 같다', () => {
+    const formData = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }
+    const result = simulate(formData)
+    const { diagnostics } = result
+    expect(diagnostics.energy).toBeNull()
+    const profile = computeFluxProfile(result, diagnostics, 0)
+    const topLoss = diagnostics.surface.top.convection[0] + diagnostics.surface.top.radiation[0]
+    // Cathode 면의 k/dx가 매우 커서 섭씨 변환의 반올림 오차가 10⁻³ W/m² 수준으로 나타남
+    expect(profile[profile.length - 1].flux).toBeCloseTo(topLoss, 1)
+  })
+})
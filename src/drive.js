@@ -0,0 +1,240 @@
+// 구동 파형 입력 (formData.drive)과 솔버에 보낼 drive_profile 변환
+// 전압/전류 밀도 입력(formData.voltage, current_density)은 펄스의 켜짐 값, 램프/계단의 목표 값으로 쓴다.
+import { DRIVE_INTERPOLATIONS, MAX_DRIVE_SEGMENTS, buildDriveSegments, segmentPowerAt } from './solver/driveProfile.js'
+
+export const DRIVE_TYPES = {
+  CONSTANT: 'constant',
+  PULSE: 'pulse',
+  RAMP: 'ramp',
+  STAIRCASE: 'staircase',
+  TABLE: 'table'
+}
+
+export const DRIVE_TYPE_LABELS = {
+  [DRIVE_TYPES.CONSTANT]: '일정 (DC)',
+  [DRIVE_TYPES.PULSE]: '사각 펄스',
+  [DRIVE_TYPES.RAMP]: '램프',
+  [DRIVE_TYPES.STAIRCASE]: '계단',
+  [DRIVE_TYPES.TABLE]: '구간 선형 표'
+}
+
+// 표 구동의 행별 검증 키 접두어 (`${DRIVE_TABLE_KEY}:${index}`)
+export const DRIVE_TABLE_KEY = 'drive.table'
+
+export const DEFAULT_DRIVE = {
+  type: DRIVE_TYPES.CONSTANT,
+  frequency_hz: 1, // 펄스 주파수 (Hz)
+  duty: 0.5, // 펄스 듀티비 (0 ~ 1)
+  start_voltage: 0, // 램프/계단 시작 전압 (V)
+  start_current_density: 0, // 램프/계단 시작 전류 밀도 (A/m²)
+  ramp_time: 100, // 램프 시간 (s)
+  step_count: 5, // 계단 수
+  step_duration: 100, // 계단 하나의 유지 시간 (s)
+  // 표: 구동 시작(t_start) 기준 시간 (s), 점 사이는 선형, 마지막 점 이후는 유지
+  table: [
+    { time: 0, voltage: 0, current_density: 0 },
+    { time: 100, voltage: 2.9, current_density: 300 },
+    { time: 500, voltage: 2.9, current_density: 300 }
+  ]
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * formData의 구동 파형 -> 솔버 요청의 drive_profile (일정 구동이면 null)
+ */
+export function buildDriveProfile(formData) {
+  const drive = formData.drive
+  const { voltage, current_density: currentDensity } = formData
+  if (!drive || drive.type === DRIVE_TYPES.CONSTANT) return null
+
+  if (drive.type === DRIVE_TYPES.PULSE) {
+    const period = 1 / drive.frequency_hz
+    return {
+      times: [0, drive.duty * period],
+      voltage: [voltage, 0],
+      current_density: [currentDensity, 0],
+      interpolation: DRIVE_INTERPOLATIONS.PREVIOUS,
+      period
+    }
+  }
+  if (drive.type === DRIVE_TYPES.RAMP) {
+    return {
+      times: [0, drive.ramp_time],
+      voltage: [drive.start_voltage, voltage],
+      current_density: [drive.start_current_density, currentDensity],
+      interpolation: DRIVE_INTERPOLATIONS.LINEAR
+    }
+  }
+  if (drive.type === DRIVE_TYPES.STAIRCASE) {
+    // 첫 계단부터 시작 값에서 한 단계 올라가고, 마지막 계단(목표 값)은 끝까지 유지
+    const steps = Array.from({ length: drive.step_count }, (_, k) => (k + 1) / drive.step_count)
+    return {
+      times: steps.map((_, k) => k * drive.step_duration),
+      voltage: steps.map(f => drive.start_voltage + (voltage - drive.start_voltage) * f),
+      current_density: steps.map(f => drive.start_current_density + (currentDensity - drive.start_current_density) * f),
+      interpolation: DRIVE_INTERPOLATIONS.PREVIOUS
+    }
+  }
+  if (drive.type === DRIVE_TYPES.TABLE) {
+    return {
+      times: drive.table.map(row => row.time),
+      voltage: drive.table.map(row => row.voltage),
+      current_density: drive.table.map(row => row.current_density),
+      interpolation: DRIVE_INTERPOLATIONS.LINEAR
+    }
+  }
+  throw new Error(`알 수 없는 구동 파형입니다: ${drive.type}`)
+}
+
+const getDriveSegments = (formData) =>
+  buildDriveSegments({ ...formData, drive_profile: buildDriveProfile(formData) }, formData.t_start, formData.t_end)
+
+/**
+ * 인가 전력 밀도 V·J (W/m²) 파형: 구간 경계마다 점을 찍어 계단/선형 모양을 그대로 표현
+ * { time: [...], power: [...] }
+ */
+export function computeDriveWaveform(formData) {
+  const time = []
+  const power = []
+  getDriveSegments(formData).forEach(segment => {
+    time.push(segment.start, segment.end)
+    power.push(segmentPowerAt(segment, segment.start, 0), segmentPowerAt(segment, segment.end, 0))
+  })
+  return { time, power }
+}
+
+/**
+ * 출력 시간마다의 인가 전력 밀도 V·J (W/m²). 구간 경계에서는 새로 시작하는 구간의 값
+ */
+export function sampleDrivePower(formData, times) {
+  const segments = getDriveSegments(formData)
+  let s = 0
+  return times.map(t => {
+    while (s < segments.length - 1 && t >= segments[s].end) s++
+    return segmentPowerAt(segments[s], t, 0)
+  })
+}
+
+/**
+ * 구동 시작부터 각 시간까지 누적 인가 에너지 ∫V·J dt (J/m²)
+ * 구간 안에서 V·J는 시간의 2차식이므로 Simpson 공식으로 정확히 적분
+ */
+export function integrateDriveEnergy(formData, times) {
+  const segments = getDriveSegments(formData)
+  const segmentEnergy = (segment, end) => {
+    const mid = (segment.start + end) / 2
+    return (end - segment.start) / 6 *
+      (segmentPowerAt(segment, segment.start, 0) + 4 * segmentPowerAt(segment, mid, 0) + segmentPowerAt(segment, end, 0))
+  }
+  let s = 0
+  let completed = 0 // 이미 지난 구간들의 에너지 합
+  return times.map(t => {
+    while (s < segments.length - 1 && t >= segments[s].end) {
+      completed += segmentEnergy(segments[s], segments[s].end)
+      s++
+    }
+    return completed + segmentEnergy(segments[s], Math.min(Math.max(t, segments[s].start), segments[s].end))
+  })
+}
+
+/**
+ * 정상상태 추정에 쓸 대표 인가 전력 밀도 V·J (W/m²)
+ * 펄스는 시간 평균 (주기가 열 시정수보다 짧다고 가정), 표는 최댓값, 램프/계단은 최종 유지 값
+ */
+export function getRepresentativeDrivePower(formData) {
+  const drive = formData.drive
+  const targetPower = formData.voltage * formData.current_density
+  if (!drive) return targetPower
+  if (drive.type === DRIVE_TYPES.PULSE) return targetPower * drive.duty
+  if (drive.type === DRIVE_TYPES.TABLE) return Math.max(...drive.table.map(row => row.voltage * row.current_density))
+  return targetPower
+}
+
+/**
+ * 구동 파형 한 줄 설명 (보고서용, 표의 점은 따로 나열)
+ */
+export function describeDrive(drive) {
+  if (!drive) return DRIVE_TYPE_LABELS[DRIVE_TYPES.CONSTANT]
+  const label = DRIVE_TYPE_LABELS[drive.type]
+  if (drive.type === DRIVE_TYPES.PULSE) return `${label}: ${drive.frequency_hz} Hz, 듀티비 ${drive.duty}`
+  if (drive.type === DRIVE_TYPES.RAMP) {
+    return `${label}: ${drive.start_voltage} V, ${drive.start_current_density} A/m²에서 ${drive.ramp_time} s 동안`
+  }
+  if (drive.type === DRIVE_TYPES.STAIRCASE) {
+    return `${label}: ${drive.start_voltage} V, ${drive.start_current_density} A/m²에서 ${drive.step_count}단 × ${drive.step_duration} s`
+  }
+  if (drive.type === DRIVE_TYPES.TABLE) return `${label}: ${drive.table.length}점`
+  return label
+}
+
+/**
+ * 구동 파형 입력 검증. 키는 `drive.<필드>` 또는 표 행의 `${DRIVE_TABLE_KEY}:${index}`
+ * span: 시뮬레이션 시간 길이 (s, 알 수 없으면 NaN) — 펄스 구간 수 제한 확인용
+ */
+export function validateDrive(drive, span) {
+  const errors = {}
+  const warnings = {}
+  const requirePositive = (field, label) => {
+    const value = drive[field]
+    if (!isNumber(value)) errors[`drive.${field}`] = `${label}을(를) 입력하세요.`
+    else if (value <= 0) errors[`drive.${field}`] = `${label}은(는) 0보다 커야 합니다.`
+  }
+  const requireNonNegative = (field, label) => {
+    const value = drive[field]
+    if (!isNumber(value)) errors[`drive.${field}`] = `${label}을(를) 입력하세요.`
+    else if (value < 0) errors[`drive.${field}`] = `${label}은(는) 0 이상이어야 합니다.`
+  }
+
+  if (drive.type === DRIVE_TYPES.PULSE) {
+    requirePositive('frequency_hz', '펄스 주파수')
+    requirePositive('duty', '듀티비')
+    if (!errors['drive.duty'] && drive.duty > 1) errors['drive.duty'] = '듀티비는 1 이하여야 합니다.'
+    if (!errors['drive.frequency_hz'] && isNumber(span) && span > 0) {
+      const segmentCount = 2 * Math.ceil(span * drive.frequency_hz)
+      if (segmentCount > MAX_DRIVE_SEGMENTS) {
+        errors['drive.frequency_hz'] = `펄스 구간이 너무 많습니다 (${segmentCount}개, 최대 ${MAX_DRIVE_SEGMENTS}개). 주파수를 낮추거나 시뮬레이션 시간을 줄이세요.`
+      } else if (span * drive.frequency_hz < 2) {
+        warnings['drive.frequency_hz'] = '시뮬레이션 시간 동안 펄스가 2주기보다 적습니다.'
+      }
+    }
+  } else if (drive.type === DRIVE_TYPES.RAMP || drive.type === DRIVE_TYPES.STAIRCASE) {
+    requireNonNegative('start_voltage', '시작 전압')
+    requireNonNegative('start_current_density', '시작 전류 밀도')
+    if (drive.type === DRIVE_TYPES.RAMP) {
+      requirePositive('ramp_time', '램프 시간')
+    } else {
+      requirePositive('step_duration', '계단 유지 시간')
+      if (!Number.isInteger(drive.step_count) || drive.step_count < 1) {
+        errors['drive.step_count'] = '계단 수는 1 이상의 정수여야 합니다.'
+      } else if (drive.step_count > MAX_DRIVE_SEGMENTS) {
+        errors['drive.step_count'] = `계단 수는 ${MAX_DRIVE_SEGMENTS} 이하여야 합니다.`
+      }
+    }
+  } else if (drive.type === DRIVE_TYPES.TABLE) {
+    if (!Array.isArray(drive.table) || drive.table.length === 0) {
+      errors[DRIVE_TABLE_KEY] = '구동 표에 점을 하나 이상 입력하세요.'
+    } else if (drive.table.length > MAX_DRIVE_SEGMENTS) {
+      errors[DRIVE_TABLE_KEY] = `구동 표는 ${MAX_DRIVE_SEGMENTS}행 이하여야 합니다.`
+    } else {
+      drive.table.forEach((row, i) => {
+        const key = `${DRIVE_TABLE_KEY}:${i}`
+        if (![row.time, row.voltage, row.current_density].every(isNumber)) {
+          errors[key] = '시간, 전압, 전류 밀도를 모두 입력하세요.'
+        } else if (row.voltage < 0 || row.current_density < 0) {
+          errors[key] = '전압과 전류 밀도는 0 이상이어야 합니다.'
+        } else if (i === 0 && row.time < 0) {
+          errors[key] = '시간은 0 이상이어야 합니다.'
+        } else if (i > 0 && isNumber(drive.table[i - 1].time) && row.time <= drive.table[i - 1].time) {
+          errors[key] = '시간은 이전 행보다 커야 합니다.'
+        } else if (isNumber(span) && row.time > span) {
+          warnings[key] = '시뮬레이션 시간 범위를 벗어난 점입니다.'
+        }
+      })
+    }
+  } else if (drive.type !== DRIVE_TYPES.CONSTANT) {
+    errors['drive.type'] = '알 수 없는 구동 파형입니다.'
+  }
+
+  return { errors, warnings }
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { DEFAULT_DRIVE, DRIVE_TYPES, buildDriveProfile, computeDriveWaveform, integrateDriveEnergy, sampleDrivePower, validateDrive } from './drive.js'
+import { MAX_DRIVE_SEGMENTS, buildDriveSegments } from './solver/driveProfile.js'
+import { runSimulation } from './solver/thermalModel.js'
+import { validateFormData } from './validation.js'
+
+const withDrive = (fields, overrides = {}) => ({ ...DEFAULT_VALUES, ...overrides, drive: { ...DEFAULT_DRIVE, ...fields } })
+
+describe('구동 파형', () => {
+  it('일정 구동은 drive_profile 없이 구간 하나로 계산한다', () => {
+    expect(buildDriveProfile(DEFAULT_VALUES)).toBeNull()
+    expect(buildDriveSegments(DEFAULT_VALUES, 0, 1000)).toEqual([
+      { start: 0, end: 1000, voltage: [2.9, 2.9], current_density: [300, 300] }
+    ])
+  })
+
+  it('사각 펄스는 주기마다 켜짐/꺼짐 구간으로 나뉜다', () => {
+    const formData = withDrive({ type: DRIVE_TYPES.PULSE, frequency_hz: 0.1, duty: 0.25 }, { t_end: 20 })
+    const segments = buildDriveSegments({ ...formData, drive_profile: buildDriveProfile(formData) }, 0, 20)
+    expect(segments.map(s => [s.start, s.end])).toEqual([[0, 2.5], [2.5, 10], [10, 12.5], [12.5, 20]])
+    expect(segments.map(s => s.voltage[0])).toEqual([2.9, 0, 2.9, 0])
+    expect(sampleDrivePower(formData, [0, 1, 2.5, 5, 10])).toEqual([870, 870, 0, 0, 870])
+  })
+
+  it('램프는 목표 값까지 선형으로 올린 뒤 유지한다', () => {
+    const formData = withDrive({ type: DRIVE_TYPES.RAMP, ramp_time: 100 }, { voltage: 2, current_density: 100 })
+    const [v, j] = [0.5 * 2, 0.5 * 100]
+    expect(sampleDrivePower(formData, [0, 50, 100, 500])).toEqual([0, v * j, 200, 200])
+  })
+
+  it('계단은 마지막 계단(목표 값)을 끝까지 유지한다', () => {
+    const formData = withDrive({ type: DRIVE_TYPES.STAIRCASE, step_count: 4, step_duration: 10 }, { voltage: 4, current_density: 100 })
+    expect(buildDriveProfile(formData).voltage).toEqual([1, 2, 3, 4])
+    expect(sampleDrivePower(formData, [0, 15, 35, 900])).toEqual([25, 100, 400, 400])
+  })
+
+  it('파형은 구간 경계마다 점을 찍어 불연속을 표현한다', () => {
+    const formData = withDrive({ type: DRIVE_TYPES.PULSE, frequency_hz: 0.5, duty: 0.5 }, { t_end: 4 })
+    expect(computeDriveWaveform(formData)).toEqual({
+      time: [0, 1, 1, 2, 2, 3, 3, 4],
+      power: [870, 870, 0, 0, 870, 870, 0, 0]
+    })
+  })
+
+  it('누적 인가 에너지는 펄스의 켜짐 구간과 램프의 2차식을 정확히 적분한다', () => {
+    const pulse = withDrive({ type: DRIVE_TYPES.PULSE, frequency_hz: 0.1, duty: 0.25 }, { t_end: 20 })
+    expect(integrateDriveEnergy(pulse, [0, 1, 10, 20]).map(e => e / 870)).toEqual([0, 1, 2.5, 5])
+    // V, J가 0에서 선형으로 증가: ∫(2t/100)(100t/100) dt = t³/150
+    const ramp = withDrive({ type: DRIVE_TYPES.RAMP, ramp_time: 100 }, { voltage: 2, current_density: 100 })
+    expect(integrateDriveEnergy(ramp, [30])[0]).toBeCloseTo(30 ** 3 / 150, 9)
+  })
+
+  it('구간이 너무 많은 펄스와 시간이 줄지 않는 표는 오류로 표시한다', () => {
+    const tooFast = validateDrive({ ...DEFAULT_DRIVE, type: DRIVE_TYPES.PULSE, frequency_hz: MAX_DRIVE_SEGMENTS }, 1000)
+    expect(tooFast.errors['drive.frequency_hz']).toMatch(/너무 많습니다/)
+    const table = [{ time: 0, voltage: 1, current_density: 10 }, { time: 0, voltage: 1, current_density: 10 }]
+    expect(validateDrive({ ...DEFAULT_DRIVE, type: DRIVE_TYPES.TABLE, table }, 1000).errors['drive.table:1']).toMatch(/이전 행/)
+  })
+
+  it('열폭주 추정은 펄스의 평균 전력을 사용한다', () => {
+    const hot = { current_density: 3000 }
+    expect(validateFormData({ ...DEFAULT_VALUES, ...hot }).warnings.power).toBeDefined()
+    expect(validateFormData(withDrive({ type: DRIVE_TYPES.PULSE, frequency_hz: 1, duty: 0.1 }, hot)).warnings.power).toBeUndefined()
+  })
+
+  it('듀티비 1인 펄스는 일정 구동과 같은 결과를 낸다', () => {
+    const payload = { ...DEFAULT_VALUES, T_ambient: 298.15, t_end: 20 }
+    const pulse = withDrive({ type: DRIVE_TYPES.PULSE, frequency_hz: 0.2, duty: 1 }, { T_ambient: 298.15, t_end: 20 })
+    const constant = runSimulation(payload)
+    const pulsed = runSimulation({ ...pulse, drive_profile: buildDriveProfile(pulse) })
+    expect(pulsed.success).toBe(true)
+    const diff = Math.max(...pulsed.perovskite_center_temp.map((v, i) => Math.abs(v - constant.perovskite_center_temp[i])))
+    expect(diff).toBeLessThan(0.05)
+  })
+})
@@ -0,0 +1,134 @@
+// EQE(T) 열 되먹임 분석: 발광층의 유효 EQE와 열폭주 판정
+// 결과(섭씨)와 실행 입력(섭씨)으로 계산한다. EQE는 솔버와 같이 발광층 노드마다 그 노드 온도에서 평가한다.
+// 되먹임 이득 G = P_A · Σ w_j·(−dEQE/dT)(T_j) · R_th
+//   P_A: 인가 전력 밀도 V·J, w_j: 발광층 노드의 발열 모양 몫 (합 1, heatSource.js)
+//   R_th: 발광층 중간에서 상부/하부 경로를 거쳐 주변까지의 열저항 (두 경로 병렬)
+// 온도가 ΔT 오르면 발열이 G·ΔT/R_th 늘고 방열은 ΔT/R_th 느므로, G ≥ 1이면 온도가 스스로 계속 오른다 (열폭주).
+import { createEqeFunction, isTemperatureDependent } from './solver/propertyModels.js'
+import { getEqeModel } from './propertyModels.js'
+import { computeFormSourceDistribution } from './heatSource.js'
+import {
+  computeHeatPathResistances,
+  computeInterfaceResistances,
+  computeLayerMeanTemperatures,
+  computeLayerResistances,
+  computeSurfaceHeatLoss
+} from './heatBalance.js'
+
+export const THERMAL_STABILITY = {
+  STABLE: 'stable',
+  HEATING: 'heating',
+  RUNAWAY: 'runaway'
+}
+
+export const THERMAL_STABILITY_LABELS = {
+  [THERMAL_STABILITY.STABLE]: '안정 (정상상태 도달)',
+  [THERMAL_STABILITY.HEATING]: '정상상태 미도달 (종료 시간까지 온도 변화 중)',
+  [THERMAL_STABILITY.RUNAWAY]: '열폭주'
+}
+
+// 되먹임 이득이 이 이상이면 열폭주 (실행 전 추정 경고도 같은 기준, validation.js)
+export const RUNAWAY_LOOP_GAIN = 1
+// 마지막 가열 속도로 해석 시간만큼 더 오를 온도가 지금까지 상승의 이 비율 이하이면 정상상태 도달로 판정
+export const STEADY_RATE_TOLERANCE = 0.01
+// EQE 기울기 수치 미분 간격 (K)
+const DERIVATIVE_STEP = 0.01
+// 정상상태 해석에서 주변 온도부터 해까지 이득을 확인하는 점 수
+const STEADY_PATH_POINTS = 100
+
+export const hasEqeFeedback = (formData) => isTemperatureDependent(getEqeModel(formData))
+
+// 발광층 노드 j의 온도 (°C): 발광층은 항상 활성층 안에 있다
+const emissiveTemperatures = (result, emissive, timeIndex) => {
+  const glassCount = result.temperature_glass.length
+  return emissive.weights.map((_, j) => result.temperature_active[emissive.start + j - glassCount][timeIndex])
+}
+
+/**
+ * 시간별 발열 비율 — 명목 V·J 대비 실제로 넣는 열
+ * (1 − eqe)·Σ 비중 + Σ w_j·(eqe − EQE(T_j)): 솔버와 같이 EQE가 기준값에서 떨어진 만큼은 발광층 모양대로 더한다.
+ * EQE가 일정하면 모든 시간에 (1 − eqe)·Σ 비중
+ */
+export function computeSourceHeatFractions(result, formData) {
+  const { weights, emissive } = computeFormSourceDistribution(formData)
+  const baseFraction = (1 - formData.eqe) * weights.reduce((sum, w) => sum + w, 0)
+  const eqeOf = createEqeFunction(getEqeModel(formData), formData.eqe)
+  return result.time.map((_, t) => {
+    const temps = emissiveTemperatures(result, emissive, t)
+    return temps.reduce((sum, T, j) => sum + emissive.weights[j] * (formData.eqe - eqeOf(T)), baseFraction)
+  })
+}
+
+/**
+ * EQE(T) 되먹임 분석
+ * 반환: {
+ *   eqe: 시간별 발광층 유효 EQE (발열 모양 가중),
+ *   loop_gain: 시간별 되먹임 이득 G,
+ *   max_loop_gain, status (THERMAL_STABILITY), runaway_time (처음 G ≥ 1인 시간, 없으면 null),
+ *     정상상태 해석은 해에 이르는 경로를 계산하지 않으므로 발광층 온도를 주변 온도부터 해까지 비례해서 올리며 본 최대 이득
+ *   final_heating_rate: 마지막 출력 구간의 발광층 중간 온도 상승 속도 (K/s, 정상상태 해석은 0)
+ * }
+ */
+export function analyzeEqeFeedback(result, formData) {
+  const { emissive } = computeFormSourceDistribution(formData)
+  const { weights } = emissive
+  const eqeOf = createEqeFunction(getEqeModel(formData), formData.eqe)
+  const { time, perovskite_center_temp: centerTemp } = result
+  const appliedPower = (t) => (result.steady_state
+    ? formData.voltage * formData.current_density
+    : result.drive_power[t])
+
+  // 발열 모양 몫을 곱한 EQE 감소율 Σ w_j·(−dEQE/dT)(T_j)
+  const droopAt = (temps) => temps.reduce((sum, T, j) =>
+    sum + weights[j] * (eqeOf(T - DERIVATIVE_STEP) - eqeOf(T + DERIVATIVE_STEP)) / (2 * DERIVATIVE_STEP), 0)
+  const thermalResistance = (t) => {
+    const layerResistances = computeLayerResistances(formData, computeLayerMeanTemperatures(result, t))
+    const paths = computeHeatPathResistances(
+      layerResistances,
+      formData.emissive_layer_index,
+      computeSurfaceHeatLoss(result, formData, t),
+      computeInterfaceResistances(formData, layerResistances)
+    )
+    return 1 / (1 / paths.top.total + 1 / paths.bottom.total)
+  }
+
+  const eqe = []
+  const loopGain = []
+  time.forEach((_, t) => {
+    const temps = emissiveTemperatures(result, emissive, t)
+    eqe.push(temps.reduce((sum, T, j) => sum + weights[j] * eqeOf(T), 0))
+    loopGain.push(appliedPower(t) * droopAt(temps) * thermalResistance(t))
+  })
+
+  let maxLoopGain = Math.max(...loopGain)
+  if (result.steady_state) {
+    const temps = emissiveTemperatures(result, emissive, 0)
+    const gainScale = appliedPower(0) * thermalResistance(0)
+    for (let n = 0; n < STEADY_PATH_POINTS; n++) {
+      const s = n / STEADY_PATH_POINTS
+      const pathTemps = temps.map(T => formData.T_ambient + s * (T - formData.T_ambient))
+      maxLoopGain = Math.max(maxLoopGain, gainScale * droopAt(pathTemps))
+    }
+  }
+
+  const runawayIndex = loopGain.findIndex(g => g >= RUNAWAY_LOOP_GAIN)
+  const last = time.length - 1
+  const finalHeatingRate = last > 0 ? (centerTemp[last] - centerTemp[last - 1]) / (time[last] - time[last - 1]) : 0
+  let status = THERMAL_STABILITY.STABLE
+  if (maxLoopGain >= RUNAWAY_LOOP_GAIN) {
+    status = THERMAL_STABILITY.RUNAWAY
+  } else if (!result.steady_state) {
+    const rise = Math.max(...centerTemp.map(T => Math.abs(T - formData.T_ambient)))
+    const remaining = Math.abs(finalHeatingRate) * (time[last] - time[0])
+    if (remaining > STEADY_RATE_TOLERANCE * Math.max(rise, 1)) status = THERMAL_STABILITY.HEATING
+  }
+
+  return {
+    eqe,
+    loop_gain: loopGain,
+    max_loop_gain: maxLoopGain,
+    status,
+    runaway_time: runawayIndex >= 0 ? time[runawayIndex] : null,
+    final_heating_rate: finalHeatingRate
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { PROPERTY_MODEL_TYPES } from './solver/propertyModels.js'
+import { summarizeEnergyBalance } from './diagnostics.js'
+import { THERMAL_STABILITY } from './eqeFeedback.js'
+
+// EQE 0.5에서 시작해 1 K당 slope만큼 떨어지는 모델 (기본 구조의 방열로 V·J·R_th ≈ 35 K)
+const withDroop = (slope, overrides = {}) => ({
+  ...DEFAULT_VALUES,
+  eqe: 0.5,
+  eqe_model: { ...DEFAULT_VALUES.eqe_model, type: PROPERTY_MODEL_TYPES.LINEAR, T_ref: 25, slope },
+  ...overrides
+})
+
+describe('EQE(T) 열 되먹임', () => {
+  it('EQE가 일정하면 되먹임 분석을 만들지 않는다', () => {
+    expect(simulate(DEFAULT_VALUES).eqe_feedback).toBeUndefined()
+  })
+
+  it('약한 EQE 감소는 발광층을 더 데우지만 안정한 정상상태에 도달한다', () => {
+    const constant = simulate({ ...DEFAULT_VALUES, eqe: 0.5 })
+    const result = simulate(withDroop(-0.002))
+    const last = result.time.length - 1
+    const { eqe_feedback: feedback } = result
+    expect(result.perovskite_center_temp[last]).toBeGreaterThan(constant.perovskite_center_temp[last] + 0.5)
+    expect(feedback.status).toBe(THERMAL_STABILITY.STABLE)
+    expect(feedback.max_loop_gain).toBeLessThan(0.2)
+    expect(feedback.runaway_time).toBeNull()
+    // 유효 EQE는 발광층 온도 상승만큼 선형으로 감소
+    expect(feedback.eqe[0]).toBeCloseTo(0.5, 6)
+    expect(feedback.eqe[last]).toBeCloseTo(0.5 - 0.002 * (result.perovskite_center_temp[last] - 25), 3)
+    // 발열이 시간에 따라 바뀌어도 에너지 수지가 맞는다
+    expect(summarizeEnergyBalance(result.diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+  })
+
+  it('강한 EQE 감소는 열폭주로 판정하고 시작 시간을 보고한다', () => {
+    const result = simulate(withDroop(-0.05))
+    const last = result.time.length - 1
+    const { eqe_feedback: feedback } = result
+    expect(feedback.status).toBe(THERMAL_STABILITY.RUNAWAY)
+    expect(feedback.max_loop_gain).toBeGreaterThan(1)
+    expect(feedback.runaway_time).toBe(result.time[0])
+    // EQE가 0까지 떨어져 모든 전력이 열이 된다
+    expect(feedback.eqe[last]).toBe(0)
+    const allHeat = simulate({ ...DEFAULT_VALUES, eqe: 0 })
+    expect(result.perovskite_center_temp[last]).toBeCloseTo(allHeat.perovskite_center_temp[last], 0)
+    expect(summarizeEnergyBalance(result.diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+  })
+
+  it('해석 시간이 짧아 온도가 오르는 중이면 정상상태 미도달로 판정한다', () => {
+    expect(simulate(withDroop(-0.002, { t_end: 20 })).eqe_feedback.status).toBe(THERMAL_STABILITY.HEATING)
+  })
+
+  it('정상상태 해석은 과도 해석의 최종 상태와 같은 유효 EQE와 판정을 낸다', () => {
+    const transient = simulate(withDroop(-0.002)).eqe_feedback
+    const result = simulate(withDroop(-0.002, { analysis_mode: ANALYSIS_MODES.STEADY }))
+    expect(result.eqe_feedback.status).toBe(THERMAL_STABILITY.STABLE)
+    expect(result.eqe_feedback.eqe[0]).toBeCloseTo(transient.eqe[transient.eqe.length - 1], 4)
+    // 정상상태 열 수지의 발생 열도 유효 EQE로 계산
+    expect(result.heat_balance.generated).toBeCloseTo(DEFAULT_VALUES.voltage * DEFAULT_VALUES.current_density * (1 - result.eqe_feedback.eqe[0]), 9)
+  })
+
+  it('강한 EQE 감소도 정상상태 해석은 EQE = 0으로 제한된 평형을 찾는다', () => {
+    const steady = { analysis_mode: ANALYSIS_MODES.STEADY }
+    const result = simulate(withDroop(-0.05, steady))
+    const transient = simulate(withDroop(-0.05))
+    const allHeat = simulate({ ...DEFAULT_VALUES, eqe: 0, ...steady })
+    expect(result.eqe_feedback.eqe[0]).toBe(0)
+    expect(result.eqe_feedback.status).toBe(THERMAL_STABILITY.RUNAWAY)
+    expect(result.perovskite_center_temp[0]).toBeCloseTo(allHeat.perovskite_center_temp[0], 6)
+    expect(result.perovskite_center_temp[0]).toBeCloseTo(transient.perovskite_center_temp[transient.time.length - 1], 0)
+  })
+})
@@ -0,0 +1,16 @@
+// 브라우저 파일 저장 유틸리티
+
+export function downloadTextFile(fileName, text, mimeType = 'application/json') {
+  const blob = new Blob([text], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// 파일명에 쓰는 날짜 (YYYY-MM-DD)
+export const dateStamp = () => new Date().toISOString().split('T')[0]
@@ -0,0 +1,465 @@
+// 역문제 피팅: 측정한 T(t)에 맞도록 formData의 자유 파라미터를 반복 시뮬레이션으로 추정
+// 측정 위치는 프로브와 같은 방식(레이어 + 비율 또는 위치 nm)으로 지정하고, 시뮬레이션 T(t)를 측정 시간으로 선형 보간해 잔차를 구한다.
+// 최적화는 경계 안으로 제한한 Levenberg-Marquardt: 파라미터를 경계 [하한, 상한]에서 [0, 1]로 정규화하고 (로그 스케일은 로그 공간에서)
+// 야코비안은 전진 차분 (파라미터당 시뮬레이션 1회). 신뢰 구간은 수렴점의 선형화 공분산 s²·(JᵀJ)⁻¹로 추정한다.
+import { isAbortError, requestSimulation } from './solver/simulationClient.js'
+import { buildSimulationPayload, convertSimulationResult } from './simulationPayload.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { SWEEP_SCALES, applyParameterValue, getParameterValue, getSweepParameters } from './sweep.js'
+import { PROBE_MODES, formatProbeLabel, interpolateProbeSeries, resolveProbePosition } from './probes.js'
+import { lowerIndex } from './interpolation.js'
+
+export const MAX_FIT_PARAMETERS = 6
+export const DEFAULT_MAX_ITERATIONS = 20
+export const MIN_MEASURED_POINTS = 3
+
+// 정규화 좌표의 전진 차분 간격: 솔버 허용 오차로 생기는 잡음보다 충분히 큰 변화
+const JACOBIAN_STEP = 1e-2
+// 잔차 제곱합의 상대 감소나 정규화 좌표의 이동이 이보다 작으면 수렴
+const COST_TOLERANCE = 1e-8
+const STEP_TOLERANCE = 1e-6
+const INITIAL_DAMPING = 1e-3
+const MAX_DAMPING = 1e10
+// 정규화 좌표에서 경계에 이만큼 가까우면 경계에 걸린 것으로 표시
+const BOUND_MARGIN = 1e-4
+// 95% 신뢰 구간 (정규 근사, 측정 점이 파라미터 수보다 충분히 많을 때)
+const CONFIDENCE_Z = 1.96
+
+// 측정 CSV 열: 이름 (normalizeName 후)과 단위 [표시, 배율, 오프셋]
+const TIME_ALIASES = ['time', 'times', '시간', 't']
+const TEMPERATURE_ALIASES = ['temperature', 'temp', '온도', '측정온도', 'T']
+const TIME_UNITS = [['s', 1, 0], ['ms', 1e-3, 0], ['min', 60, 0], ['h', 3600, 0]]
+const TEMPERATURE_UNITS = [['°C', 1, 0], ['℃', 1, 0], ['C', 1, 0], ['degC', 1, 0], ['K', 1, -273.15]]
+
+// 대소문자는 시간 t와 온도 T를 구분하므로 한 글자 이름은 그대로 비교
+const normalizeName = (text) => {
+  const trimmed = String(text).trim().replace(/[\s_\-.]/g, '')
+  return trimmed.length === 1 ? trimmed : trimmed.toLowerCase()
+}
+
+// 머리글 "시간 (ms)", "T_K", "temperature" -> { name, unit }
+const parseHeader = (cell) => {
+  const text = String(cell).trim()
+  const bracket = text.match(/^(.*?)\s*[([](.*)[)\]]\s*$/)
+  if (bracket) return { name: bracket[1], unit: bracket[2].trim() }
+  const suffix = text.match(/^(.+?)_([^_]+)$/)
+  if (suffix) return { name: suffix[1], unit: suffix[2] }
+  return { name: text, unit: '' }
+}
+
+const toCellNumber = (cell) => (String(cell).trim() === '' ? NaN : Number(String(cell).trim()))
+
+// 열의 단위: { factor, offset } 또는 { error }, 단위가 없으면 첫 단위로 보고 경고
+const resolveColumnUnit = (label, units, unit, warnings) => {
+  if (!unit) {
+    warnings.push(`${label} 열에 단위가 없어 ${units[0][0]}로 읽었습니다.`)
+    return { factor: units[0][1], offset: units[0][2] }
+  }
+  const match = units.find(([name]) => name === unit) || units.find(([name]) => name.toLowerCase() === unit.toLowerCase())
+  if (!match) return { error: `${label} 단위 "${unit}"를 알 수 없습니다 (가능한 단위: ${units.map(([name]) => name).join(', ')}).` }
+  return { factor: match[1], offset: match[2] }
+}
+
+/**
+ * 측정 T(t) CSV -> { time (s), temperature (°C), warnings }
+ * 쉼표/세미콜론/탭 구분, # 주석과 빈 행은 무시. 첫 행이 숫자가 아니면 머리글로 보고 시간/온도 열을 이름으로 찾는다
+ * (못 찾으면 첫 두 열). 단위는 머리글 괄호 안이나 밑줄 뒤 (s, ms, min, h / °C, K). 잘못된 행은 행 번호와 함께 Error
+ */
+export function parseMeasuredCsv(text) {
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map((line, i) => ({ lineNumber: i + 1, cells: line.split(/[,;\t]/) }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== '') && !cells[0].trim().startsWith('#'))
+  if (rows.length === 0) throw new Error('측정 데이터가 비어 있습니다.')
+
+  const warnings = []
+  let timeColumn = 0
+  let temperatureColumn = 1
+  let timeUnit = ''
+  let temperatureUnit = ''
+  const hasHeader = rows[0].cells.slice(0, 2).some(cell => !Number.isFinite(toCellNumber(cell)))
+  if (hasHeader) {
+    const headers = rows.shift().cells.map(parseHeader)
+    const findColumn = (aliases, exclude) => headers.findIndex((header, i) => i !== exclude && aliases.includes(normalizeName(header.name)))
+    const foundTime = findColumn(TIME_ALIASES, -1)
+    timeColumn = foundTime >= 0 ? foundTime : 0
+    const foundTemperature = findColumn(TEMPERATURE_ALIASES, timeColumn)
+    temperatureColumn = foundTemperature >= 0 ? foundTemperature : (timeColumn === 0 ? 1 : 0)
+    if (foundTime < 0 || foundTemperature < 0) warnings.push('시간/온도 열 이름을 찾지 못해 순서대로 읽었습니다.')
+    timeUnit = headers[timeColumn]?.unit ?? ''
+    temperatureUnit = headers[temperatureColumn]?.unit ?? ''
+  }
+
+  const errors = []
+  const timeScale = resolveColumnUnit('시간', TIME_UNITS, timeUnit, warnings)
+  const temperatureScale = resolveColumnUnit('온도', TEMPERATURE_UNITS, temperatureUnit, warnings)
+  if (timeScale.error) errors.push(timeScale.error)
+  if (temperatureScale.error) errors.push(temperatureScale.error)
+  if (errors.length > 0) throw new Error(errors.join('\n'))
+
+  const time = []
+  const temperature = []
+  rows.forEach(({ lineNumber, cells }) => {
+    const t = toCellNumber(cells[timeColumn] ?? '')
+    const T = toCellNumber(cells[temperatureColumn] ?? '')
+    if (!Number.isFinite(t)) errors.push(`${lineNumber}행: 시간이 숫자가 아닙니다 ("${cells[timeColumn] ?? ''}").`)
+    else if (!Number.isFinite(T)) errors.push(`${lineNumber}행: 온도가 숫자가 아닙니다 ("${cells[temperatureColumn] ?? ''}").`)
+    else if (time.length > 0 && t * timeScale.factor <= time[time.length - 1]) errors.push(`${lineNumber}행: 시간은 증가해야 합니다.`)
+    else {
+      time.push(t * timeScale.factor)
+      temperature.push(T * temperatureScale.factor + temperatureScale.offset)
+    }
+  })
+  if (errors.length > 0) throw new Error(errors.join('\n'))
+  if (time.length < MIN_MEASURED_POINTS) throw new Error(`측정 점이 ${MIN_MEASURED_POINTS}개 이상 필요합니다.`)
+  return { time, temperature, warnings }
+}
+
+/**
+ * 측정 위치 이름 (이름을 비우면 위치 설명)
+ */
+export const formatMeasurementLabel = (measurement, layerNames) =>
+  measurement.name?.trim() || formatProbeLabel(measurement.position, layerNames)
+
+// 측정 위치의 기본값: 발광층 가운데
+export const defaultMeasurementPosition = (formData) =>
+  ({ mode: PROBE_MODES.LAYER, layer_index: formData.emissive_layer_index, fraction: 0.5 })
+
+/**
+ * 결과에서 측정 위치의 T(t)를 측정 시간으로 선형 보간 (°C)
+ * 위치가 스택 밖이면 Error, 결과 시간 범위 밖의 측정 시간은 양 끝 값
+ */
+export function sampleAtMeasurement(result, position, times) {
+  const x = resolveProbePosition(position, result)
+  if (x === null) throw new Error('측정 위치가 소자 스택 밖입니다.')
+  const series = interpolateProbeSeries(result, x)
+  const { time } = result
+  if (time.length === 1) return times.map(() => series[0])
+  return times.map(t => {
+    const i = Math.min(lowerIndex(time, t), time.length - 2)
+    const f = Math.min(1, Math.max(0, (t - time[i]) / (time[i + 1] - time[i])))
+    return series[i] + (series[i + 1] - series[i]) * f
+  })
+}
+
+// 정규화 좌표 u (0~1) <-> 파라미터 값
+const fromUnit = (parameter, u) => (parameter.scale === SWEEP_SCALES.LOG
+  ? parameter.lower * (parameter.upper / parameter.lower) ** u
+  : parameter.lower + (parameter.upper - parameter.lower) * u)
+const toUnit = (parameter, value) => (parameter.scale === SWEEP_SCALES.LOG
+  ? Math.log(value / parameter.lower) / Math.log(parameter.upper / parameter.lower)
+  : (value - parameter.lower) / (parameter.upper - parameter.lower))
+// d(값)/du: 표준 오차를 파라미터 단위로 바꿀 때
+const unitDerivative = (parameter, value) => (parameter.scale === SWEEP_SCALES.LOG
+  ? value * Math.log(parameter.upper / parameter.lower)
+  : parameter.upper - parameter.lower)
+
+const clampUnit = (u) => Math.min(1, Math.max(0, u))
+
+/**
+ * 피팅 설정 검증 후 문제 정의: { parameters: [{ ...스윕 파라미터, lower, upper, scale, initial }], times, observed, excluded }
+ * freeParameters: [{ id, lower, upper, scale }] (id는 getSweepParameters의 id). 잘못되면 Error
+ * 시뮬레이션 시간 범위 [t_start, t_end] 밖의 측정 점은 뺀다 (excluded 개수).
+ */
+export function buildFitProblem(formData, measurement, freeParameters) {
+  if (formData.analysis_mode === ANALYSIS_MODES.STEADY) throw new Error('피팅은 과도 해석에서만 할 수 있습니다.')
+  if (freeParameters.length === 0) throw new Error('자유 파라미터를 하나 이상 선택하세요.')
+  if (freeParameters.length > MAX_FIT_PARAMETERS) throw new Error(`자유 파라미터는 최대 ${MAX_FIT_PARAMETERS}개입니다.`)
+  const available = getSweepParameters(formData)
+  const parameters = freeParameters.map(({ id, lower, upper, scale }) => {
+    const parameter = available.find(p => p.id === id)
+    if (!parameter) throw new Error(`알 수 없는 파라미터입니다: ${id}`)
+    if (!Number.isFinite(lower) || !Number.isFinite(upper) || lower >= upper) {
+      throw new Error(`${parameter.label}: 하한은 상한보다 작아야 합니다.`)
+    }
+    if (scale === SWEEP_SCALES.LOG && lower <= 0) throw new Error(`${parameter.label}: 로그 스케일은 하한이 양수여야 합니다.`)
+    const current = getParameterValue(formData, parameter)
+    // 현재 값이 경계 밖이면 가까운 경계에서 시작
+    const initial = Math.min(upper, Math.max(lower, Number.isFinite(current) ? current : lower))
+    return { ...parameter, lower, upper, scale, initial }
+  })
+
+  const times = []
+  const observed = []
+  measurement.time.forEach((t, i) => {
+    if (t < formData.t_start || t > formData.t_end) return
+    times.push(t)
+    observed.push(measurement.temperature[i])
+  })
+  if (times.length < Math.max(MIN_MEASURED_POINTS, parameters.length + 1)) {
+    throw new Error(`시뮬레이션 시간 범위(${formData.t_start} ~ ${formData.t_end} s) 안의 측정 점이 부족합니다 (${times.length}개).`)
+  }
+  return { parameters, times, observed, excluded: measurement.time.length - times.length }
+}
+
+/**
+ * 자유 파라미터 값(values, parameters와 같은 순서)을 적용한 입력
+ */
+export const applyFitValues = (formData, parameters, values) =>
+  parameters.reduce((data, parameter, j) => applyParameterValue(data, parameter, values[j]), formData)
+
+// 대칭 양의 정부호 행렬의 역행렬 (가우스-조르단, 부분 피벗). 특이하면 null
+function invertMatrix(matrix) {
+  const n = matrix.length
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))])
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 0)
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r
+    if (!(Math.abs(a[pivot][col]) > 1e-12 * scale)) return null
+    ;[a[col], a[pivot]] = [a[pivot], a[col]]
+    const p = a[col][col]
+    for (let c = 0; c < 2 * n; c++) a[col][c] /= p
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue
+      const factor = a[r][col]
+      if (factor === 0) continue
+      for (let c = 0; c < 2 * n; c++) a[r][c] -= factor * a[col][c]
+    }
+  }
+  return a.map(row => row.slice(n))
+}
+
+const sumSquares = (values) => values.reduce((sum, v) => sum + v * v, 0)
+
+// JᵀJ와 Jᵀr (J는 측정 점 × 파라미터)
+const normalEquations = (jacobian, residuals) => {
+  const p = jacobian[0].length
+  const jtj = Array.from({ length: p }, (_, a) => Array.from({ length: p }, (_, b) =>
+    jacobian.reduce((sum, row) => sum + row[a] * row[b], 0)))
+  const jtr = Array.from({ length: p }, (_, a) => jacobian.reduce((sum, row, i) => sum + row[a] * residuals[i], 0))
+  return { jtj, jtr }
+}
+
+/**
+ * 경계 [0, 1]ⁿ 안의 Levenberg-Marquardt 최소제곱 (잔차 r(u) = 측정 - 모델)
+ * evaluate(u): Promise<잔차 배열>, 실패하면 reject. 시험 스텝이 실패하면 감쇠를 키워 다시 시도하고,
+ * 차분 점이 실패하면 반대쪽으로 차분한다. 양쪽 모두 실패하면 그 점에서 멈추고 jacobian = null (취소 오류는 그대로 전달)
+ * onIteration({ iteration, u, cost })
+ * 반환: { u, residuals, jacobian, cost, iterations, converged }
+ */
+export async function levenbergMarquardt({ evaluate, initial, maxIterations = DEFAULT_MAX_ITERATIONS, onIteration }) {
+  const tryEvaluate = async (u) => {
+    try {
+      return await evaluate(u)
+    } catch (err) {
+      if (isAbortError(err)) throw err
+      return null
+    }
+  }
+  const jacobianAt = async (u, r) => {
+    const columns = []
+    for (let j = 0; j < u.length; j++) {
+      // 상한에 닿으면 아래쪽으로 차분하고, 시뮬레이션이 실패하면 경계 안에서 반대쪽으로 한 번 더
+      const forward = u[j] + JACOBIAN_STEP > 1 ? -JACOBIAN_STEP : JACOBIAN_STEP
+      let column = null
+      for (const h of [forward, -forward]) {
+        if (u[j] + h < 0 || u[j] + h > 1) continue
+        const rShifted = await tryEvaluate(u.map((value, k) => (k === j ? value + h : value)))
+        if (rShifted) {
+          column = rShifted.map((value, i) => (value - r[i]) / h)
+          break
+        }
+      }
+      if (!column) return null
+      columns.push(column)
+    }
+    return r.map((_, i) => columns.map(column => column[i]))
+  }
+
+  let u = initial.map(clampUnit)
+  let residuals = await evaluate(u)
+  let cost = sumSquares(residuals)
+  let damping = INITIAL_DAMPING
+  let converged = false
+  let iteration = 0
+  let jacobian = null
+  let jacobianFailed = false
+  if (onIteration) onIteration({ iteration, u, cost })
+
+  // 잔차가 이미 0이면 더 줄일 수 없음
+  while (iteration < maxIterations && !converged && cost > 0) {
+    iteration++
+    jacobian = await jacobianAt(u, residuals)
+    // 기울기를 구할 수 없으면 지금까지의 최적점을 수렴하지 않은 결과로 반환
+    if (!jacobian) {
+      jacobianFailed = true
+      break
+    }
+    const { jtj, jtr } = normalEquations(jacobian, residuals)
+    let accepted = false
+    while (!accepted && damping <= MAX_DAMPING) {
+      // Marquardt 스케일링: 대각 성분에 비례한 감쇠 (0이면 단위 감쇠)
+      const system = jtj.map((row, a) => row.map((value, b) => (a === b ? value + damping * (value || 1) : value)))
+      const inverse = invertMatrix(system)
+      if (!inverse) {
+        damping *= 10
+        continue
+      }
+      // r(u + δ) ≈ r + Jδ를 최소화하는 스텝 δ = -(JᵀJ + λD)⁻¹Jᵀr
+      const step = inverse.map(row => -row.reduce((sum, value, b) => sum + value * jtr[b], 0))
+      const trial = u.map((value, j) => clampUnit(value + step[j]))
+      const moved = Math.max(...trial.map((value, j) => Math.abs(value - u[j])))
+      if (moved < STEP_TOLERANCE) {
+        converged = true
+        break
+      }
+      const trialResiduals = await tryEvaluate(trial)
+      const trialCost = trialResiduals ? sumSquares(trialResiduals) : Infinity
+      if (trialCost < cost) {
+        accepted = true
+        converged = (cost - trialCost) <= COST_TOLERANCE * cost
+        u = trial
+        residuals = trialResiduals
+        cost = trialCost
+        damping = Math.max(damping / 10, 1e-12)
+      } else {
+        damping *= 10
+      }
+    }
+    // 감쇠를 최대로 키워도 줄지 않으면 극소점
+    if (!accepted) converged = true
+    if (onIteration) onIteration({ iteration, u, cost })
+  }
+  // 신뢰 구간용 야코비안은 최종 점에서 다시 계산 (같은 점에서 이미 실패했으면 생략)
+  if (!jacobianFailed) jacobian = await jacobianAt(u, residuals)
+  return { u, residuals, jacobian, cost, iterations: iteration, converged }
+}
+
+/**
+ * 최종 점의 야코비안(정규화 좌표)으로 표준 오차, 95% 신뢰 구간, 상관 행렬 계산
+ * 측정 점 수가 파라미터 수 이하이거나 JᵀJ가 특이하면 (측정이 파라미터를 구분하지 못함) 신뢰 구간은 null
+ * 야코비안이 없을 때 (차분 시뮬레이션 실패)도 null
+ */
+export function estimateConfidence(parameters, u, residuals, jacobian) {
+  const dof = residuals.length - parameters.length
+  const values = parameters.map((parameter, j) => fromUnit(parameter, u[j]))
+  const empty = { values, dof, stdErrors: null, intervals: null, correlation: null }
+  if (dof <= 0 || !jacobian) return empty
+  const covariance = invertMatrix(normalEquations(jacobian, residuals).jtj)
+  if (!covariance) return empty
+  const variance = sumSquares(residuals) / dof
+  const sigmaUnit = covariance.map((row, j) => Math.sqrt(Math.max(0, row[j] * variance)))
+  const correlation = covariance.map((row, a) => row.map((value, b) =>
+    (a === b ? 1 : value / Math.sqrt(covariance[a][a] * covariance[b][b]))))
+  return {
+    values,
+    dof,
+    stdErrors: parameters.map((parameter, j) => Math.abs(unitDerivative(parameter, values[j])) * sigmaUnit[j]),
+    // 정규화 좌표에서 대칭인 구간을 되돌림 (로그 스케일은 비대칭 구간)
+    intervals: parameters.map((parameter, j) => [
+      fromUnit(parameter, u[j] - CONFIDENCE_Z * sigmaUnit[j]),
+      fromUnit(parameter, u[j] + CONFIDENCE_Z * sigmaUnit[j])
+    ]),
+    correlation
+  }
+}
+
+/**
+ * 피팅 실행: 초기 입력과 자유 파라미터로 반복 시뮬레이션하며 측정과의 잔차 제곱합을 최소화
+ * simulate(formData): Promise<섭씨 결과>, 실패하면 reject. onProgress({ iteration, evaluations, rmse, values })
+ * 반환: { parameters: [{ id, label, unit, initial, value, stdError, interval, atBound }], correlation, rmse, maxResidual,
+ *         dof, iterations, evaluations, converged, excluded, points: [{ time, measured, initial, fitted, residual }],
+ *         curves: { initial: [{ time, temperature }], fitted } }
+ */
+export async function fitMeasurement({ formData, measurement, freeParameters, simulate, maxIterations, onProgress }) {
+  const problem = buildFitProblem(formData, measurement, freeParameters)
+  const { parameters, times, observed } = problem
+  // 점마다 측정 시간의 샘플만 캐시하고, 곡선용 전체 결과는 초기점과 잔차가 가장 작은 점만 보관
+  const sampled = new Map()
+  let initialRun = null
+  let bestRun = null
+  let evaluations = 0
+
+  const residualsOf = (simulated) => observed.map((T, i) => T - simulated[i])
+  const runAt = async (u) => {
+    const values = parameters.map((parameter, j) => fromUnit(parameter, u[j]))
+    const result = await simulate(applyFitValues(formData, parameters, values))
+    evaluations++
+    return { key: u.join(','), result, simulated: sampleAtMeasurement(result, measurement.position, times) }
+  }
+  const evaluate = async (u) => {
+    const key = u.join(',')
+    if (!sampled.has(key)) {
+      const run = await runAt(u)
+      const cost = sumSquares(residualsOf(run.simulated))
+      sampled.set(key, run.simulated)
+      if (!initialRun) initialRun = run
+      if (!bestRun || cost < bestRun.cost) bestRun = { ...run, cost }
+    }
+    return residualsOf(sampled.get(key))
+  }
+
+  const initialUnit = parameters.map(parameter => toUnit(parameter, parameter.initial))
+  const fit = await levenbergMarquardt({
+    evaluate,
+    initial: initialUnit,
+    maxIterations,
+    onIteration: ({ iteration, u, cost }) => {
+      if (onProgress) {
+        onProgress({
+          iteration,
+          evaluations,
+          rmse: Math.sqrt(cost / times.length),
+          values: parameters.map((parameter, j) => fromUnit(parameter, u[j]))
+        })
+      }
+    }
+  })
+
+  const confidence = estimateConfidence(parameters, fit.u, fit.residuals, fit.jacobian)
+  // 최종 점은 보통 잔차가 가장 작은 점이지만, 차분 점이 더 작았으면 최종 점을 다시 계산
+  const fittedRun = bestRun.key === fit.u.join(',') ? bestRun : await runAt(fit.u)
+  const curve = (run) => {
+    const x = resolveProbePosition(measurement.position, run.result)
+    const series = interpolateProbeSeries(run.result, x)
+    return run.result.time.map((time, i) => ({ time, temperature: series[i] }))
+  }
+  return {
+    parameters: parameters.map((parameter, j) => ({
+      id: parameter.id,
+      label: parameter.label,
+      unit: parameter.unit,
+      initial: parameter.initial,
+      value: confidence.values[j],
+      stdError: confidence.stdErrors ? confidence.stdErrors[j] : null,
+      interval: confidence.intervals ? confidence.intervals[j] : null,
+      atBound: fit.u[j] < BOUND_MARGIN || fit.u[j] > 1 - BOUND_MARGIN
+    })),
+    correlation: confidence.correlation,
+    rmse: Math.sqrt(fit.cost / times.length),
+    maxResidual: Math.max(...fit.residuals.map(Math.abs)),
+    dof: confidence.dof,
+    iterations: fit.iterations,
+    evaluations,
+    converged: fit.converged,
+    excluded: problem.excluded,
+    points: times.map((time, i) => ({
+      time,
+      measured: observed[i],
+      initial: initialRun.simulated[i],
+      fitted: fittedRun.simulated[i],
+      residual: fit.residuals[i]
+    })),
+    curves: { initial: curve(initialRun), fitted: curve(fittedRun) }
+  }
+}
+
+/**
+ * 로컬 또는 서버 솔버로 피팅 실행. signal로 취소하면 AbortError로 reject된다.
+ */
+export function runFit({ formData, measurement, freeParameters, mode, signal, maxIterations, onProgress }) {
+  const simulate = async (runFormData) => {
+    const data = await requestSimulation(buildSimulationPayload(runFormData), mode, { signal })
+    if (!data.success) throw new Error(data.error || '시뮬레이션 실행 중 오류가 발생했습니다.')
+    return convertSimulationResult(data, runFormData)
+  }
+  return fitMeasurement({
+    formData,
+    measurement,
+    freeParameters,
+    simulate,
+    maxIterations,
+    onProgress
+  })
+}
@@ -0,0 +1,165 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { SWEEP_SCALES } from './sweep.js'
+import {
+  buildFitProblem,
+  defaultMeasurementPosition,
+  estimateConfidence,
+  fitMeasurement,
+  levenbergMarquardt,
+  parseMeasuredCsv,
+  sampleAtMeasurement
+} from './fitting.js'
+
+const BASE = { ...DEFAULT_VALUES, t_end: 300, output_points: 61 }
+
+describe('측정 CSV 가져오기', () => {
+  it('머리글의 이름으로 열을 찾고 단위를 초와 섭씨로 바꾼다', () => {
+    const parsed = parseMeasuredCsv('# 열전대 1\nT (K);시간 (ms)\n298.15;0\n308.15;500\n\n318.15;1000\n')
+    expect(parsed.time).toEqual([0, 0.5, 1])
+    parsed.temperature.forEach((T, i) => expect(T).toBeCloseTo(25 + 10 * i, 10))
+    expect(parsed.warnings).toEqual([])
+  })
+
+  it('머리글이 없으면 첫 두 열을 초와 섭씨로 읽고 경고한다', () => {
+    const parsed = parseMeasuredCsv('0,25\n10,30\n20,33')
+    expect(parsed.time).toEqual([0, 10, 20])
+    expect(parsed.temperature).toEqual([25, 30, 33])
+    expect(parsed.warnings).toHaveLength(2)
+  })
+
+  it('숫자가 아니거나 시간이 증가하지 않는 행은 행 번호와 함께 거부한다', () => {
+    expect(() => parseMeasuredCsv('time (s),temperature (°C)\n0,25\nabc,26\n5,27\n4,28'))
+      .toThrow(/3행: 시간이 숫자가 아닙니다[\s\S]*5행: 시간은 증가해야 합니다/)
+    expect(() => parseMeasuredCsv('time (s),temperature (°F)\n0,77')).toThrow('온도 단위 "°F"')
+  })
+})
+
+describe('Levenberg-Marquardt와 신뢰 구간', () => {
+  it('선형 모델은 최소제곱 해와 표준 오차를 그대로 재현한다', async () => {
+    const x = [0, 1, 2, 3, 4, 5, 6, 7]
+    const y = x.map((xi, i) => 1.5 + 0.8 * xi + [0.1, -0.2, 0.05, 0.15, -0.1, 0, -0.05, 0.1][i])
+    const parameters = [
+      { lower: -10, upper: 10, scale: SWEEP_SCALES.LINEAR },
+      { lower: -10, upper: 10, scale: SWEEP_SCALES.LINEAR }
+    ]
+    const toValue = (u) => -10 + 20 * u
+    const fit = await levenbergMarquardt({
+      evaluate: async (u) => y.map((yi, i) => yi - (toValue(u[0]) + toValue(u[1]) * x[i])),
+      initial: [0.5, 0.5]
+    })
+    const confidence = estimateConfidence(parameters, fit.u, fit.residuals, fit.jacobian)
+
+    // 단순 선형 회귀의 닫힌 해
+    const n = x.length
+    const xMean = x.reduce((s, v) => s + v, 0) / n
+    const yMean = y.reduce((s, v) => s + v, 0) / n
+    const sxx = x.reduce((s, v) => s + (v - xMean) ** 2, 0)
+    const slope = x.reduce((s, v, i) => s + (v - xMean) * (y[i] - yMean), 0) / sxx
+    const intercept = yMean - slope * xMean
+    const s2 = y.reduce((s, v, i) => s + (v - intercept - slope * x[i]) ** 2, 0) / (n - 2)
+    expect(confidence.values[0]).toBeCloseTo(intercept, 5)
+    expect(confidence.values[1]).toBeCloseTo(slope, 5)
+    expect(confidence.stdErrors[1]).toBeCloseTo(Math.sqrt(s2 / sxx), 8)
+    expect(confidence.stdErrors[0]).toBeCloseTo(Math.sqrt(s2 * (1 / n + xMean ** 2 / sxx)), 8)
+    expect(confidence.dof).toBe(n - 2)
+    expect(confidence.correlation[0][1]).toBeLessThan(0)
+  })
+
+  it('차분 점이 실패하면 반대쪽으로 차분하고, 양쪽 모두 실패하면 신뢰 구간 없이 멈춘다', async () => {
+    const x = [0, 1, 2, 3, 4, 5]
+    const y = x.map(xi => 2 + 0.5 * xi + 0.1 * Math.cos(xi))
+    const parameters = [
+      { lower: -10, upper: 10, scale: SWEEP_SCALES.LINEAR },
+      { lower: -10, upper: 10, scale: SWEEP_SCALES.LINEAR }
+    ]
+    const toValue = (u) => -10 + 20 * u
+    const model = (u) => y.map((yi, i) => yi - (toValue(u[0]) + toValue(u[1]) * x[i]))
+    const start = [0.5, 0.5]
+    const reference = await levenbergMarquardt({ evaluate: async (u) => model(u), initial: start })
+
+    // 절편 u ≈ 0.6 바로 위에서 시뮬레이션이 실패하는 영역: 위쪽 차분 대신 아래쪽 차분
+    const oneSided = await levenbergMarquardt({
+      evaluate: async (u) => {
+        if (u[0] > 0.605) throw new Error('발산')
+        return model(u)
+      },
+      initial: start
+    })
+    expect(oneSided.converged).toBe(true)
+    oneSided.u.forEach((value, j) => expect(value).toBeCloseTo(reference.u[j], 6))
+    expect(estimateConfidence(parameters, oneSided.u, oneSided.residuals, oneSided.jacobian).stdErrors).not.toBeNull()
+
+    const stalled = await levenbergMarquardt({
+      evaluate: async (u) => {
+        if (u.some((value, j) => value !== start[j])) throw new Error('발산')
+        return model(u)
+      },
+      initial: start
+    })
+    expect(stalled).toMatchObject({ u: start, jacobian: null, converged: false, iterations: 1 })
+    expect(estimateConfidence(parameters, stalled.u, stalled.residuals, stalled.jacobian).stdErrors).toBeNull()
+
+    // 취소는 차분 점에서도 그대로 전달
+    const abort = Object.assign(new Error('취소'), { name: 'AbortError' })
+    await expect(levenbergMarquardt({
+      evaluate: async (u) => {
+        if (u[0] !== start[0]) throw abort
+        return model(u)
+      },
+      initial: start
+    })).rejects.toBe(abort)
+  })
+})
+
+describe('측정 데이터 피팅', () => {
+  it('하부 대류 계수와 Glass 비열을 측정 T(t)에서 되찾고 신뢰 구간이 참값을 포함한다', async () => {
+    const truth = { ...BASE, boundary_bottom: { ...BASE.boundary_bottom, h_conv: 15 }, c_p_layers: [800, ...BASE.c_p_layers.slice(1)] }
+    const position = defaultMeasurementPosition(BASE)
+    const time = Array.from({ length: 31 }, (_, i) => i * 10)
+    // 결정적인 측정 잡음 (±0.05 K)
+    const temperature = sampleAtMeasurement(await simulate(truth), position, time).map((T, i) => T + 0.05 * Math.sin(i * 1.7))
+    const progress = []
+    const fit = await fitMeasurement({
+      formData: BASE,
+      measurement: { name: '열전대', position, time, temperature },
+      freeParameters: [
+        { id: 'boundary_bottom.h_conv', lower: 1, upper: 100, scale: SWEEP_SCALES.LOG },
+        { id: 'c_p_layers:0', lower: 300, upper: 3000, scale: SWEEP_SCALES.LINEAR }
+      ],
+      simulate,
+      onProgress: (entry) => progress.push(entry)
+    })
+    expect(fit.converged).toBe(true)
+    const [h, cp] = fit.parameters
+    expect(h.initial).toBe(10)
+    expect(h.value).toBeCloseTo(15, 1)
+    expect(cp.value).toBeGreaterThan(790)
+    expect(cp.value).toBeLessThan(810)
+    fit.parameters.forEach((p, i) => {
+      const trueValue = [15, 800][i]
+      expect(p.interval[0]).toBeLessThan(trueValue)
+      expect(p.interval[1]).toBeGreaterThan(trueValue)
+      expect(p.atBound).toBe(false)
+    })
+    expect(fit.rmse).toBeLessThan(0.05)
+    expect(progress[progress.length - 1].rmse).toBeLessThan(progress[0].rmse)
+    expect(fit.points).toHaveLength(time.length)
+    expect(fit.points[5].residual).toBeCloseTo(fit.points[5].measured - fit.points[5].fitted, 10)
+    expect(fit.curves.fitted).toHaveLength(BASE.output_points)
+  })
+
+  it('정상상태, 잘못된 경계, 시간 범위 밖 측정은 실행 전에 걸러낸다', () => {
+    const measurement = { position: defaultMeasurementPosition(BASE), time: [-10, 0, 100, 200, 400], temperature: [25, 25, 30, 33, 35] }
+    const free = [{ id: 'boundary_top.h_conv', lower: 1, upper: 100, scale: SWEEP_SCALES.LOG }]
+    expect(() => buildFitProblem({ ...BASE, analysis_mode: ANALYSIS_MODES.STEADY }, measurement, free)).toThrow('과도 해석')
+    expect(() => buildFitProblem(BASE, measurement, [{ ...free[0], lower: 0 }])).toThrow('하한이 양수')
+    expect(() => buildFitProblem(BASE, measurement, [{ ...free[0], upper: 0.5 }])).toThrow('하한은 상한보다')
+    const problem = buildFitProblem(BASE, measurement, free)
+    expect(problem.times).toEqual([0, 100, 200])
+    expect(problem.excluded).toBe(2)
+    expect(problem.parameters[0].initial).toBe(BASE.boundary_top.h_conv)
+  })
+})
@@ -0,0 +1,93 @@
+// 표면 방열(대류/복사/전도) 분해와 레이어별/계면 직렬 열저항
+// 온도는 섭씨로 변환된 결과를 받고 복사 계산에만 켈빈을 사용한다.
+import { evaluateLayerProperty } from './propertyModels.js'
+import { computeBoundaryLoss, getAmbientTemperature } from './boundaryConditions.js'
+
+/**
+ * 시간 인덱스 timeIndex에서 상부(최상층)와 하부(기판) 표면의 방열 분해 (경계 조건별, computeBoundaryLoss)
+ * { generated, top: { temperature, convection, radiation, conduction, total, resistance }, bottom: {...} }
+ * eqe: 발열 계산에 쓸 EQE (EQE(T) 모델이면 그 시점의 유효 EQE)
+ */
+export function computeSurfaceHeatLoss(result, formData, timeIndex = result.time.length - 1, eqe = formData.eqe) {
+  const { temperature_active, temperature_glass } = result
+  const topTemp = temperature_active[temperature_active.length - 1][timeIndex]
+  const bottomTemp = temperature_glass[0][timeIndex]
+  const ambientTemp = getAmbientTemperature(formData, result.time[timeIndex])
+  return {
+    generated: formData.voltage * formData.current_density * (1 - eqe),
+    top: computeBoundaryLoss(formData, 'top', topTemp, ambientTemp),
+    bottom: computeBoundaryLoss(formData, 'bottom', bottomTemp, ambientTemp)
+  }
+}
+
+/**
+ * 시간 인덱스에서 레이어별 노드 평균 온도 (°C, 기판 포함 스택 순서)
+ */
+export function computeLayerMeanTemperatures(result, timeIndex = result.time.length - 1) {
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length
+  const boundaries = result.layer_boundaries_nm
+  const active = boundaries.slice(1).map((end, i) => mean(
+    result.position_active_nm
+      .map((x, j) => [x, result.temperature_active[j][timeIndex]])
+      .filter(([x]) => x >= boundaries[i] && x <= end)
+      .map(([, T]) => T)
+  ))
+  return [mean(result.temperature_glass.map(row => row[timeIndex])), ...active]
+}
+
+const sumResistance = (rows) => rows.reduce((total, r) => total + r.resistance, 0)
+
+// 계면 열저항 (interface_resistances[i]: 레이어 i와 i + 1 사이, 없던 입력은 완전 접촉)
+const interfaceRows = (formData) => (formData.interface_resistances ?? []).map((resistance, i) => ({
+  name: `${formData.layer_names[i]}/${formData.layer_names[i + 1]}`,
+  resistance
+}))
+
+/**
+ * 레이어별 전도 열저항 R = L / k (m²·K/W)와 전체 전도 저항(계면 열저항 포함) 중 비율
+ * layerTemperatures(°C)를 주면 온도 의존 열전도도를 그 온도에서 평가
+ * [{ name, thickness_nm, k, resistance, share }]
+ */
+export function computeLayerResistances(formData, layerTemperatures = null) {
+  const resistances = formData.layer_names.map((name, i) => {
+    const k = layerTemperatures
+      ? evaluateLayerProperty(formData, i, 'k_therm_layers', layerTemperatures[i])
+      : formData.k_therm_layers[i]
+    return {
+      name,
+      thickness_nm: formData.thickness_layers_nm[i],
+      k,
+      resistance: formData.thickness_layers_nm[i] * 1e-9 / k
+    }
+  })
+  const total = sumResistance(resistances) + sumResistance(interfaceRows(formData))
+  return resistances.map(r => ({ ...r, share: r.resistance / total }))
+}
+
+/**
+ * 계면 열저항 (m²·K/W)과 전체 전도 저항 중 비율, 스택 순서 (레이어 i와 i + 1 사이가 i번째)
+ * layerResistances: computeLayerResistances 결과 (같은 전체 저항으로 비율 계산)
+ * [{ name: '앞 레이어/뒤 레이어', resistance, share }]
+ */
+export function computeInterfaceResistances(formData, layerResistances) {
+  const rows = interfaceRows(formData)
+  const total = sumResistance(layerResistances) + sumResistance(rows)
+  return rows.map(r => ({ ...r, share: r.resistance / total }))
+}
+
+/**
+ * 발광층 중간에서 상부/하부 표면을 거쳐 주변까지의 직렬 열저항 (발광층은 절반 두께, 지나는 계면 열저항 포함)
+ * layerResistances: computeLayerResistances 결과, surfaceLoss: computeSurfaceHeatLoss 결과
+ * interfaceResistances: computeInterfaceResistances 결과 (없으면 완전 접촉)
+ */
+export function computeHeatPathResistances(layerResistances, emissiveIndex, surfaceLoss, interfaceResistances = []) {
+  const half = layerResistances[emissiveIndex].resistance / 2
+  const topConduction = half + sumResistance(layerResistances.slice(emissiveIndex + 1)) +
+    sumResistance(interfaceResistances.slice(emissiveIndex))
+  const bottomConduction = half + sumResistance(layerResistances.slice(0, emissiveIndex)) +
+    sumResistance(interfaceResistances.slice(0, emissiveIndex))
+  return {
+    top: { conduction: topConduction, surface: surfaceLoss.top.resistance, total: topConduction + surfaceLoss.top.resistance },
+    bottom: { conduction: bottomConduction, surface: surfaceLoss.bottom.resistance, total: bottomConduction + surfaceLoss.bottom.resistance }
+  }
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { computeLayerResistances } from './heatBalance.js'
+
+describe('정상상태 열 수지', () => {
+  const formData = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }
+  const result = simulate(formData)
+
+  it('상부와 하부 방열의 합이 발생 열과 같다', () => {
+    const { generated, top, bottom } = result.heat_balance
+    expect(generated).toBeCloseTo(2.9 * 300 * 0.8, 9)
+    // 노드 발열은 제어체적과 발광층이 겹치는 구간만 적분하므로 이산화된 열원이 명목값과 같다
+    expect((top.total + bottom.total) / generated).toBeCloseTo(1, 6)
+    expect(top.convection + top.radiation).toBeCloseTo(top.total, 9)
+  })
+
+  it('방사율이 큰 하부(Glass)로 복사 열이 더 많이 빠져나간다', () => {
+    const { top, bottom } = result.heat_balance
+    expect(bottom.radiation).toBeGreaterThan(top.radiation)
+  })
+
+  it('레이어 열저항은 L / k이고 비율의 합은 1이다', () => {
+    const layers = computeLayerResistances(DEFAULT_VALUES)
+    expect(layers[0].resistance).toBeCloseTo(1.1e-3 / 0.8, 12)
+    expect(layers.reduce((sum, r) => sum + r.share, 0)).toBeCloseTo(1, 12)
+    // 두꺼운 Glass가 전도 저항을 지배한다
+    expect(layers[0].share).toBeGreaterThan(0.99)
+  })
+
+  it('발광층에서 각 표면까지의 경로 저항은 전도와 표면 저항의 합이다', () => {
+    const { top, bottom } = result.path_resistances
+    expect(top.total).toBeCloseTo(top.conduction + top.surface, 12)
+    expect(bottom.conduction).toBeGreaterThan(top.conduction)
+  })
+})
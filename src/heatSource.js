@@ -0,0 +1,153 @@
+// 발열 분포 입력 (formData.heat_fractions, formData.source_profile)
+// heat_fractions[i]: 명목 발열 V·J·(1 - EQE) 중 레이어 i의 비율 (%), 합 100. 기판은 전류가 흐르지 않아 0
+// source_profile: 발광층 안의 발열 밀도 모양 (위치는 발광층 아래 계면 기준 nm)
+// 솔버 요청에도 % 그대로 보낸다.
+import {
+  SOURCE_INTERFACES,
+  SOURCE_PROFILE_TYPES,
+  buildSourceDistribution,
+  createProfileShape,
+  integrateProfileShape
+} from './solver/heatSource.js'
+import { buildGrid } from './solver/thermalModel.js'
+import { SUBSTRATE_INDEX } from './layerStack.js'
+
+export const SOURCE_PROFILE_TYPE_LABELS = {
+  [SOURCE_PROFILE_TYPES.UNIFORM]: '균일',
+  [SOURCE_PROFILE_TYPES.GAUSSIAN]: '가우시안 (위치 지정)',
+  [SOURCE_PROFILE_TYPES.EXPONENTIAL]: '지수 감소 (계면에서)'
+}
+
+export const SOURCE_INTERFACE_LABELS = {
+  [SOURCE_INTERFACES.BOTTOM]: '아래 계면 (기판 쪽)',
+  [SOURCE_INTERFACES.TOP]: '위 계면 (음극 쪽)'
+}
+
+export const DEFAULT_SOURCE_PROFILE = {
+  type: SOURCE_PROFILE_TYPES.UNIFORM,
+  center_nm: 140, // 가우시안 중심 (발광층 아래 계면 기준 nm)
+  width_nm: 40, // 가우시안 표준편차 (nm)
+  interface: SOURCE_INTERFACES.BOTTOM, // 지수 감소가 시작되는 계면
+  decay_length_nm: 30 // 지수 감소 길이 (nm)
+}
+
+// 비율 합 허용 오차 (%)
+export const HEAT_FRACTION_SUM_TOLERANCE = 0.01
+// 미리보기: 레이어당 표본 수 (발광층은 모양이 보이도록 더 촘촘히)
+const PREVIEW_SAMPLES = 20
+const PREVIEW_EMISSIVE_SAMPLES = 120
+// 미리보기 정규화 적분의 소구간 수
+const PREVIEW_NORMALIZATION_SUBINTERVALS = 400
+
+// 레이어 비율 키는 validation.js의 layerFieldKey와 같은 형식
+export const heatFractionKey = (index) => `heat_fractions:${index}`
+export const HEAT_FRACTION_SUM_KEY = 'heat_fractions'
+export const SOURCE_PROFILE_KEY = 'source_profile'
+
+// 발광층에 100%
+export const createDefaultHeatFractions = (layerCount, emissiveIndex) =>
+  Array.from({ length: layerCount }, (_, i) => (i === emissiveIndex ? 100 : 0))
+
+/**
+ * heat_fractions/source_profile이 없는 입력(이전 버전 기록/프로젝트)은 발광층 균일 발열로 채운다.
+ */
+export function withDefaultHeatSource(formData) {
+  const next = { ...formData }
+  if (!Array.isArray(formData.heat_fractions)) {
+    next.heat_fractions = createDefaultHeatFractions(formData.layer_names.length, formData.emissive_layer_index)
+  }
+  if (!formData.source_profile) next.source_profile = DEFAULT_SOURCE_PROFILE
+  return next
+}
+
+/**
+ * 입력(%)으로 솔버와 같은 노드별 발열 비중을 계산 (buildSourceDistribution, 진단/되먹임 분석용)
+ */
+export const computeFormSourceDistribution = (formData, grid = buildGrid(formData)) =>
+  buildSourceDistribution(formData, grid, formData.emissive_layer_index)
+
+export const sumHeatFractions = (fractions) => fractions.reduce((sum, value) => sum + (Number.isFinite(value) ? value : 0), 0)
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * 발열 분포 검증. 키: heatFractionKey(index), HEAT_FRACTION_SUM_KEY, SOURCE_PROFILE_KEY
+ */
+export function validateHeatSource(formData) {
+  const errors = {}
+  const warnings = {}
+  const fractions = formData.heat_fractions
+  fractions.forEach((value, i) => {
+    const key = heatFractionKey(i)
+    if (!isNumber(value)) errors[key] = '발열 비율을 입력하세요.'
+    else if (value < 0 || value > 100) errors[key] = '발열 비율은 0 ~ 100%여야 합니다.'
+    else if (i === SUBSTRATE_INDEX && value !== 0) errors[key] = '기판에는 전류가 흐르지 않아 발열 비율이 0이어야 합니다.'
+  })
+  if (fractions.every(isNumber)) {
+    const sum = sumHeatFractions(fractions)
+    if (Math.abs(sum - 100) > HEAT_FRACTION_SUM_TOLERANCE) {
+      errors[HEAT_FRACTION_SUM_KEY] = `발열 비율의 합이 ${Number(sum.toFixed(4))}%입니다. 100%가 되어야 합니다.`
+    }
+  }
+
+  const profile = formData.source_profile
+  const thickness = formData.thickness_layers_nm[formData.emissive_layer_index]
+  if (profile.type === SOURCE_PROFILE_TYPES.GAUSSIAN) {
+    if (!isNumber(profile.center_nm) || !isNumber(profile.width_nm)) {
+      errors[SOURCE_PROFILE_KEY] = '중심 위치와 폭을 입력하세요.'
+    } else if (profile.width_nm <= 0) {
+      errors[SOURCE_PROFILE_KEY] = '폭은 0보다 커야 합니다.'
+    } else if (isNumber(thickness) && (profile.center_nm < 0 || profile.center_nm > thickness)) {
+      errors[SOURCE_PROFILE_KEY] = `중심 위치는 발광층 안(0 ~ ${thickness} nm)이어야 합니다.`
+    } else if (isNumber(thickness) && profile.width_nm > thickness) {
+      warnings[SOURCE_PROFILE_KEY] = '폭이 발광층 두께보다 커서 거의 균일한 분포가 됩니다.'
+    }
+  } else if (profile.type === SOURCE_PROFILE_TYPES.EXPONENTIAL) {
+    if (!isNumber(profile.decay_length_nm)) errors[SOURCE_PROFILE_KEY] = '감소 길이를 입력하세요.'
+    else if (profile.decay_length_nm <= 0) errors[SOURCE_PROFILE_KEY] = '감소 길이는 0보다 커야 합니다.'
+    else if (!Object.values(SOURCE_INTERFACES).includes(profile.interface)) errors[SOURCE_PROFILE_KEY] = '계면을 선택하세요.'
+  } else if (profile.type !== SOURCE_PROFILE_TYPES.UNIFORM) {
+    errors[SOURCE_PROFILE_KEY] = '알 수 없는 발열 분포입니다.'
+  }
+  return { errors, warnings }
+}
+
+/**
+ * 발열 밀도 미리보기 (활성층, ITO 시작 기준 위치)
+ * 발생 열은 켜짐 값 V·J·(1 - EQE), 레이어 경계에서는 같은 위치에 두 점을 두어 계단으로 그린다.
+ * 반환: [{ position (nm), density (W/m³) }]
+ */
+export function computeSourcePreview(formData) {
+  const heat = formData.voltage * formData.current_density * (1 - formData.eqe)
+  const rows = []
+  let offset = 0
+  formData.layer_names.forEach((_, layer) => {
+    if (layer === SUBSTRATE_INDEX) return
+    const thickness = formData.thickness_layers_nm[layer]
+    const isEmissive = layer === formData.emissive_layer_index
+    const shape = isEmissive ? createProfileShape(formData.source_profile, thickness) : () => 1
+    const normalization = integrateProfileShape(shape, 0, thickness, PREVIEW_NORMALIZATION_SUBINTERVALS)
+    // 비율(%) × 발생 열 / 모양 적분 (nm -> m)
+    const scale = formData.heat_fractions[layer] / 100 * heat / (normalization * 1e-9)
+    const samples = isEmissive ? PREVIEW_EMISSIVE_SAMPLES : PREVIEW_SAMPLES
+    for (let n = 0; n <= samples; n++) {
+      const xi = thickness * n / samples
+      rows.push({ position: offset + xi, density: scale * shape(xi) })
+    }
+    offset += thickness
+  })
+  return rows
+}
+
+/**
+ * 엑셀/실행 비교용 한 줄 설명
+ */
+export function describeSourceProfile(profile) {
+  if (profile.type === SOURCE_PROFILE_TYPES.GAUSSIAN) {
+    return `가우시안: 중심 ${profile.center_nm} nm, 폭(σ) ${profile.width_nm} nm`
+  }
+  if (profile.type === SOURCE_PROFILE_TYPES.EXPONENTIAL) {
+    return `지수 감소: ${SOURCE_INTERFACE_LABELS[profile.interface]}에서 감소 길이 ${profile.decay_length_nm} nm`
+  }
+  return '균일'
+}
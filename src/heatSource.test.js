@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { buildGrid } from './solver/thermalModel.js'
+import { SOURCE_INTERFACES, SOURCE_PROFILE_TYPES } from './solver/heatSource.js'
+import { summarizeEnergyBalance } from './diagnostics.js'
+import {
+  HEAT_FRACTION_SUM_KEY,
+  SOURCE_PROFILE_KEY,
+  computeFormSourceDistribution,
+  computeSourcePreview,
+  heatFractionKey,
+  validateHeatSource
+} from './heatSource.js'
+
+const gaussian = (center_nm, width_nm = 20) => ({ ...DEFAULT_VALUES.source_profile, type: SOURCE_PROFILE_TYPES.GAUSSIAN, center_nm, width_nm })
+const exponential = (side) => ({ ...DEFAULT_VALUES.source_profile, type: SOURCE_PROFILE_TYPES.EXPONENTIAL, interface: side })
+
+// 발광층 노드 중 발열 몫이 가장 큰 노드의 레이어 내 위치 (nm)
+const peakPosition = (formData) => {
+  const grid = buildGrid(formData)
+  const { start, weights } = computeFormSourceDistribution(formData, grid).emissive
+  const j = weights.indexOf(Math.max(...weights))
+  return (grid.x[start + j] - grid.x[start]) * 1e9
+}
+
+describe('발열 분포', () => {
+  it('노드별 발열 몫의 레이어 합이 비율과 같다', () => {
+    const formData = { ...DEFAULT_VALUES, heat_fractions: [0, 10, 20, 60, 10, 0], source_profile: gaussian(100) }
+    const grid = buildGrid(formData)
+    const { weights, emissive } = computeFormSourceDistribution(formData, grid)
+    grid.layerRanges.forEach(({ start, end }, layer) => {
+      // 경계 노드는 뒤쪽 레이어 소속이지만 앞 레이어 구간의 반 칸도 받는다 -> 레이어별로 나눠 다시 계산
+      const single = computeFormSourceDistribution({
+        ...formData,
+        heat_fractions: formData.heat_fractions.map((v, i) => (i === layer ? v : 0))
+      }, grid).weights
+      const sum = single.slice(start, end + 1).reduce((a, b) => a + b, 0)
+      expect(sum).toBeCloseTo(formData.heat_fractions[layer] / 100, 12)
+    })
+    expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12)
+    expect(emissive.weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12)
+  })
+
+  it('가우시안 중심과 지수 감소 계면에 따라 발열 최대 위치가 옮겨 간다', () => {
+    const thickness = DEFAULT_VALUES.thickness_layers_nm[DEFAULT_VALUES.emissive_layer_index]
+    expect(peakPosition({ ...DEFAULT_VALUES, source_profile: gaussian(60) })).toBeCloseTo(60, -1)
+    expect(peakPosition({ ...DEFAULT_VALUES, source_profile: gaussian(220) })).toBeCloseTo(220, -1)
+    // 계면 노드는 제어체적이 반 칸이라 최대 몫은 바로 옆 노드
+    expect(peakPosition({ ...DEFAULT_VALUES, source_profile: exponential(SOURCE_INTERFACES.BOTTOM) })).toBeLessThan(10)
+    expect(peakPosition({ ...DEFAULT_VALUES, source_profile: exponential(SOURCE_INTERFACES.TOP) })).toBeGreaterThan(thickness - 10)
+  })
+
+  it('비율 합, 기판 발열, 분포 파라미터를 검증한다', () => {
+    expect(validateHeatSource(DEFAULT_VALUES).errors).toEqual({})
+    const notHundred = validateHeatSource({ ...DEFAULT_VALUES, heat_fractions: [0, 10, 0, 80, 0, 0] })
+    expect(notHundred.errors[HEAT_FRACTION_SUM_KEY]).toMatch(/90%/)
+    const substrate = validateHeatSource({ ...DEFAULT_VALUES, heat_fractions: [10, 0, 0, 90, 0, 0] })
+    expect(substrate.errors[heatFractionKey(0)]).toMatch(/기판/)
+    expect(validateHeatSource({ ...DEFAULT_VALUES, source_profile: gaussian(400) }).errors[SOURCE_PROFILE_KEY]).toMatch(/0 ~ 280/)
+    expect(validateHeatSource({ ...DEFAULT_VALUES, source_profile: gaussian(100, 0) }).errors[SOURCE_PROFILE_KEY]).toBeDefined()
+    expect(validateHeatSource({ ...DEFAULT_VALUES, source_profile: gaussian(100, 500) }).warnings[SOURCE_PROFILE_KEY]).toBeDefined()
+    const noDecay = { ...exponential(SOURCE_INTERFACES.TOP), decay_length_nm: 0 }
+    expect(validateHeatSource({ ...DEFAULT_VALUES, source_profile: noDecay }).errors[SOURCE_PROFILE_KEY]).toBeDefined()
+  })
+
+  it('미리보기 발열 밀도를 두께로 적분하면 레이어별 발생 열과 같다', () => {
+    const formData = { ...DEFAULT_VALUES, heat_fractions: [0, 25, 0, 75, 0, 0], source_profile: gaussian(140, 40) }
+    const rows = computeSourcePreview(formData)
+    let integral = 0
+    for (let i = 1; i < rows.length; i++) {
+      integral += (rows[i].position - rows[i - 1].position) * 1e-9 * (rows[i].density + rows[i - 1].density) / 2
+    }
+    const heat = formData.voltage * formData.current_density * (1 - formData.eqe)
+    expect(integral / heat).toBeCloseTo(1, 3)
+    // ITO는 균일, 발광층 밖의 HTL은 0
+    const ito = rows.filter(row => row.position > 0 && row.position < 70)
+    expect(new Set(ito.map(row => row.density.toPrecision(8))).size).toBe(1)
+    expect(rows.filter(row => row.position > 71 && row.position < 149).every(row => row.density === 0)).toBe(true)
+  })
+
+  it('발열을 ITO로 나누면 발광층은 덜 뜨겁고 에너지 수지는 그대로 맞는다', () => {
+    const base = { ...DEFAULT_VALUES, current_density: 3000, t_end: 200 }
+    const reference = simulate(base)
+    const split = simulate({ ...base, heat_fractions: [0, 50, 0, 50, 0, 0] })
+    const last = split.time.length - 1
+    expect(split.perovskite_center_temp[last]).toBeLessThan(reference.perovskite_center_temp[last])
+    expect(split.diagnostics.source_ratio).toBeCloseTo(1, 12)
+    expect(summarizeEnergyBalance(split.diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+  })
+})
@@ -0,0 +1,75 @@
+// 계면 열저항 (Kapitza 저항) 입력 (formData.interface_resistances)
+// interface_resistances[i]: 레이어 i와 i + 1 사이의 열저항 (m²·K/W), 길이는 레이어 수 - 1, 0이면 완전 접촉
+// 솔버는 계면에서 온도 점프를 만들고 결과에 계면별 점프 interface_jumps[계면][시간] (K)를 돌려준다.
+
+// 검증 키 (validation.js의 layerFieldKey와 같은 형식)
+export const interfaceResistanceKey = (index) => `interface_resistances:${index}`
+
+// 박막 계면의 일반적인 열저항 범위를 크게 벗어나면 경고 (m²·K/W)
+export const INTERFACE_RESISTANCE_WARN_MAX = 1e-6
+
+export const createDefaultInterfaceResistances = (layerCount) => new Array(layerCount - 1).fill(0)
+
+/**
+ * interface_resistances가 없는 입력(이전 버전 기록/프로젝트)은 모든 계면을 완전 접촉으로 채운다.
+ */
+export function withDefaultInterfaceResistances(formData) {
+  if (Array.isArray(formData.interface_resistances)) return formData
+  return { ...formData, interface_resistances: createDefaultInterfaceResistances(formData.layer_names.length) }
+}
+
+/**
+ * 레이어 순서가 바뀔 때 계면 열저항 재배치
+ * order[i] = 새 스택 i번째 자리의 기존 레이어 인덱스 (새로 넣은 레이어는 null)
+ * 원래 맞닿아 있던 두 레이어가 계속 맞닿으면 값을 유지하고, 새로 생긴 계면은 0 (완전 접촉)
+ */
+export function remapInterfaceResistances(resistances, order) {
+  return order.slice(0, -1).map((a, i) => {
+    const b = order[i + 1]
+    if (a === null || b === null || Math.abs(a - b) !== 1) return 0
+    return resistances[Math.min(a, b)]
+  })
+}
+
+/**
+ * 계면 열저항 검증: 숫자, 0 이상, 일반 범위 밖이면 경고
+ */
+export function validateInterfaceResistances(formData) {
+  const errors = {}
+  const warnings = {}
+  formData.interface_resistances.forEach((value, i) => {
+    const key = interfaceResistanceKey(i)
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors[key] = '계면 열저항을 입력하세요 (완전 접촉은 0).'
+    else if (value < 0) errors[key] = '계면 열저항은 0 이상이어야 합니다.'
+    else if (value > INTERFACE_RESISTANCE_WARN_MAX) {
+      warnings[key] = `박막 계면의 일반적인 열저항(${INTERFACE_RESISTANCE_WARN_MAX} m²·K/W 이하)보다 큽니다.`
+    }
+  })
+  return { errors, warnings }
+}
+
+// 결과의 계면 온도 점프 (K), 계면 열저항이 없던 결과는 0
+export const getInterfaceJump = (result, interfaceIndex, timeIndex) =>
+  result.interface_jumps?.[interfaceIndex][timeIndex] ?? 0
+
+/**
+ * 활성층 프로파일 행([{ position, temperature }], ITO 시작 기준)에 계면 온도 점프를 넣는다.
+ * 레이어 경계(layer_boundaries_nm[i] = 레이어 i와 i + 1 사이)마다 앞쪽 레이어 쪽 계면 온도 점을
+ * 경계 노드 바로 앞에 같은 위치로 넣어 그래프에 불연속으로 그린다.
+ * 기판/ITO 경계(x = 0)는 ITO 쪽 온도를 맨 앞에 넣는다 (기판 쪽은 기판 표시선의 끝).
+ */
+export function addInterfaceJumps(rows, result, timeIndex) {
+  if (!result.interface_jumps) return rows
+  const glass = result.temperature_glass
+  // 경계 노드 위치는 layer_boundaries_nm과 같은 값으로 계산된다 (마지막 값은 스택 끝이라 제외)
+  const interfaceAt = new Map(result.layer_boundaries_nm.slice(1, -1).map((position, i) => [position, i + 1]))
+  const out = [{ position: 0, temperature: glass[glass.length - 1][timeIndex] }]
+  rows.forEach(row => {
+    const index = interfaceAt.get(row.position)
+    if (index !== undefined) {
+      out.push({ position: row.position, temperature: row.temperature + getInterfaceJump(result, index, timeIndex) })
+    }
+    out.push(row)
+  })
+  return out
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { insertLayer, moveLayer, removeLayer } from './layerStack.js'
+import { summarizeEnergyBalance } from './diagnostics.js'
+import {
+  addInterfaceJumps,
+  interfaceResistanceKey,
+  validateInterfaceResistances
+} from './interfaceResistance.js'
+
+// 기본 스택: Glass, ITO, HTL, 발광층(3), ETL, Cathode -> 계면 2 = HTL/발광층, 계면 4 = ETL/Cathode
+const withResistance = (formData, index, value) => ({
+  ...formData,
+  interface_resistances: formData.interface_resistances.map((r, i) => (i === index ? value : r))
+})
+
+describe('계면 열저항', () => {
+  it('레이어 순서가 바뀌면 맞닿아 있던 계면의 값만 따라간다', () => {
+    const formData = { ...DEFAULT_VALUES, interface_resistances: [1e-8, 2e-8, 3e-8, 4e-8, 5e-8] }
+    // 새 레이어가 HTL(2)과 발광층(3) 사이에 들어가면 양쪽 계면은 완전 접촉
+    expect(insertLayer(formData, 3).interface_resistances).toEqual([1e-8, 2e-8, 0, 0, 4e-8, 5e-8])
+    // ETL(4)을 제거하면 발광층/Cathode는 새 계면
+    expect(removeLayer(formData, 4).interface_resistances).toEqual([1e-8, 2e-8, 3e-8, 0])
+    // 발광층과 ETL 자리를 바꾸면 둘 사이의 값은 유지
+    expect(moveLayer(formData, 3, 4).interface_resistances).toEqual([1e-8, 2e-8, 0, 4e-8, 0])
+  })
+
+  it('숫자가 아니거나 음수이면 오류, 일반 범위보다 크면 경고', () => {
+    expect(validateInterfaceResistances(DEFAULT_VALUES)).toEqual({ errors: {}, warnings: {} })
+    const { errors, warnings } = validateInterfaceResistances({ ...DEFAULT_VALUES, interface_resistances: ['', -1e-9, 1e-5, 0, 0] })
+    expect(errors[interfaceResistanceKey(0)]).toBeDefined()
+    expect(errors[interfaceResistanceKey(1)]).toMatch(/0 이상/)
+    expect(warnings[interfaceResistanceKey(2)]).toBeDefined()
+  })
+
+  it('완전 접촉이면 결과가 같고 점프가 없다', () => {
+    const base = { ...DEFAULT_VALUES, t_end: 50 }
+    const result = simulate(base)
+    expect(result.interface_jumps).toBeUndefined()
+    const rows = [{ position: 0, temperature: 1 }]
+    expect(addInterfaceJumps(rows, result, 0)).toBe(rows)
+  })
+
+  it('정상상태 계면 점프는 계면을 지나는 열유속 × 열저항이다', () => {
+    const resistance = 1e-4
+    const formData = withResistance({ ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }, 4, resistance)
+    const reference = simulate({ ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY })
+    const result = simulate(formData)
+    // ETL/Cathode 계면을 지나는 열은 모두 상부 표면으로 빠져나간다 (양쪽 모두 발열 없음)
+    const jump = result.interface_jumps[4][0]
+    expect(jump / (result.heat_balance.top.total * resistance)).toBeCloseTo(1, 6)
+    expect(result.interface_jumps[0][0]).toBeCloseTo(0, 12)
+    // 상부 경로 저항이 커져 발광층이 더 뜨겁고, 열은 하부로 더 빠진다
+    expect(result.perovskite_center_temp[0]).toBeGreaterThan(reference.perovskite_center_temp[0])
+    expect(result.heat_balance.bottom.total).toBeGreaterThan(reference.heat_balance.bottom.total)
+    expect(result.path_resistances.top.conduction - reference.path_resistances.top.conduction).toBeCloseTo(resistance, 6)
+  })
+
+  it('과도 해석에서도 점프가 생기고 에너지 수지가 맞는다', () => {
+    const formData = withResistance({ ...DEFAULT_VALUES, current_density: 3000, t_end: 100 }, 2, 1e-4)
+    const result = simulate(formData)
+    const last = result.time.length - 1
+    // HTL/발광층 계면: 열은 발광층에서 HTL 쪽으로 흐르므로 HTL 쪽이 더 차갑다 (점프 = 앞 레이어 - 뒤 레이어 < 0)
+    expect(result.interface_jumps[2][last]).toBeLessThan(0)
+    expect(summarizeEnergyBalance(result.diagnostics.energy).maxRelativeError).toBeLessThan(0.01)
+
+    // 프로파일에는 경계마다 같은 위치의 점이 하나씩 더 들어간다
+    const rows = result.position_active_nm.map((position, i) => ({ position, temperature: result.temperature_active[i][last] }))
+    const withJumps = addInterfaceJumps(rows, result, last)
+    expect(withJumps.length).toBe(rows.length + result.layer_boundaries_nm.length - 1)
+    const boundary = result.layer_boundaries_nm[2]
+    const [before, after] = withJumps.filter(row => row.position === boundary)
+    expect(before.temperature - after.temperature).toBeCloseTo(result.interface_jumps[2][last], 9)
+  })
+})
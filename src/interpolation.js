@@ -0,0 +1,22 @@
+// 정렬된 1차원 배열 검색/보간 유틸리티
+
+// 오름차순 배열에서 value보다 크지 않은 마지막 인덱스 (범위 밖이면 양 끝으로 고정)
+export function lowerIndex(sorted, value) {
+  let lo = 0
+  let hi = sorted.length - 1
+  if (value <= sorted[lo]) return lo
+  if (value >= sorted[hi]) return hi
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] <= value) lo = mid
+    else hi = mid
+  }
+  return lo
+}
+
+// 오름차순 배열에서 value에 가장 가까운 원소의 인덱스
+export function nearestIndex(sorted, value) {
+  const i = lowerIndex(sorted, value)
+  if (i === sorted.length - 1) return i
+  return value - sorted[i] <= sorted[i + 1] - value ? i : i + 1
+}
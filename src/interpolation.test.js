@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { lowerIndex, nearestIndex } from './interpolation.js'
+
+describe('정렬 배열 검색', () => {
+  const xs = [0, 1, 2.5, 4]
+
+  it('lowerIndex는 구간 왼쪽 인덱스를 반환하고 범위 밖은 양 끝으로 고정한다', () => {
+    expect(lowerIndex(xs, -1)).toBe(0)
+    expect(lowerIndex(xs, 1)).toBe(1)
+    expect(lowerIndex(xs, 2)).toBe(1)
+    expect(lowerIndex(xs, 10)).toBe(3)
+  })
+
+  it('nearestIndex는 가장 가까운 원소를 찾는다', () => {
+    expect(nearestIndex(xs, 1.7)).toBe(1)
+    expect(nearestIndex(xs, 1.8)).toBe(2)
+    expect(nearestIndex(xs, 3.9)).toBe(3)
+  })
+})
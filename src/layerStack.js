@@ -0,0 +1,118 @@
+// 레이어 스택 편집 유틸리티
+// formData는 레이어별 값을 필드마다 평행 배열로 가지므로 (layer_names, thickness_layers_nm, ...)
+// 삽입/삭제/순서 변경 시 모든 레이어 배열을 함께 바꾸고 발광층 인덱스를 따라가게 한다.
+// 레이어 사이 값(interface_resistances)은 맞닿은 두 레이어가 그대로면 유지하고 새 계면은 0으로 둔다.
+// 인덱스 0은 기판(Glass)으로 고정되어 삭제/이동할 수 없다.
+import { remapLayerProbes } from './probes.js'
+import { createConstantLayerModels } from './propertyModels.js'
+import { remapInterfaceResistances } from './interfaceResistance.js'
+
+export const LAYER_PROPERTY_FIELDS = ['thickness_layers_nm', 'k_therm_layers', 'rho_layers', 'c_p_layers']
+export const PER_LAYER_FIELDS = ['layer_names', ...LAYER_PROPERTY_FIELDS, 'property_models', 'heat_fractions', 'points_per_layer']
+
+export const SUBSTRATE_INDEX = 0
+export const MIN_LAYER_COUNT = 2 // 기판 + 활성층 1개
+
+// 새 레이어 기본값 (일반적인 유기 수송층 수준)
+export const NEW_LAYER_DEFAULTS = {
+  layer_names: '새 레이어',
+  thickness_layers_nm: 50,
+  k_therm_layers: 0.2,
+  rho_layers: 1200,
+  c_p_layers: 1500,
+  property_models: createConstantLayerModels(),
+  heat_fractions: 0, // 발열 비율 (%, heatSource.js) — 새 레이어는 발열 없음
+  points_per_layer: 20 // 격자 노드 수 (solverSettings.js)
+}
+
+// 레이어 색상 (입력 카드와 그래프에서 공통 사용, 6개마다 색상을 30° 비틀어 반복을 피함)
+export const getLayerColor = (layerIndex) =>
+  `hsl(${(layerIndex * 60 + Math.floor(layerIndex / 6) * 30) % 360}, 70%, 80%)`
+
+// order[i] = 새 스택의 i번째 자리에 올 기존 레이어 인덱스
+const applyLayerOrder = (formData, order) => {
+  const next = { ...formData }
+  PER_LAYER_FIELDS.forEach(field => {
+    next[field] = order.map(oldIdx => formData[field][oldIdx])
+  })
+  next.emissive_layer_index = order.indexOf(formData.emissive_layer_index)
+  next.interface_resistances = remapInterfaceResistances(formData.interface_resistances, order)
+  next.probes = remapLayerProbes(formData.probes, oldIdx => order.indexOf(oldIdx))
+  return next
+}
+
+export function updateLayerProperty(formData, index, field, value) {
+  return {
+    ...formData,
+    [field]: formData[field].map((v, i) => (i === index ? value : v))
+  }
+}
+
+// 재료 라이브러리 값으로 레이어 물성(k, ρ, c_p) 채우기 (두께는 유지)
+// 라이브러리 값은 상온 상수이므로 온도 의존 모델은 일정으로 되돌린다.
+export function applyMaterial(formData, index, material) {
+  return [
+    ['k_therm_layers', material.k],
+    ['rho_layers', material.rho],
+    ['c_p_layers', material.c_p],
+    ['property_models', createConstantLayerModels()]
+  ].reduce((next, [field, value]) => updateLayerProperty(next, index, field, value), formData)
+}
+
+export function renameLayer(formData, index, name) {
+  return updateLayerProperty(formData, index, 'layer_names', name)
+}
+
+// 발열이 발광층에만 있었으면 (기본 설정) 발열 비율 100%도 새 발광층으로 옮긴다.
+export function setEmissiveLayer(formData, index) {
+  if (index === SUBSTRATE_INDEX) return formData
+  const previous = formData.emissive_layer_index
+  const emissiveOnly = formData.heat_fractions.every((value, i) => value === (i === previous ? 100 : 0))
+  return {
+    ...formData,
+    emissive_layer_index: index,
+    ...(emissiveOnly && { heat_fractions: formData.heat_fractions.map((_, i) => (i === index ? 100 : 0)) })
+  }
+}
+
+// index 위치에 새 레이어 삽입 (기판 앞에는 삽입 불가)
+export function insertLayer(formData, index, layer = NEW_LAYER_DEFAULTS) {
+  const insertAt = Math.max(index, SUBSTRATE_INDEX + 1)
+  const next = { ...formData }
+  PER_LAYER_FIELDS.forEach(field => {
+    next[field] = [
+      ...formData[field].slice(0, insertAt),
+      layer[field] ?? NEW_LAYER_DEFAULTS[field],
+      ...formData[field].slice(insertAt)
+    ]
+  })
+  if (formData.emissive_layer_index >= insertAt) {
+    next.emissive_layer_index = formData.emissive_layer_index + 1
+  }
+  const order = formData.layer_names.map((_, i) => i)
+  order.splice(insertAt, 0, null)
+  next.interface_resistances = remapInterfaceResistances(formData.interface_resistances, order)
+  next.probes = remapLayerProbes(formData.probes, oldIdx => (oldIdx >= insertAt ? oldIdx + 1 : oldIdx))
+  return next
+}
+
+export function canRemoveLayer(formData, index) {
+  return index !== SUBSTRATE_INDEX &&
+    index !== formData.emissive_layer_index &&
+    formData.layer_names.length > MIN_LAYER_COUNT
+}
+
+export function removeLayer(formData, index) {
+  if (!canRemoveLayer(formData, index)) return formData
+  const order = formData.layer_names.map((_, i) => i).filter(i => i !== index)
+  return applyLayerOrder(formData, order)
+}
+
+// from 위치의 레이어를 to 위치로 이동 (드래그 정렬)
+export function moveLayer(formData, from, to) {
+  if (from === SUBSTRATE_INDEX || to === SUBSTRATE_INDEX || from === to) return formData
+  const order = formData.layer_names.map((_, i) => i)
+  order.splice(from, 1)
+  order.splice(to, 0, from)
+  return applyLayerOrder(formData, order)
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { canRemoveLayer, insertLayer, moveLayer, removeLayer, setEmissiveLayer } from './layerStack.js'
+
+describe('레이어 스택 편집', () => {
+  it('삽입 시 모든 레이어 배열이 함께 늘어나고 발광층 인덱스가 따라간다', () => {
+    const next = insertLayer(DEFAULT_VALUES, 3, {
+      layer_names: 'LiF', thickness_layers_nm: 1, k_therm_layers: 0.1, rho_layers: 2600, c_p_layers: 1500
+    })
+    expect(next.layer_names).toEqual(['Glass', 'ITO', 'HTL', 'LiF', 'Perovskite', 'ETL', 'Cathode'])
+    expect(next.thickness_layers_nm[3]).toBe(1)
+    expect(next.c_p_layers).toHaveLength(7)
+    expect(next.heat_fractions).toEqual([0, 0, 0, 0, 100, 0, 0])
+    expect(next.layer_names[next.emissive_layer_index]).toBe('Perovskite')
+    expect(DEFAULT_VALUES.layer_names).toHaveLength(6)
+  })
+
+  it('드래그 이동 후에도 같은 레이어가 발광층으로 남는다', () => {
+    const next = moveLayer(DEFAULT_VALUES, 3, 1)
+    expect(next.layer_names).toEqual(['Glass', 'Perovskite', 'ITO', 'HTL', 'ETL', 'Cathode'])
+    expect(next.k_therm_layers).toEqual([0.8, 0.5, 10.0, 0.2, 0.2, 200.0])
+    expect(next.emissive_layer_index).toBe(1)
+  })
+
+  it('기판과 발광층은 삭제하거나 옮길 수 없다', () => {
+    expect(canRemoveLayer(DEFAULT_VALUES, 0)).toBe(false)
+    expect(canRemoveLayer(DEFAULT_VALUES, 3)).toBe(false)
+    expect(moveLayer(DEFAULT_VALUES, 0, 2)).toBe(DEFAULT_VALUES)
+    const next = removeLayer(DEFAULT_VALUES, 2)
+    expect(next.layer_names).toEqual(['Glass', 'ITO', 'Perovskite', 'ETL', 'Cathode'])
+    expect(next.emissive_layer_index).toBe(2)
+  })
+
+  it('발광층을 바꾸면 발광층에만 있던 발열도 따라가고, 나눠 둔 발열 비율은 유지한다', () => {
+    expect(setEmissiveLayer(DEFAULT_VALUES, 2).heat_fractions).toEqual([0, 0, 100, 0, 0, 0])
+    const split = { ...DEFAULT_VALUES, heat_fractions: [0, 20, 0, 80, 0, 0] }
+    expect(setEmissiveLayer(split, 2).heat_fractions).toEqual(split.heat_fractions)
+    expect(setEmissiveLayer(split, 0)).toBe(split)
+  })
+})
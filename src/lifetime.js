@@ -0,0 +1,156 @@
+// 수명 추정 (선택): 발광층 중간 온도 또는 프로브의 T(t)에 Arrhenius 가속 모델 적용
+// 가속 계수 AF(T) = exp(Ea/k_B · (1/T_ref - 1/T)), 기준 온도 T_ref에서의 T50 수명을 AF로 나눈 값이 온도 T에서의 T50
+// 입력은 formData.lifetime (섭씨), 시뮬레이션에는 영향을 주지 않고 결과를 다시 계산하지 않아도 바뀐다.
+import { getAmbientTemperature } from './boundaryConditions.js'
+import { evaluateProbes, formatProbeLabel } from './probes.js'
+
+export const BOLTZMANN_EV = 8.617333262e-5 // 볼츠만 상수 (eV/K)
+
+// 온도 이력: 발광층 중간 온도 또는 프로브 (`probe:${id}`)
+export const CENTER_SOURCE = 'center'
+export const probeSource = (id) => `probe:${id}`
+
+export const DEFAULT_LIFETIME = {
+  enabled: false,
+  activation_energy: 0.5, // 활성화 에너지 Ea (eV)
+  t50_ref: 1000, // 기준 온도에서의 T50 수명 (h)
+  T_ref: 25, // 기준 온도 (°C)
+  source: CENTER_SOURCE
+}
+
+// 이 범위를 벗어난 활성화 에너지는 경고 (eV)
+const ACTIVATION_ENERGY_RANGE = [0.1, 2]
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * 수명 추정 설정이 없는 입력(이전 버전 기록/프로젝트)은 꺼진 기본 설정으로 채움
+ */
+export function withDefaultLifetime(formData) {
+  if (formData.lifetime) return formData
+  return { ...formData, lifetime: DEFAULT_LIFETIME }
+}
+
+/**
+ * 수명 추정 설정 검증: { errors, warnings } (키는 `lifetime.${field}`), 꺼져 있으면 검사하지 않음
+ * 시뮬레이션 입력이 아니므로 실행을 막지 않고 수명 추정 패널에서만 표시한다.
+ */
+export function validateLifetime(lifetime) {
+  const errors = {}
+  const warnings = {}
+  if (!lifetime.enabled) return { errors, warnings }
+  const { activation_energy: ea, t50_ref: t50, T_ref: tRef } = lifetime
+  if (!isNumber(ea)) errors['lifetime.activation_energy'] = '활성화 에너지를 입력하세요.'
+  else if (ea <= 0) errors['lifetime.activation_energy'] = '활성화 에너지는 0보다 커야 합니다.'
+  else if (ea < ACTIVATION_ENERGY_RANGE[0] || ea > ACTIVATION_ENERGY_RANGE[1]) {
+    warnings['lifetime.activation_energy'] = `일반적인 범위(${ACTIVATION_ENERGY_RANGE[0]} ~ ${ACTIVATION_ENERGY_RANGE[1]} eV)를 벗어났습니다.`
+  }
+  if (!isNumber(t50)) errors['lifetime.t50_ref'] = '기준 T50을 입력하세요.'
+  else if (t50 <= 0) errors['lifetime.t50_ref'] = '기준 T50은 0보다 커야 합니다.'
+  if (!isNumber(tRef)) errors['lifetime.T_ref'] = '기준 온도를 입력하세요.'
+  else if (tRef <= -273.15) errors['lifetime.T_ref'] = '기준 온도는 절대영도(-273.15°C)보다 높아야 합니다.'
+  return { errors, warnings }
+}
+
+/**
+ * 온도 T (°C)에서의 Arrhenius 가속 계수 (기준 온도 T_ref에서 1)
+ */
+export function accelerationFactor(temperature, lifetime) {
+  const T = temperature + 273.15
+  const tRef = lifetime.T_ref + 273.15
+  return Math.exp(lifetime.activation_energy / BOLTZMANN_EV * (1 / tRef - 1 / T))
+}
+
+/**
+ * 온도 이력 series (°C, time과 같은 길이)로 수명 추정
+ * - equivalentAging: 시뮬레이션 구간 동안의 노화를 기준 온도에서의 시간으로 환산 (s, ∫AF dt), 정상상태는 null
+ * - agingRate: 운전 1시간당 기준 온도 환산 노화 시간 (구간 평균 AF, 정상상태는 그 온도의 AF)
+ * - t50Operating: 시뮬레이션 끝의 동작 온도를 계속 유지할 때의 T50 (h)
+ * - t50History: 시뮬레이션한 온도 이력을 반복할 때의 T50 (h, 펄스 구동 등)
+ * - t50Isothermal: 자체 발열 없이 주변 온도(isothermalTemp)에 있는 소자의 T50 (h)
+ * - penalty: 등온 소자 대비 수명 감소 비율 1 - t50Operating / t50Isothermal
+ */
+export function computeLifetime(time, series, lifetime, isothermalTemp) {
+  const factors = series.map(T => accelerationFactor(T, lifetime))
+  const last = series.length - 1
+  let equivalentAging = null
+  let agingRate = factors[last]
+  if (time.length > 1 && time[last] > time[0]) {
+    equivalentAging = 0
+    for (let i = 1; i < time.length; i++) {
+      equivalentAging += (factors[i] + factors[i - 1]) / 2 * (time[i] - time[i - 1])
+    }
+    agingRate = equivalentAging / (time[last] - time[0])
+  }
+  const operatingAcceleration = factors[last]
+  const isothermalAcceleration = accelerationFactor(isothermalTemp, lifetime)
+  const t50Operating = lifetime.t50_ref / operatingAcceleration
+  const t50Isothermal = lifetime.t50_ref / isothermalAcceleration
+  return {
+    operatingTemp: series[last],
+    isothermalTemp,
+    operatingAcceleration,
+    equivalentAging,
+    agingRate,
+    t50Operating,
+    t50History: lifetime.t50_ref / agingRate,
+    t50Isothermal,
+    penalty: 1 - t50Operating / t50Isothermal
+  }
+}
+
+/**
+ * 수명 추정에 쓸 온도 이력 선택지: [{ value, label }] (발광층 중간 + 프로브)
+ */
+export function listLifetimeSources(formData) {
+  return [
+    { value: CENTER_SOURCE, label: '발광층 중간 온도' },
+    ...formData.probes.map(probe => ({ value: probeSource(probe.id), label: `프로브 ${formatProbeLabel(probe, formData.layer_names)}` }))
+  ]
+}
+
+/**
+ * 결과에서 선택한 온도 이력: { label, series }. 삭제됐거나 스택 밖인 프로브면 null
+ */
+export function getLifetimeSeries(result, formData, source) {
+  if (source === CENTER_SOURCE) return { label: '발광층 중간 온도', series: result.perovskite_center_temp }
+  const entry = evaluateProbes(formData.probes, result).find(({ probe }) => probeSource(probe.id) === source)
+  if (!entry || !entry.series) return null
+  return { label: `프로브 ${formatProbeLabel(entry.probe, formData.layer_names)}`, series: entry.series }
+}
+
+/**
+ * 결과와 입력으로 수명 추정: { sourceLabel, ...computeLifetime }
+ * 꺼져 있거나 설정이 잘못됐거나 온도 이력을 찾을 수 없으면 null
+ * 등온 기준은 시뮬레이션 끝 시각의 주변 온도 (주변 온도 일정 포함)
+ */
+export function analyzeLifetime(result, formData) {
+  const lifetime = formData.lifetime
+  if (!lifetime?.enabled || Object.keys(validateLifetime(lifetime).errors).length > 0) return null
+  const selected = getLifetimeSeries(result, formData, lifetime.source)
+  if (!selected) return null
+  const isothermalTemp = getAmbientTemperature(formData, result.time[result.time.length - 1])
+  return { sourceLabel: selected.label, ...computeLifetime(result.time, selected.series, lifetime, isothermalTemp) }
+}
+
+/**
+ * 화면, Excel 요약 시트, PDF 요약 통계에 쓰는 [{ label, value }] (값은 숫자 또는 문자열)
+ */
+export function formatLifetimeStats(analysis, lifetime) {
+  const rows = [
+    { label: '수명 추정 온도 이력', value: analysis.sourceLabel },
+    { label: '활성화 에너지 (eV)', value: lifetime.activation_energy },
+    { label: `기준 T50 (h, ${lifetime.T_ref}°C)`, value: lifetime.t50_ref },
+    { label: '동작 온도 (°C)', value: analysis.operatingTemp },
+    { label: '동작 온도 가속 계수', value: analysis.operatingAcceleration },
+    { label: '운전 1시간당 등가 노화 (h)', value: analysis.agingRate }
+  ]
+  if (analysis.equivalentAging !== null) {
+    rows.push({ label: '시뮬레이션 구간 등가 노화 (기준 온도 환산, s)', value: analysis.equivalentAging })
+    rows.push({ label: '온도 이력 반복 시 예상 T50 (h)', value: analysis.t50History })
+  }
+  rows.push({ label: '동작 온도 예상 T50 (h)', value: analysis.t50Operating })
+  rows.push({ label: `등온 소자 T50 (h, ${Number(analysis.isothermalTemp.toFixed(2))}°C)`, value: analysis.t50Isothermal })
+  rows.push({ label: '등온 소자 대비 수명 감소', value: `${(analysis.penalty * 100).toFixed(1)}%` })
+  return rows
+}
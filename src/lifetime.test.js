@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { PROBE_MODES } from './probes.js'
+import { PROJECT_FORMAT, parseProject } from './project.js'
+import { buildReportStats } from './report.js'
+import {
+  BOLTZMANN_EV,
+  CENTER_SOURCE,
+  DEFAULT_LIFETIME,
+  accelerationFactor,
+  analyzeLifetime,
+  computeLifetime,
+  formatLifetimeStats,
+  probeSource,
+  validateLifetime,
+  withDefaultLifetime
+} from './lifetime.js'
+
+const LIFETIME = { enabled: true, activation_energy: 0.5, t50_ref: 1000, T_ref: 25, source: CENTER_SOURCE }
+
+describe('Arrhenius 가속 계수', () => {
+  it('기준 온도에서 1이고 온도가 오르면 exp(Ea/k_B·(1/T_ref - 1/T))로 커진다', () => {
+    expect(accelerationFactor(25, LIFETIME)).toBe(1)
+    const expected = Math.exp(0.5 / BOLTZMANN_EV * (1 / 298.15 - 1 / 358.15))
+    expect(accelerationFactor(85, LIFETIME)).toBeCloseTo(expected, 10)
+    expect(accelerationFactor(0, LIFETIME)).toBeLessThan(1)
+  })
+})
+
+describe('수명 추정', () => {
+  it('일정 온도 이력은 등가 노화가 AF × 시간이고 T50은 기준 T50 / AF', () => {
+    const af = accelerationFactor(60, LIFETIME)
+    const estimate = computeLifetime([0, 50, 100], [60, 60, 60], LIFETIME, 25)
+    expect(estimate.equivalentAging).toBeCloseTo(100 * af, 8)
+    expect(estimate.agingRate).toBeCloseTo(af, 10)
+    expect(estimate.t50Operating).toBeCloseTo(1000 / af, 8)
+    expect(estimate.t50History).toBeCloseTo(1000 / af, 8)
+    expect(estimate.t50Isothermal).toBe(1000)
+    expect(estimate.penalty).toBeCloseTo(1 - 1 / af, 10)
+  })
+
+  it('변하는 온도 이력은 사다리꼴 적분으로 평균 가속을 구하고 동작 온도는 마지막 값', () => {
+    const estimate = computeLifetime([0, 10], [25, 85], LIFETIME, 25)
+    const meanAf = (1 + accelerationFactor(85, LIFETIME)) / 2
+    expect(estimate.agingRate).toBeCloseTo(meanAf, 10)
+    expect(estimate.t50History).toBeCloseTo(1000 / meanAf, 8)
+    expect(estimate.operatingTemp).toBe(85)
+    expect(estimate.t50History).toBeGreaterThan(estimate.t50Operating)
+  })
+
+  it('정상상태 결과는 등가 노화 구간 없이 동작 온도의 가속만 보고한다', () => {
+    const formData = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY, lifetime: LIFETIME }
+    const analysis = analyzeLifetime(simulate(formData), formData)
+    expect(analysis.equivalentAging).toBeNull()
+    expect(analysis.operatingTemp).toBeGreaterThan(formData.T_ambient)
+    expect(analysis.penalty).toBeGreaterThan(0)
+    const labels = formatLifetimeStats(analysis, LIFETIME).map(row => row.label)
+    expect(labels).not.toContain('온도 이력 반복 시 예상 T50 (h)')
+    expect(buildReportStats(simulate(formData), formData).map(row => row.label)).toContain('동작 온도 예상 T50 (h)')
+  })
+
+  it('프로브 온도 이력을 쓸 수 있고 없는 프로브나 꺼진 설정은 추정하지 않는다', () => {
+    const probe = { id: 1, mode: PROBE_MODES.LAYER, layer_index: 0, fraction: 0 }
+    const formData = {
+      ...DEFAULT_VALUES,
+      t_end: 100,
+      probes: [probe],
+      lifetime: { ...LIFETIME, source: probeSource(1) }
+    }
+    const result = simulate(formData)
+    const atProbe = analyzeLifetime(result, formData)
+    const atCenter = analyzeLifetime(result, { ...formData, lifetime: LIFETIME })
+    expect(atProbe.sourceLabel).toContain('Glass')
+    // 기판 아랫면은 발광층보다 차가워 수명 감소가 작다
+    expect(atProbe.penalty).toBeLessThan(atCenter.penalty)
+    expect(atProbe.equivalentAging).toBeGreaterThan(0)
+
+    expect(analyzeLifetime(result, { ...formData, lifetime: { ...LIFETIME, source: probeSource(2) } })).toBeNull()
+    expect(analyzeLifetime(result, { ...formData, lifetime: { ...LIFETIME, enabled: false } })).toBeNull()
+  })
+})
+
+describe('수명 추정 설정', () => {
+  it('잘못된 값은 오류, 일반적이지 않은 활성화 에너지는 경고, 꺼져 있으면 검사하지 않는다', () => {
+    const { errors, warnings } = validateLifetime({ ...LIFETIME, activation_energy: 3, t50_ref: 0, T_ref: '' })
+    expect(errors).toHaveProperty(['lifetime.t50_ref'])
+    expect(errors).toHaveProperty(['lifetime.T_ref'])
+    expect(warnings).toHaveProperty(['lifetime.activation_energy'])
+    expect(validateLifetime({ ...DEFAULT_LIFETIME, t50_ref: 0 }).errors).toEqual({})
+  })
+
+  it('설정이 없는 이전 입력과 버전 7 프로젝트는 수명 추정을 끈다', () => {
+    const { lifetime, ...legacy } = DEFAULT_VALUES
+    expect(withDefaultLifetime(legacy).lifetime).toEqual(lifetime)
+    expect(withDefaultLifetime(DEFAULT_VALUES)).toBe(DEFAULT_VALUES)
+    const project = parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: 7, inputs: legacy }))
+    expect(project.inputs.lifetime.enabled).toBe(false)
+    expect(project.warnings).toEqual([])
+  })
+})
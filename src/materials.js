@@ -0,0 +1,133 @@
+// OLED/PeLED 재료 물성 라이브러리
+// 박막 물성은 증착 조건에 따라 크게 달라지므로 문헌 보고 범위의 대표값을 사용한다.
+// 사용자 정의 재료는 localStorage에 저장하고 JSON으로 가져오기/내보내기 한다.
+
+export const MATERIAL_CATEGORIES = [
+  '기판',
+  '투명전극',
+  '정공수송층',
+  '발광층',
+  '전자수송층',
+  '전자주입층',
+  '전극',
+  '사용자 정의'
+]
+
+export const USER_MATERIAL_CATEGORY = '사용자 정의'
+
+// k: 열전도도 (W/m·K), rho: 밀도 (kg/m³), c_p: 비열 (J/kg·K)
+export const BUILTIN_MATERIALS = [
+  { id: 'soda-lime-glass', name: 'Soda-lime glass', category: '기판', k: 1.4, rho: 2500, c_p: 750, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A' },
+  { id: 'fused-silica', name: 'Fused silica (quartz)', category: '기판', k: 1.38, rho: 2220, c_p: 745, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A' },
+  { id: 'sapphire', name: 'Sapphire (Al₂O₃)', category: '기판', k: 46, rho: 3970, c_p: 765, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A' },
+  { id: 'ito', name: 'ITO', category: '투명전극', k: 10.0, rho: 7140, c_p: 280, source: '스퍼터 ITO 박막 대표값 (문헌 범위 k ≈ 3–12 W/m·K)' },
+  { id: 'fto', name: 'FTO (SnO₂:F)', category: '투명전극', k: 5.0, rho: 6950, c_p: 350, source: 'SnO₂ 벌크 밀도·비열, 박막 열전도도 문헌 범위 (≈ 3–7 W/m·K) 대표값' },
+  { id: 'pedot-pss', name: 'PEDOT:PSS', category: '정공수송층', k: 0.2, rho: 1010, c_p: 1600, source: '스핀코팅 박막 대표값 (문헌 범위 k ≈ 0.15–0.3 W/m·K)' },
+  { id: 'tfb', name: 'TFB', category: '정공수송층', k: 0.2, rho: 1100, c_p: 1500, source: '비정질 공액 고분자 박막 대표값' },
+  { id: 'cspbbr3', name: 'CsPbBr₃', category: '발광층', k: 0.42, rho: 4550, c_p: 230, source: 'Lee et al., PNAS 114, 8693 (2017) 열전도도, 결정 밀도 기반 대표값' },
+  { id: 'mapbi3', name: 'MAPbI₃', category: '발광층', k: 0.5, rho: 4100, c_p: 250, source: 'Pisoni et al., J. Phys. Chem. Lett. 5, 2488 (2014) 열전도도, 결정 밀도 기반 대표값' },
+  { id: 'tpbi', name: 'TPBi', category: '전자수송층', k: 0.2, rho: 1200, c_p: 1400, source: '비정질 저분자 유기 박막 대표값' },
+  { id: 'zno-np', name: 'ZnO (나노입자 박막)', category: '전자수송층', k: 2.0, rho: 5610, c_p: 494, source: 'ZnO 벌크 밀도·비열, 나노입자 박막 열전도도 대표값' },
+  { id: 'lif', name: 'LiF', category: '전자주입층', k: 11.3, rho: 2635, c_p: 1560, source: '벌크 결정 대표값 (초박막에서는 더 낮음)' },
+  { id: 'al', name: 'Al', category: '전극', k: 237, rho: 2702, c_p: 903, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A (벌크)' },
+  { id: 'ag', name: 'Ag', category: '전극', k: 429, rho: 10500, c_p: 235, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A (벌크)' },
+  { id: 'au', name: 'Au', category: '전극', k: 317, rho: 19300, c_p: 129, source: 'Incropera, Fundamentals of Heat and Mass Transfer, App. A (벌크)' }
+]
+
+export const MATERIAL_LIBRARY_VERSION = 1
+const USER_MATERIALS_STORAGE_KEY = 'joule-heating:user-materials'
+
+const isPositiveNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0
+
+export function loadUserMaterials() {
+  try {
+    const stored = localStorage.getItem(USER_MATERIALS_STORAGE_KEY)
+    return stored ? parseMaterialLibrary(stored).materials : []
+  } catch (err) {
+    console.error('사용자 재료 불러오기 오류:', err)
+    return []
+  }
+}
+
+export function saveUserMaterials(materials) {
+  try {
+    localStorage.setItem(USER_MATERIALS_STORAGE_KEY, serializeMaterialLibrary(materials))
+  } catch (err) {
+    console.error('사용자 재료 저장 오류:', err)
+  }
+}
+
+export function createUserMaterial({ name, k, rho, c_p, source = '사용자 입력' }) {
+  return {
+    id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim(),
+    category: USER_MATERIAL_CATEGORY,
+    k,
+    rho,
+    c_p,
+    source
+  }
+}
+
+// 같은 이름의 사용자 재료는 새 값으로 교체
+export function mergeUserMaterials(current, incoming) {
+  const incomingNames = new Set(incoming.map(m => m.name))
+  return [...current.filter(m => !incomingNames.has(m.name)), ...incoming]
+}
+
+export function serializeMaterialLibrary(materials) {
+  return JSON.stringify({
+    version: MATERIAL_LIBRARY_VERSION,
+    materials: materials.map(({ id, name, k, rho, c_p, source }) => ({ id, name, k, rho, c_p, source }))
+  }, null, 2)
+}
+
+/**
+ * 재료 라이브러리 JSON 해석. 잘못된 항목은 건너뛰고 errors에 사유를 남긴다.
+ * @returns {{ materials: object[], errors: string[] }}
+ */
+export function parseMaterialLibrary(text) {
+  const data = JSON.parse(text)
+  const entries = Array.isArray(data) ? data : data.materials
+  if (!Array.isArray(entries)) {
+    throw new Error('재료 라이브러리 형식이 아닙니다. "materials" 배열이 필요합니다.')
+  }
+  if (!Array.isArray(data) && data.version > MATERIAL_LIBRARY_VERSION) {
+    throw new Error(`지원하지 않는 라이브러리 버전입니다: ${data.version}`)
+  }
+
+  const materials = []
+  const errors = []
+  entries.forEach((entry, i) => {
+    const label = `${i + 1}번째 항목${entry && entry.name ? ` (${entry.name})` : ''}`
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`${label}: 이름이 없습니다.`)
+      return
+    }
+    const invalid = ['k', 'rho', 'c_p'].filter(field => !isPositiveNumber(entry[field]))
+    if (invalid.length > 0) {
+      errors.push(`${label}: ${invalid.join(', ')} 값은 양수여야 합니다.`)
+      return
+    }
+    const material = createUserMaterial(entry)
+    materials.push(typeof entry.id === 'string' && entry.id.startsWith('user-') ? { ...material, id: entry.id } : material)
+  })
+  return { materials, errors }
+}
+
+export function getAllMaterials(userMaterials) {
+  return [...BUILTIN_MATERIALS, ...userMaterials]
+}
+
+export function searchMaterials(materials, query) {
+  const q = query.trim().toLowerCase()
+  if (!q) return materials
+  return materials.filter(m =>
+    [m.name, m.category, m.source].some(text => text && text.toLowerCase().includes(q))
+  )
+}
+
+// 레이어의 현재 물성과 정확히 일치하는 재료 (없으면 null → 직접 입력)
+export function findMatchingMaterial(materials, k, rho, c_p) {
+  return materials.find(m => m.k === k && m.rho === rho && m.c_p === c_p) || null
+}
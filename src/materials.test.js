@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import {
+  BUILTIN_MATERIALS,
+  createUserMaterial,
+  findMatchingMaterial,
+  mergeUserMaterials,
+  parseMaterialLibrary,
+  serializeMaterialLibrary
+} from './materials.js'
+
+describe('재료 라이브러리', () => {
+  it('내장 재료는 모두 양의 물성과 출처를 가진다', () => {
+    BUILTIN_MATERIALS.forEach(m => {
+      expect(m.k).toBeGreaterThan(0)
+      expect(m.rho).toBeGreaterThan(0)
+      expect(m.c_p).toBeGreaterThan(0)
+      expect(m.source).toBeTruthy()
+    })
+    expect(new Set(BUILTIN_MATERIALS.map(m => m.id)).size).toBe(BUILTIN_MATERIALS.length)
+  })
+
+  it('JSON 내보내기/가져오기 왕복 후 같은 재료가 된다', () => {
+    const materials = [createUserMaterial({ name: 'Spiro-OMeTAD', k: 0.1, rho: 1100, c_p: 1400 })]
+    const { materials: parsed, errors } = parseMaterialLibrary(serializeMaterialLibrary(materials))
+    expect(errors).toEqual([])
+    expect(parsed).toEqual(materials)
+  })
+
+  it('잘못된 항목은 건너뛰고 사유를 알려준다', () => {
+    const { materials, errors } = parseMaterialLibrary(JSON.stringify({
+      version: 1,
+      materials: [
+        { name: 'MoO3', k: 1.5, rho: 4690, c_p: 500 },
+        { name: 'Bad', k: -1, rho: 1000, c_p: 0 },
+        { k: 1, rho: 1, c_p: 1 }
+      ]
+    }))
+    expect(materials.map(m => m.name)).toEqual(['MoO3'])
+    expect(errors).toHaveLength(2)
+    expect(errors[0]).toContain('k, c_p')
+    expect(() => parseMaterialLibrary('{"foo": 1}')).toThrow()
+  })
+
+  it('같은 이름의 사용자 재료는 덮어쓰고 일치하는 재료를 찾는다', () => {
+    const a = createUserMaterial({ name: 'X', k: 1, rho: 2, c_p: 3 })
+    const b = createUserMaterial({ name: 'X', k: 4, rho: 5, c_p: 6 })
+    expect(mergeUserMaterials([a], [b])).toEqual([b])
+    expect(findMatchingMaterial([...BUILTIN_MATERIALS, b], 4, 5, 6)).toBe(b)
+    expect(findMatchingMaterial(BUILTIN_MATERIALS, 10.0, 7140, 280).id).toBe('ito')
+  })
+})
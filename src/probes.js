@@ -0,0 +1,94 @@
+// 온도 프로브: 임의 위치의 T(t)를 결과 노드 사이 선형 보간으로 계산
+// 위치 좌표는 프로파일 그래프와 같이 ITO/Glass 경계를 0으로 하고, Glass 내부는 음수(실제 두께, nm)
+import { lowerIndex } from './interpolation.js'
+
+export const PROBE_MODES = {
+  POSITION: 'position', // position_nm 직접 지정
+  LAYER: 'layer' // layer_index 레이어의 아래쪽에서 fraction (0~1) 지점
+}
+
+export const MAX_PROBES = 10
+
+export function addProbe(probes, fields) {
+  const id = probes.reduce((max, p) => Math.max(max, p.id), 0) + 1
+  return [...probes, { id, ...fields }]
+}
+
+export function removeProbe(probes, id) {
+  return probes.filter(p => p.id !== id)
+}
+
+export function formatProbeLabel(probe, layerNames) {
+  if (probe.mode === PROBE_MODES.LAYER) {
+    const name = layerNames[probe.layer_index] ?? `레이어 ${probe.layer_index + 1}`
+    return `${name} ${Number((probe.fraction * 100).toFixed(1))}%`
+  }
+  return `x = ${Number(probe.position_nm.toFixed(1))} nm`
+}
+
+/**
+ * 결과 스택 기준 프로브 위치 (nm). 스택을 벗어나거나 레이어가 없으면 null
+ */
+export function resolveProbePosition(probe, result) {
+  const { glass_ito_boundary_nm: glassThickness, layer_boundaries_nm: boundaries } = result
+  let position
+  if (probe.mode === PROBE_MODES.LAYER) {
+    const i = probe.layer_index
+    if (!(probe.fraction >= 0 && probe.fraction <= 1)) return null
+    if (i === 0) {
+      position = -glassThickness * (1 - probe.fraction)
+    } else if (i >= 1 && i < boundaries.length) {
+      position = boundaries[i - 1] + (boundaries[i] - boundaries[i - 1]) * probe.fraction
+    } else {
+      return null
+    }
+  } else {
+    position = probe.position_nm
+  }
+  if (!Number.isFinite(position) || position < -glassThickness || position > boundaries[boundaries.length - 1]) {
+    return null
+  }
+  return position
+}
+
+// Glass와 활성층 노드를 하나의 좌표 배열로 합침 (Glass 마지막 노드가 x = 0)
+const getNodeGrid = (result) => {
+  const boundary = result.glass_ito_boundary_nm
+  return {
+    positions: [...result.position_glass_nm.map(x => x - boundary), ...result.position_active_nm],
+    temperatures: [...result.temperature_glass, ...result.temperature_active]
+  }
+}
+
+export function interpolateProbeSeries(result, position) {
+  const { positions, temperatures } = getNodeGrid(result)
+  const i = Math.min(lowerIndex(positions, position), positions.length - 2)
+  const f = Math.min(1, Math.max(0, (position - positions[i]) / (positions[i + 1] - positions[i])))
+  const lower = temperatures[i]
+  const upper = temperatures[i + 1]
+  return result.time.map((_, t) => lower[t] + (upper[t] - lower[t]) * f)
+}
+
+/**
+ * 프로브마다 위치와 T(t)를 계산. 결과 스택 밖의 프로브는 series가 null
+ */
+export function evaluateProbes(probes, result) {
+  return probes.map(probe => {
+    const position = resolveProbePosition(probe, result)
+    return {
+      probe,
+      position,
+      series: position === null ? null : interpolateProbeSeries(result, position)
+    }
+  })
+}
+
+// 레이어 기준 프로브가 스택 편집 후에도 같은 레이어를 가리키도록 인덱스 갱신
+// mapIndex가 음수를 반환하면 (삭제된 레이어) 프로브도 제거
+export function remapLayerProbes(probes = [], mapIndex) {
+  return probes.flatMap(probe => {
+    if (probe.mode !== PROBE_MODES.LAYER) return [probe]
+    const layerIndex = mapIndex(probe.layer_index)
+    return layerIndex < 0 ? [] : [{ ...probe, layer_index: layerIndex }]
+  })
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { NEW_LAYER_DEFAULTS, insertLayer, moveLayer, removeLayer } from './layerStack.js'
+import { PROBE_MODES, addProbe, evaluateProbes, interpolateProbeSeries, resolveProbePosition } from './probes.js'
+
+// Glass 1000 nm (노드 0, 500, 1000) + 활성층 두 개 (0~100, 100~300 nm)
+const result = {
+  time: [0, 10],
+  glass_ito_boundary_nm: 1000,
+  position_glass_nm: [0, 500, 1000],
+  temperature_glass: [[20, 30], [20, 40], [20, 50]],
+  position_active_nm: [100, 300],
+  temperature_active: [[20, 60], [20, 80]],
+  layer_boundaries_nm: [0, 100, 300]
+}
+
+describe('온도 프로브', () => {
+  it('레이어 + 비율을 결과 스택의 위치로 바꾼다', () => {
+    expect(resolveProbePosition({ mode: PROBE_MODES.LAYER, layer_index: 0, fraction: 0.25 }, result)).toBe(-750)
+    expect(resolveProbePosition({ mode: PROBE_MODES.LAYER, layer_index: 2, fraction: 0.5 }, result)).toBe(200)
+    expect(resolveProbePosition({ mode: PROBE_MODES.LAYER, layer_index: 3, fraction: 0.5 }, result)).toBeNull()
+    expect(resolveProbePosition({ mode: PROBE_MODES.POSITION, position_nm: 301 }, result)).toBeNull()
+  })
+
+  it('Glass와 활성층 노드 사이를 선형 보간한다', () => {
+    expect(interpolateProbeSeries(result, -250)).toEqual([20, 45])
+    expect(interpolateProbeSeries(result, 50)).toEqual([20, 55])
+    expect(interpolateProbeSeries(result, 300)).toEqual([20, 80])
+    const [inRange, outOfRange] = evaluateProbes(
+      addProbe(addProbe([], { mode: PROBE_MODES.POSITION, position_nm: 200 }), { mode: PROBE_MODES.POSITION, position_nm: -2000 }),
+      result
+    )
+    expect(inRange.series).toEqual([20, 70])
+    expect(outOfRange.series).toBeNull()
+  })
+
+  it('레이어 기준 프로브는 스택 편집을 따라간다', () => {
+    const formData = {
+      ...DEFAULT_VALUES,
+      probes: [
+        { id: 1, mode: PROBE_MODES.LAYER, layer_index: 2, fraction: 0.5 },
+        { id: 2, mode: PROBE_MODES.POSITION, position_nm: 10 }
+      ]
+    }
+    expect(moveLayer(formData, 2, 4).probes[0].layer_index).toBe(4)
+    expect(insertLayer(formData, 1, NEW_LAYER_DEFAULTS).probes[0].layer_index).toBe(3)
+    expect(removeLayer(formData, 2).probes).toEqual([formData.probes[1]])
+  })
+})
@@ -0,0 +1,312 @@
+// 프로젝트 파일 (JSON)과 공유 링크 (URL 해시)
+// 문서 형식: { format, version, savedAt, solverMode, inputs, result? }
+// inputs는 formData (섭씨), result는 섭씨로 변환된 시뮬레이션 결과 (선택)
+import { DEFAULT_VALUES } from './constants.js'
+import { DRIVE_TYPES } from './drive.js'
+import { LAYER_PROPERTY_FIELDS, MIN_LAYER_COUNT, PER_LAYER_FIELDS } from './layerStack.js'
+import { PROBE_MODES } from './probes.js'
+import { SOLVER_MODES } from './solver/simulationClient.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { PROPERTY_MODEL_TYPES, TEMPERATURE_DEPENDENT_FIELDS } from './solver/propertyModels.js'
+import { withDefaultEqeModel, withDefaultPropertyModels } from './propertyModels.js'
+import { SOURCE_PROFILE_TYPES } from './solver/heatSource.js'
+import { withDefaultHeatSource } from './heatSource.js'
+import { withDefaultInterfaceResistances } from './interfaceResistance.js'
+import { BOUNDARY_TYPES } from './solver/boundaryConditions.js'
+import { BOUNDARY_SIDES, withDefaultBoundaryConditions } from './boundaryConditions.js'
+import { withDefaultSolverSettings } from './solverSettings.js'
+import { withDefaultLifetime } from './lifetime.js'
+import { INTEGRATION_METHODS, MESH_MODES, OUTPUT_SPACINGS } from './solver/solverOptions.js'
+
+export const PROJECT_FORMAT = 'joule-heating-project'
+export const PROJECT_SCHEMA_VERSION = 8
+export const PROJECT_HASH_KEY = 'project'
+
+const NUMERIC_INPUT_FIELDS = [
+  'voltage', 'current_density', 'eqe', 'epsilon_top', 'epsilon_bottom', 'T_ambient', 't_start', 't_end',
+  'max_cell_size_nm', 'output_points', 'log_first_time', 'rtol', 'atol'
+]
+// 정해진 값 중 하나여야 하는 솔버 설정
+const CHOICE_INPUT_FIELDS = {
+  mesh_mode: MESH_MODES,
+  output_spacing: OUTPUT_SPACINGS,
+  integration_method: INTEGRATION_METHODS
+}
+const RESULT_ARRAY_FIELDS = ['time', 'position_active_nm', 'temperature_active', 'position_glass_nm', 'temperature_glass', 'perovskite_center_temp', 'layer_boundaries_nm']
+
+// MIGRATIONS[v]: 버전 v 문서를 v + 1 문서로 변환
+const MIGRATIONS = {
+  // 버전 0: format/version 없이 입력값(formData)만 담긴 객체
+  0: (doc) => ({ format: PROJECT_FORMAT, version: 1, inputs: doc }),
+  // 버전 1: 온도 의존 물성 모델(property_models) 없음 -> 모든 레이어 물성을 일정 모델로
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    inputs: isPlainObject(doc.inputs) && Array.isArray(doc.inputs.layer_names)
+      ? withDefaultPropertyModels(doc.inputs)
+      : doc.inputs
+  }),
+  // 버전 2: EQE(T) 모델(eqe_model) 없음 -> 일정 EQE
+  2: (doc) => ({
+    ...doc,
+    version: 3,
+    inputs: isPlainObject(doc.inputs) ? withDefaultEqeModel(doc.inputs) : doc.inputs
+  }),
+  // 버전 3: 발열 분포(heat_fractions, source_profile) 없음 -> 발광층 균일 발열
+  3: (doc) => ({
+    ...doc,
+    version: 4,
+    inputs: isPlainObject(doc.inputs) && Array.isArray(doc.inputs.layer_names)
+      ? withDefaultHeatSource(doc.inputs)
+      : doc.inputs
+  }),
+  // 버전 4: 계면 열저항(interface_resistances) 없음 -> 모든 계면 완전 접촉
+  4: (doc) => ({
+    ...doc,
+    version: 5,
+    inputs: isPlainObject(doc.inputs) && Array.isArray(doc.inputs.layer_names)
+      ? withDefaultInterfaceResistances(doc.inputs)
+      : doc.inputs
+  }),
+  // 버전 5: 양면 공통 h_conv와 일정한 주변 온도 -> 표면별 대류+복사 경계 조건, 주변 온도 일정 없음
+  5: (doc) => ({
+    ...doc,
+    version: 6,
+    inputs: isPlainObject(doc.inputs) ? withDefaultBoundaryConditions(doc.inputs) : doc.inputs
+  }),
+  // 버전 6: 솔버 설정 없음 -> 기본 격자, 균등 200점 출력, 기본 허용 오차
+  6: (doc) => ({
+    ...doc,
+    version: 7,
+    inputs: isPlainObject(doc.inputs) && Array.isArray(doc.inputs.layer_names)
+      ? withDefaultSolverSettings(doc.inputs)
+      : doc.inputs
+  }),
+  // 버전 7: 수명 추정 설정 없음 -> 수명 추정 끔
+  7: (doc) => ({
+    ...doc,
+    version: 8,
+    inputs: isPlainObject(doc.inputs) ? withDefaultLifetime(doc.inputs) : doc.inputs
+  })
+}
+
+/**
+ * 이전 버전 입력(formData)의 빠진 설정을 기본값으로 채움 (MIGRATIONS와 같은 순서)
+ * 실행 기록 불러오기, 실행 비교, 보고서가 모두 이 함수로 같은 기본값을 쓴다.
+ */
+export const withDefaultInputs = (formData) => withDefaultLifetime(withDefaultSolverSettings(withDefaultBoundaryConditions(
+  withDefaultInterfaceResistances(withDefaultHeatSource(withDefaultEqeModel(withDefaultPropertyModels(formData))))
+)))
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const getDocumentVersion = (doc) => {
+  if (doc.format === undefined && doc.version === undefined) return 0
+  if (doc.format !== PROJECT_FORMAT) throw new Error('프로젝트 파일 형식이 아닙니다.')
+  if (!Number.isInteger(doc.version) || doc.version < 1) throw new Error(`알 수 없는 프로젝트 버전입니다: ${doc.version}`)
+  if (doc.version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`더 새로운 버전(v${doc.version})의 프로젝트입니다. 앱을 업데이트하세요.`)
+  }
+  return doc.version
+}
+
+export function migrateProject(doc) {
+  if (!isPlainObject(doc)) throw new Error('프로젝트 파일의 최상위 값은 객체여야 합니다.')
+  let migrated = doc
+  for (let v = getDocumentVersion(doc); v < PROJECT_SCHEMA_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated)
+  }
+  return migrated
+}
+
+/**
+ * 입력값 구조 검사. 오류 메시지 목록을 반환 (비어 있으면 유효)
+ */
+export function validateProjectInputs(inputs) {
+  const errors = []
+  const names = inputs.layer_names
+  if (!Array.isArray(names) || names.length < MIN_LAYER_COUNT || !names.every(n => typeof n === 'string')) {
+    errors.push(`layer_names는 ${MIN_LAYER_COUNT}개 이상의 문자열 배열이어야 합니다.`)
+    return errors
+  }
+  LAYER_PROPERTY_FIELDS.forEach(field => {
+    const values = inputs[field]
+    if (!Array.isArray(values) || values.length !== names.length) {
+      errors.push(`${field}는 레이어 수(${names.length})와 같은 길이의 배열이어야 합니다.`)
+    } else if (!values.every(Number.isFinite)) {
+      errors.push(`${field}에 숫자가 아닌 값이 있습니다.`)
+    }
+  })
+  const models = inputs.property_models
+  if (!Array.isArray(models) || models.length !== names.length) {
+    errors.push(`property_models는 레이어 수(${names.length})와 같은 길이의 배열이어야 합니다.`)
+  } else {
+    models.forEach((entry, i) => {
+      const valid = isPlainObject(entry) && TEMPERATURE_DEPENDENT_FIELDS.every(field => isPlainObject(entry[field]) &&
+        Object.values(PROPERTY_MODEL_TYPES).includes(entry[field].type) && Array.isArray(entry[field].table))
+      if (!valid) errors.push(`property_models[${i}]는 물성별로 알려진 모델(type)과 표(table) 배열을 가진 객체여야 합니다.`)
+    })
+  }
+  if (!isPlainObject(inputs.eqe_model) || !Object.values(PROPERTY_MODEL_TYPES).includes(inputs.eqe_model.type) ||
+    !Array.isArray(inputs.eqe_model.table)) {
+    errors.push('eqe_model은 알려진 모델(type)과 표(table) 배열을 가진 객체여야 합니다.')
+  }
+  const resistances = inputs.interface_resistances
+  if (!Array.isArray(resistances) || resistances.length !== names.length - 1 || !resistances.every(Number.isFinite)) {
+    errors.push(`interface_resistances는 계면 수(${names.length - 1})와 같은 길이의 숫자 배열이어야 합니다.`)
+  }
+  const fractions = inputs.heat_fractions
+  if (!Array.isArray(fractions) || fractions.length !== names.length || !fractions.every(Number.isFinite)) {
+    errors.push(`heat_fractions는 레이어 수(${names.length})와 같은 길이의 숫자 배열이어야 합니다.`)
+  }
+  if (!isPlainObject(inputs.source_profile) || !Object.values(SOURCE_PROFILE_TYPES).includes(inputs.source_profile.type)) {
+    errors.push('source_profile은 알려진 발열 분포(type)를 가진 객체여야 합니다.')
+  }
+  BOUNDARY_SIDES.forEach(({ field }) => {
+    if (!isPlainObject(inputs[field]) || !Object.values(BOUNDARY_TYPES).includes(inputs[field].type)) {
+      errors.push(`${field}는 알려진 경계 조건(type)을 가진 객체여야 합니다.`)
+    }
+  })
+  if (!isPlainObject(inputs.ambient_schedule) || !Array.isArray(inputs.ambient_schedule.table)) {
+    errors.push('ambient_schedule은 표(table) 배열을 가진 객체여야 합니다.')
+  }
+  const emissive = inputs.emissive_layer_index
+  if (!Number.isInteger(emissive) || emissive < 1 || emissive >= names.length) {
+    errors.push('emissive_layer_index는 기판을 제외한 레이어 인덱스여야 합니다.')
+  }
+  NUMERIC_INPUT_FIELDS.forEach(field => {
+    if (!Number.isFinite(inputs[field])) errors.push(`${field}는 숫자여야 합니다.`)
+  })
+  if (!Object.values(ANALYSIS_MODES).includes(inputs.analysis_mode)) {
+    errors.push(`analysis_mode는 ${Object.values(ANALYSIS_MODES).join(', ')} 중 하나여야 합니다.`)
+  }
+  const points = inputs.points_per_layer
+  if (!Array.isArray(points) || points.length !== names.length || !points.every(Number.isFinite)) {
+    errors.push(`points_per_layer는 레이어 수(${names.length})와 같은 길이의 숫자 배열이어야 합니다.`)
+  }
+  Object.entries(CHOICE_INPUT_FIELDS).forEach(([field, values]) => {
+    if (!Object.values(values).includes(inputs[field])) {
+      errors.push(`${field}는 ${Object.values(values).join(', ')} 중 하나여야 합니다.`)
+    }
+  })
+  const drive = inputs.drive
+  if (!isPlainObject(drive) || !Object.values(DRIVE_TYPES).includes(drive.type) || !Array.isArray(drive.table)) {
+    errors.push('drive는 알려진 구동 파형(type)과 표(table) 배열을 가진 객체여야 합니다.')
+  }
+  if (!Array.isArray(inputs.probes)) {
+    errors.push('probes는 배열이어야 합니다.')
+  } else {
+    inputs.probes.forEach((probe, i) => {
+      const valid = isPlainObject(probe) && Number.isFinite(probe.id) && (
+        probe.mode === PROBE_MODES.POSITION
+          ? Number.isFinite(probe.position_nm)
+          : probe.mode === PROBE_MODES.LAYER && Number.isInteger(probe.layer_index) && Number.isFinite(probe.fraction)
+      )
+      if (!valid) errors.push(`probes[${i}]의 형식이 올바르지 않습니다.`)
+    })
+  }
+  if (!isPlainObject(inputs.lifetime) || typeof inputs.lifetime.enabled !== 'boolean' || typeof inputs.lifetime.source !== 'string') {
+    errors.push('lifetime은 사용 여부(enabled)와 온도 이력(source)을 가진 객체여야 합니다.')
+  }
+  return errors
+}
+
+// 빠진 전역 입력은 기본값으로 채우고, 알 수 없는 필드는 버림 (레이어 배열은 채우지 않음)
+const normalizeInputs = (inputs, warnings) => {
+  const normalized = {}
+  Object.keys(DEFAULT_VALUES).forEach(field => {
+    if (field in inputs) {
+      normalized[field] = inputs[field]
+    } else if (!PER_LAYER_FIELDS.includes(field)) {
+      normalized[field] = DEFAULT_VALUES[field]
+      warnings.push(`${field} 값이 없어 기본값(${JSON.stringify(DEFAULT_VALUES[field])})을 사용합니다.`)
+    }
+  })
+  Object.keys(inputs).forEach(field => {
+    if (!(field in DEFAULT_VALUES)) warnings.push(`알 수 없는 입력 ${field}는 무시합니다.`)
+  })
+  return normalized
+}
+
+const isValidResult = (result) =>
+  isPlainObject(result) && RESULT_ARRAY_FIELDS.every(field => Array.isArray(result[field]))
+
+/**
+ * 프로젝트 문서(객체)를 검증/마이그레이션. { inputs, solverMode, result, warnings } 반환, 잘못되면 Error
+ */
+export function loadProject(doc) {
+  const migrated = migrateProject(doc)
+  if (!isPlainObject(migrated.inputs)) throw new Error('프로젝트에 입력값(inputs)이 없습니다.')
+
+  const warnings = []
+  const inputs = normalizeInputs(migrated.inputs, warnings)
+  const errors = validateProjectInputs(inputs)
+  if (errors.length > 0) throw new Error(errors.join('\n'))
+
+  const solverMode = Object.values(SOLVER_MODES).includes(migrated.solverMode) ? migrated.solverMode : null
+  let result = null
+  if (migrated.result !== undefined && migrated.result !== null) {
+    if (isValidResult(migrated.result)) result = migrated.result
+    else warnings.push('저장된 결과의 형식이 올바르지 않아 입력값만 불러옵니다.')
+  }
+  return { inputs, solverMode, result, warnings }
+}
+
+export function parseProject(text) {
+  let doc
+  try {
+    doc = JSON.parse(text)
+  } catch {
+    throw new Error('JSON 형식이 아닙니다.')
+  }
+  return loadProject(doc)
+}
+
+export function serializeProject({ inputs, solverMode, result = null }) {
+  const doc = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    solverMode,
+    inputs,
+    ...(result && { result })
+  }
+  return JSON.stringify(doc, null, 2)
+}
+
+// UTF-8 JSON <-> base64url (레이어 이름의 한글 포함)
+const toBase64Url = (text) => {
+  let binary = ''
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)))
+}
+
+// 공유 링크용 해시 (결과는 제외하고 입력만)
+export function encodeProjectHash({ inputs, solverMode }) {
+  const doc = { format: PROJECT_FORMAT, version: PROJECT_SCHEMA_VERSION, solverMode, inputs }
+  return `#${PROJECT_HASH_KEY}=${toBase64Url(JSON.stringify(doc))}`
+}
+
+/**
+ * URL 해시에서 프로젝트 읽기. 프로젝트 해시가 아니면 null, 깨진 링크면 Error
+ */
+export function decodeProjectHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const encoded = params.get(PROJECT_HASH_KEY)
+  if (!encoded) return null
+  let text
+  try {
+    text = fromBase64Url(encoded)
+  } catch {
+    throw new Error('공유 링크가 손상되었습니다.')
+  }
+  return parseProject(text)
+}
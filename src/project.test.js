@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { insertLayer } from './layerStack.js'
+import {
+  PROJECT_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+  decodeProjectHash,
+  encodeProjectHash,
+  parseProject,
+  serializeProject
+} from './project.js'
+
+describe('프로젝트 저장/불러오기', () => {
+  const inputs = insertLayer(DEFAULT_VALUES, 4, {
+    layer_names: '전자 주입층', thickness_layers_nm: 5, k_therm_layers: 0.1, rho_layers: 1000, c_p_layers: 1200
+  })
+
+  it('저장한 프로젝트를 그대로 다시 읽는다', () => {
+    const result = {
+      time: [0], position_active_nm: [1], temperature_active: [[25]], position_glass_nm: [0],
+      temperature_glass: [[25]], perovskite_center_temp: [25], layer_boundaries_nm: [0, 1]
+    }
+    const project = parseProject(serializeProject({ inputs, solverMode: 'server', result }))
+    expect(project.inputs).toEqual(inputs)
+    expect(project.solverMode).toBe('server')
+    expect(project.result).toEqual(result)
+    expect(project.warnings).toEqual([])
+  })
+
+  it('버전 없는 입력 객체를 마이그레이션하고 빠진 값은 기본값으로 채운다', () => {
+    const { epsilon_top: epsilonTop, probes, ...legacy } = DEFAULT_VALUES
+    const project = parseProject(JSON.stringify({ ...legacy, extra_field: 1 }))
+    expect(project.inputs.epsilon_top).toBe(epsilonTop)
+    expect(project.inputs.probes).toEqual(probes)
+    expect(project.inputs).not.toHaveProperty('extra_field')
+    expect(project.warnings).toHaveLength(3)
+  })
+
+  it('버전 1 프로젝트는 모든 레이어 물성과 EQE를 일정 모델로, 발열은 발광층 균일 발열로, 계면은 완전 접촉으로, 경계는 공통 h_conv로 채운다', () => {
+    const {
+      property_models: propertyModels,
+      eqe_model: eqeModel,
+      heat_fractions: heatFractions,
+      source_profile: sourceProfile,
+      interface_resistances: interfaceResistances,
+      boundary_top: boundaryTop,
+      boundary_bottom: boundaryBottom,
+      ambient_schedule: ambientSchedule,
+      ...v1Inputs
+    } = inputs
+    const project = parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: 1, inputs: { ...v1Inputs, h_conv: 20 } }))
+    expect(project.inputs.property_models).toHaveLength(propertyModels.length)
+    expect(project.inputs.property_models.every(models => models.k_therm_layers.type === 'constant')).toBe(true)
+    expect(project.inputs.eqe_model).toEqual(eqeModel)
+    expect(project.inputs.heat_fractions).toEqual(heatFractions)
+    expect(project.inputs.source_profile).toEqual(sourceProfile)
+    expect(project.inputs.interface_resistances).toEqual(interfaceResistances)
+    expect(project.inputs.boundary_top).toEqual({ ...boundaryTop, h_conv: 20 })
+    expect(project.inputs.boundary_bottom).toEqual({ ...boundaryBottom, h_conv: 20 })
+    expect(project.inputs.ambient_schedule).toEqual(ambientSchedule)
+    expect(project.inputs).not.toHaveProperty('h_conv')
+    expect(project.warnings).toEqual([])
+  })
+
+  it('잘못된 문서는 이유와 함께 거부한다', () => {
+    expect(() => parseProject('{')).toThrow('JSON')
+    expect(() => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_SCHEMA_VERSION + 1, inputs }))).toThrow('새로운 버전')
+    const broken = { ...inputs, k_therm_layers: inputs.k_therm_layers.slice(1), emissive_layer_index: 0 }
+    expect(() => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: 1, inputs: broken })))
+      .toThrow(/k_therm_layers[\s\S]*emissive_layer_index/)
+  })
+
+  it('공유 링크 해시로 한글 레이어 이름까지 왕복한다', () => {
+    const hash = encodeProjectHash({ inputs, solverMode: 'local' })
+    expect(hash.startsWith('#project=')).toBe(true)
+    expect(decodeProjectHash(hash).inputs).toEqual(inputs)
+    expect(decodeProjectHash('#other=1')).toBeNull()
+    expect(() => decodeProjectHash('#project=%%%')).toThrow()
+  })
+})
@@ -0,0 +1,233 @@
+// 레이어 물성의 온도 의존 모델 입력 (formData.property_models)
+// property_models[i] = { k_therm_layers, rho_layers, c_p_layers } — 레이어 i의 물성별 모델
+// 온도(T_ref, 표의 temperature)는 섭씨로 입력하고 솔버 요청을 만들 때 켈빈으로 바꾼다 (simulationPayload.js).
+// 선형 모델의 기준값(T_ref에서의 값)은 레이어 카드의 물성 값을 그대로 사용한다.
+// EQE(T) 모델(formData.eqe_model)도 같은 형식이며 기준값은 formData.eqe, 값은 0 ~ 1
+import {
+  PROPERTY_MODEL_TYPES,
+  TEMPERATURE_DEPENDENT_FIELDS,
+  createEqeFunction,
+  createPropertyFunction
+} from './solver/propertyModels.js'
+
+export const PROPERTY_MODEL_TYPE_LABELS = {
+  [PROPERTY_MODEL_TYPES.CONSTANT]: '일정',
+  [PROPERTY_MODEL_TYPES.LINEAR]: '선형 (T_ref 기준)',
+  [PROPERTY_MODEL_TYPES.TABLE]: '온도별 표'
+}
+
+export const PROPERTY_LABELS = {
+  k_therm_layers: '열전도도',
+  rho_layers: '밀도',
+  c_p_layers: '비열'
+}
+
+// 물성별 단위 (표 머리글과 기울기 단위에 사용)
+export const PROPERTY_UNITS = {
+  k_therm_layers: 'W/m·K',
+  rho_layers: 'kg/m³',
+  c_p_layers: 'J/kg·K',
+  eqe: '' // EQE(T) 모델: 단위 없음 (0 ~ 1)
+}
+
+// 선형 모델이 양수를 유지해야 하는 온도 범위: 주변 온도부터 이만큼 위까지 (K)
+export const PROPERTY_CHECK_RISE = 200
+
+export const DEFAULT_PROPERTY_MODEL = {
+  type: PROPERTY_MODEL_TYPES.CONSTANT,
+  T_ref: 25, // 선형 모델 기준 온도 (°C)
+  slope: 0, // 선형 모델 기울기 (물성 단위/K)
+  table: [] // 표 모델 [{ temperature (°C), value }], 온도 증가 순서
+}
+
+export const createConstantLayerModels = () =>
+  Object.fromEntries(TEMPERATURE_DEPENDENT_FIELDS.map(field => [field, DEFAULT_PROPERTY_MODEL]))
+
+// 레이어별 검증 키 (`property_models:${field}:${index}`)
+export const propertyModelKey = (field, index) => `property_models:${field}:${index}`
+
+export const getPropertyModel = (formData, index, field) =>
+  formData.property_models?.[index]?.[field] ?? DEFAULT_PROPERTY_MODEL
+
+/**
+ * property_models가 없는 입력(이전 버전 기록/프로젝트)에 레이어 수만큼 일정 모델을 채운다.
+ */
+export function withDefaultPropertyModels(formData) {
+  if (Array.isArray(formData.property_models)) return formData
+  return { ...formData, property_models: formData.layer_names.map(createConstantLayerModels) }
+}
+
+/**
+ * 레이어 index의 물성 field를 섭씨 온도 celsius에서 평가
+ */
+export function evaluateLayerProperty(formData, index, field, celsius) {
+  return createPropertyFunction(getPropertyModel(formData, index, field), formData[field][index])(celsius)
+}
+
+const formatNumber = (value) => (Number.isFinite(value) ? String(value) : '-')
+
+/**
+ * 엑셀/실행 비교용 한 줄 설명
+ */
+export function describePropertyModel(model, field) {
+  const unit = PROPERTY_UNITS[field]
+  if (model.type === PROPERTY_MODEL_TYPES.LINEAR) {
+    return `선형: T_ref ${formatNumber(model.T_ref)} °C, 기울기 ${formatNumber(model.slope)} ${unit || '1'}/K`
+  }
+  if (model.type === PROPERTY_MODEL_TYPES.TABLE) {
+    const points = model.table.map(row => `${formatNumber(row.temperature)} °C → ${formatNumber(row.value)}`)
+    return `표${unit ? ` (${unit})` : ''}: ${points.join(', ')}`
+  }
+  return '일정'
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// 물성 표는 값이 양수, EQE 표는 0 ~ 1
+const positiveValue = (value) => (value <= 0 ? '값은 0보다 커야 합니다.' : null)
+const eqeValue = (value) => (value < 0 || value > 1 ? 'EQE는 0 ~ 1이어야 합니다.' : null)
+
+const validateTable = (table, checkValue = positiveValue) => {
+  if (!Array.isArray(table) || table.length === 0) return '표에 점을 하나 이상 입력하세요.'
+  for (let i = 0; i < table.length; i++) {
+    const row = table[i]
+    if (!isNumber(row.temperature) || !isNumber(row.value)) return `표 ${i + 1}행: 온도와 값을 모두 입력하세요.`
+    const valueError = checkValue(row.value)
+    if (valueError) return `표 ${i + 1}행: ${valueError}`
+    if (i > 0 && row.temperature <= table[i - 1].temperature) return `표 ${i + 1}행: 온도는 이전 행보다 커야 합니다.`
+  }
+  return null
+}
+
+/**
+ * 물성 모델 검증. 키는 propertyModelKey(field, index)
+ * 선형 모델은 주변 온도부터 PROPERTY_CHECK_RISE 위까지 양수여야 하고,
+ * 표 모델은 주변 온도가 표 범위 밖이면 경고한다 (범위 밖은 끝 값 유지).
+ */
+export function validatePropertyModels(formData) {
+  const errors = {}
+  const warnings = {}
+  const TAmbient = formData.T_ambient
+  formData.layer_names.forEach((_, index) => {
+    TEMPERATURE_DEPENDENT_FIELDS.forEach(field => {
+      const model = getPropertyModel(formData, index, field)
+      const key = propertyModelKey(field, index)
+      if (model.type === PROPERTY_MODEL_TYPES.LINEAR) {
+        if (!isNumber(model.T_ref) || !isNumber(model.slope)) {
+          errors[key] = '기준 온도와 기울기를 입력하세요.'
+        } else if (isNumber(formData[field][index]) && isNumber(TAmbient)) {
+          const valueAt = createPropertyFunction(model, formData[field][index])
+          const range = [TAmbient, TAmbient + PROPERTY_CHECK_RISE]
+          if (range.some(T => valueAt(T) <= 0)) {
+            errors[key] = `${range[0]} ~ ${range[1]} °C에서 물성 값이 0 이하가 됩니다. 기울기를 확인하세요.`
+          }
+        }
+      } else if (model.type === PROPERTY_MODEL_TYPES.TABLE) {
+        const tableError = validateTable(model.table)
+        if (tableError) errors[key] = tableError
+        else if (isNumber(TAmbient) && TAmbient < model.table[0].temperature) {
+          warnings[key] = '주변 온도가 표의 최저 온도보다 낮아 첫 값을 그대로 사용합니다.'
+        }
+      } else if (model.type !== PROPERTY_MODEL_TYPES.CONSTANT) {
+        errors[key] = '알 수 없는 물성 모델입니다.'
+      }
+    })
+  })
+  return { errors, warnings }
+}
+
+// EQE(T) 모델 검증/표시 키
+export const EQE_MODEL_KEY = 'eqe_model'
+
+export const getEqeModel = (formData) => formData.eqe_model ?? DEFAULT_PROPERTY_MODEL
+
+/**
+ * eqe_model이 없는 입력(이전 버전 기록/프로젝트)에 일정 모델을 채운다.
+ */
+export function withDefaultEqeModel(formData) {
+  return formData.eqe_model ? formData : { ...formData, eqe_model: DEFAULT_PROPERTY_MODEL }
+}
+
+/**
+ * 섭씨 온도 celsius에서의 EQE (0 ~ 1로 제한)
+ */
+export function evaluateEqe(formData, celsius) {
+  return createEqeFunction(getEqeModel(formData), formData.eqe)(celsius)
+}
+
+/**
+ * 온도가 오를 때 EQE가 가장 빠르게 떨어지는 비율 -dEQE/dT (1/K, 감소가 없으면 0)
+ * 선형은 -slope, 표는 인접한 점 사이 기울기 중 최대 감소
+ */
+export function maxEqeDroop(model) {
+  if (model.type === PROPERTY_MODEL_TYPES.LINEAR) return Math.max(0, -model.slope)
+  if (model.type === PROPERTY_MODEL_TYPES.TABLE) {
+    let droop = 0
+    for (let i = 1; i < model.table.length; i++) {
+      const a = model.table[i - 1]
+      const b = model.table[i]
+      droop = Math.max(droop, -(b.value - a.value) / (b.temperature - a.temperature))
+    }
+    return droop
+  }
+  return 0
+}
+
+/**
+ * EQE(T) 모델 검증 (키 EQE_MODEL_KEY)
+ * 선형 모델은 주변 온도부터 PROPERTY_CHECK_RISE 위까지 0 ~ 1을 벗어나면 경고 (솔버는 0 ~ 1로 제한)
+ */
+export function validateEqeModel(formData) {
+  const errors = {}
+  const warnings = {}
+  const model = getEqeModel(formData)
+  const TAmbient = formData.T_ambient
+  if (model.type === PROPERTY_MODEL_TYPES.LINEAR) {
+    if (!isNumber(model.T_ref) || !isNumber(model.slope)) {
+      errors[EQE_MODEL_KEY] = '기준 온도와 기울기를 입력하세요.'
+    } else if (isNumber(formData.eqe) && isNumber(TAmbient)) {
+      const eqeAt = createPropertyFunction(model, formData.eqe)
+      const range = [TAmbient, TAmbient + PROPERTY_CHECK_RISE]
+      if (range.some(T => eqeAt(T) < 0 || eqeAt(T) > 1)) {
+        warnings[EQE_MODEL_KEY] = `${range[0]} ~ ${range[1]} °C에서 EQE가 0 ~ 1을 벗어나 경계값으로 제한됩니다.`
+      }
+    }
+  } else if (model.type === PROPERTY_MODEL_TYPES.TABLE) {
+    const tableError = validateTable(model.table, eqeValue)
+    if (tableError) errors[EQE_MODEL_KEY] = tableError
+    else if (isNumber(TAmbient) && TAmbient < model.table[0].temperature) {
+      warnings[EQE_MODEL_KEY] = '주변 온도가 표의 최저 온도보다 낮아 첫 값을 그대로 사용합니다.'
+    }
+  } else if (model.type !== PROPERTY_MODEL_TYPES.CONSTANT) {
+    errors[EQE_MODEL_KEY] = '알 수 없는 EQE 모델입니다.'
+  }
+  return { errors, warnings }
+}
+
+/**
+ * 온도-값 표 CSV 파싱 (표 모델 업로드). 한 행에 "온도(°C), 값", 첫 행이 숫자가 아니면 머리글로 건너뜀
+ * percentHeader: 머리글의 값 열에 %가 있으면 값을 100으로 나눔 (EQE 표)
+ * 반환: { table, errors: ['n행: ...'] } — 오류가 있으면 table은 읽은 행까지만
+ */
+export function parseModelTableCsv(text, { percentHeader = false } = {}) {
+  const lines = text.split(/\r?\n/).map(line => line.trim())
+  const table = []
+  const errors = []
+  let scale = 1
+  lines.forEach((line, i) => {
+    if (!line || line.startsWith('#')) return
+    const cells = line.split(/[,;\t]/).map(cell => cell.trim())
+    const numbers = cells.slice(0, 2).map(Number)
+    if (table.length === 0 && errors.length === 0 && cells.some(cell => cell !== '' && !Number.isFinite(Number(cell)))) {
+      if (percentHeader && cells[1]?.includes('%')) scale = 0.01
+      return
+    }
+    if (cells.length < 2 || cells[0] === '' || cells[1] === '' || numbers.some(n => !Number.isFinite(n))) {
+      errors.push(`${i + 1}행: 온도와 값 두 숫자가 필요합니다 ("${line}").`)
+      return
+    }
+    table.push({ temperature: numbers[0], value: numbers[1] * scale })
+  })
+  if (table.length === 0 && errors.length === 0) errors.push('읽을 수 있는 행이 없습니다.')
+  return { table, errors }
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { PROPERTY_MODEL_TYPES, createEqeFunction, createPropertyFunction, integrateHeatCapacity } from './solver/propertyModels.js'
+import {
+  DEFAULT_PROPERTY_MODEL,
+  EQE_MODEL_KEY,
+  maxEqeDroop,
+  parseModelTableCsv,
+  propertyModelKey,
+  validateEqeModel,
+  validatePropertyModels,
+  withDefaultPropertyModels
+} from './propertyModels.js'
+import { buildSimulationPayload } from './simulationPayload.js'
+
+const linear = (T_ref, slope) => ({ ...DEFAULT_PROPERTY_MODEL, type: PROPERTY_MODEL_TYPES.LINEAR, T_ref, slope })
+const table = (rows) => ({ ...DEFAULT_PROPERTY_MODEL, type: PROPERTY_MODEL_TYPES.TABLE, table: rows })
+
+const withModel = (formData, index, field, model) => ({
+  ...formData,
+  property_models: formData.property_models.map((models, i) => (i === index ? { ...models, [field]: model } : models))
+})
+
+describe('온도 의존 물성 모델', () => {
+  it('선형 모델은 T_ref의 레이어 값에서 기울기만큼 바뀌고, 표는 범위 밖에서 끝 값을 유지한다', () => {
+    const k = createPropertyFunction(linear(25, -0.001), 0.5)
+    expect(k(25)).toBe(0.5)
+    expect(k(75)).toBeCloseTo(0.45, 12)
+    const cp = createPropertyFunction(table([{ temperature: 20, value: 250 }, { temperature: 60, value: 330 }]), 999)
+    expect(cp(0)).toBe(250)
+    expect(cp(40)).toBeCloseTo(290, 12)
+    expect(cp(100)).toBe(330)
+    expect(createPropertyFunction(DEFAULT_PROPERTY_MODEL, 7)(500)).toBe(7)
+  })
+
+  it('체적 열용량 적분이 해석해와 일치한다', () => {
+    // ρ = 1000 + 2(T - 20), c_p = 500 + 3(T - 20) -> 구간 [20, 80]의 곱 적분
+    const exact = 60 * 1000 * 500 + (1000 * 3 + 500 * 2) * 60 ** 2 / 2 + 6 * 60 ** 3 / 3
+    expect(integrateHeatCapacity(linear(20, 2), 1000, linear(20, 3), 500, 20, 80)).toBeCloseTo(exact, 6)
+    // 표의 꺾이는 점을 넘는 구간과 역방향 적분
+    const cpTable = table([{ temperature: 0, value: 100 }, { temperature: 50, value: 200 }, { temperature: 100, value: 200 }])
+    expect(integrateHeatCapacity(DEFAULT_PROPERTY_MODEL, 2, cpTable, 0, 25, 75)).toBeCloseTo(2 * (25 * 175 + 25 * 200), 9)
+    expect(integrateHeatCapacity(DEFAULT_PROPERTY_MODEL, 2, cpTable, 0, 75, 25)).toBeCloseTo(-2 * (25 * 175 + 25 * 200), 9)
+  })
+
+  it('검증: 0 이하로 내려가는 선형 모델과 온도 순서가 틀린 표는 오류, 표 범위 밖 주변 온도는 경고', () => {
+    let formData = withModel(DEFAULT_VALUES, 3, 'k_therm_layers', linear(25, -0.01))
+    formData = withModel(formData, 2, 'c_p_layers', table([{ temperature: 50, value: 1500 }, { temperature: 40, value: 1600 }]))
+    formData = withModel(formData, 4, 'rho_layers', table([{ temperature: 40, value: 1200 }]))
+    const { errors, warnings } = validatePropertyModels(formData)
+    expect(errors[propertyModelKey('k_therm_layers', 3)]).toContain('0 이하')
+    expect(errors[propertyModelKey('c_p_layers', 2)]).toContain('2행')
+    expect(warnings[propertyModelKey('rho_layers', 4)]).toBeDefined()
+    expect(validatePropertyModels(DEFAULT_VALUES)).toEqual({ errors: {}, warnings: {} })
+  })
+
+  it('요청에는 모델 온도를 켈빈으로 보내고, 모델이 없는 이전 입력은 일정 모델로 채운다', () => {
+    const formData = withModel(DEFAULT_VALUES, 3, 'c_p_layers', table([{ temperature: 25, value: 250 }, { temperature: 85, value: 300 }]))
+    const payload = buildSimulationPayload(formData)
+    expect(payload.property_models[3].c_p_layers.table.map(row => row.temperature)).toEqual([298.15, 358.15])
+    expect(formData.property_models[3].c_p_layers.table[0].temperature).toBe(25)
+
+    const { property_models: defaultModels, ...legacy } = DEFAULT_VALUES
+    const filled = withDefaultPropertyModels(legacy)
+    expect(filled.property_models).toHaveLength(defaultModels.length)
+    expect(filled.property_models[0].k_therm_layers.type).toBe(PROPERTY_MODEL_TYPES.CONSTANT)
+  })
+
+  it('EQE(T)는 0 ~ 1로 제한하고, 표의 EQE는 0 ~ 1이어야 한다', () => {
+    const eqeAt = createEqeFunction(linear(25, -0.01), 0.2)
+    expect(eqeAt(25)).toBe(0.2)
+    expect(eqeAt(35)).toBeCloseTo(0.1, 12)
+    expect(eqeAt(100)).toBe(0)
+    expect(eqeAt(-100)).toBe(1)
+    expect(maxEqeDroop(linear(25, -0.01))).toBe(0.01)
+    expect(maxEqeDroop(table([{ temperature: 20, value: 0.2 }, { temperature: 40, value: 0.2 }, { temperature: 60, value: 0.1 }]))).toBeCloseTo(0.005, 12)
+
+    const invalid = { ...DEFAULT_VALUES, eqe_model: table([{ temperature: 20, value: 0.2 }, { temperature: 60, value: 20 }]) }
+    expect(validateEqeModel(invalid).errors[EQE_MODEL_KEY]).toContain('2행')
+    const clamped = { ...DEFAULT_VALUES, eqe_model: linear(25, -0.01) }
+    expect(validateEqeModel(clamped).warnings[EQE_MODEL_KEY]).toContain('제한')
+    expect(validateEqeModel(DEFAULT_VALUES)).toEqual({ errors: {}, warnings: {} })
+  })
+
+  it('표 CSV: 머리글은 건너뛰고 %는 백분율로 읽으며, 잘못된 행은 행 번호와 함께 알린다', () => {
+    const { table: rows, errors } = parseModelTableCsv('temperature (C), EQE (%)\n25, 20\n85, 12.5\n', { percentHeader: true })
+    expect(errors).toEqual([])
+    expect(rows).toEqual([{ temperature: 25, value: 0.2 }, { temperature: 85, value: 0.125 }])
+    expect(parseModelTableCsv('25;250\n60;330').table).toHaveLength(2)
+    expect(parseModelTableCsv('25,250\n60\nabc,1').errors).toEqual([
+      '2행: 온도와 값 두 숫자가 필요합니다 ("60").',
+      '3행: 온도와 값 두 숫자가 필요합니다 ("abc,1").'
+    ])
+    expect(parseModelTableCsv('').errors).toEqual(['읽을 수 있는 행이 없습니다.'])
+  })
+})
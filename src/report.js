@@ -0,0 +1,227 @@
+// PDF 보고서 내용 (표, 요약 통계, 소자 구조 그림, 꼬리말)
+// 화면 구성(ReportDocument.jsx)과 PDF 조립(reportPdf.js)은 여기서 만든 값만 그린다.
+import { version } from '../package.json'
+import { STAT_FIELDS, computeSimulationStats } from './simulationStats.js'
+import { getLayerColor, SUBSTRATE_INDEX } from './layerStack.js'
+import { DRIVE_TYPES, describeDrive } from './drive.js'
+import { describeSourceProfile } from './heatSource.js'
+import {
+  PROPERTY_LABELS,
+  PROPERTY_UNITS,
+  describePropertyModel,
+  getEqeModel,
+  getPropertyModel
+} from './propertyModels.js'
+import { PROPERTY_MODEL_TYPES, TEMPERATURE_DEPENDENT_FIELDS } from './solver/propertyModels.js'
+import { describeAmbientSchedule, describeBoundaryCondition, getSurfaceLayerName } from './boundaryConditions.js'
+import { formatProbeLabel } from './probes.js'
+import {
+  INTEGRATION_METHOD_LABELS,
+  describeMesh,
+  describeOutputTimes,
+  describeTolerances,
+  formatSolverStats
+} from './solverSettings.js'
+import { THERMAL_STABILITY_LABELS } from './eqeFeedback.js'
+import { analyzeLifetime, formatLifetimeStats } from './lifetime.js'
+import { summarizeEnergyBalance } from './diagnostics.js'
+import { withDefaultInputs } from './project.js'
+import { SOLVER_MODES, SOLVER_MODE_LABELS } from './solver/simulationClient.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+
+export const REPORT_TITLE = 'Joule Heating Simulation (1D)'
+export const REPORT_LOGO_SRC = '/PNEL_logo.png'
+export const APP_VERSION = version
+
+// 꼬리말은 jsPDF 기본 글꼴(라틴 문자만)로 쓰므로 영문
+const SOLVER_FOOTER_LABELS = {
+  [SOLVER_MODES.LOCAL]: 'browser JS solver (BDF2)',
+  [SOLVER_MODES.SERVER]: 'server Python solver (scipy solve_ivp)'
+}
+
+// 소자 구조 그림의 막대 높이 (px): 활성층은 두께 비례 (최소값 보장), 기판은 축약해 고정
+const SCHEMATIC_ACTIVE_HEIGHT = 180
+const SCHEMATIC_MIN_HEIGHT = 16
+const SCHEMATIC_SUBSTRATE_HEIGHT = 36
+
+// 표 값: 유효 숫자 6자리, 아주 크거나 작으면 지수 표기
+export const formatReportNumber = (value) => {
+  if (typeof value !== 'number') return value ?? '-'
+  if (!Number.isFinite(value)) return String(value)
+  const abs = Math.abs(value)
+  if (abs !== 0 && (abs < 1e-3 || abs >= 1e6)) return value.toExponential(3)
+  return String(Number(value.toPrecision(6)))
+}
+
+// 두께 표시: 1 µm 이상은 µm
+export const formatThickness = (nm) => (nm >= 1000 ? `${formatReportNumber(nm / 1000)} µm` : `${formatReportNumber(nm)} nm`)
+
+const formatTimestamp = (ms) => new Date(ms).toLocaleString('ko-KR')
+
+/**
+ * 입력 파라미터 표 목록: [{ title, columns, rows }] — columns가 null이면 "항목 | 값" 표
+ */
+export function buildReportTables(inputs, solverMode) {
+  const formData = withDefaultInputs(inputs)
+  const tables = []
+
+  tables.push({
+    title: '레이어 스택 (기판부터)',
+    columns: ['레이어', '두께 (nm)', '열전도도 (W/m·K)', '밀도 (kg/m³)', '비열 (J/kg·K)', '발열 비율 (%)'],
+    rows: formData.layer_names.map((name, i) => [
+      i === formData.emissive_layer_index ? `${name} (발광층)` : name,
+      ...['thickness_layers_nm', 'k_therm_layers', 'rho_layers', 'c_p_layers', 'heat_fractions'].map(field => formatReportNumber(formData[field][i]))
+    ])
+  })
+
+  if (formData.interface_resistances.some(r => r > 0)) {
+    tables.push({
+      title: '계면 열저항',
+      columns: ['계면', '열저항 (m²·K/W)'],
+      rows: formData.interface_resistances.map((r, i) => [
+        `${formData.layer_names[i]}/${formData.layer_names[i + 1]}`,
+        formatReportNumber(r)
+      ])
+    })
+  }
+
+  const modelRows = formData.layer_names.flatMap((name, i) => TEMPERATURE_DEPENDENT_FIELDS
+    .map(field => ({ field, model: getPropertyModel(formData, i, field) }))
+    .filter(({ model }) => model.type !== PROPERTY_MODEL_TYPES.CONSTANT)
+    .map(({ field, model }) => [name, `${PROPERTY_LABELS[field]} (${PROPERTY_UNITS[field]})`, describePropertyModel(model, field)]))
+  if (modelRows.length > 0) {
+    tables.push({ title: '온도 의존 물성', columns: ['레이어', '물성', '모델'], rows: modelRows })
+  }
+
+  tables.push({
+    title: '구동과 발열',
+    columns: null,
+    rows: [
+      ['전압 (V)', formatReportNumber(formData.voltage)],
+      ['전류 밀도 (A/m²)', formatReportNumber(formData.current_density)],
+      ['EQE', formatReportNumber(formData.eqe)],
+      ['EQE 온도 의존', describePropertyModel(getEqeModel(formData), 'eqe')],
+      ['구동 파형', describeDrive(formData.drive)],
+      ['발광층 발열 분포', describeSourceProfile(formData.source_profile)]
+    ]
+  })
+  if (formData.drive?.type === DRIVE_TYPES.TABLE) {
+    tables.push({
+      title: '구동 파형 표',
+      columns: ['시간 (s, 시작 시간 기준)', '전압 (V)', '전류 밀도 (A/m²)'],
+      rows: formData.drive.table.map(row => [row.time, row.voltage, row.current_density].map(formatReportNumber))
+    })
+  }
+
+  tables.push({
+    title: '경계 조건',
+    columns: null,
+    rows: [
+      [`상부 (${getSurfaceLayerName(formData, 'top')})`, describeBoundaryCondition(formData.boundary_top)],
+      [`하부 (${getSurfaceLayerName(formData, 'bottom')})`, describeBoundaryCondition(formData.boundary_bottom)],
+      ['상부 방사율', formatReportNumber(formData.epsilon_top)],
+      ['하부 방사율', formatReportNumber(formData.epsilon_bottom)],
+      ['주변 온도 (°C)', formatReportNumber(formData.T_ambient)],
+      ['주변 온도 일정', describeAmbientSchedule(formData.ambient_schedule)]
+    ]
+  })
+
+  const steady = formData.analysis_mode === ANALYSIS_MODES.STEADY
+  tables.push({
+    title: '해석',
+    columns: null,
+    rows: [
+      ['해석 방식', steady ? '정상상태 (직접 계산)' : '과도 해석 (시간 적분)'],
+      ...(steady ? [] : [['시간 범위 (s)', `${formatReportNumber(formData.t_start)} ~ ${formatReportNumber(formData.t_end)}`]]),
+      ['솔버', SOLVER_MODE_LABELS[solverMode] ?? '-'],
+      ['격자', describeMesh(formData)],
+      ...(steady ? [] : [
+        ['출력 시간', describeOutputTimes(formData)],
+        ['허용 오차', describeTolerances(formData)],
+        ...(solverMode === SOLVER_MODES.SERVER ? [['적분 방법', INTEGRATION_METHOD_LABELS[formData.integration_method]]] : [])
+      ])
+    ]
+  })
+
+  if (formData.probes?.length > 0) {
+    tables.push({
+      title: '온도 프로브',
+      columns: null,
+      rows: formData.probes.map((probe, i) => [`프로브 ${i + 1}`, formatProbeLabel(probe, formData.layer_names)])
+    })
+  }
+  return tables
+}
+
+/**
+ * 요약 통계 [{ label, value }] (엑셀 요약 시트와 같은 STAT_FIELDS에 열 안정성, 에너지 수지, 정상상태 방열, 솔버 실행 정보 추가)
+ */
+export function buildReportStats(result, inputs) {
+  const formData = withDefaultInputs(inputs)
+  const stats = computeSimulationStats(result, formData)
+  const rows = STAT_FIELDS.map(({ key, label }) => ({ label, value: formatReportNumber(stats[key]) }))
+  if (result.eqe_feedback) {
+    rows.push({ label: '열 안정성 (EQE 되먹임)', value: THERMAL_STABILITY_LABELS[result.eqe_feedback.status] })
+  }
+  if (result.steady_state && result.heat_balance) {
+    const { generated, top, bottom } = result.heat_balance
+    rows.push({ label: '발생 열 (W/m²)', value: formatReportNumber(generated) })
+    rows.push({ label: '상부 / 하부 방열 (W/m²)', value: `${formatReportNumber(top.total)} / ${formatReportNumber(bottom.total)}` })
+  }
+  if (result.diagnostics?.energy) {
+    const { maxRelativeError } = summarizeEnergyBalance(result.diagnostics.energy)
+    rows.push({ label: '에너지 수지 최대 상대 오차', value: `${(maxRelativeError * 100).toFixed(3)}%` })
+  }
+  const lifetime = analyzeLifetime(result, formData)
+  if (lifetime) {
+    formatLifetimeStats(lifetime, formData.lifetime).forEach(({ label, value }) => rows.push({ label, value: formatReportNumber(value) }))
+  }
+  formatSolverStats(result.solver_stats).forEach(({ label, value }) => rows.push({ label: `솔버 ${label}`, value: String(value) }))
+  return rows
+}
+
+/**
+ * 소자 구조 그림: 위(상부 표면)부터 [{ name, thickness, color, height, emissive, substrate }]
+ */
+export function buildStackSchematic(inputs) {
+  const formData = withDefaultInputs(inputs)
+  const active = formData.thickness_layers_nm.slice(SUBSTRATE_INDEX + 1)
+  const activeTotal = active.reduce((sum, t) => sum + t, 0)
+  const layers = formData.layer_names.map((name, i) => ({
+    name,
+    thickness: formatThickness(formData.thickness_layers_nm[i]),
+    color: getLayerColor(i),
+    height: i === SUBSTRATE_INDEX
+      ? SCHEMATIC_SUBSTRATE_HEIGHT
+      : Math.max(SCHEMATIC_MIN_HEIGHT, SCHEMATIC_ACTIVE_HEIGHT * formData.thickness_layers_nm[i] / activeTotal),
+    emissive: i === formData.emissive_layer_index,
+    substrate: i === SUBSTRATE_INDEX
+  }))
+  return {
+    layers: layers.reverse(),
+    top: describeBoundaryCondition(formData.boundary_top),
+    bottom: describeBoundaryCondition(formData.boundary_bottom)
+  }
+}
+
+/**
+ * 보고서 머리말 정보 (실행 이름, 실행 시각, 작성 시각)
+ */
+export const buildReportHeader = ({ label, createdAt }, generatedAt) => ({
+  title: REPORT_TITLE,
+  runLabel: label,
+  runTime: createdAt ? formatTimestamp(createdAt) : null,
+  generatedTime: formatTimestamp(generatedAt)
+})
+
+/**
+ * 페이지 꼬리말 (라틴 문자만): 프로그램 버전, 솔버, 작성 시각, 쪽 번호
+ */
+export function formatReportFooter({ solverMode, generatedAt, page, pageCount }) {
+  const stamp = new Date(generatedAt).toISOString().slice(0, 16).replace('T', ' ')
+  // 일괄 보고서 첫 장처럼 실행 하나에 속하지 않는 쪽은 솔버를 생략
+  const solver = SOLVER_FOOTER_LABELS[solverMode]
+  return [`${REPORT_TITLE} v${APP_VERSION}`, solver, `generated ${stamp} UTC`, `page ${page}/${pageCount}`]
+    .filter(Boolean)
+    .join(' | ')
+}
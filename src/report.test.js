@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { DEFAULT_DRIVE, DRIVE_TYPES } from './drive.js'
+import { renameLayer } from './layerStack.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { SOLVER_MODES, SOLVER_MODE_LABELS } from './solver/simulationClient.js'
+import { STAT_FIELDS } from './simulationStats.js'
+import {
+  APP_VERSION,
+  REPORT_TITLE,
+  buildReportStats,
+  buildReportTables,
+  buildStackSchematic,
+  formatReportFooter
+} from './report.js'
+
+const findTable = (tables, title) => tables.find(table => table.title.startsWith(title))
+
+describe('PDF 보고서 내용', () => {
+  it('입력 표에 모든 레이어와 솔버를 넣고 계면 열저항 표는 값이 있을 때만 넣는다', () => {
+    const tables = buildReportTables(DEFAULT_VALUES, SOLVER_MODES.LOCAL)
+    const stack = findTable(tables, '레이어 스택')
+    expect(stack.rows.map(row => row[0])).toEqual(DEFAULT_VALUES.layer_names.map((name, i) =>
+      i === DEFAULT_VALUES.emissive_layer_index ? `${name} (발광층)` : name))
+    expect(findTable(tables, '계면 열저항')).toBeUndefined()
+    expect(findTable(tables, '해석').rows).toContainEqual(['솔버', SOLVER_MODE_LABELS[SOLVER_MODES.LOCAL]])
+    const renamed = buildReportTables(renameLayer(DEFAULT_VALUES, 5, 'Ag'), SOLVER_MODES.LOCAL)
+    expect(findTable(renamed, '경계 조건').rows.slice(0, 2).map(row => row[0])).toEqual(['상부 (Ag)', '하부 (Glass)'])
+
+    const withResistance = buildReportTables({ ...DEFAULT_VALUES, interface_resistances: [0, 1e-7, 0, 0, 0] }, SOLVER_MODES.SERVER)
+    expect(findTable(withResistance, '계면 열저항').rows[1][1]).toBe('1.000e-7')
+
+    const table = [{ time: 0, voltage: 0, current_density: 0 }, { time: 10, voltage: 3, current_density: 300 }]
+    const driven = buildReportTables({ ...DEFAULT_VALUES, drive: { ...DEFAULT_DRIVE, type: DRIVE_TYPES.TABLE, table } }, SOLVER_MODES.LOCAL)
+    expect(findTable(driven, '구동과 발열').rows).toContainEqual(['구동 파형', '구간 선형 표: 2점'])
+    expect(findTable(driven, '구동 파형 표').rows[1]).toEqual(['10', '3', '300'])
+  })
+
+  it('요약 통계는 엑셀 요약 항목을 모두 포함하고 정상상태면 방열량을 더한다', () => {
+    const formData = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }
+    const stats = buildReportStats(simulate(formData), formData)
+    const labels = stats.map(row => row.label)
+    STAT_FIELDS.forEach(({ label }) => expect(labels).toContain(label))
+    expect(labels).toContain('발생 열 (W/m²)')
+    expect(stats.every(row => row.value !== undefined)).toBe(true)
+  })
+
+  it('소자 구조 그림은 상부부터 그리고 얇은 레이어도 최소 높이를 가진다', () => {
+    const schematic = buildStackSchematic({ ...DEFAULT_VALUES, thickness_layers_nm: [700000, 100, 1, 40, 100, 100] })
+    expect(schematic.layers.map(layer => layer.name)).toEqual([...DEFAULT_VALUES.layer_names].reverse())
+    const substrate = schematic.layers[schematic.layers.length - 1]
+    expect(substrate.substrate).toBe(true)
+    expect(substrate.thickness).toBe('700 µm')
+    expect(Math.min(...schematic.layers.map(layer => layer.height))).toBe(16)
+    expect(schematic.layers.filter(layer => layer.emissive)).toHaveLength(1)
+  })
+
+  it('꼬리말은 라틴 문자만 쓰고 버전, 솔버, 쪽 번호를 담는다', () => {
+    const footer = formatReportFooter({ solverMode: SOLVER_MODES.SERVER, generatedAt: Date.UTC(2024, 0, 2, 3, 4), page: 2, pageCount: 5 })
+    expect(footer).toBe(`${REPORT_TITLE} v${APP_VERSION} | server Python solver (scipy solve_ivp) | generated 2024-01-02 03:04 UTC | page 2/5`)
+    expect(/^[\x20-\x7e]*$/.test(footer)).toBe(true)
+    expect(formatReportFooter({ generatedAt: 0, page: 1, pageCount: 1 })).not.toContain('solver')
+  })
+})
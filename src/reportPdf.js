@@ -0,0 +1,112 @@
+// PDF 보고서 조립: 보고서 페이지(ReportDocument.jsx)를 화면 밖에 그려 html2canvas로 캡처하고 jsPDF A4 쪽에 붙인다.
+// 한글은 jsPDF 기본 글꼴로 쓸 수 없어 본문은 모두 이미지로 넣고, 꼬리말(영문)만 PDF 텍스트로 쓴다.
+import { createElement } from 'react'
+import { flushSync } from 'react-dom'
+import { createRoot } from 'react-dom/client'
+import html2canvas from 'html2canvas'
+import { jsPDF } from 'jspdf'
+import ReportDocument, { REPORT_PAGE_WIDTH, ReportCover } from './components/ReportDocument.jsx'
+import { formatReportFooter } from './report.js'
+
+// 인쇄 해상도: A4 폭 794 px × 3 ≈ 300 dpi
+const CAPTURE_SCALE = 3
+const PAGE_WIDTH_MM = 210
+const PAGE_HEIGHT_MM = 297
+const MARGIN_MM = 10
+const FOOTER_MM = 8
+const JPEG_QUALITY = 0.92
+
+// 화면 그래프 캡처에서 뺄 조작 요소 (버튼, 시간 선택, 프로브 추가 토글)
+const CAPTURE_IGNORED = 'button, .time-scrubber, .probe-click-toggle'
+
+/**
+ * 화면의 그래프 컨테이너(chart1Ref, chart2Ref)를 인쇄 해상도 PNG로 (없으면 null)
+ */
+export async function captureChart(element) {
+  if (!element) return null
+  const canvas = await html2canvas(element, {
+    scale: CAPTURE_SCALE,
+    backgroundColor: '#ffffff',
+    ignoreElements: (el) => el.matches?.(CAPTURE_IGNORED)
+  })
+  return canvas.toDataURL('image/png')
+}
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()))
+
+// 이미지가 모두 읽힐 때까지 대기, 읽지 못한 이미지(로고 파일 없음 등)는 제거
+const waitForImages = (container) => Promise.all([...container.querySelectorAll('img')].map(img =>
+  img.decode().catch(() => img.remove())))
+
+// 캔버스 한 장을 A4 본문 높이로 잘라 쪽 이미지 목록으로 (표가 길면 여러 쪽)
+const sliceCanvas = (canvas, contentWidthMm, contentHeightMm) => {
+  const pxPerMm = canvas.width / contentWidthMm
+  const sliceHeight = Math.floor(contentHeightMm * pxPerMm)
+  const slices = []
+  for (let y = 0; y < canvas.height; y += sliceHeight) {
+    const height = Math.min(sliceHeight, canvas.height - y)
+    const slice = document.createElement('canvas')
+    slice.width = canvas.width
+    slice.height = height
+    const ctx = slice.getContext('2d')
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, slice.width, height)
+    ctx.drawImage(canvas, 0, y, canvas.width, height, 0, 0, canvas.width, height)
+    slices.push({ data: slice.toDataURL('image/jpeg', JPEG_QUALITY), heightMm: height / pxPerMm })
+  }
+  return slices
+}
+
+/**
+ * 보고서 PDF 저장
+ * runs: [{ label, createdAt, solverMode, formData, result, charts? }] — charts는 captureChart로 만든 { profile, timeline }
+ * 실행이 둘 이상이면 첫 장에 실행 요약 비교를 넣는다.
+ */
+export async function saveReportPdf(runs, fileName) {
+  const generatedAt = Date.now()
+  const container = document.createElement('div')
+  container.className = 'report-root'
+  container.style.width = `${REPORT_PAGE_WIDTH}px`
+  document.body.appendChild(container)
+  const root = createRoot(container)
+  try {
+    flushSync(() => {
+      root.render(createElement('div', null,
+        runs.length > 1 && createElement(ReportCover, { runs, generatedAt }),
+        ...runs.map((run, i) => createElement(ReportDocument, { key: i, run, charts: run.charts, generatedAt }))
+      ))
+    })
+    // recharts가 크기를 잡고 그릴 시간
+    await nextFrame()
+    await nextFrame()
+    await waitForImages(container)
+
+    const contentWidth = PAGE_WIDTH_MM - 2 * MARGIN_MM
+    const contentHeight = PAGE_HEIGHT_MM - 2 * MARGIN_MM - FOOTER_MM
+    const pages = []
+    for (const page of container.querySelectorAll('.report-page')) {
+      const canvas = await html2canvas(page, { scale: CAPTURE_SCALE, backgroundColor: '#ffffff' })
+      sliceCanvas(canvas, contentWidth, contentHeight).forEach(slice => {
+        pages.push({ ...slice, solverMode: page.dataset.solverMode })
+      })
+    }
+
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' })
+    pages.forEach((page, i) => {
+      if (i > 0) pdf.addPage()
+      pdf.addImage(page.data, 'JPEG', MARGIN_MM, MARGIN_MM, contentWidth, page.heightMm)
+      pdf.setFontSize(8)
+      pdf.setTextColor(110)
+      pdf.text(
+        formatReportFooter({ solverMode: page.solverMode, generatedAt, page: i + 1, pageCount: pages.length }),
+        PAGE_WIDTH_MM / 2,
+        PAGE_HEIGHT_MM - MARGIN_MM,
+        { align: 'center' }
+      )
+    })
+    pdf.save(fileName)
+  } finally {
+    root.unmount()
+    container.remove()
+  }
+}
@@ -0,0 +1,127 @@
+// 실행 비교: 입력 차이 표와 요약 통계 차이 계산
+import { STAT_FIELDS, computeSimulationStats } from './simulationStats.js'
+import { LAYER_PROPERTY_FIELDS, PER_LAYER_FIELDS } from './layerStack.js'
+import { TEMPERATURE_DEPENDENT_FIELDS } from './solver/propertyModels.js'
+import { describePropertyModel, getPropertyModel } from './propertyModels.js'
+import { withDefaultInputs } from './project.js'
+import { describeSourceProfile } from './heatSource.js'
+import { describeAmbientSchedule, describeBoundaryCondition } from './boundaryConditions.js'
+import { MESH_MODE_LABELS, OUTPUT_SPACING_LABELS } from './solverSettings.js'
+
+const GLOBAL_INPUT_LABELS = {
+  voltage: '전압 (V)',
+  current_density: '전류 밀도 (A/m²)',
+  drive: '구동 파형',
+  eqe: 'EQE',
+  eqe_model: 'EQE 온도 의존',
+  source_profile: '발광층 발열 분포',
+  epsilon_top: '상부 방사율',
+  epsilon_bottom: '하부 방사율',
+  boundary_top: '상부 경계 조건',
+  boundary_bottom: '하부 경계 조건',
+  T_ambient: '주변 온도 (°C)',
+  ambient_schedule: '주변 온도 일정',
+  t_start: '시작 시간 (s)',
+  t_end: '종료 시간 (s)',
+  analysis_mode: '해석 방식',
+  mesh_mode: '격자',
+  max_cell_size_nm: '최대 셀 크기 (nm)',
+  output_points: '출력 시간 점 수',
+  output_spacing: '출력 시간 간격',
+  log_first_time: '로그 간격 첫 출력 시간 (s)',
+  rtol: '상대 허용 오차',
+  atol: '절대 허용 오차 (K)',
+  integration_method: '서버 적분 방법'
+}
+
+const LAYER_PROPERTY_LABELS = {
+  thickness_layers_nm: '두께 (nm)',
+  k_therm_layers: '열전도도 (W/m·K)',
+  rho_layers: '밀도 (kg/m³)',
+  c_p_layers: '비열 (J/kg·K)'
+}
+
+// 결과에 영향을 주지 않는 입력 (비교에서 제외)
+const IGNORED_FIELDS = ['probes', 'lifetime']
+
+// 위에서 따로 펼쳐 비교하는 입력
+const EXPANDED_FIELDS = ['emissive_layer_index', 'interface_resistances']
+
+// 객체 입력은 JSON 대신 읽을 수 있는 설명으로 비교
+const DESCRIBED_FIELDS = {
+  eqe_model: (formData) => describePropertyModel(formData.eqe_model, 'eqe'),
+  source_profile: (formData) => describeSourceProfile(formData.source_profile),
+  boundary_top: (formData) => describeBoundaryCondition(formData.boundary_top),
+  boundary_bottom: (formData) => describeBoundaryCondition(formData.boundary_bottom),
+  ambient_schedule: (formData) => describeAmbientSchedule(formData.ambient_schedule),
+  mesh_mode: (formData) => MESH_MODE_LABELS[formData.mesh_mode],
+  output_spacing: (formData) => OUTPUT_SPACING_LABELS[formData.output_spacing]
+}
+
+// 비교용 값: 숫자/문자열은 그대로, 그 외는 JSON 문자열
+const toComparable = (value) =>
+  value === undefined || typeof value === 'number' || typeof value === 'string' ? value : JSON.stringify(value)
+
+/**
+ * formData를 [{ key, label, value }] 목록으로 펼침
+ * 레이어는 스택 위치(기판 = 1번)별로, 알려지지 않은 필드는 필드 이름 그대로 포함
+ */
+export function describeInputs(inputs) {
+  // 이전 버전 기록은 불러올 때와 같은 기본값을 채워 비교 (빠진 설정이 차이로 보이지 않도록)
+  const formData = withDefaultInputs(inputs)
+  const entries = [
+    { key: 'layer_count', label: '레이어 수', value: formData.layer_names.length },
+    { key: 'emissive_layer', label: '발광층', value: formData.layer_names[formData.emissive_layer_index] }
+  ]
+  formData.layer_names.forEach((name, i) => {
+    entries.push({ key: `layer:${i}:name`, label: `레이어 ${i + 1} 이름`, value: name })
+    LAYER_PROPERTY_FIELDS.forEach(field => {
+      entries.push({ key: `layer:${i}:${field}`, label: `레이어 ${i + 1} ${LAYER_PROPERTY_LABELS[field]}`, value: formData[field][i] })
+    })
+    TEMPERATURE_DEPENDENT_FIELDS.forEach(field => {
+      entries.push({
+        key: `layer:${i}:${field}:model`,
+        label: `레이어 ${i + 1} ${LAYER_PROPERTY_LABELS[field]} 온도 모델`,
+        value: describePropertyModel(getPropertyModel(formData, i, field), field)
+      })
+    })
+    entries.push({ key: `layer:${i}:heat_fractions`, label: `레이어 ${i + 1} 발열 비율 (%)`, value: formData.heat_fractions[i] })
+    entries.push({ key: `layer:${i}:points_per_layer`, label: `레이어 ${i + 1} 격자 노드 수`, value: formData.points_per_layer[i] })
+  })
+  // 계면 i: 레이어 i와 i + 1 사이
+  formData.layer_names.slice(1).forEach((_, i) => {
+    entries.push({ key: `interface:${i}`, label: `계면 ${i + 1} 열저항 (m²·K/W)`, value: formData.interface_resistances[i] })
+  })
+  Object.keys(formData).forEach(field => {
+    if (PER_LAYER_FIELDS.includes(field) || IGNORED_FIELDS.includes(field) || EXPANDED_FIELDS.includes(field)) return
+    const value = DESCRIBED_FIELDS[field] ? DESCRIBED_FIELDS[field](formData) : toComparable(formData[field])
+    entries.push({ key: field, label: GLOBAL_INPUT_LABELS[field] || field, value })
+  })
+  return entries
+}
+
+/**
+ * 여러 실행 입력 중 값이 서로 다른 항목만 반환: [{ key, label, values }]
+ */
+export function diffInputs(formDataList) {
+  const described = formDataList.map(describeInputs)
+  const rows = new Map()
+  described.forEach((entries, runIdx) => {
+    entries.forEach(({ key, label, value }) => {
+      if (!rows.has(key)) rows.set(key, { key, label, values: new Array(formDataList.length).fill(undefined) })
+      rows.get(key).values[runIdx] = value
+    })
+  })
+  return [...rows.values()].filter(row => row.values.some(v => v !== row.values[0]))
+}
+
+/**
+ * 실행별 요약 통계와 첫 번째 실행 대비 차이: [{ key, label, values, deltas }]
+ */
+export function compareStats(runs) {
+  const stats = runs.map(run => computeSimulationStats(run.result, run.formData))
+  return STAT_FIELDS.map(({ key, label }) => {
+    const values = stats.map(s => s[key])
+    return { key, label, values, deltas: values.map(v => v - values[0]) }
+  })
+}
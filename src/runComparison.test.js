@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { removeLayer, updateLayerProperty } from './layerStack.js'
+import { withDefaultInputs } from './project.js'
+import { compareStats, diffInputs } from './runComparison.js'
+
+const makeResult = (finalCenter, finalActive) => ({
+  time: [0, 1],
+  perovskite_center_temp: [25, finalCenter],
+  temperature_active: finalActive.map(T => [25, T])
+})
+
+describe('실행 비교', () => {
+  it('서로 다른 입력만 차이 표에 포함한다', () => {
+    const a = DEFAULT_VALUES
+    const b = { ...updateLayerProperty(DEFAULT_VALUES, 3, 'k_therm_layers', 0.8), current_density: 500 }
+    const rows = diffInputs([a, b, a])
+    expect(rows.map(r => r.key)).toEqual(['layer:3:k_therm_layers', 'current_density'])
+    expect(rows[1]).toMatchObject({ label: '전류 밀도 (A/m²)', values: [300, 500, 300] })
+  })
+
+  it('레이어 수가 다르면 빠진 레이어 값은 undefined로 표시한다', () => {
+    const rows = diffInputs([DEFAULT_VALUES, removeLayer(DEFAULT_VALUES, 4)])
+    expect(rows.find(r => r.key === 'layer_count').values).toEqual([6, 5])
+    expect(rows.find(r => r.key === 'layer:5:name').values).toEqual(['Cathode', undefined])
+  })
+
+  it('EQE 모델과 발열 분포 이전의 기록은 같은 입력의 새 기록과 차이가 없다', () => {
+    const { eqe_model: eqeModel, source_profile: sourceProfile, heat_fractions: heatFractions, ...legacy } = DEFAULT_VALUES
+    expect(withDefaultInputs(legacy)).toMatchObject({ eqe_model: eqeModel, source_profile: sourceProfile, heat_fractions: heatFractions })
+    expect(diffInputs([legacy, DEFAULT_VALUES])).toEqual([])
+  })
+
+  it('첫 번째 실행 대비 통계 차이를 계산한다', () => {
+    const rows = compareStats([
+      { formData: DEFAULT_VALUES, result: makeResult(40, [38, 40, 41]) },
+      { formData: DEFAULT_VALUES, result: makeResult(45, [42, 45, 47]) }
+    ])
+    const byKey = Object.fromEntries(rows.map(r => [r.key, r]))
+    expect(byKey.finalTemp.deltas).toEqual([0, 5])
+    expect(byKey.tempDifference.values).toEqual([3, 5])
+    expect(byKey.startTemp.deltas).toEqual([0, 0])
+  })
+})
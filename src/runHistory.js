@@ -0,0 +1,79 @@
+// 시뮬레이션 실행 기록 (IndexedDB 저장)
+// 항목: { id, label, createdAt, solverMode, formData, result } — result는 섭씨로 변환된 결과
+
+const DB_NAME = 'joule-heating'
+const DB_VERSION = 1
+const RUN_STORE = 'runs'
+
+// 오래된 기록부터 지워 최대 개수 유지 (결과 하나가 수백 KB)
+export const MAX_HISTORY_RUNS = 50
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('이 브라우저는 IndexedDB를 지원하지 않습니다.'))
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION)
+  request.onupgradeneeded = () => {
+    const db = request.result
+    if (!db.objectStoreNames.contains(RUN_STORE)) {
+      db.createObjectStore(RUN_STORE, { keyPath: 'id', autoIncrement: true })
+    }
+  }
+  return promisifyRequest(request)
+}
+
+// 트랜잭션 하나에서 callback(store)을 실행하고, 트랜잭션이 끝나면 callback의 결과를 반환
+const withStore = async (mode, callback) => {
+  const db = await openDatabase()
+  try {
+    const tx = db.transaction(RUN_STORE, mode)
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+    const [value] = await Promise.all([callback(tx.objectStore(RUN_STORE)), done])
+    return value
+  } finally {
+    db.close()
+  }
+}
+
+// 최신 실행이 앞에 오도록 정렬
+export async function listRuns() {
+  const runs = await withStore('readonly', store => promisifyRequest(store.getAll()))
+  return runs.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export async function addRun({ label = '', solverMode, formData, result }) {
+  const run = { label, createdAt: Date.now(), solverMode, formData, result }
+  return withStore('readwrite', async store => {
+    const id = await promisifyRequest(store.add(run))
+    const keys = await promisifyRequest(store.getAllKeys())
+    keys.slice(0, Math.max(0, keys.length - MAX_HISTORY_RUNS)).forEach(key => store.delete(key))
+    return { ...run, id }
+  })
+}
+
+export async function updateRunLabel(id, label) {
+  return withStore('readwrite', async store => {
+    const run = await promisifyRequest(store.get(id))
+    if (!run) throw new Error('실행 기록을 찾을 수 없습니다.')
+    await promisifyRequest(store.put({ ...run, label }))
+  })
+}
+
+export async function deleteRun(id) {
+  return withStore('readwrite', store => promisifyRequest(store.delete(id)))
+}
+
+export async function clearRuns() {
+  return withStore('readwrite', store => promisifyRequest(store.clear()))
+}
+
+export const formatRunLabel = (run) => run.label || `실행 #${run.id}`
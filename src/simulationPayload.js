@@ -0,0 +1,88 @@
+// UI 입력(섭씨)과 솔버 요청/응답(켈빈) 사이의 변환
+import { buildDriveProfile, computeDriveWaveform, sampleDrivePower } from './drive.js'
+import {
+  computeHeatPathResistances,
+  computeInterfaceResistances,
+  computeLayerMeanTemperatures,
+  computeLayerResistances,
+  computeSurfaceHeatLoss
+} from './heatBalance.js'
+import { computeDiagnostics } from './diagnostics.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { getEqeModel, withDefaultPropertyModels } from './propertyModels.js'
+import { analyzeEqeFeedback, hasEqeFeedback } from './eqeFeedback.js'
+import { buildAmbientProfile, toSolverBoundaryCondition } from './boundaryConditions.js'
+
+// 섭씨 <-> 켈빈 변환 함수
+export const celsiusToKelvin = (celsius) => celsius + 273.15
+export const kelvinToCelsius = (kelvin) => kelvin - 273.15
+
+// 물성 모델의 온도(T_ref, 표의 온도)를 켈빈으로 (기울기는 K당이라 그대로)
+const convertPropertyModel = (model) => ({
+  ...model,
+  T_ref: celsiusToKelvin(model.T_ref),
+  table: model.table.map(row => ({ ...row, temperature: celsiusToKelvin(row.temperature) }))
+})
+
+// 섭씨를 켈빈으로 변환하여 솔버에 전송할 요청 본문 생성
+export function buildSimulationPayload(formData) {
+  const { property_models: propertyModels } = withDefaultPropertyModels(formData)
+  return {
+    ...formData,
+    T_ambient: celsiusToKelvin(formData.T_ambient),
+    property_models: propertyModels.map(models =>
+      Object.fromEntries(Object.entries(models).map(([field, model]) => [field, convertPropertyModel(model)]))
+    ),
+    eqe_model: convertPropertyModel(getEqeModel(formData)),
+    boundary_top: toSolverBoundaryCondition(formData.boundary_top),
+    boundary_bottom: toSolverBoundaryCondition(formData.boundary_bottom),
+    // 시간에 따른 주변 온도 (일정을 쓰지 않거나 정상상태 해석이면 null)
+    ambient_profile: buildAmbientProfile(formData),
+    // 시간에 따른 구동 (일정 구동이거나 정상상태 해석이면 null)
+    drive_profile: formData.analysis_mode === ANALYSIS_MODES.STEADY ? null : buildDriveProfile(formData)
+  }
+}
+
+// 정상상태 결과의 표면 방열 분해와 열저항 (실행 시점의 입력으로 계산해 결과에 보관)
+const buildSteadyStateSummary = (result, formData) => {
+  // EQE(T)면 발생 열은 정상상태 온도에서의 유효 EQE로 계산
+  const heatLoss = computeSurfaceHeatLoss(result, formData, 0, result.eqe_feedback?.eqe[0])
+  // 온도 의존 열전도도는 정상상태의 레이어 평균 온도에서 평가
+  const layerResistances = computeLayerResistances(formData, computeLayerMeanTemperatures(result))
+  const interfaceResistances = computeInterfaceResistances(formData, layerResistances)
+  return {
+    heat_balance: heatLoss,
+    layer_resistances: layerResistances,
+    boundary_resistances: interfaceResistances,
+    path_resistances: computeHeatPathResistances(layerResistances, formData.emissive_layer_index, heatLoss, interfaceResistances)
+  }
+}
+
+// 솔버 응답의 켈빈을 섭씨로 변환
+export function convertSimulationResult(data, formData) {
+  const result = {
+    ...data,
+    // 결과를 그린 뒤 스택을 편집해도 라벨이 바뀌지 않도록 실행 시점의 이름을 보관
+    substrate_name: formData.layer_names[0],
+    emissive_layer_name: formData.layer_names[formData.emissive_layer_index],
+    // 인가 전력 밀도 V·J (W/m²): 출력 시간별 값과 그래프용 파형 (정상상태는 구동 파형 없음)
+    ...(!data.steady_state && {
+      drive_power: sampleDrivePower(formData, data.time),
+      drive_waveform: computeDriveWaveform(formData)
+    }),
+    temperature_active: data.temperature_active.map(row => 
+      row.map(kelvin => kelvinToCelsius(kelvin))
+    ),
+    temperature_glass: data.temperature_glass.map(row => 
+      row.map(kelvin => kelvinToCelsius(kelvin))
+    ),
+    perovskite_center_temp: data.perovskite_center_temp.map(kelvin => 
+      kelvinToCelsius(kelvin)
+    )
+  }
+  // 열유속/에너지 수지 진단 (실행 시점의 입력과 그리드로 계산)
+  result.diagnostics = computeDiagnostics(result, formData)
+  // EQE(T) 되먹임: 유효 EQE 시계열과 열폭주 판정 (EQE가 일정하면 생략)
+  if (hasEqeFeedback(formData)) result.eqe_feedback = analyzeEqeFeedback(result, formData)
+  return data.steady_state ? { ...result, ...buildSteadyStateSummary(result, formData) } : result
+}
@@ -0,0 +1,37 @@
+// 시뮬레이션 결과 요약 통계 (Excel 요약 시트와 실행 비교 표에서 공통 사용)
+
+export const STAT_FIELDS = [
+  { key: 'startTemp', label: '시작 온도 (°C)' },
+  { key: 'finalTemp', label: '최종 온도 (°C)' },
+  { key: 'maxTemp', label: '소자 내부 최대 온도 (°C)' },
+  { key: 'minTemp', label: '소자 내부 최소 온도 (°C)' },
+  { key: 'tempDifference', label: '소자 내부 온도 차이 (°C)' }
+]
+
+/**
+ * result: 섭씨로 변환된 결과, formData: 해당 실행의 입력
+ */
+export function computeSimulationStats(result, formData) {
+  const { temperature_active, perovskite_center_temp } = result
+  const finalTimeIndex = temperature_active[0].length - 1
+
+  // 시작온도 (주변 온도)
+  const startTemp = formData.T_ambient
+
+  // 최종온도 (페로브스카이트 중간 지점의 마지막 온도)
+  const finalTemp = perovskite_center_temp[finalTimeIndex]
+
+  // 소자 내부 최대/최소 온도차이 (활성층의 최종 온도 프로파일에서)
+  const finalActiveTemps = temperature_active.map(row => row[finalTimeIndex])
+  const maxTemp = Math.max(...finalActiveTemps)
+  const minTemp = Math.min(...finalActiveTemps)
+  const tempDifference = maxTemp - minTemp
+
+  return {
+    startTemp,
+    finalTemp,
+    maxTemp,
+    minTemp,
+    tempDifference
+  }
+}
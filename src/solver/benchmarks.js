@@ -0,0 +1,237 @@
+// 해석해 벤치마크: 닫힌 형태의 해가 있는 경우로 열전도 모델을 검증 (입력과 온도는 켈빈)
+// 사례마다 솔버 입력(params), 해석해와의 최대 오차를 재는 measure(result), 기준 온도 차(scale)에 대한 상대 허용 오차를 둔다.
+// 테스트(benchmarks.test.js)와 보고서 스크립트(scripts/run_benchmarks.js)가 같은 정의를 쓴다.
+//
+// 허용 오차는 현재 이산화의 오차(레이어당 40셀)의 약 1.3배로, 계면 k 평균 방식만 바뀌어도 실패한다. 레이어 경계 노드는 뒤쪽 레이어의 k와 ρ·c를 쓰므로
+// 물성이 다른 계면(축소된 Glass와 그 위 레이어 포함)에서 1차 오차가 생기고, 격자를 2배로 하면 절반이 된다.
+// 시간 적분 오차가 섞이지 않도록 허용 오차(rtol, atol)는 엄격하게 둔다.
+import { BOUNDARY_TYPES } from './boundaryConditions.js'
+import { ANALYSIS_MODES } from './thermalModel.js'
+import { MESH_MODES } from './solverOptions.js'
+
+const LAYER_NAMES = ['Glass', 'Layer 1', 'Layer 2', 'Layer 3', 'Layer 4']
+const EMISSIVE_LAYER_INDEX = 2
+const T_AMBIENT = 300
+
+const fixedTemperature = (temperature) => ({ type: BOUNDARY_TYPES.FIXED_TEMPERATURE, temperature })
+const convective = (hConv) => ({ type: BOUNDARY_TYPES.CONVECTIVE, h_conv: hConv })
+
+/**
+ * 다섯 레이어 스택의 솔버 입력 (레이어 0은 실제 계산처럼 Glass 두께 축소가 적용된다)
+ * 방사는 끄고, 발열은 heat_fractions (%)와 heat (W/m², V·J로 주고 EQE 0)로 준다.
+ */
+function buildStack({ thicknessNm, k, rho, cp, heat = 0, heatFractions, pointsPerLayer = 40, boundaryTop, boundaryBottom, ...rest }) {
+  const perLayer = (value) => (Array.isArray(value) ? value : LAYER_NAMES.map(() => value))
+  return {
+    layer_names: LAYER_NAMES,
+    thickness_layers_nm: perLayer(thicknessNm),
+    k_therm_layers: perLayer(k),
+    rho_layers: perLayer(rho),
+    c_p_layers: perLayer(cp),
+    emissive_layer_index: EMISSIVE_LAYER_INDEX,
+    heat_fractions: heatFractions ?? LAYER_NAMES.map((_, i) => (i === EMISSIVE_LAYER_INDEX ? 100 : 0)),
+    voltage: 1,
+    current_density: heat,
+    eqe: 0,
+    T_ambient: T_AMBIENT,
+    epsilon_top: 0,
+    epsilon_bottom: 0,
+    boundary_top: boundaryTop,
+    boundary_bottom: boundaryBottom,
+    mesh_mode: MESH_MODES.POINTS,
+    points_per_layer: LAYER_NAMES.map(() => pointsPerLayer),
+    rtol: 1e-6,
+    atol: 1e-8,
+    t_start: 0,
+    ...rest
+  }
+}
+
+/**
+ * 결과의 전체 온도 분포: [{ x (m, 기판 아랫면 기준), T }] (시간 인덱스 idx)
+ */
+export function profileAt(result, idx) {
+  const glass = result.position_glass_nm.map((x, j) => ({ x: x * 1e-9, T: result.temperature_glass[j][idx] }))
+  const active = result.position_active_nm.map((x, j) => ({
+    x: (x + result.glass_ito_boundary_nm) * 1e-9,
+    T: result.temperature_active[j][idx]
+  }))
+  return [...glass, ...active]
+}
+
+const maxProfileError = (result, idx, exact) =>
+  profileAt(result, idx).reduce((max, { x, T }) => Math.max(max, Math.abs(T - exact(x))), 0)
+
+// 1. 양 끝 온도 고정 단일 슬래브 (균일 초기 온도): 선형 정상 분포 + 푸리에 사인 급수
+const SLAB = { length: 1e-3, k: 1, rho: 1000, cp: 1000, T0: T_AMBIENT, T1: 350, T2: 320 }
+const SLAB_SERIES_TERMS = 400
+// 초기 불연속(경계에서 계단)이 격자에 퍼지는 초반은 비교하지 않음 (열확산 시간 L²/α의 2%)
+const SLAB_SKIP_FRACTION = 0.02
+
+function slabTemperature(x, t) {
+  const { length: L, k, rho, cp, T0, T1, T2 } = SLAB
+  const alpha = k / (rho * cp)
+  let T = T1 + (T2 - T1) * x / L
+  for (let n = 1; n <= SLAB_SERIES_TERMS; n++) {
+    const sign = n % 2 === 0 ? 1 : -1
+    const b = 2 / (n * Math.PI) * ((T0 - T1) * (1 - sign) + (T2 - T1) * sign)
+    T += b * Math.sin(n * Math.PI * x / L) * Math.exp(-((n * Math.PI / L) ** 2) * alpha * t)
+  }
+  return T
+}
+
+// 2. 균일 발열 + 양면 대류: 포물선 정상 분포 T = T_amb + Q/(2h) + q'''·x(L - x)/(2k), q''' = Q/L
+const GENERATION = { length: 10e-3, k: 0.1, h: 20, heat: 1000 }
+
+function generationTemperature(x) {
+  const { length: L, k, h, heat } = GENERATION
+  return T_AMBIENT + heat / (2 * h) + heat / L * x * (L - x) / (2 * k)
+}
+
+// 3. 복합 벽 (레이어 직렬 열저항 + 계면 열저항): 열유속 q = ΔT / ΣR, 레이어 안은 선형, 계면에서 q·R만큼 점프
+const COMPOSITE = {
+  thicknessNm: [1e6, 5e5, 1.5e6, 4e5, 2e6],
+  k: [1, 0.5, 1.5, 0.8, 2],
+  interfaceResistances: [0, 0, 5e-4, 0],
+  T1: 360,
+  T2: 300
+}
+
+function compositeTemperature(x) {
+  const { thicknessNm, k, interfaceResistances, T1, T2 } = COMPOSITE
+  const thickness = thicknessNm.map(d => d * 1e-9)
+  const total = thickness.reduce((sum, d, i) => sum + d / k[i], 0) + interfaceResistances.reduce((sum, r) => sum + r, 0)
+  const q = (T1 - T2) / total
+  // 경계 노드는 뒤쪽(위) 레이어 소속이므로 계면 위치에서는 위 레이어 쪽 온도
+  const eps = 1e-9 * thickness.reduce((sum, d) => sum + d, 0)
+  let start = 0
+  let T = T1
+  for (let i = 0; i < thickness.length; i++) {
+    const end = start + thickness[i]
+    if (x < end - eps || i === thickness.length - 1) return T - q * (x - start) / k[i]
+    T -= q * thickness[i] / k[i] + q * interfaceResistances[i]
+    start = end
+  }
+  return T
+}
+
+// 4. 집중 열용량 (Bi ≪ 1) 지수 가열: T = T_amb + Q/(2h)·(1 - exp(-t/τ)), τ = ρ·c·L / (2h)
+const LUMPED = { length: 1e-4, k: 100, rho: 2000, cp: 1000, h: 10, heat: 200 }
+
+function lumpedTemperature(t) {
+  const { length: L, rho, cp, h, heat } = LUMPED
+  const tau = rho * cp * L / (2 * h)
+  return T_AMBIENT + heat / (2 * h) * (1 - Math.exp(-t / tau))
+}
+
+const equalLayers = (length) => LAYER_NAMES.map(() => length / LAYER_NAMES.length * 1e9)
+
+export const BENCHMARKS = [
+  {
+    id: 'slab-fixed-temperature',
+    title: '양 끝 온도 고정 단일 슬래브 (과도, 푸리에 급수)',
+    params: buildStack({
+      thicknessNm: equalLayers(SLAB.length),
+      k: SLAB.k,
+      rho: SLAB.rho,
+      cp: SLAB.cp,
+      boundaryBottom: fixedTemperature(SLAB.T1),
+      boundaryTop: fixedTemperature(SLAB.T2),
+      analysis_mode: ANALYSIS_MODES.TRANSIENT,
+      t_end: 0.5,
+      output_points: 51
+    }),
+    scale: SLAB.T1 - SLAB.T0,
+    tolerance: 0.008,
+    measure: (result) => {
+      const tau = SLAB.length ** 2 * SLAB.rho * SLAB.cp / SLAB.k
+      return result.time.reduce((max, t, idx) => (t < SLAB_SKIP_FRACTION * tau
+        ? max
+        : Math.max(max, maxProfileError(result, idx, (x) => slabTemperature(x, t)))), 0)
+    }
+  },
+  {
+    id: 'uniform-generation-convective',
+    title: '균일 발열 + 양면 대류 (정상상태 포물선 분포)',
+    params: buildStack({
+      thicknessNm: equalLayers(GENERATION.length),
+      k: GENERATION.k,
+      rho: 1000,
+      cp: 1000,
+      heat: GENERATION.heat,
+      heatFractions: LAYER_NAMES.map(() => 100 / LAYER_NAMES.length),
+      boundaryBottom: convective(GENERATION.h),
+      boundaryTop: convective(GENERATION.h),
+      analysis_mode: ANALYSIS_MODES.STEADY
+    }),
+    scale: generationTemperature(GENERATION.length / 2) - T_AMBIENT,
+    tolerance: 0.0017,
+    measure: (result) => maxProfileError(result, 0, generationTemperature)
+  },
+  {
+    id: 'composite-wall',
+    title: '복합 벽 직렬 열저항 (계면 열저항 포함, 정상상태)',
+    params: buildStack({
+      thicknessNm: COMPOSITE.thicknessNm,
+      k: COMPOSITE.k,
+      rho: 1000,
+      cp: 1000,
+      interface_resistances: COMPOSITE.interfaceResistances,
+      boundaryBottom: fixedTemperature(COMPOSITE.T1),
+      boundaryTop: fixedTemperature(COMPOSITE.T2),
+      analysis_mode: ANALYSIS_MODES.STEADY
+    }),
+    scale: COMPOSITE.T1 - COMPOSITE.T2,
+    tolerance: 0.004,
+    measure: (result) => maxProfileError(result, 0, compositeTemperature)
+  },
+  {
+    id: 'lumped-capacitance',
+    title: '집중 열용량 지수 가열 (Bi ≪ 1, 과도)',
+    params: buildStack({
+      thicknessNm: equalLayers(LUMPED.length),
+      k: LUMPED.k,
+      rho: LUMPED.rho,
+      cp: LUMPED.cp,
+      heat: LUMPED.heat,
+      boundaryBottom: convective(LUMPED.h),
+      boundaryTop: convective(LUMPED.h),
+      analysis_mode: ANALYSIS_MODES.TRANSIENT,
+      t_end: 50,
+      output_points: 101
+    }),
+    scale: LUMPED.heat / (2 * LUMPED.h),
+    tolerance: 0.002,
+    measure: (result) => result.time.reduce((max, t, idx) =>
+      Math.max(max, Math.abs(result.perovskite_center_temp[idx] - lumpedTemperature(t))), 0)
+  }
+]
+
+/**
+ * 솔버 결과를 해석해와 비교: { id, title, error (K), scale (K), relativeError, tolerance, passed }
+ */
+export function evaluateBenchmark(benchmark, result) {
+  const { id, title, scale, tolerance } = benchmark
+  if (!result.success) {
+    return { id, title, error: null, scale, relativeError: null, tolerance, passed: false, message: result.error }
+  }
+  const error = benchmark.measure(result)
+  const relativeError = error / Math.abs(scale)
+  return { id, title, error, scale, relativeError, tolerance, passed: relativeError <= tolerance }
+}
+
+/**
+ * 읽기 쉬운 결과 표 (고정폭 텍스트)
+ */
+export function formatBenchmarkReport(results, solverLabel) {
+  const lines = [`해석해 벤치마크 (${solverLabel})`]
+  results.forEach(({ title, error, scale, relativeError, tolerance, passed, message }) => {
+    lines.push(`${passed ? 'PASS' : 'FAIL'}  ${title}`)
+    lines.push(error === null
+      ? `      솔버 실패: ${message}`
+      : `      최대 오차 ${error.toExponential(2)} K / 기준 ${scale.toFixed(2)} K = ${(relativeError * 100).toFixed(3)}% (허용 ${(tolerance * 100).toFixed(2)}%)`)
+  })
+  const failed = results.filter(r => !r.passed).length
+  lines.push(failed === 0 ? `모두 통과 (${results.length}개)` : `${failed}개 실패 / ${results.length}개`)
+  return lines.join('\n')
+}
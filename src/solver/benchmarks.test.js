@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest'
+import { runSimulation } from './thermalModel.js'
+import { BENCHMARKS, evaluateBenchmark, formatBenchmarkReport } from './benchmarks.js'
+
+// 전체 보고서: node scripts/run_benchmarks.js (서버 솔버는 --python)
+describe('해석해 벤치마크 (JS 솔버)', () => {
+  it.each(BENCHMARKS.map(benchmark => [benchmark.title, benchmark]))('%s', (_, benchmark) => {
+    const result = evaluateBenchmark(benchmark, runSimulation(benchmark.params))
+    expect(result.message).toBeUndefined()
+    expect(result.relativeError, formatBenchmarkReport([result], 'JS 솔버')).toBeLessThanOrEqual(result.tolerance)
+  })
+
+  it('계면의 이산화 오차는 격자를 2배로 하면 절반 가까이 줄어든다 (1차 수렴)', () => {
+    const benchmark = BENCHMARKS.find(b => b.id === 'composite-wall')
+    const errorWith = (points) => evaluateBenchmark(benchmark, runSimulation({
+      ...benchmark.params,
+      points_per_layer: benchmark.params.points_per_layer.map(() => points)
+    })).error
+    const ratio = errorWith(40) / errorWith(80)
+    expect(ratio).toBeGreaterThan(1.8)
+    expect(ratio).toBeLessThan(2.2)
+  })
+})
@@ -0,0 +1,79 @@
+// 상부/하부 표면 경계 조건 (요청의 boundary_top, boundary_bottom)과 시간에 따른 주변 온도 (ambient_profile)
+// api/simulate.py의 boundary_flux_function, ambient_function과 같은 정의 (온도는 켈빈)
+//
+// boundary_top / boundary_bottom: { type, h_conv, temperature, flux, sink_resistance, sink_temperature }
+//   convective:        h_conv·(T - T_amb(t)) + ε·σ·(T⁴ - T_amb(t)⁴), ε는 epsilon_top / epsilon_bottom
+//   fixed_temperature: 표면을 temperature로 고정 (FIXED_TEMPERATURE_CONTACT_RESISTANCE로 연결해 근사)
+//   fixed_flux:        flux (W/m², 주변으로 나가는 방향이 양수, 음수면 유입) 일정
+//   heat_sink:         (T - sink_temperature) / sink_resistance
+// 없으면 (이전 요청 형식) h_conv를 쓰는 대류+복사
+//
+// ambient_profile: { times: t_start 기준 시간 (s, 오름차순), temperatures } — 점 사이 선형, 범위 밖은 끝 값 유지
+// 없으면 T_ambient 일정. 대류+복사 경계에만 쓰인다.
+
+export const BOUNDARY_TYPES = {
+  CONVECTIVE: 'convective',
+  FIXED_TEMPERATURE: 'fixed_temperature',
+  FIXED_FLUX: 'fixed_flux',
+  HEAT_SINK: 'heat_sink'
+}
+
+// 고정 온도 경계의 접촉 저항 (m²·K/W): 1 kW/m²가 흐를 때 표면 온도 오차 1 µK
+// 경계 노드를 고정하는 대신 유한한 저항으로 연결해 정상상태 Newton 자코비안과 열 수지 계산을 다른 경계와 같게 유지한다.
+export const FIXED_TEMPERATURE_CONTACT_RESISTANCE = 1e-9
+
+export const STEFAN_BOLTZMANN = 5.67e-8
+
+/**
+ * 요청의 경계 조건 (없으면 h_conv 대류+복사)
+ * side: 'top' | 'bottom'
+ */
+export function getBoundaryCondition(params, side) {
+  return params[`boundary_${side}`] ?? { type: BOUNDARY_TYPES.CONVECTIVE, h_conv: params.h_conv }
+}
+
+/**
+ * 경계 조건 -> (T, TAmbient) => 표면에서 나가는 열유속 (W/m²)
+ */
+export function createBoundaryFlux(condition, epsilon) {
+  switch (condition.type) {
+    case BOUNDARY_TYPES.CONVECTIVE: {
+      const hConv = condition.h_conv
+      return (T, TAmbient) => hConv * (T - TAmbient) + epsilon * STEFAN_BOLTZMANN * (T ** 4 - TAmbient ** 4)
+    }
+    case BOUNDARY_TYPES.FIXED_TEMPERATURE: {
+      const { temperature } = condition
+      return (T) => (T - temperature) / FIXED_TEMPERATURE_CONTACT_RESISTANCE
+    }
+    case BOUNDARY_TYPES.FIXED_FLUX: {
+      const { flux } = condition
+      return () => flux
+    }
+    case BOUNDARY_TYPES.HEAT_SINK: {
+      const { sink_resistance: resistance, sink_temperature: sinkTemperature } = condition
+      return (T) => (T - sinkTemperature) / resistance
+    }
+    default:
+      throw new Error(`알 수 없는 경계 조건입니다: ${condition.type}`)
+  }
+}
+
+/**
+ * 주변 온도 t -> T_amb(t) (ambient_profile이 없으면 T_ambient 일정)
+ */
+export function createAmbientFunction(params, tStart = params.t_start ?? 0) {
+  const profile = params.ambient_profile
+  const TAmbient = params.T_ambient
+  if (!profile) return () => TAmbient
+  const { times, temperatures } = profile
+  const last = times.length - 1
+  return (t) => {
+    const tau = t - tStart
+    if (tau <= times[0]) return temperatures[0]
+    if (tau >= times[last]) return temperatures[last]
+    let i = 0
+    while (times[i + 1] < tau) i++
+    const f = (tau - times[i]) / (times[i + 1] - times[i])
+    return temperatures[i] + (temperatures[i + 1] - temperatures[i]) * f
+  }
+}
@@ -0,0 +1,120 @@
+// 시간에 따라 변하는 전기 구동 (백엔드 api/simulate.py의 build_drive_segments와 같은 규칙)
+//
+// drive_profile (요청 본문, 없으면 voltage/current_density 고정 구동):
+//   times: 구동 시작(t_start) 기준 시간 (s, 오름차순)
+//   voltage, current_density: times 지점의 값
+//   interpolation: 'linear' (구간 선형) | 'previous' (다음 점까지 유지)
+//   period: 주기 (s, 선택) — 있으면 times가 한 주기를 정의하고 반복
+//
+// 적분은 구동이 불연속이거나 꺾이는 시각마다 끊어서 다시 시작하므로
+// 구동을 구간 목록 [{ start, end, voltage: [시작, 끝], current_density: [시작, 끝] }]으로 바꾼다.
+// 각 구간 안에서 전압/전류는 선형이다.
+
+export const DRIVE_INTERPOLATIONS = {
+  LINEAR: 'linear',
+  PREVIOUS: 'previous'
+}
+
+// 구간이 너무 많으면 (고주파 펄스 × 긴 시간) 적분이 끝나지 않으므로 제한
+export const MAX_DRIVE_SEGMENTS = 5000
+
+// 오름차순 배열에서 value 이하인 마지막 인덱스 (value가 첫 값보다 작으면 -1)
+const lastIndexAtOrBefore = (sorted, value) => {
+  let idx = -1
+  for (let i = 0; i < sorted.length && sorted[i] <= value; i++) idx = i
+  return idx
+}
+
+// 구간을 나누는 시각 (t_start 기준 상대 시간, 0 < τ < span)
+const getCutTimes = (profile, span) => {
+  const { times, period } = profile
+  const cuts = []
+  if (period) {
+    const count = Math.ceil(span / period)
+    if (count * times.length > MAX_DRIVE_SEGMENTS) {
+      throw new Error(`구동 파형의 구간이 너무 많습니다 (최대 ${MAX_DRIVE_SEGMENTS}개). 주파수를 낮추거나 시뮬레이션 시간을 줄이세요.`)
+    }
+    for (let k = 0; k < count; k++) {
+      times.forEach(tau => cuts.push(k * period + tau))
+      cuts.push((k + 1) * period)
+    }
+  } else {
+    cuts.push(...times)
+  }
+  const unique = [...new Set(cuts)].filter(tau => tau > 0 && tau < span).sort((a, b) => a - b)
+  if (unique.length + 1 > MAX_DRIVE_SEGMENTS) {
+    throw new Error(`구동 파형의 구간이 너무 많습니다 (최대 ${MAX_DRIVE_SEGMENTS}개).`)
+  }
+  return unique
+}
+
+/**
+ * 한 구간 안에서 (구간 중간점이 속한 표 구간 기준) τ의 전압/전류
+ * 구간 경계에서 값이 바뀌어도 구간 내부 기준으로 평가하므로 왼쪽/오른쪽 극한이 섞이지 않는다.
+ */
+const evaluateWithinSegment = (profile, tauMid, tau) => {
+  const { times, interpolation, period } = profile
+  const base = period ? Math.floor(tauMid / period) * period : 0
+  const local = tauMid - base
+  const i = lastIndexAtOrBefore(times, local)
+  const valueOf = (field) => {
+    const values = profile[field]
+    if (i < 0) return values[0]
+    if (interpolation === DRIVE_INTERPOLATIONS.PREVIOUS) return values[i]
+    // 다음 점: 마지막 점 이후는 주기 반복이면 다음 주기의 첫 점, 아니면 유지
+    let nextTime
+    let nextValue
+    if (i < times.length - 1) {
+      nextTime = times[i + 1]
+      nextValue = values[i + 1]
+    } else if (period) {
+      nextTime = period + times[0]
+      nextValue = values[0]
+    } else {
+      return values[i]
+    }
+    const f = (tau - base - times[i]) / (nextTime - times[i])
+    return values[i] + (nextValue - values[i]) * f
+  }
+  return { voltage: valueOf('voltage'), current_density: valueOf('current_density') }
+}
+
+/**
+ * 구동 구간 목록. profile이 없으면 params의 voltage/current_density로 고정된 구간 하나
+ */
+export function buildDriveSegments(params, tStart, tEnd) {
+  const profile = params.drive_profile
+  if (!profile) {
+    return [{
+      start: tStart,
+      end: tEnd,
+      voltage: [params.voltage, params.voltage],
+      current_density: [params.current_density, params.current_density]
+    }]
+  }
+  const span = tEnd - tStart
+  const bounds = [0, ...getCutTimes(profile, span), span]
+  const segments = []
+  for (let s = 0; s < bounds.length - 1; s++) {
+    const a = bounds[s]
+    const b = bounds[s + 1]
+    const mid = (a + b) / 2
+    const startValues = evaluateWithinSegment(profile, mid, a)
+    const endValues = evaluateWithinSegment(profile, mid, b)
+    segments.push({
+      start: tStart + a,
+      end: tStart + b,
+      voltage: [startValues.voltage, endValues.voltage],
+      current_density: [startValues.current_density, endValues.current_density]
+    })
+  }
+  return segments
+}
+
+// 구간 안의 시각 t에서 발열 면적 전력 밀도 (W/m²) = V(t)·J(t)·(1 - EQE)
+export function segmentPowerAt(segment, t, eqe) {
+  const f = segment.end > segment.start ? (t - segment.start) / (segment.end - segment.start) : 0
+  const voltage = segment.voltage[0] + (segment.voltage[1] - segment.voltage[0]) * f
+  const currentDensity = segment.current_density[0] + (segment.current_density[1] - segment.current_density[0]) * f
+  return voltage * currentDensity * (1 - eqe)
+}
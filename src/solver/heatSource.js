@@ -0,0 +1,95 @@
+// 발열 분포 (요청의 heat_fractions, source_profile)
+// heat_fractions[i]: 명목 발열 V·J·(1 - EQE) 중 레이어 i가 내는 비율 (%, 합 100, 없으면 발광층 100)
+// source_profile: 발광층 안의 발열 밀도 모양 (다른 레이어는 균일), 위치는 발광층 아래(기판 쪽) 계면 기준 nm
+//   uniform:     균일
+//   gaussian:    center_nm 중심, 표준편차 width_nm (발광층 밖은 잘라냄)
+//   exponential: interface('bottom' | 'top') 계면에서 decay_length_nm로 감소
+// 노드가 받는 열은 제어체적과 겹치는 구간의 발열 밀도 적분이므로 레이어별 합이 정확히 비율과 같다.
+
+export const SOURCE_PROFILE_TYPES = {
+  UNIFORM: 'uniform',
+  GAUSSIAN: 'gaussian',
+  EXPONENTIAL: 'exponential'
+}
+
+export const SOURCE_INTERFACES = {
+  BOTTOM: 'bottom',
+  TOP: 'top'
+}
+
+// 제어체적 구간 적분의 Simpson 소구간 수 (짝수)
+export const PROFILE_SUBINTERVALS = 8
+
+/**
+ * 발광층 발열 밀도 모양 g(ξ) (정규화 전), ξ = 아래 계면에서의 거리 (nm), thicknessNm = 발광층 두께
+ */
+export function createProfileShape(profile, thicknessNm) {
+  const type = profile?.type ?? SOURCE_PROFILE_TYPES.UNIFORM
+  if (type === SOURCE_PROFILE_TYPES.UNIFORM) return () => 1
+  if (type === SOURCE_PROFILE_TYPES.GAUSSIAN) {
+    const { center_nm: center, width_nm: sigma } = profile
+    return (xi) => Math.exp(-0.5 * ((xi - center) / sigma) ** 2)
+  }
+  if (type === SOURCE_PROFILE_TYPES.EXPONENTIAL) {
+    const { decay_length_nm: decay } = profile
+    return profile.interface === SOURCE_INTERFACES.TOP
+      ? (xi) => Math.exp(-(thicknessNm - xi) / decay)
+      : (xi) => Math.exp(-xi / decay)
+  }
+  throw new Error(`알 수 없는 발열 분포입니다: ${type}`)
+}
+
+/**
+ * shape를 [a, b]에서 Simpson 적분 (subintervals는 짝수)
+ */
+export function integrateProfileShape(shape, a, b, subintervals = PROFILE_SUBINTERVALS) {
+  if (b <= a) return 0
+  const h = (b - a) / subintervals
+  let sum = shape(a) + shape(b)
+  for (let k = 1; k < subintervals; k++) sum += (k % 2 === 1 ? 4 : 2) * shape(a + k * h)
+  return sum * h / 3
+}
+
+// 발열 비율 (0 ~ 1, 없으면 발광층이 전부)
+const getHeatFractions = (params, emissiveIndex) =>
+  params.heat_fractions?.map(value => value / 100) ?? params.layer_names.map((_, i) => (i === emissiveIndex ? 1 : 0))
+
+/**
+ * 그리드 노드별 발열 비중
+ * grid: buildGrid 결과 (x는 m, Glass는 축소 좌표), emissiveIndex: 발광층 인덱스
+ * 반환: {
+ *   weights: 노드별 명목 발열 V·J·(1 - EQE) 중 몫 (합 = 비율의 합 / 100),
+ *   emissive: { start, weights } — 발광층 노드(start부터)의 발열 모양 몫 (합 1, EQE(T) 되먹임용)
+ * }
+ */
+export function buildSourceDistribution(params, grid, emissiveIndex) {
+  const { x, dx, layerRanges } = grid
+  const Nx = x.length
+  const fractions = getHeatFractions(params, emissiveIndex)
+  const weights = new Float64Array(Nx)
+  let emissive = null
+
+  layerRanges.forEach(({ start, end }, layer) => {
+    const isEmissive = layer === emissiveIndex
+    if (fractions[layer] === 0 && !isEmissive) return
+    // 레이어 내부 좌표 (nm, 아래 계면 기준). Glass 축소 좌표도 균일 분포라 비율만 쓰므로 그대로 사용
+    const origin = x[start]
+    const shape = isEmissive
+      ? createProfileShape(params.source_profile, params.thickness_layers_nm[layer])
+      : () => 1
+    const local = []
+    for (let i = start; i <= end; i++) {
+      const lo = i === start ? x[start] : x[i] - dx[i - 1] / 2
+      const hi = i === end ? x[end] : x[i] + dx[i] / 2
+      local.push(integrateProfileShape(shape, (lo - origin) * 1e9, (hi - origin) * 1e9))
+    }
+    const total = local.reduce((sum, v) => sum + v, 0)
+    const shares = local.map(v => v / total)
+    shares.forEach((share, j) => {
+      weights[start + j] += fractions[layer] * share
+    })
+    if (isEmissive) emissive = { start, weights: shares }
+  })
+
+  return { weights, emissive }
+}
@@ -0,0 +1,88 @@
+// 온도 의존 물성 모델 평가 (요청의 property_models, eqe_model)
+// property_models[i] = { k_therm_layers, rho_layers, c_p_layers } 레이어별 모델, 없으면 일정
+// 모델의 온도(T_ref, 표의 temperature)는 평가할 온도와 같은 단위여야 한다 (솔버 요청은 켈빈).
+//   constant: 레이어 배열 값 그대로
+//   linear:   value(T) = 기준값 + slope·(T - T_ref), 기준값은 레이어 배열 값 (T_ref에서의 값)
+//   table:    표의 점 사이는 선형 보간, 범위 밖은 끝 값 유지 (레이어 배열 값은 사용하지 않음)
+
+export const PROPERTY_MODEL_TYPES = {
+  CONSTANT: 'constant',
+  LINEAR: 'linear',
+  TABLE: 'table'
+}
+
+// 모델을 지정할 수 있는 레이어 물성 (두께는 제외)
+export const TEMPERATURE_DEPENDENT_FIELDS = ['k_therm_layers', 'rho_layers', 'c_p_layers']
+
+export const isTemperatureDependent = (model) =>
+  Boolean(model) && model.type !== PROPERTY_MODEL_TYPES.CONSTANT
+
+// 표 구간 탐색 (temperatures는 증가 순서)
+const findInterval = (temperatures, T) => {
+  let lo = 0
+  let hi = temperatures.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (temperatures[mid] <= T) lo = mid
+    else hi = mid
+  }
+  return lo
+}
+
+/**
+ * 모델과 기준값(레이어 배열 값)으로 T -> 물성 함수를 만든다.
+ */
+export function createPropertyFunction(model, base) {
+  if (!isTemperatureDependent(model)) return () => base
+  if (model.type === PROPERTY_MODEL_TYPES.LINEAR) {
+    const { T_ref: TRef, slope } = model
+    return (T) => base + slope * (T - TRef)
+  }
+  if (model.type === PROPERTY_MODEL_TYPES.TABLE) {
+    const temperatures = model.table.map(row => row.temperature)
+    const values = model.table.map(row => row.value)
+    const last = temperatures.length - 1
+    return (T) => {
+      if (T <= temperatures[0]) return values[0]
+      if (T >= temperatures[last]) return values[last]
+      const i = findInterval(temperatures, T)
+      const w = (T - temperatures[i]) / (temperatures[i + 1] - temperatures[i])
+      return values[i] + w * (values[i + 1] - values[i])
+    }
+  }
+  throw new Error(`알 수 없는 물성 모델입니다: ${model.type}`)
+}
+
+/**
+ * EQE(T) 함수: 물성 모델과 같은 형식이고 기준값은 eqe, 결과는 0 ~ 1로 제한
+ */
+export function createEqeFunction(model, eqe) {
+  const eqeAt = createPropertyFunction(model, eqe)
+  return (T) => Math.min(1, Math.max(0, eqeAt(T)))
+}
+
+// 모델의 기울기가 바뀌는 온도 (표의 점)
+const modelBreakpoints = (model) =>
+  model?.type === PROPERTY_MODEL_TYPES.TABLE ? model.table.map(row => row.temperature) : []
+
+/**
+ * 체적 열용량 ρ(T)·c_p(T)를 Ta부터 Tb까지 적분 (J/m³)
+ * 두 모델 모두 구간별 선형이므로 곱은 구간별 2차식 -> 꺾이는 점에서 나눈 Simpson 적분이 정확하다.
+ */
+export function integrateHeatCapacity(rhoModel, rhoBase, cpModel, cpBase, Ta, Tb) {
+  const rhoOf = createPropertyFunction(rhoModel, rhoBase)
+  const cpOf = createPropertyFunction(cpModel, cpBase)
+  const lo = Math.min(Ta, Tb)
+  const hi = Math.max(Ta, Tb)
+  const points = [lo, ...modelBreakpoints(rhoModel), ...modelBreakpoints(cpModel), hi]
+    .filter(T => T >= lo && T <= hi)
+    .sort((a, b) => a - b)
+  const volumetric = (T) => rhoOf(T) * cpOf(T)
+  let integral = 0
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    integral += (b - a) / 6 * (volumetric(a) + 4 * volumetric((a + b) / 2) + volumetric(b))
+  }
+  return Tb >= Ta ? integral : -integral
+}
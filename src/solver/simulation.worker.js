@@ -0,0 +1,10 @@
+// 메인 스레드를 막지 않도록 Web Worker에서 로컬 솔버 실행
+import { runSimulation } from './thermalModel.js'
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage(runSimulation(event.data))
+  } catch (err) {
+    self.postMessage({ success: false, error: err.message || String(err) })
+  }
+}
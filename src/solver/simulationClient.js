@@ -0,0 +1,78 @@
+// 시뮬레이션 요청을 로컬(Web Worker) 또는 서버(/api/simulate)로 보내는 클라이언트
+// 두 경로 모두 백엔드와 같은 응답 형식({ success, ... } 또는 { success: false, error })을 반환한다.
+// options.signal(AbortSignal)로 실행 중인 계산을 취소하면 AbortError로 reject된다.
+
+export const SOLVER_MODES = {
+  LOCAL: 'local',
+  SERVER: 'server'
+}
+
+export const SOLVER_MODE_LABELS = {
+  [SOLVER_MODES.LOCAL]: '브라우저 (로컬 계산)',
+  [SOLVER_MODES.SERVER]: '서버 (/api/simulate)'
+}
+
+const createAbortError = () => new DOMException('시뮬레이션이 취소되었습니다.', 'AbortError')
+
+export const isAbortError = (err) => err && err.name === 'AbortError'
+
+export function runLocalSimulation(payload, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError())
+      return
+    }
+    const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' })
+    const handleAbort = () => {
+      worker.terminate()
+      reject(createAbortError())
+    }
+    const cleanup = () => {
+      worker.terminate()
+      if (signal) signal.removeEventListener('abort', handleAbort)
+    }
+    worker.onmessage = (event) => {
+      cleanup()
+      resolve(event.data)
+    }
+    worker.onerror = (event) => {
+      cleanup()
+      reject(new Error(event.message || '로컬 솔버 실행 중 오류가 발생했습니다.'))
+    }
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true })
+    worker.postMessage(payload)
+  })
+}
+
+export async function runServerSimulation(payload, { signal } = {}) {
+  const response = await fetch('/api/simulate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+    signal,
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    let errorData
+    try {
+      errorData = JSON.parse(errorText)
+    } catch {
+      errorData = { error: errorText || `서버 오류: ${response.status} ${response.statusText}` }
+    }
+    return {
+      success: false,
+      error: errorData.error || `서버 오류: ${response.status} ${response.statusText}`
+    }
+  }
+
+  return response.json()
+}
+
+export function requestSimulation(payload, mode = SOLVER_MODES.LOCAL, options = {}) {
+  return mode === SOLVER_MODES.SERVER
+    ? runServerSimulation(payload, options)
+    : runLocalSimulation(payload, options)
+}
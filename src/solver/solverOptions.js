@@ -0,0 +1,73 @@
+// 솔버 설정 (요청의 mesh_mode, points_per_layer, max_cell_size_nm, output_points, output_spacing,
+// log_first_time, rtol, atol, integration_method): 격자 해상도, 출력 시간, 허용 오차, 적분 방법
+// api/simulate.py의 resolve_points_per_layer, build_output_times와 같은 정의. 값이 없으면 이전 고정 설정을 쓴다.
+
+// 격자: 기본 (기판 50, 발광층 40, 나머지 20), 레이어별 노드 수, 최대 셀 크기
+export const MESH_MODES = {
+  DEFAULT: 'default',
+  POINTS: 'points',
+  MAX_CELL: 'max_cell'
+}
+
+// 출력 시간 간격: 균등 또는 로그 (초기 빠른 과도 응답을 촘촘히)
+export const OUTPUT_SPACINGS = {
+  LINEAR: 'linear',
+  LOG: 'log'
+}
+
+// 서버(scipy solve_ivp) 적분 방법. 브라우저 솔버는 항상 가변 스텝 BDF2를 쓴다.
+export const INTEGRATION_METHODS = {
+  BDF: 'BDF',
+  RADAU: 'Radau',
+  LSODA: 'LSODA'
+}
+export const LOCAL_INTEGRATION_METHOD = 'BDF2'
+
+export const DEFAULT_OUTPUT_POINTS = 200
+export const DEFAULT_LOG_FIRST_TIME = 0.01 // 로그 간격에서 시작 다음 출력 시간 (s, t_start 기준)
+// 최대 셀 크기로 나눌 때 레이어당 최소 노드 수
+export const MIN_LAYER_POINTS = 2
+// 전체 노드 수 상한 (자코비안은 삼중대각이지만 결과 크기와 계산 시간이 노드 수에 비례)
+export const MAX_GRID_NODES = 5000
+
+export const linspace = (start, end, num) => {
+  if (num === 1) return [start]
+  const step = (end - start) / (num - 1)
+  return Array.from({ length: num }, (_, i) => (i === num - 1 ? end : start + step * i))
+}
+
+// 레이어별 노드 수: 기판 50, 발광층 40, 나머지 20 (기본 6층 구조에서 [50, 20, 20, 40, 20, 20])
+export function defaultPointsPerLayer(numLayers, emissiveLayerIndex) {
+  return Array.from({ length: numLayers }, (_, i) => {
+    if (i === 0) return 50
+    return i === emissiveLayerIndex ? 40 : 20
+  })
+}
+
+/**
+ * 레이어별 노드 수 (레이어 i가 셀을 points[i]개 더하므로 전체 노드 수 = 합 + 1)
+ * 최대 셀 크기는 활성층에만 적용하고 기판은 기본값(50)을 유지한다 (1 mm 유리를 nm 단위로 나누지 않도록).
+ */
+export function resolvePointsPerLayer(params, emissiveLayerIndex) {
+  const defaults = defaultPointsPerLayer(params.layer_names.length, emissiveLayerIndex)
+  if (params.mesh_mode === MESH_MODES.POINTS) {
+    return defaults.map((value, i) => params.points_per_layer?.[i] ?? value)
+  }
+  if (params.mesh_mode === MESH_MODES.MAX_CELL) {
+    return defaults.map((value, i) => (i === 0
+      ? value
+      : Math.max(MIN_LAYER_POINTS, Math.ceil(params.thickness_layers_nm[i] / params.max_cell_size_nm))))
+  }
+  return defaults
+}
+
+/**
+ * 출력 시간: 균등 간격 또는 로그 간격 (t_start, t_start + log_first_time, ..., t_end를 로그 균등 분할)
+ */
+export function buildOutputTimes(params, tStart, tEnd) {
+  const count = params.output_points ?? DEFAULT_OUTPUT_POINTS
+  if (params.output_spacing !== OUTPUT_SPACINGS.LOG || count < 3) return linspace(tStart, tEnd, count)
+  const span = tEnd - tStart
+  const exponents = linspace(Math.log10(params.log_first_time ?? DEFAULT_LOG_FIRST_TIME), Math.log10(span), count - 1)
+  return [tStart, ...exponents.map((e, i) => (i === count - 2 ? tEnd : tStart + 10 ** e))]
+}
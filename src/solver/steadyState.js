@@ -0,0 +1,72 @@
+// 정상상태 (dT/dt = 0) 직접 풀이
+// 열전달 시스템의 우변 f(T)에 대해 감쇠 Newton 반복으로 f(T) = 0을 푼다.
+// 경계의 복사항 때문에 비선형이지만 자코비안은 삼중대각이므로 BDF 적분기와 같은 수치 미분을 쓴다.
+import { bandedJacobian } from './stiffIntegrator.js'
+
+// 삼중대각 연립방정식 J·x = d (Thomas 알고리즘, 피벗 없음)
+const solveTridiagonal = ({ sub, diag, sup }, d) => {
+  const n = d.length
+  const cPrime = new Float64Array(n)
+  const x = new Float64Array(n)
+  let b = diag[0]
+  x[0] = d[0] / b
+  for (let i = 1; i < n; i++) {
+    cPrime[i - 1] = sup[i - 1] / b
+    b = diag[i] - sub[i] * cPrime[i - 1]
+    x[i] = (d[i] - sub[i] * x[i - 1]) / b
+  }
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] -= cPrime[i] * x[i + 1]
+  }
+  return x
+}
+
+// (J - I/Δt)·s = -f: Δt = Infinity면 Newton 단계, 유한하면 암시적 오일러 한 단계 (과도 해를 따라감)
+const solveStep = (jac, f, inverseDt) =>
+  solveTridiagonal({ ...jac, diag: jac.diag.map(v => v - inverseDt) }, f.map(v => -v))
+
+const maxAbs = (values) => values.reduce((max, v) => Math.max(max, Math.abs(v)), 0)
+
+// 열용량 가중 내적 Σ C_i·f_i·s_i: 양수면 단계가 온도 변화 방향(dT/dt)을 따른다
+const weightedProduct = (f, step, weights) => f.reduce((sum, v, i) => sum + weights[i] * v * step[i], 0)
+
+// 감쇠 단계 한 번의 최대 온도 변화 (K)
+const MAX_DAMPED_STEP = 100
+const MAX_STEP_HALVINGS = 60
+
+/**
+ * fun(T) = 0의 해를 y0에서 시작해 구함
+ * Newton 단계가 dT/dt와 반대 방향이면 (EQE(T) 되먹임처럼 발열이 방열보다 빨리 느는 구간에서 선형화의 가짜 해로 향함)
+ * 그 반복은 의사 시간 간격 Δt의 감쇠 단계로 바꾼다. Δt는 감쇠 단계마다 2배로 늘리고, 단계가 dT/dt를 따르고
+ * MAX_DAMPED_STEP 안에 들 때까지 반으로 줄인다. 안정한 평형 근처에서는 Newton 단계를 그대로 쓴다.
+ * options.weights: 노드 열용량 (J/m²·K, 없으면 1)
+ * 반환: { y, success, message, nIterations }
+ */
+export function solveSteadyState(fun, y0, options = {}) {
+  const { tol = 1e-8, maxIterations = 50, centralJacobian = false } = options
+  const weights = options.weights ?? new Float64Array(y0.length).fill(1)
+  const y = Float64Array.from(y0)
+  let dt = null
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const f0 = fun(0, y)
+    const jac = bandedJacobian(fun, 0, y, f0, centralJacobian)
+    let step = solveStep(jac, f0, 0)
+    let maxStep = maxAbs(step)
+    if (!Number.isFinite(maxStep)) {
+      return { y, success: false, message: '정상상태가 존재하지 않습니다. 대류 또는 복사로 열이 빠져나갈 수 있어야 합니다.', nIterations: iteration }
+    }
+    const damped = maxStep >= tol && weightedProduct(f0, step, weights) < 0
+    if (damped) {
+      dt = dt === null ? MAX_DAMPED_STEP / maxAbs(f0) : dt * 2
+      for (let halving = 0; halving < MAX_STEP_HALVINGS; halving++) {
+        step = solveStep(jac, f0, 1 / dt)
+        maxStep = maxAbs(step)
+        if (weightedProduct(f0, step, weights) > 0 && maxStep <= MAX_DAMPED_STEP) break
+        dt /= 2
+      }
+    }
+    for (let i = 0; i < y.length; i++) y[i] += step[i]
+    if (!damped && maxStep < tol) return { y, success: true, message: '수렴했습니다.', nIterations: iteration }
+  }
+  return { y, success: false, message: `정상상태 계산이 ${maxIterations}회 반복 안에 수렴하지 않았습니다.`, nIterations: maxIterations }
+}
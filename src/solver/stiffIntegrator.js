@@ -0,0 +1,274 @@
+// 가변 스텝 BDF2 적분기 (stiff ODE용)
+// 열전도 유한체적 시스템은 자코비안이 삼중대각(tridiagonal)이므로
+// 밴드 자코비안을 수치 미분으로 구하고 Thomas 알고리즘으로 Newton 반복을 푼다.
+
+const EPS = 2.220446049250313e-16
+
+// 오차 스케일을 적용한 RMS 노름
+const scaledRms = (v, scale) => {
+  let sum = 0
+  for (let i = 0; i < v.length; i++) {
+    const r = v[i] / scale[i]
+    sum += r * r
+  }
+  return Math.sqrt(sum / v.length)
+}
+
+// 삼중대각 자코비안 (열 3개 간격 색칠로 fun 3회 호출)
+// central: 중심 차분 (fun 6회). 열용량이 온도에 의존하면 전진 차분의 O(δ) 오차에 매우 큰 전도 항이 곱해져
+// Glass처럼 강하게 결합된 노드의 느린 모드 고유값이 틀어지므로 중심 차분을 쓴다.
+export const bandedJacobian = (fun, t, y, f0, central = false) => {
+  const n = y.length
+  const sub = new Float64Array(n)
+  const diag = new Float64Array(n)
+  const sup = new Float64Array(n)
+  const delta = new Float64Array(n)
+  for (let color = 0; color < 3; color++) {
+    const yp = Float64Array.from(y)
+    const ym = central ? Float64Array.from(y) : null
+    for (let j = color; j < n; j += 3) {
+      delta[j] = Math.sqrt(EPS) * Math.max(Math.abs(y[j]), 1)
+      yp[j] += delta[j]
+      if (central) ym[j] -= delta[j]
+    }
+    const fp = fun(t, yp)
+    const fm = central ? fun(t, ym) : f0
+    const width = central ? 2 : 1
+    for (let j = color; j < n; j += 3) {
+      const d = width * delta[j]
+      if (j > 0) sup[j - 1] = (fp[j - 1] - fm[j - 1]) / d
+      diag[j] = (fp[j] - fm[j]) / d
+      if (j < n - 1) sub[j + 1] = (fp[j + 1] - fm[j + 1]) / d
+    }
+  }
+  return { sub, diag, sup }
+}
+
+// (I - c·J) 분해 (Thomas 알고리즘 전진 소거 계수)
+const factorIterationMatrix = (jac, c) => {
+  const n = jac.diag.length
+  const lower = new Float64Array(n)
+  const cPrime = new Float64Array(n)
+  const bPrime = new Float64Array(n)
+  for (let i = 0; i < n; i++) {
+    lower[i] = -c * jac.sub[i]
+    const b = 1 - c * jac.diag[i]
+    bPrime[i] = i === 0 ? b : b - lower[i] * cPrime[i - 1]
+    cPrime[i] = (-c * jac.sup[i]) / bPrime[i]
+  }
+  return { lower, cPrime, bPrime }
+}
+
+const solveFactored = (lu, d) => {
+  const n = d.length
+  const x = new Float64Array(n)
+  x[0] = d[0] / lu.bPrime[0]
+  for (let i = 1; i < n; i++) {
+    x[i] = (d[i] - lu.lower[i] * x[i - 1]) / lu.bPrime[i]
+  }
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] -= lu.cPrime[i] * x[i + 1]
+  }
+  return x
+}
+
+// 세 점 (ts, ys)을 지나는 2차 Lagrange 다항식을 t에서 평가 (점이 2개면 1차)
+const lagrange = (ts, ys, t) => {
+  const n = ys[0].length
+  const out = new Float64Array(n)
+  const weights = ts.map((ti, i) => ts.reduce(
+    (w, tj, j) => (j === i ? w : w * (t - tj) / (ti - tj)), 1
+  ))
+  for (let k = 0; k < ys.length; k++) {
+    const w = weights[k]
+    const yk = ys[k]
+    for (let i = 0; i < n; i++) out[i] += w * yk[i]
+  }
+  return out
+}
+
+// scipy의 select_initial_step과 같은 방식의 초기 스텝 추정
+const selectInitialStep = (fun, t0, y0, f0, span, rtol, atol) => {
+  const scale = y0.map(v => atol + Math.abs(v) * rtol)
+  const d0 = scaledRms(y0, scale)
+  const d1 = scaledRms(f0, scale)
+  const h0 = d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0 / d1
+  const y1 = y0.map((v, i) => v + h0 * f0[i])
+  const f1 = fun(t0 + h0, y1)
+  const d2 = scaledRms(f1.map((v, i) => v - f0[i]), scale) / h0
+  const h1 = Math.max(d1, d2) <= 1e-15
+    ? Math.max(1e-6, h0 * 1e-3)
+    : Math.pow(0.01 / Math.max(d1, d2), 1 / 2)
+  return Math.min(100 * h0, h1, span)
+}
+
+/**
+ * dy/dt = fun(t, y)를 tSpan 구간에서 적분한다.
+ * 첫 두 스텝은 후진 오일러(BDF1), 이후는 가변 스텝 BDF2를 사용하며
+ * 국소 오차는 2차 예측자와 보정자의 차이(Milne 방식)로 추정한다.
+ *
+ * @param {(t: number, y: Float64Array) => Float64Array} fun - 우변 함수
+ * @param {[number, number]} tSpan - [t0, t1]
+ * @param {ArrayLike<number>} y0 - 초기값
+ * @param {object} [options]
+ * @param {number[]} [options.tEval] - 결과를 기록할 시간 (오름차순)
+ * @param {number} [options.rtol=1e-4] - BDF2는 scipy BDF(가변 차수 1~5)보다 차수가 낮아
+ *   같은 정확도를 내도록 scipy 기본값(1e-3)보다 한 단계 작게 둔다
+ * @param {number} [options.atol=1e-6]
+ * @param {number} [options.maxSteps=100000]
+ * @returns {{ t: number[], y: Float64Array[], success: boolean, message: string,
+ *   nSteps: number, nRejected: number, nFev: number, nJev: number }}
+ */
+export function integrateBDF(fun, tSpan, y0, options = {}) {
+  const [t0, t1] = tSpan
+  const {
+    tEval = [t0, t1],
+    rtol = 1e-4,
+    atol = 1e-6,
+    maxSteps = 100000,
+    centralJacobian = false // 자코비안 중심 차분 (bandedJacobian 참고)
+  } = options
+  const span = t1 - t0
+  const newtonTol = Math.max(10 * EPS / rtol, Math.min(0.03, Math.sqrt(rtol)))
+  const maxNewtonIter = 4
+  const minFactor = 0.2
+  const safety = 0.9
+
+  let nFev = 0
+  let nJev = 0
+  const f = (t, y) => {
+    nFev++
+    return fun(t, y)
+  }
+
+  const tOut = []
+  const yOut = []
+  let evalIdx = 0
+  const emit = (t, y) => {
+    tOut.push(t)
+    yOut.push(y)
+    evalIdx++
+  }
+
+  let t = t0
+  let y = Float64Array.from(y0)
+  let fy = f(t, y)
+  while (evalIdx < tEval.length && tEval[evalIdx] <= t0) emit(tEval[evalIdx], Float64Array.from(y))
+
+  // 수락된 스텝 이력 (최근 3개)
+  const histT = [t]
+  const histY = [y]
+  let h = selectInitialStep(f, t0, y, fy, span, rtol, atol)
+  let nSteps = 0
+  let nRejected = 0
+  let jac = null
+
+  while (t < t1) {
+    if (nSteps + nRejected >= maxSteps) {
+      return { t: tOut, y: yOut, success: false, message: `최대 스텝 수(${maxSteps})를 초과했습니다.`, nSteps, nRejected, nFev, nJev }
+    }
+    if (h < 10 * EPS * Math.max(Math.abs(t), 1)) {
+      return { t: tOut, y: yOut, success: false, message: `t = ${t}에서 스텝 크기가 너무 작아졌습니다.`, nSteps, nRejected, nFev, nJev }
+    }
+    if (t + h > t1 - 1e-12 * span) h = t1 - t
+    const tNew = t + h
+    const order = histT.length >= 3 ? 2 : 1
+
+    // 예측자와 BDF 계수: y_{n+1} = a1·y_n + a2·y_{n-1} + β·h·f(y_{n+1})
+    let predictor
+    let constPart
+    let beta
+    let errorConst = 0
+    if (order === 1) {
+      predictor = y.map((v, i) => v + h * fy[i])
+      constPart = y
+      beta = 1
+    } else {
+      const hPrev = t - histT[histT.length - 2]
+      const hPrev2 = histT[histT.length - 2] - histT[histT.length - 3]
+      const omega = h / hPrev
+      const a1 = (1 + omega) ** 2 / (1 + 2 * omega)
+      const a2 = -(omega ** 2) / (1 + 2 * omega)
+      beta = (1 + omega) / (1 + 2 * omega)
+      const yPrev = histY[histY.length - 2]
+      constPart = y.map((v, i) => a1 * v + a2 * yPrev[i])
+      predictor = lagrange(histT.slice(-3), histY.slice(-3), tNew)
+      // 국소 절단 오차 상수 (보정자 Cc, 예측자 Cp) → err ≈ Cc/(Cp-Cc)·(y_c - y_p)
+      const cc = (h ** 3 / 6) * (a1 + a2 * (1 + 1 / omega) ** 3)
+      const cp = h * (h + hPrev) * (h + hPrev + hPrev2) / 6
+      errorConst = cc / (cp - cc)
+    }
+
+    if (!jac) {
+      jac = bandedJacobian(f, t, y, fy, centralJacobian)
+      nJev++
+    }
+    const lu = factorIterationMatrix(jac, beta * h)
+    const scale = y.map(v => atol + Math.abs(v) * rtol)
+
+    // Newton 반복
+    let z = Float64Array.from(predictor)
+    let converged = false
+    let fz = null
+    let prevNorm = null
+    for (let iter = 0; iter < maxNewtonIter; iter++) {
+      fz = f(tNew, z)
+      const residual = z.map((v, i) => -(v - constPart[i] - beta * h * fz[i]))
+      const dz = solveFactored(lu, residual)
+      const dzNorm = scaledRms(dz, scale)
+      const rate = prevNorm === null ? null : dzNorm / prevNorm
+      if (rate !== null && rate >= 1) break
+      for (let i = 0; i < z.length; i++) z[i] += dz[i]
+      if (dzNorm === 0 || (rate !== null && rate / (1 - rate) * dzNorm < newtonTol) || dzNorm < newtonTol) {
+        converged = true
+        break
+      }
+      prevNorm = dzNorm
+    }
+
+    if (!converged) {
+      // 자코비안을 갱신하고도 수렴하지 않으면 스텝을 줄인다
+      jac = null
+      h *= 0.5
+      nRejected++
+      continue
+    }
+
+    fz = f(tNew, z)
+    const err = order === 1
+      ? z.map((_, i) => 0.5 * h * (fz[i] - fy[i]))
+      : z.map((v, i) => errorConst * (v - predictor[i]))
+    const errScale = z.map((v, i) => atol + Math.max(Math.abs(v), Math.abs(y[i])) * rtol)
+    const errNorm = scaledRms(err, errScale)
+    const exponent = -1 / (order + 1)
+
+    if (errNorm > 1) {
+      h *= Math.max(minFactor, safety * Math.pow(errNorm, exponent))
+      nRejected++
+      continue
+    }
+
+    // 스텝 수락
+    nSteps++
+    histT.push(tNew)
+    histY.push(z)
+    if (histT.length > 3) {
+      histT.shift()
+      histY.shift()
+    }
+    while (evalIdx < tEval.length && tEval[evalIdx] <= tNew) {
+      const te = tEval[evalIdx]
+      emit(te, te === tNew ? Float64Array.from(z) : lagrange(histT, histY, te))
+    }
+    t = tNew
+    y = z
+    fy = fz
+    jac = null
+
+    // 가변 스텝 BDF2의 영안정성을 위해 스텝 증가율은 2배로 제한
+    const factor = errNorm === 0 ? 2 : Math.min(2, safety * Math.pow(errNorm, exponent))
+    h *= Math.max(minFactor, factor)
+  }
+
+  return { t: tOut, y: yOut, success: true, message: '적분이 정상적으로 완료되었습니다.', nSteps, nRejected, nFev, nJev }
+}
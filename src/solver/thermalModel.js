@@ -0,0 +1,400 @@
+// 1D 열방정식 유한체적 모델 (api/simulate.py의 JavaScript 포팅)
+// 입력/출력 모두 백엔드와 동일한 형식을 사용한다 (온도는 켈빈).
+import { integrateBDF } from './stiffIntegrator.js'
+import { buildDriveSegments, segmentPowerAt } from './driveProfile.js'
+import { solveSteadyState } from './steadyState.js'
+import { createEqeFunction, createPropertyFunction, integrateHeatCapacity, isTemperatureDependent } from './propertyModels.js'
+import { buildSourceDistribution } from './heatSource.js'
+import { createAmbientFunction, createBoundaryFlux, getBoundaryCondition } from './boundaryConditions.js'
+import {
+  LOCAL_INTEGRATION_METHOD,
+  MAX_GRID_NODES,
+  buildOutputTimes,
+  linspace,
+  resolvePointsPerLayer
+} from './solverOptions.js'
+
+export { STEFAN_BOLTZMANN } from './boundaryConditions.js'
+export { defaultPointsPerLayer } from './solverOptions.js'
+
+// 해석 방식 (요청의 analysis_mode): 시간 적분 또는 정상상태 직접 풀이
+export const ANALYSIS_MODES = {
+  TRANSIENT: 'transient',
+  STEADY: 'steady'
+}
+// Glass 두께를 10000배 줄여서 계산량 감소 (열저항과 열용량은 유지)
+// 요청의 glass_scale_factor로 바꿀 수 있다 (1이면 축소하지 않음, 정확도 검증용).
+export const GLASS_THICKNESS_SCALE_FACTOR = 10000.0
+export const DEFAULT_EMISSIVE_LAYER_INDEX = 3
+// EQE(T) 모델로 정상상태를 찾지 못했을 때 덧붙이는 안내
+const EQE_RUNAWAY_HINT = 'EQE(T) 되먹임으로 열폭주가 일어나 정상상태를 찾지 못했을 수 있습니다. 과도 해석으로 확인하세요.'
+
+export function getGlassScaleFactor(params) {
+  const scale = params.glass_scale_factor ?? GLASS_THICKNESS_SCALE_FACTOR
+  if (!Number.isFinite(scale) || scale < 1) {
+    throw new Error(`Glass 두께 축소 배율은 1 이상이어야 합니다: ${scale}`)
+  }
+  return scale
+}
+
+export function getEmissiveLayerIndex(params) {
+  const index = params.emissive_layer_index ?? DEFAULT_EMISSIVE_LAYER_INDEX
+  if (!Number.isInteger(index) || index < 1 || index >= params.layer_names.length) {
+    throw new Error(`발광층 인덱스가 올바르지 않습니다: ${index}`)
+  }
+  return index
+}
+
+/**
+ * 레이어별 비균일 그리드와 노드별 물성 배열 생성 (레이어별 노드 수는 resolvePointsPerLayer)
+ * 레이어 경계 노드는 양쪽 레이어가 공유하며, 물성은 뒤쪽 레이어 값을 따른다.
+ */
+export function buildGrid(params) {
+  const thicknessNmOriginal = params.thickness_layers_nm
+  const scale = getGlassScaleFactor(params)
+
+  // Glass의 effective 물성: 두께 1/scale, k는 1/scale배 (열저항 L/k 유지), ρ는 scale배 (열용량 ρ·c·L 유지)
+  // 좌표 변환이므로 열확산 시간 L²ρc/k도 같고, 축소 배율은 결과에 영향을 주지 않는다.
+  const thickness = thicknessNmOriginal.map((d, i) => (i === 0 ? d / scale : d) * 1e-9)
+  const kLayers = params.k_therm_layers.map((k, i) => (i === 0 ? k / scale : k))
+  const rhoEffective = params.rho_layers.map((rho, i) => (i === 0 ? rho * scale : rho))
+
+  const pointsPerLayer = resolvePointsPerLayer(params, getEmissiveLayerIndex(params))
+  const nodeCount = pointsPerLayer.reduce((sum, n) => sum + n, 1)
+  if (!pointsPerLayer.every(n => Number.isInteger(n) && n >= 1) || nodeCount > MAX_GRID_NODES) {
+    throw new Error(`격자 노드 수가 올바르지 않습니다 (레이어별 1 이상의 정수, 전체 ${MAX_GRID_NODES}개 이하): ${pointsPerLayer.join(', ')}`)
+  }
+  const xNodes = [0.0]
+  const layerRanges = []
+  let startIdx = 0
+  thickness.forEach((d, i) => {
+    const numPoints = pointsPerLayer[i]
+    const x0 = xNodes[xNodes.length - 1]
+    const layerNodes = linspace(x0, x0 + d, numPoints + 1)
+    xNodes.push(...layerNodes.slice(1))
+    const endIdx = startIdx + numPoints
+    layerRanges.push({ start: startIdx, end: endIdx })
+    startIdx = endIdx
+  })
+
+  const x = Float64Array.from(xNodes)
+  const Nx = x.length
+  const dx = new Float64Array(Nx - 1)
+  for (let i = 0; i < Nx - 1; i++) dx[i] = x[i + 1] - x[i]
+
+  const k = new Float64Array(Nx)
+  const rhoCp = new Float64Array(Nx)
+  layerRanges.forEach(({ start, end }, i) => {
+    for (let j = start; j <= end; j++) {
+      k[j] = kLayers[i]
+      rhoCp[j] = rhoEffective[i] * params.c_p_layers[i]
+    }
+  })
+
+  return { x, dx, k, rhoCp, layerRanges, thickness }
+}
+
+/**
+ * 온도 의존 물성 (property_models)의 노드별 평가기
+ * 노드 소속은 buildGrid와 같고 (경계 노드는 뒤쪽 레이어), Glass는 k를 축소 배율로 나누고 ρ에는 곱한다.
+ * evaluate(T): 노드 온도로 { k, rhoCp } 갱신 (배열은 재사용하므로 다음 호출 전까지만 유효)
+ * heatContent(i, Ta, Tb): 노드 i의 체적 열용량을 Ta부터 Tb까지 적분한 값 (J/m³)
+ * 모든 모델이 일정하면 temperatureDependent = false이고 그리드의 k, rhoCp가 그대로 유지된다.
+ */
+export function createNodeProperties(params, grid) {
+  const { layerRanges } = grid
+  const scale = getGlassScaleFactor(params)
+  const lastLayer = layerRanges.length - 1
+  const k = Float64Array.from(grid.k)
+  const rhoCp = Float64Array.from(grid.rhoCp)
+  const nodeLayer = new Int32Array(k.length)
+
+  const layers = layerRanges.map(({ start, end }, i) => {
+    const models = params.property_models?.[i] ?? {}
+    const last = i === lastLayer ? end : end - 1
+    for (let j = start; j <= last; j++) nodeLayer[j] = i
+    return {
+      first: start,
+      last,
+      kFactor: i === 0 ? 1 / scale : 1,
+      rhoFactor: i === 0 ? scale : 1,
+      kModel: models.k_therm_layers,
+      rhoModel: models.rho_layers,
+      cpModel: models.c_p_layers,
+      kOf: createPropertyFunction(models.k_therm_layers, params.k_therm_layers[i]),
+      rhoOf: createPropertyFunction(models.rho_layers, params.rho_layers[i]),
+      cpOf: createPropertyFunction(models.c_p_layers, params.c_p_layers[i]),
+      dependent: [models.k_therm_layers, models.rho_layers, models.c_p_layers].some(isTemperatureDependent)
+    }
+  })
+  const dependentLayers = layers.filter(layer => layer.dependent)
+
+  const evaluate = (T) => {
+    dependentLayers.forEach(({ first, last, kFactor, rhoFactor, kOf, rhoOf, cpOf }) => {
+      for (let j = first; j <= last; j++) {
+        k[j] = kOf(T[j]) * kFactor
+        rhoCp[j] = rhoOf(T[j]) * rhoFactor * cpOf(T[j])
+      }
+    })
+    return { k, rhoCp }
+  }
+
+  const heatContent = (i, Ta, Tb) => {
+    const layer = layers[nodeLayer[i]]
+    if (!layer.dependent) return grid.rhoCp[i] * (Tb - Ta)
+    const p = nodeLayer[i]
+    return integrateHeatCapacity(layer.rhoModel, params.rho_layers[p], layer.cpModel, params.c_p_layers[p], Ta, Tb) * layer.rhoFactor
+  }
+
+  return { temperatureDependent: dependentLayers.length > 0, evaluate, heatContent }
+}
+
+/**
+ * 면별 계면 열저항 (m²·K/W): interface_resistances[i]는 레이어 i와 i + 1 사이 (없으면 완전 접촉)
+ * 경계 노드는 뒤쪽 레이어 소속이므로 경계 노드 바로 아래 면의 저항 dx/k에 직렬로 더한다.
+ * 온도 점프는 이 면에서 생기고, 경계 노드 온도는 뒤쪽 레이어 쪽 계면 온도가 된다.
+ */
+export function buildFaceResistances(params, grid) {
+  const resistances = new Float64Array(grid.dx.length)
+  params.interface_resistances?.forEach((resistance, i) => {
+    resistances[grid.layerRanges[i + 1].start - 1] = resistance
+  })
+  return resistances
+}
+
+export const hasInterfaceResistance = (params) =>
+  Boolean(params.interface_resistances?.some(resistance => resistance > 0))
+
+/**
+ * 그리드와 입력 파라미터로 dT/dt = f(t, T) 시스템을 구성
+ * 구동 구간마다 발열량이 달라지므로 rhsForSegment(segment)로 구간별 우변 함수를 만든다.
+ */
+export function createThermalSystem(params, grid = buildGrid(params)) {
+  const { dx, k, rhoCp } = grid
+  const Nx = k.length
+  // 표면 경계 조건 (boundary_top, boundary_bottom)과 주변 온도 T_amb(t) (ambient_profile)
+  const topFlux = createBoundaryFlux(getBoundaryCondition(params, 'top'), params.epsilon_top)
+  const bottomFlux = createBoundaryFlux(getBoundaryCondition(params, 'bottom'), params.epsilon_bottom)
+  const ambientAt = createAmbientFunction(params)
+  const eqe = params.eqe ?? 0.2
+  // EQE(T) (eqe_model): 발광층 노드마다 그 노드 온도에서 평가
+  const eqeDependent = isTemperatureDependent(params.eqe_model)
+  const eqeOf = createEqeFunction(params.eqe_model, eqe)
+
+  // 인접 노드 간 면 컨덕턴스 1 / (dx / k + 계면 열저항), k는 조화평균 (물성이 온도에 따라 바뀌면 매 평가마다 다시 계산)
+  const faceResistance = buildFaceResistances(params, grid)
+  const faceConductance = new Float64Array(Nx - 1)
+  const updateFaceConductance = (kNode) => {
+    for (let i = 0; i < Nx - 1; i++) {
+      const kInterface = 2 * kNode[i] * kNode[i + 1] / (kNode[i] + kNode[i + 1])
+      faceConductance[i] = 1 / (dx[i] / kInterface + faceResistance[i])
+    }
+  }
+  updateFaceConductance(k)
+  const properties = createNodeProperties(params, grid)
+  const volumeWidths = new Float64Array(Nx)
+  volumeWidths[0] = dx[0] / 2
+  volumeWidths[Nx - 1] = dx[Nx - 2] / 2
+  for (let i = 1; i < Nx - 1; i++) volumeWidths[i] = (dx[i - 1] + dx[i]) / 2
+
+  // EQE를 고려한 실제 Joule heating: Q_effective = Q_A * (1 - EQE), Q_A = V(t)·J(t)
+  // 노드별 발열량(W/m²) = Q_A × 비중 (heat_fractions, source_profile) -> 제어체적 폭으로 나눈 값을 미리 계산
+  // EQE(T)면 EQE가 기준값에서 떨어진 만큼(Q_A·(eqe - EQE(T)))이 발광층 노드에 발열 모양대로 더해진다.
+  const source = buildSourceDistribution(params, grid, getEmissiveLayerIndex(params))
+  const baseSource = Float64Array.from(source.weights, (w, i) => (1 - eqe) * w / volumeWidths[i])
+  const emissiveStart = source.emissive.start
+  const emissiveSource = source.emissive.weights.map((w, j) => w / volumeWidths[emissiveStart + j])
+
+  // 노드별 발열량은 온도와 무관하고(EQE(T) 제외), 현재 열용량으로 온도 상승률을 계산
+  const rhsForSegment = (segment) => (t, T) => {
+    const power = segmentPowerAt(segment, t, 0)
+    const TAmbient = ambientAt(t)
+    let rhoCpNow = rhoCp
+    if (properties.temperatureDependent) {
+      const current = properties.evaluate(T)
+      updateFaceConductance(current.k)
+      rhoCpNow = current.rhoCp
+    }
+    const dTdt = new Float64Array(Nx)
+    const flux = new Float64Array(Nx - 1)
+    for (let i = 0; i < Nx - 1; i++) flux[i] = -faceConductance[i] * (T[i + 1] - T[i])
+    for (let i = 1; i < Nx - 1; i++) {
+      dTdt[i] = (flux[i - 1] - flux[i]) / (volumeWidths[i] * rhoCpNow[i])
+    }
+    dTdt[0] = (-flux[0] - bottomFlux(T[0], TAmbient)) / (rhoCpNow[0] * volumeWidths[0])
+    dTdt[Nx - 1] = (flux[Nx - 2] - topFlux(T[Nx - 1], TAmbient)) / (rhoCpNow[Nx - 1] * volumeWidths[Nx - 1])
+    if (power !== 0) {
+      for (let i = 0; i < Nx; i++) {
+        if (baseSource[i] !== 0) dTdt[i] += power * baseSource[i] / rhoCpNow[i]
+      }
+      if (eqeDependent) {
+        emissiveSource.forEach((rate, j) => {
+          const i = emissiveStart + j
+          dTdt[i] += power * rate * (eqe - eqeOf(T[i])) / rhoCpNow[i]
+        })
+      }
+    }
+    return dTdt
+  }
+
+  // 계면 온도 점프 ΔT = 면 열유속 × 계면 열저항 (경계 노드 온도 + ΔT = 앞쪽 레이어 쪽 계면 온도)
+  // 반환: [계면][시간] (interface_resistances와 같은 순서)
+  const interfaceFaces = grid.layerRanges.slice(1).map(({ start }) => start - 1)
+  const interfaceJumps = (states) => {
+    const jumps = interfaceFaces.map(() => [])
+    states.forEach(T => {
+      if (properties.temperatureDependent) updateFaceConductance(properties.evaluate(T).k)
+      interfaceFaces.forEach((f, n) => {
+        jumps[n].push(faceResistance[f] * faceConductance[f] * (T[f] - T[f + 1]))
+      })
+    })
+    return jumps
+  }
+
+  return {
+    rhsForSegment,
+    interfaceJumps,
+    T0: new Float64Array(Nx).fill(params.T_ambient),
+    // 노드 열용량 (J/m²·K): 정상상태 감쇠 단계의 가중치
+    heatCapacity: rhoCp.map((value, i) => value * volumeWidths[i]),
+    temperatureDependent: properties.temperatureDependent
+  }
+}
+
+/**
+ * 글래스 좌표를 원래 두께로 복원하고 응답 형식으로 변환
+ */
+export function formatResult(params, grid, time, states) {
+  const { x, layerRanges } = grid
+  const scale = getGlassScaleFactor(params)
+  const glassEndIdx = layerRanges[0].end
+  const offset = x[glassEndIdx] * scale - x[glassEndIdx]
+  const xRestoredNm = Array.from(x, (xi, i) => (i <= glassEndIdx ? xi * scale : xi + offset) * 1e9)
+
+  // Glass와 ITO 경계점 (ITO 시작점을 x=0으로)
+  const glassItoBoundaryNm = xRestoredNm[glassEndIdx]
+  const activeStartIdx = glassEndIdx + 1
+  const nodeSeries = (i) => states.map(T => T[i])
+
+  // 발광층(페로브스카이트) 중간 지점
+  const p = layerRanges[getEmissiveLayerIndex(params)]
+  const perovskiteMidIdx = Math.floor((p.start + p.end + 1) / 2)
+
+  const layerBoundariesNm = [0.0]
+  for (let i = 1; i < params.layer_names.length; i++) {
+    layerBoundariesNm.push(layerBoundariesNm[layerBoundariesNm.length - 1] + params.thickness_layers_nm[i])
+  }
+
+  return {
+    success: true,
+    time: Array.from(time),
+    position_active_nm: xRestoredNm.slice(activeStartIdx).map(pos => pos - glassItoBoundaryNm),
+    temperature_active: xRestoredNm.slice(activeStartIdx).map((_, j) => nodeSeries(activeStartIdx + j)),
+    position_glass_nm: xRestoredNm.slice(0, activeStartIdx),
+    temperature_glass: xRestoredNm.slice(0, activeStartIdx).map((_, j) => nodeSeries(j)),
+    perovskite_center_temp: nodeSeries(perovskiteMidIdx),
+    layer_boundaries_nm: layerBoundariesNm,
+    layer_names: params.layer_names.slice(1), // Glass 제외
+    glass_ito_boundary_nm: glassItoBoundaryNm
+  }
+}
+
+/**
+ * 솔버 실행 정보 (결과의 solver_stats): 방법, 성공 여부, 스텝/반복 수, 우변/자코비안 평가 수, 노드 수, 계산 시간
+ */
+const buildSolverStats = (method, counts, { nodes, startedAt, success = true, message = '' }) => ({
+  method,
+  success,
+  message,
+  n_steps: counts.nSteps,
+  n_rejected: counts.nRejected ?? null,
+  n_fev: counts.nFev ?? null,
+  n_jev: counts.nJev ?? null,
+  n_nodes: nodes,
+  wall_time_s: (performance.now() - startedAt) / 1000
+})
+
+/**
+ * 정상상태: 전압/전류 밀도로 일정 구동할 때의 평형 온도 (구동 파형은 무시)
+ * 결과 형식은 과도 해석과 같고 시간 점이 하나 (time = [0], steady_state = true)
+ */
+function runSteadyState(params, grid, { rhsForSegment, interfaceJumps, T0, heatCapacity, temperatureDependent }, startedAt) {
+  const segment = {
+    start: 0,
+    end: 1,
+    voltage: [params.voltage, params.voltage],
+    current_density: [params.current_density, params.current_density]
+  }
+  const sol = solveSteadyState(rhsForSegment(segment), T0, { centralJacobian: temperatureDependent, weights: heatCapacity })
+  const solverStats = buildSolverStats('Newton', { nSteps: sol.nIterations }, {
+    nodes: T0.length,
+    startedAt,
+    success: sol.success,
+    message: sol.message
+  })
+  if (!sol.success) {
+    // EQE(T) 되먹임이 있으면 감쇠 단계로도 평형을 찾지 못한 원인이 열폭주일 수 있다
+    const hint = isTemperatureDependent(params.eqe_model) ? ` ${EQE_RUNAWAY_HINT}` : ''
+    return { success: false, error: sol.message + hint, solver_stats: solverStats }
+  }
+  return {
+    ...formatResult(params, grid, [0], [sol.y]),
+    ...(hasInterfaceResistance(params) && { interface_jumps: interfaceJumps([sol.y]) }),
+    steady_state: true,
+    solver_stats: solverStats
+  }
+}
+
+/**
+ * 백엔드 /api/simulate와 같은 입력을 받아 같은 형식의 결과를 반환
+ * 솔버 설정 (solverOptions.js): 격자, 출력 시간, rtol/atol (적분 방법은 항상 BDF2)
+ */
+export function runSimulation(params) {
+  const startedAt = performance.now()
+  const tStart = params.t_start ?? 0
+  const tEnd = params.t_end ?? 1000.0
+  const grid = buildGrid(params)
+  const system = createThermalSystem(params, grid)
+  if (params.analysis_mode === ANALYSIS_MODES.STEADY) {
+    return runSteadyState(params, grid, system, startedAt)
+  }
+  const { rhsForSegment, interfaceJumps, T0, temperatureDependent } = system
+  const tEval = buildOutputTimes(params, tStart, tEnd)
+
+  // 구동 구간마다 적분을 다시 시작 (구간 끝 상태가 다음 구간의 초기값)
+  const time = []
+  const states = []
+  const counts = { nSteps: 0, nRejected: 0, nFev: 0, nJev: 0 }
+  let y = T0
+  const segments = buildDriveSegments(params, tStart, tEnd)
+  for (let s = 0; s < segments.length; s++) {
+    const segment = segments[s]
+    const segmentEval = tEval.filter(t => (s === 0 ? t >= segment.start : t > segment.start) && t <= segment.end)
+    // 구간 끝 상태가 필요하므로 tEval에 구간 끝을 포함 (중복 없이)
+    const segmentTEval = segmentEval[segmentEval.length - 1] === segment.end ? segmentEval : [...segmentEval, segment.end]
+    const sol = integrateBDF(rhsForSegment(segment), [segment.start, segment.end], y, {
+      tEval: segmentTEval,
+      rtol: params.rtol ?? undefined,
+      atol: params.atol ?? undefined,
+      centralJacobian: temperatureDependent
+    })
+    Object.keys(counts).forEach(key => { counts[key] += sol[key] })
+    if (!sol.success) {
+      const solverStats = buildSolverStats(LOCAL_INTEGRATION_METHOD, counts, { nodes: T0.length, startedAt, success: false, message: sol.message })
+      return { success: false, error: sol.message, solver_stats: solverStats }
+    }
+    y = sol.y[sol.y.length - 1]
+    time.push(...segmentEval)
+    states.push(...sol.y.slice(0, segmentEval.length))
+  }
+  return {
+    ...formatResult(params, grid, time, states),
+    ...(hasInterfaceResistance(params) && { interface_jumps: interfaceJumps(states) }),
+    steady_state: false,
+    solver_stats: buildSolverStats(LOCAL_INTEGRATION_METHOD, counts, {
+      nodes: T0.length,
+      startedAt,
+      message: '적분이 정상적으로 완료되었습니다.'
+    })
+  }
+}
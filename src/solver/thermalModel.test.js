@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from '../constants.js'
+import { ANALYSIS_MODES, buildGrid, defaultPointsPerLayer, runSimulation } from './thermalModel.js'
+import pythonReference from './__fixtures__/python-default.json'
+
+// 기준 데이터 재생성: python scripts/reference_simulation.py < input.json > src/solver/__fixtures__/python-default.json
+const maxAbsDiff = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])))
+
+describe('JS 솔버와 Python 백엔드 비교 (DEFAULT_VALUES)', () => {
+  const payload = { ...DEFAULT_VALUES, T_ambient: DEFAULT_VALUES.T_ambient + 273.15 }
+  const result = runSimulation(payload)
+
+  it('기준 데이터가 현재 DEFAULT_VALUES로 생성되었다', () => {
+    expect(pythonReference.input).toEqual(payload)
+  })
+
+  it('백엔드와 같은 응답 형식을 반환한다', () => {
+    expect(result.success).toBe(true)
+    expect(result.time).toHaveLength(pythonReference.time.length)
+    expect(result.temperature_active).toHaveLength(result.position_active_nm.length)
+    expect(result.temperature_active[0]).toHaveLength(result.time.length)
+    expect(result.temperature_glass).toHaveLength(result.position_glass_nm.length)
+    expect(result.perovskite_center_temp).toHaveLength(result.time.length)
+    expect(result.layer_names).toEqual(DEFAULT_VALUES.layer_names.slice(1))
+  })
+
+  it('그리드와 레이어 경계가 일치한다', () => {
+    expect(maxAbsDiff(result.time, pythonReference.time)).toBeLessThan(1e-9)
+    expect(maxAbsDiff(result.position_active_nm, pythonReference.position_active_nm)).toBeLessThan(1e-6)
+    expect(result.layer_boundaries_nm).toEqual(pythonReference.layer_boundaries_nm)
+  })
+
+  it('페로브스카이트 중간 지점 과도 응답이 0.5 K 이내로 일치한다', () => {
+    expect(maxAbsDiff(result.perovskite_center_temp, pythonReference.perovskite_center_temp)).toBeLessThan(0.5)
+  })
+
+  it('최종 온도 프로파일이 0.05 K 이내로 일치한다', () => {
+    const finalIdx = result.time.length - 1
+    const finalActive = result.temperature_active.map(row => row[finalIdx])
+    const finalGlass = result.temperature_glass.map(row => row[finalIdx])
+    expect(maxAbsDiff(finalActive, pythonReference.final_temperature_active)).toBeLessThan(0.05)
+    expect(maxAbsDiff(finalGlass, pythonReference.final_temperature_glass)).toBeLessThan(0.05)
+  })
+})
+
+describe('임의의 레이어 스택', () => {
+  it('레이어 수와 발광층 위치에 맞게 그리드와 결과를 구성한다', () => {
+    const payload = {
+      ...DEFAULT_VALUES,
+      layer_names: ['Glass', 'ITO', 'HTL', 'LiF', 'Perovskite', 'ETL', 'Cathode'],
+      thickness_layers_nm: [1100000, 70, 80, 1, 280, 50, 100],
+      k_therm_layers: [0.8, 10.0, 0.2, 0.1, 0.5, 0.2, 200.0],
+      rho_layers: [2500, 7140, 1000, 2600, 4100, 1200, 2700],
+      c_p_layers: [1000, 280, 1500, 1500, 250, 1500, 900],
+      heat_fractions: [0, 0, 0, 0, 100, 0, 0],
+      emissive_layer_index: 4,
+      T_ambient: 298.15,
+      t_end: 10
+    }
+    expect(defaultPointsPerLayer(7, 4)).toEqual([50, 20, 20, 20, 40, 20, 20])
+    const grid = buildGrid(payload)
+    expect(grid.layerRanges).toHaveLength(7)
+
+    const result = runSimulation(payload)
+    expect(result.layer_names).toHaveLength(6)
+    expect(result.layer_boundaries_nm).toEqual([0, 70, 150, 151, 431, 481, 581])
+    // 열원이 있는 발광층 중심이 가장 뜨겁다
+    const finalIdx = result.time.length - 1
+    const finalActive = result.temperature_active.map(row => row[finalIdx])
+    expect(result.perovskite_center_temp[finalIdx]).toBeCloseTo(Math.max(...finalActive), 2)
+  })
+
+  it('발광층으로 기판을 지정하면 오류를 낸다', () => {
+    expect(() => runSimulation({ ...DEFAULT_VALUES, emissive_layer_index: 0 })).toThrow()
+  })
+})
+
+describe('정상상태 직접 풀이', () => {
+  const payload = { ...DEFAULT_VALUES, T_ambient: DEFAULT_VALUES.T_ambient + 273.15 }
+
+  it('충분히 긴 과도 해석의 최종 온도와 일치한다', () => {
+    const steady = runSimulation({ ...payload, analysis_mode: ANALYSIS_MODES.STEADY })
+    const transient = runSimulation({ ...payload, t_end: 20000 })
+    expect(steady.success).toBe(true)
+    expect(steady.steady_state).toBe(true)
+    expect(steady.time).toEqual([0])
+    expect(steady.perovskite_center_temp[0]).toBeCloseTo(transient.perovskite_center_temp[transient.time.length - 1], 2)
+  })
+
+  it('열이 빠져나갈 경로가 없으면 실패를 반환한다', () => {
+    const insulated = { ...payload.boundary_top, h_conv: 0 }
+    const result = runSimulation({
+      ...payload,
+      analysis_mode: ANALYSIS_MODES.STEADY,
+      boundary_top: insulated,
+      boundary_bottom: insulated,
+      epsilon_top: 0,
+      epsilon_bottom: 0
+    })
+    expect(result.success).toBe(false)
+  })
+})
+
+describe('온도 의존 물성', () => {
+  const payload = { ...DEFAULT_VALUES, T_ambient: DEFAULT_VALUES.T_ambient + 273.15, current_density: 3000 }
+  const withModels = (models) => ({
+    ...payload,
+    property_models: payload.property_models.map((entry, i) => ({ ...entry, ...models[i] }))
+  })
+  const finalCenter = (result) => result.perovskite_center_temp[result.time.length - 1]
+
+  it('기울기 0 선형 모델과 한 점 표는 일정 물성과 같은 결과를 낸다', () => {
+    const reference = runSimulation({ ...payload, t_end: 100 })
+    const result = runSimulation({
+      ...withModels({
+        3: { k_therm_layers: { type: 'linear', T_ref: 350, slope: 0, table: [] } },
+        4: { c_p_layers: { type: 'table', T_ref: 0, slope: 0, table: [{ temperature: 300, value: 1500 }] } }
+      }),
+      t_end: 100
+    })
+    expect(maxAbsDiff(result.perovskite_center_temp, reference.perovskite_center_temp)).toBeLessThan(1e-6)
+  })
+
+  it('Glass 열용량이 온도에 의존해도 적분이 수렴한다', () => {
+    // 전진 차분 자코비안으로는 Glass의 큰 전도 항 때문에 Newton 반복이 멈추던 경우
+    const result = runSimulation(withModels({ 0: { rho_layers: { type: 'linear', T_ref: 298.15, slope: 0.5, table: [] } } }))
+    expect(result.success).toBe(true)
+    expect(finalCenter(result)).toBeCloseTo(finalCenter(runSimulation(payload)), 0)
+  })
+
+  it('발광층 열전도도가 온도에 따라 낮아지면 정상상태 온도가 올라간다', () => {
+    const steady = { analysis_mode: ANALYSIS_MODES.STEADY }
+    const constant = runSimulation({ ...payload, ...steady })
+    const softening = runSimulation({
+      ...withModels({ 3: { k_therm_layers: { type: 'linear', T_ref: 298.15, slope: -0.002, table: [] } } }),
+      ...steady
+    })
+    expect(softening.success).toBe(true)
+    expect(softening.perovskite_center_temp[0]).toBeGreaterThan(constant.perovskite_center_temp[0])
+  })
+})
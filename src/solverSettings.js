@@ -0,0 +1,166 @@
+// 솔버 고급 설정 입력 (formData.mesh_mode, points_per_layer, max_cell_size_nm, output_points, output_spacing,
+// log_first_time, rtol, atol, integration_method)과 결과의 솔버 실행 정보 (result.solver_stats)
+// 요청 필드 이름이 formData와 같아 그대로 전송된다 (정의는 solver/solverOptions.js).
+import {
+  DEFAULT_LOG_FIRST_TIME,
+  DEFAULT_OUTPUT_POINTS,
+  INTEGRATION_METHODS,
+  MAX_GRID_NODES,
+  MESH_MODES,
+  OUTPUT_SPACINGS,
+  defaultPointsPerLayer,
+  resolvePointsPerLayer
+} from './solver/solverOptions.js'
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+
+export const MESH_MODE_LABELS = {
+  [MESH_MODES.DEFAULT]: '기본 (기판 50, 발광층 40, 나머지 20)',
+  [MESH_MODES.POINTS]: '레이어별 노드 수',
+  [MESH_MODES.MAX_CELL]: '최대 셀 크기'
+}
+
+export const OUTPUT_SPACING_LABELS = {
+  [OUTPUT_SPACINGS.LINEAR]: '균등 간격',
+  [OUTPUT_SPACINGS.LOG]: '로그 간격 (초기 과도 응답)'
+}
+
+export const INTEGRATION_METHOD_LABELS = {
+  [INTEGRATION_METHODS.BDF]: 'BDF (가변 차수 1~5)',
+  [INTEGRATION_METHODS.RADAU]: 'Radau IIA (5차 음해법)',
+  [INTEGRATION_METHODS.LSODA]: 'LSODA (강성 자동 전환)'
+}
+
+// 검증 키: 레이어별 노드 수는 pointsPerLayerKey(index), 전체 노드 수 오류는 POINTS_PER_LAYER_KEY
+export const POINTS_PER_LAYER_KEY = 'points_per_layer'
+export const pointsPerLayerKey = (index) => `${POINTS_PER_LAYER_KEY}:${index}`
+
+// 이 이상이면 계산이 느려진다고 경고
+const SLOW_GRID_NODES = 1000
+const LARGE_OUTPUT_POINTS = 2000
+
+export const DEFAULT_SOLVER_SETTINGS = {
+  mesh_mode: MESH_MODES.DEFAULT,
+  max_cell_size_nm: 5, // 활성층 최대 셀 크기 (nm)
+  output_points: DEFAULT_OUTPUT_POINTS, // 출력 시간 점 수
+  output_spacing: OUTPUT_SPACINGS.LINEAR,
+  log_first_time: DEFAULT_LOG_FIRST_TIME, // 로그 간격의 첫 출력 시간 (s, 시작 시간 기준)
+  rtol: 1e-4, // 상대 허용 오차 (브라우저 BDF2 기본값, 서버 scipy 기본값 1e-3보다 엄격)
+  atol: 1e-6, // 절대 허용 오차 (K)
+  integration_method: INTEGRATION_METHODS.BDF // 서버 적분 방법 (브라우저는 항상 BDF2)
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * 솔버 설정이 없는 입력(이전 버전 기록/프로젝트)은 예전 고정 설정(기본 격자, 균등 200점)으로 채움
+ */
+export function withDefaultSolverSettings(formData) {
+  const hasPoints = Array.isArray(formData.points_per_layer) && formData.points_per_layer.length === formData.layer_names.length
+  if (hasPoints && Object.keys(DEFAULT_SOLVER_SETTINGS).every(field => field in formData)) return formData
+  return {
+    ...DEFAULT_SOLVER_SETTINGS,
+    ...formData,
+    points_per_layer: hasPoints
+      ? formData.points_per_layer
+      : defaultPointsPerLayer(formData.layer_names.length, formData.emissive_layer_index)
+  }
+}
+
+/**
+ * 현재 설정의 레이어별 노드 수와 전체 노드 수 (입력이 잘못되면 null)
+ */
+export function computeGridSize(formData) {
+  try {
+    const points = resolvePointsPerLayer(formData, formData.emissive_layer_index)
+    if (!points.every(n => Number.isInteger(n) && n >= 1)) return null
+    return { points, nodes: points.reduce((sum, n) => sum + n, 1) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 솔버 설정 검증 (값이 쓰이는 모드에서만)
+ */
+export function validateSolverSettings(formData) {
+  const errors = {}
+  const warnings = {}
+  const steady = formData.analysis_mode === ANALYSIS_MODES.STEADY
+
+  if (formData.mesh_mode === MESH_MODES.POINTS) {
+    formData.points_per_layer.forEach((value, i) => {
+      if (!Number.isInteger(value) || value < 1) errors[pointsPerLayerKey(i)] = '노드 수는 1 이상의 정수여야 합니다.'
+    })
+  }
+  if (formData.mesh_mode === MESH_MODES.MAX_CELL) {
+    if (!isNumber(formData.max_cell_size_nm)) errors.max_cell_size_nm = '최대 셀 크기를 입력하세요.'
+    else if (formData.max_cell_size_nm <= 0) errors.max_cell_size_nm = '최대 셀 크기는 0보다 커야 합니다.'
+  }
+  const grid = Object.keys(errors).length === 0 && computeGridSize(formData)
+  if (grid && grid.nodes > MAX_GRID_NODES) {
+    errors[POINTS_PER_LAYER_KEY] = `전체 노드 수(${grid.nodes})가 최대 ${MAX_GRID_NODES}개를 넘습니다.`
+  } else if (grid && grid.nodes > SLOW_GRID_NODES) {
+    warnings[POINTS_PER_LAYER_KEY] = `전체 노드 수가 ${grid.nodes}개입니다. 계산이 오래 걸릴 수 있습니다.`
+  }
+
+  if (!steady) {
+    const count = formData.output_points
+    if (!Number.isInteger(count) || count < 2) errors.output_points = '출력 시간 점 수는 2 이상의 정수여야 합니다.'
+    else if (count > LARGE_OUTPUT_POINTS) warnings.output_points = `출력 시간 점이 ${count}개입니다. 결과와 엑셀 파일이 커집니다.`
+
+    if (formData.output_spacing === OUTPUT_SPACINGS.LOG) {
+      const first = formData.log_first_time
+      const span = formData.t_end - formData.t_start
+      if (!isNumber(first)) errors.log_first_time = '첫 출력 시간을 입력하세요.'
+      else if (first <= 0) errors.log_first_time = '첫 출력 시간은 0보다 커야 합니다.'
+      else if (first >= span) errors.log_first_time = '첫 출력 시간은 시뮬레이션 시간 범위보다 작아야 합니다.'
+    }
+
+    if (!isNumber(formData.rtol)) errors.rtol = '상대 허용 오차를 입력하세요.'
+    else if (formData.rtol < 1e-10 || formData.rtol >= 1) errors.rtol = '상대 허용 오차는 1e-10 이상 1 미만이어야 합니다.'
+    else if (formData.rtol > 1e-2) warnings.rtol = '상대 허용 오차가 1e-2보다 커서 결과가 부정확할 수 있습니다.'
+
+    if (!isNumber(formData.atol)) errors.atol = '절대 허용 오차를 입력하세요.'
+    else if (formData.atol <= 0) errors.atol = '절대 허용 오차는 0보다 커야 합니다.'
+    else if (formData.atol > 1e-2) warnings.atol = '절대 허용 오차가 0.01 K보다 커서 결과가 부정확할 수 있습니다.'
+  }
+  return { errors, warnings }
+}
+
+/**
+ * 솔버 설정 설명 (실행 비교, 보고서, 엑셀 입력 시트용)
+ */
+export function describeMesh(formData) {
+  const grid = computeGridSize(formData)
+  const nodes = grid ? `, 노드 ${grid.nodes}개` : ''
+  if (formData.mesh_mode === MESH_MODES.POINTS) return `${MESH_MODE_LABELS[MESH_MODES.POINTS]}: ${formData.points_per_layer.join(' / ')}${nodes}`
+  if (formData.mesh_mode === MESH_MODES.MAX_CELL) return `${MESH_MODE_LABELS[MESH_MODES.MAX_CELL]}: ${formData.max_cell_size_nm} nm${nodes}`
+  return `${MESH_MODE_LABELS[MESH_MODES.DEFAULT]}${nodes}`
+}
+
+export function describeOutputTimes(formData) {
+  if (formData.output_spacing === OUTPUT_SPACINGS.LOG) {
+    return `로그 간격 ${formData.output_points}점 (첫 출력 ${formData.log_first_time} s)`
+  }
+  return `균등 간격 ${formData.output_points}점`
+}
+
+export const describeTolerances = (formData) => `rtol ${formData.rtol}, atol ${formData.atol} K`
+
+/**
+ * 결과의 솔버 실행 정보를 [{ label, value }]로 (값이 없는 항목은 생략, 이전 결과는 빈 목록)
+ */
+export function formatSolverStats(stats) {
+  if (!stats) return []
+  const rows = [
+    ['적분 방법', stats.method === 'Newton' ? '정상상태 Newton 반복' : stats.method],
+    ['성공 여부', stats.success ? '성공' : `실패 (${stats.message})`],
+    [stats.method === 'Newton' ? '반복 횟수' : '스텝 수', stats.n_steps],
+    ['거부된 스텝 수', stats.n_rejected],
+    ['우변 함수 평가', stats.n_fev],
+    ['자코비안 계산', stats.n_jev],
+    ['격자 노드 수', stats.n_nodes],
+    ['계산 시간', isNumber(stats.wall_time_s) ? `${(stats.wall_time_s * 1000).toFixed(0)} ms` : null]
+  ]
+  return rows.filter(([, value]) => value !== null && value !== undefined).map(([label, value]) => ({ label, value }))
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { buildSimulationPayload } from './simulationPayload.js'
+import { ANALYSIS_MODES, runSimulation } from './solver/thermalModel.js'
+import { MESH_MODES, OUTPUT_SPACINGS, buildOutputTimes, defaultPointsPerLayer } from './solver/solverOptions.js'
+import {
+  POINTS_PER_LAYER_KEY,
+  computeGridSize,
+  formatSolverStats,
+  pointsPerLayerKey,
+  validateSolverSettings,
+  withDefaultSolverSettings
+} from './solverSettings.js'
+
+describe('격자 해상도', () => {
+  it('최대 셀 크기는 활성층에만 적용하고 기판은 기본 노드 수를 유지한다', () => {
+    const formData = { ...DEFAULT_VALUES, mesh_mode: MESH_MODES.MAX_CELL, max_cell_size_nm: 10 }
+    const grid = computeGridSize(formData)
+    expect(grid.points[0]).toBe(50)
+    grid.points.slice(1).forEach((n, i) => {
+      expect(n).toBe(Math.max(2, Math.ceil(DEFAULT_VALUES.thickness_layers_nm[i + 1] / 10)))
+    })
+    expect(grid.nodes).toBe(grid.points.reduce((sum, n) => sum + n, 1))
+  })
+
+  it('잘못된 노드 수와 최대 노드 수 초과를 오류로 표시한다', () => {
+    const points = [...DEFAULT_VALUES.points_per_layer]
+    points[2] = 0
+    const invalid = validateSolverSettings({ ...DEFAULT_VALUES, mesh_mode: MESH_MODES.POINTS, points_per_layer: points })
+    expect(invalid.errors).toHaveProperty(pointsPerLayerKey(2))
+
+    const fine = validateSolverSettings({ ...DEFAULT_VALUES, mesh_mode: MESH_MODES.MAX_CELL, max_cell_size_nm: 0.05 })
+    expect(fine.errors[POINTS_PER_LAYER_KEY]).toContain('5000')
+  })
+
+  it('레이어별 노드 수대로 격자를 만들어 계산한다', () => {
+    const formData = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY, mesh_mode: MESH_MODES.POINTS, points_per_layer: [30, 10, 10, 25, 10, 10] }
+    const result = runSimulation(buildSimulationPayload(formData))
+    expect(result.success).toBe(true)
+    expect(result.solver_stats.n_nodes).toBe(96)
+    expect(result.solver_stats.method).toBe('Newton')
+  })
+})
+
+describe('출력 시간과 허용 오차', () => {
+  it('로그 간격은 시작 시간, 시작 + 첫 출력 시간에서 시작해 종료 시간에서 끝난다', () => {
+    const params = { output_points: 50, output_spacing: OUTPUT_SPACINGS.LOG, log_first_time: 1e-3 }
+    const times = buildOutputTimes(params, 2, 102)
+    expect(times).toHaveLength(50)
+    expect(times[0]).toBe(2)
+    expect(times[1]).toBeCloseTo(2.001, 12)
+    expect(times[49]).toBe(102)
+    times.slice(1).forEach((t, i) => expect(t).toBeGreaterThan(times[i]))
+  })
+
+  it('과도 해석은 요청한 출력 점 수로 결과를 내고 솔버 실행 정보를 돌려준다', () => {
+    const formData = { ...DEFAULT_VALUES, t_end: 10, output_points: 31, rtol: 1e-3 }
+    const result = runSimulation(buildSimulationPayload(formData))
+    expect(result.success).toBe(true)
+    expect(result.time).toHaveLength(31)
+    const stats = result.solver_stats
+    expect(stats.success).toBe(true)
+    expect(stats.n_steps).toBeGreaterThan(0)
+    expect(stats.n_fev).toBeGreaterThanOrEqual(stats.n_steps)
+    expect(formatSolverStats(stats).map(row => row.label)).toContain('거부된 스텝 수')
+  })
+
+  it('시간 범위를 넘는 첫 출력 시간과 범위 밖 허용 오차는 오류, 큰 허용 오차는 경고', () => {
+    const { errors, warnings } = validateSolverSettings({
+      ...DEFAULT_VALUES,
+      output_spacing: OUTPUT_SPACINGS.LOG,
+      log_first_time: DEFAULT_VALUES.t_end * 2,
+      rtol: 1,
+      atol: 0.1
+    })
+    expect(errors).toHaveProperty('log_first_time')
+    expect(errors).toHaveProperty('rtol')
+    expect(warnings).toHaveProperty('atol')
+
+    const steady = validateSolverSettings({ ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY, rtol: 1 })
+    expect(steady.errors).toEqual({})
+  })
+})
+
+describe('이전 입력 호환', () => {
+  it('솔버 설정이 없는 입력은 기본 격자와 균등 200점으로 채운다', () => {
+    const {
+      mesh_mode: meshMode,
+      points_per_layer: pointsPerLayer,
+      output_points: outputPoints,
+      rtol,
+      ...legacy
+    } = DEFAULT_VALUES
+    const filled = withDefaultSolverSettings(legacy)
+    expect(filled.mesh_mode).toBe(meshMode)
+    expect(filled.output_points).toBe(outputPoints)
+    expect(filled.rtol).toBe(rtol)
+    expect(filled.points_per_layer).toEqual(pointsPerLayer)
+    expect(filled.points_per_layer).toEqual(defaultPointsPerLayer(legacy.layer_names.length, legacy.emissive_layer_index))
+    expect(withDefaultSolverSettings(DEFAULT_VALUES)).toBe(DEFAULT_VALUES)
+  })
+})
@@ -0,0 +1,398 @@
+// 엑셀/CSV에서 레이어 스택과 구동 파형 가져오기
+// 엑셀 저장(handleSaveExcel)의 "입력 파라미터" 시트를 그대로 다시 읽을 수 있고,
+// 공동 연구자가 보내는 CSV (이름, 두께, k, ρ, c_p 열)나 시간/전압/전류 구동 파형 시트도 읽는다.
+// 열은 머리글 이름으로 찾고 (순서 무관), 단위는 머리글의 괄호 안이나 밑줄 뒤에서 읽어 formData 단위로 바꾼다.
+//   "두께 (µm)", "thickness_um", "J (mA/cm²)" -> nm, A/m²
+// 단위가 없으면 formData 단위로 보고 경고, 모르는 단위는 오류.
+// 온도 의존 물성, 경계 조건, 프로브처럼 설명 문자열로 저장된 입력은 읽지 않는다 (프로젝트 파일 사용).
+import * as XLSX from 'xlsx'
+import { DRIVE_TYPES, DRIVE_TYPE_LABELS } from './drive.js'
+import { MIN_LAYER_COUNT, SUBSTRATE_INDEX } from './layerStack.js'
+import { remapLayerProbes } from './probes.js'
+import { createConstantLayerModels } from './propertyModels.js'
+import { createDefaultHeatFractions } from './heatSource.js'
+import { createDefaultInterfaceResistances } from './interfaceResistance.js'
+import { defaultPointsPerLayer } from './solver/solverOptions.js'
+
+// 엑셀 저장과 가져오기가 함께 쓰는 입력 시트 이름
+export const INPUT_SHEET_NAME = '입력 파라미터'
+
+// 단위: [표시, formData 단위로 바꾸는 배율]
+const LENGTH_UNITS = [['nm', 1], ['µm', 1e3], ['um', 1e3], ['mm', 1e6], ['cm', 1e7], ['m', 1e9]]
+const CONDUCTIVITY_UNITS = [['W/m·K', 1], ['W/cm·K', 100], ['mW/m·K', 1e-3]]
+const DENSITY_UNITS = [['kg/m³', 1], ['g/cm³', 1000], ['g/mL', 1000]]
+const HEAT_CAPACITY_UNITS = [['J/kg·K', 1], ['J/g·K', 1000], ['kJ/kg·K', 1000]]
+const TIME_UNITS = [['s', 1], ['ms', 1e-3], ['min', 60], ['h', 3600]]
+const VOLTAGE_UNITS = [['V', 1], ['mV', 1e-3]]
+const CURRENT_DENSITY_UNITS = [['A/m²', 1], ['mA/cm²', 10], ['A/cm²', 1e4], ['µA/cm²', 1e-2]]
+const RESISTANCE_UNITS = [['m²·K/W', 1], ['cm²·K/W', 1e-4], ['mm²·K/W', 1e-6]]
+const PERCENT_UNITS = [['%', 1]]
+const CELSIUS_UNITS = [['°C', 1], ['℃', 1]]
+const FREQUENCY_UNITS = [['Hz', 1], ['kHz', 1e3]]
+
+// 표 열: aliases는 normalizeName을 거친 이름, units가 없으면 괄호 안 내용은 무시
+const STACK_COLUMNS = [
+  { field: 'layer_names', label: '레이어 이름', aliases: ['레이어이름', '레이어', '이름', 'name', 'layer', 'layername', 'material', '재료'], text: true, required: true },
+  { field: 'thickness_layers_nm', label: '두께', aliases: ['두께', 'thickness', 'd'], units: LENGTH_UNITS, required: true },
+  { field: 'k_therm_layers', label: '열전도도', aliases: ['열전도도', 'k', 'κ', 'kappa', 'ktherm', 'conductivity', 'thermalconductivity'], units: CONDUCTIVITY_UNITS, required: true },
+  { field: 'rho_layers', label: '밀도', aliases: ['밀도', 'rho', 'ρ', 'density'], units: DENSITY_UNITS, required: true },
+  { field: 'c_p_layers', label: '비열', aliases: ['비열', 'cp', 'specificheat', 'heatcapacity'], units: HEAT_CAPACITY_UNITS, required: true },
+  { field: 'emissive', label: '발광층', aliases: ['발광층', '열원', 'emissive', 'emitter', 'source'], text: true },
+  { field: 'heat_fractions', label: '발열 비율', aliases: ['발열비율', 'heatfraction', 'fraction'], units: PERCENT_UNITS }
+]
+
+const DRIVE_COLUMNS = [
+  { field: 'time', label: '시간', aliases: ['시간', 'time', 't'], units: TIME_UNITS, required: true },
+  { field: 'voltage', label: '전압', aliases: ['전압', 'voltage', 'v', 'bias'], units: VOLTAGE_UNITS, required: true },
+  { field: 'current_density', label: '전류 밀도', aliases: ['전류밀도', '전류', 'currentdensity', 'current', 'j'], units: CURRENT_DENSITY_UNITS, required: true }
+]
+
+const INTERFACE_COLUMNS = [
+  { field: 'name', label: '계면', aliases: ['계면', 'interface'], text: true, required: true },
+  { field: 'resistance', label: '계면 열저항', aliases: ['계면열저항', '열저항', 'interfaceresistance', 'resistance'], units: RESISTANCE_UNITS, required: true }
+]
+
+// "라벨 | 값" 행으로 저장되는 입력 (엑셀 저장 형식)
+const SCALAR_FIELDS = [
+  { field: 'voltage', label: '전압', aliases: ['전압'], units: VOLTAGE_UNITS },
+  { field: 'current_density', label: '전류 밀도', aliases: ['전류밀도'], units: CURRENT_DENSITY_UNITS },
+  { field: 'eqe', label: 'EQE', aliases: ['eqe'] },
+  { field: 'epsilon_top', label: '상부 방사율', aliases: ['상부방사율'] },
+  { field: 'epsilon_bottom', label: '하부 방사율', aliases: ['하부방사율'] },
+  { field: 'T_ambient', label: '주변 온도', aliases: ['주변온도'], units: CELSIUS_UNITS },
+  { field: 't_start', label: '시작 시간', aliases: ['시작시간'], units: TIME_UNITS },
+  { field: 't_end', label: '종료 시간', aliases: ['종료시간'], units: TIME_UNITS },
+  { field: 'drive.frequency_hz', label: '펄스 주파수', aliases: ['펄스주파수'], units: FREQUENCY_UNITS },
+  { field: 'drive.duty', label: '듀티비', aliases: ['듀티비'] },
+  { field: 'drive.start_voltage', label: '시작 전압', aliases: ['시작전압'], units: VOLTAGE_UNITS },
+  { field: 'drive.start_current_density', label: '시작 전류 밀도', aliases: ['시작전류밀도'], units: CURRENT_DENSITY_UNITS },
+  { field: 'drive.ramp_time', label: '램프 시간', aliases: ['램프시간'], units: TIME_UNITS },
+  { field: 'drive.step_count', label: '계단 수', aliases: ['계단수'] },
+  { field: 'drive.step_duration', label: '계단 유지 시간', aliases: ['계단유지시간'], units: TIME_UNITS }
+]
+const DRIVE_TYPE_ALIASES = ['구동파형']
+
+// 발광층 열의 표시로 인정하는 값
+const FLAG_VALUES = ['o', '○', '●', 'v', '✓', 'y', 'yes', 'true', '1', '예']
+
+// 이름 비교: 소문자, 공백/밑줄/하이픈/점 제거
+const normalizeName = (text) => String(text).toLowerCase().replace(/[\s_\-.]/g, '')
+
+// 단위 비교: 소문자, µ/μ -> u, 위첨자 -> 숫자, 공백/곱하기 점/괄호/^ 제거 ("W/(m·K)" -> "w/mk")
+const normalizeUnit = (text) => String(text)
+  .toLowerCase()
+  .replace(/[µμ]/g, 'u')
+  .replace(/²/g, '2')
+  .replace(/³/g, '3')
+  .replace(/[\s·⋅*()^]/g, '')
+
+const isBlank = (cell) => cell === undefined || cell === null || String(cell).trim() === ''
+const isBlankRow = (row) => !row || row.every(isBlank)
+
+// 숫자 셀 (엑셀 숫자 또는 숫자 문자열), 아니면 NaN
+const toNumber = (cell) => {
+  if (typeof cell === 'number') return cell
+  if (isBlank(cell)) return NaN
+  return Number(String(cell).trim())
+}
+
+// 머리글 -> 가능한 (이름, 단위) 해석: "두께 (µm)", "시간 (s, 시작 시간 기준)", "thickness_um", "c_p"
+const headerCandidates = (cell) => {
+  const text = String(cell ?? '').trim()
+  const bracket = text.match(/^(.*?)\s*[([](.*)[)\]]\s*$/)
+  if (bracket) return [{ name: bracket[1], unit: bracket[2].split(',')[0].trim() }]
+  const candidates = [{ name: text, unit: '' }]
+  const suffix = text.match(/^(.+?)[\s_]+([^\s_]+)$/)
+  if (suffix) candidates.push({ name: suffix[1], unit: suffix[2] })
+  return candidates
+}
+
+// 머리글 셀이 열에 해당하면 { unit } (단위 표시 그대로), 아니면 null
+const matchHeader = (cell, column) => {
+  if (isBlank(cell) || typeof cell === 'number') return null
+  for (const { name, unit } of headerCandidates(cell)) {
+    if (!column.aliases.includes(normalizeName(name))) continue
+    // 밑줄 뒤 단위 해석은 아는 단위일 때만
+    if (unit && column.units && !findUnit(column, unit) && !String(cell).match(/[([]/)) continue
+    return { unit }
+  }
+  return null
+}
+
+const findUnit = (column, unit) => column.units.find(([label]) => normalizeUnit(label) === normalizeUnit(unit))
+
+// 열의 배율: { factor } 또는 { error } (단위가 없으면 formData 단위, assumed 표시)
+const resolveUnit = (column, unit) => {
+  if (!column.units) return { factor: 1 }
+  if (!unit) return { factor: 1, assumed: true }
+  const match = findUnit(column, unit)
+  if (match) return { factor: match[1] }
+  const known = [...new Set(column.units.map(([label]) => label))].join(', ')
+  return { error: `${column.label} 단위 "${unit}"를 알 수 없습니다 (가능한 단위: ${known}).` }
+}
+
+/**
+ * 워크북 -> 시트 목록 [{ name, rows, firstRow }] (rows는 셀 배열, firstRow는 rows[0]의 엑셀 행 번호)
+ * 입력 시트를 먼저, 나머지는 워크북 순서
+ */
+export function readWorkbookSheets(workbook) {
+  const names = [...workbook.SheetNames].sort((a, b) => (b === INPUT_SHEET_NAME) - (a === INPUT_SHEET_NAME))
+  return names.map(name => {
+    const sheet = workbook.Sheets[name]
+    const ref = sheet['!ref']
+    return {
+      name,
+      rows: ref ? XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '', raw: true }) : [],
+      firstRow: ref ? XLSX.utils.decode_range(ref).s.r + 1 : 1
+    }
+  })
+}
+
+/**
+ * 파일 (.xlsx/.xls/.csv) -> 시트 목록. CSV는 문자열로 읽어 UTF-8 한글/µ가 깨지지 않게 한다.
+ */
+export async function readImportFile(file) {
+  const workbook = /\.csv$/i.test(file.name)
+    ? XLSX.read(await file.text(), { type: 'string' })
+    : XLSX.read(await file.arrayBuffer(), { type: 'array' })
+  return readWorkbookSheets(workbook)
+}
+
+// 시트에서 columns의 필수 열이 모두 있는 첫 머리글 행 찾기 -> { headerIndex, mapping: { field: { index, unit } } }
+const findTableHeader = (rows, columns) => {
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || []
+    const mapping = {}
+    row.forEach((cell, index) => {
+      const column = columns.find(c => !mapping[c.field] && matchHeader(cell, c))
+      if (column) mapping[column.field] = { index, unit: matchHeader(cell, column).unit }
+    })
+    if (columns.every(c => !c.required || mapping[c.field])) return { headerIndex: i, mapping }
+  }
+  return null
+}
+
+// 머리글 아래 행을 표가 끝날 때까지 읽어 [{ rowNumber, values: { field: 변환된 값 } }]
+// 숫자 열은 배율을 곱한 값 (숫자가 아니면 NaN), 텍스트 열은 잘라낸 문자열
+// 단위 오류/가정은 errors/warnings에 추가
+const readTable = (sheet, columns, { headerIndex, mapping }, errors, warnings, consumed) => {
+  const units = {}
+  columns.forEach(column => {
+    const found = mapping[column.field]
+    if (!found || column.text) return
+    const resolved = resolveUnit(column, found.unit)
+    if (resolved.error) errors.push(`${sheet.name} ${sheet.firstRow + headerIndex}행: ${resolved.error}`)
+    else if (resolved.assumed) warnings.push(`${sheet.name}: ${column.label} 열에 단위가 없어 ${column.units[0][0]}로 읽었습니다.`)
+    units[column.field] = resolved.factor ?? NaN
+  })
+  consumed.add(headerIndex)
+  // 표의 끝: 빈 행 또는 필수 숫자 열이 절반도 채워지지 않은 행 (엑셀 저장 형식에서 레이어 표 바로 뒤의 "라벨 | 값" 행)
+  const numericColumns = columns.filter(c => c.required && !c.text)
+  const isTableEnd = (row) => isBlankRow(row) ||
+    numericColumns.filter(c => !isBlank(row[mapping[c.field].index])).length < numericColumns.length / 2
+  const records = []
+  for (let i = headerIndex + 1; i < sheet.rows.length && !isTableEnd(sheet.rows[i]); i++) {
+    consumed.add(i)
+    const row = sheet.rows[i]
+    const values = {}
+    columns.forEach(column => {
+      const found = mapping[column.field]
+      if (!found) return
+      const cell = row[found.index]
+      values[column.field] = column.text ? String(cell ?? '').trim() : toNumber(cell) * units[column.field]
+      values[`${column.field}:raw`] = cell
+    })
+    records.push({ rowNumber: sheet.firstRow + i, values })
+  }
+  return records
+}
+
+// 숫자 열 검증 (행 오류 문자열 또는 null)
+const checkNumber = (values, column, { positive = false, nonNegative = false } = {}) => {
+  const value = values[column.field]
+  const raw = values[`${column.field}:raw`]
+  if (isBlank(raw)) return `${column.label}이(가) 비어 있습니다.`
+  if (!Number.isFinite(value)) return `${column.label}이(가) 숫자가 아닙니다 ("${raw}").`
+  if (positive && value <= 0) return `${column.label}은(는) 0보다 커야 합니다.`
+  if (nonNegative && value < 0) return `${column.label}은(는) 0 이상이어야 합니다.`
+  return null
+}
+
+const columnOf = (columns, field) => columns.find(c => c.field === field)
+
+// 레이어 표 -> { layers, emissiveIndex, heatFractions } (행 오류는 errors)
+const parseStack = (sheet, records, mapping, errors, warnings) => {
+  const rowError = (rowNumber, message) => errors.push(`${sheet.name} ${rowNumber}행: ${message}`)
+  const layers = []
+  let emissiveIndex = null
+  records.forEach(({ rowNumber, values }, i) => {
+    if (!values.layer_names) rowError(rowNumber, '레이어 이름이 비어 있습니다.')
+    ;['thickness_layers_nm', 'k_therm_layers', 'rho_layers', 'c_p_layers'].forEach(field => {
+      const message = checkNumber(values, columnOf(STACK_COLUMNS, field), { positive: true })
+      if (message) rowError(rowNumber, message)
+    })
+    if (mapping.heat_fractions && !isBlank(values['heat_fractions:raw'])) {
+      const message = checkNumber(values, columnOf(STACK_COLUMNS, 'heat_fractions'), { nonNegative: true })
+      if (message) rowError(rowNumber, message)
+    }
+    if (mapping.emissive && FLAG_VALUES.includes(normalizeName(values.emissive))) {
+      if (i === SUBSTRATE_INDEX) rowError(rowNumber, '첫 행은 기판이므로 발광층이 될 수 없습니다.')
+      else if (emissiveIndex !== null) rowError(rowNumber, '발광층은 하나만 지정할 수 있습니다.')
+      else emissiveIndex = i
+    }
+    layers.push(values)
+  })
+  if (layers.length < MIN_LAYER_COUNT) {
+    errors.push(`${sheet.name}: 레이어가 기판을 포함해 ${MIN_LAYER_COUNT}개 이상 필요합니다 (첫 행이 기판).`)
+  }
+
+  const heatFractions = mapping.heat_fractions
+    ? layers.map(layer => (isBlank(layer['heat_fractions:raw']) ? 0 : layer.heat_fractions))
+    : null
+  if (emissiveIndex === null && layers.length >= MIN_LAYER_COUNT) {
+    // 표시가 없으면 발열 비율이 가장 큰 레이어, 그것도 없으면 기판 바로 위 레이어
+    const candidates = heatFractions ?? layers.map(() => 0)
+    emissiveIndex = candidates.reduce((best, value, i) => (i > SUBSTRATE_INDEX && value > candidates[best] ? i : best), SUBSTRATE_INDEX + 1)
+    warnings.push(`${sheet.name}: 발광층 표시가 없어 "${layers[emissiveIndex].layer_names}"을(를) 발광층으로 두었습니다.`)
+  }
+  return { layers, emissiveIndex, heatFractions }
+}
+
+// 구동 파형 표 -> [{ time, voltage, current_density }] (행 오류는 errors)
+const parseDriveTable = (sheet, records, errors) => {
+  const rowError = (rowNumber, message) => errors.push(`${sheet.name} ${rowNumber}행: ${message}`)
+  let previousTime = null
+  return records.map(({ rowNumber, values }) => {
+    DRIVE_COLUMNS.forEach(column => {
+      const message = checkNumber(values, column, { nonNegative: true })
+      if (message) rowError(rowNumber, message)
+    })
+    if (Number.isFinite(values.time)) {
+      if (previousTime !== null && values.time <= previousTime) rowError(rowNumber, '시간은 이전 행보다 커야 합니다.')
+      previousTime = values.time
+    }
+    return { time: values.time, voltage: values.voltage, current_density: values.current_density }
+  })
+}
+
+// "라벨 | 값" 행 읽기 (표에 속한 행 제외, 같은 입력은 처음 값만)
+const parseScalars = (sheet, consumed, errors) => {
+  const scalars = {}
+  let driveType = null
+  sheet.rows.forEach((row, i) => {
+    if (consumed.has(i) || !row || isBlank(row[0]) || typeof row[0] === 'number') return
+    const rowNumber = sheet.firstRow + i
+    if (DRIVE_TYPE_ALIASES.includes(normalizeName(row[0]))) {
+      const type = Object.keys(DRIVE_TYPE_LABELS).find(key => DRIVE_TYPE_LABELS[key] === String(row[1]).trim())
+      if (type) driveType = type
+      else errors.push(`${sheet.name} ${rowNumber}행: 알 수 없는 구동 파형입니다 ("${row[1]}").`)
+      return
+    }
+    const field = SCALAR_FIELDS.find(f => !(f.field in scalars) && matchHeader(row[0], f))
+    if (!field || isBlank(row[1])) return
+    const { unit } = matchHeader(row[0], field)
+    const resolved = resolveUnit(field, unit)
+    const value = toNumber(row[1])
+    if (resolved.error) errors.push(`${sheet.name} ${rowNumber}행: ${resolved.error}`)
+    else if (!Number.isFinite(value)) errors.push(`${sheet.name} ${rowNumber}행: ${field.label}이(가) 숫자가 아닙니다 ("${row[1]}").`)
+    else scalars[field.field] = value * resolved.factor
+  })
+  return { scalars, driveType }
+}
+
+// 레이어 스택을 바꾼 formData: 물성 모델은 일정, 계면은 완전 접촉(표가 있으면 그 값), 레이어별 노드 수는 기본값,
+// 없어진 레이어의 프로브는 삭제
+const applyStack = (formData, { layers, emissiveIndex, heatFractions }, interfaceResistances) => {
+  const count = layers.length
+  return {
+    ...formData,
+    layer_names: layers.map(layer => layer.layer_names),
+    thickness_layers_nm: layers.map(layer => layer.thickness_layers_nm),
+    k_therm_layers: layers.map(layer => layer.k_therm_layers),
+    rho_layers: layers.map(layer => layer.rho_layers),
+    c_p_layers: layers.map(layer => layer.c_p_layers),
+    property_models: layers.map(() => createConstantLayerModels()),
+    heat_fractions: heatFractions ?? createDefaultHeatFractions(count, emissiveIndex),
+    emissive_layer_index: emissiveIndex,
+    interface_resistances: interfaceResistances ?? createDefaultInterfaceResistances(count),
+    points_per_layer: defaultPointsPerLayer(count, emissiveIndex),
+    probes: remapLayerProbes(formData.probes, index => (index < count ? index : -1))
+  }
+}
+
+/**
+ * 시트 목록 (readWorkbookSheets)을 읽어 formData에 반영
+ * 반환: { formData, errors, warnings, summary } — errors는 "시트 n행: ..." 문자열 (있으면 formData는 원래 값)
+ * summary: { layers, drivePoints, scalars } 가져온 항목 수
+ */
+export function importSheets(sheets, formData) {
+  const errors = []
+  const warnings = []
+  let next = formData
+  const summary = { layers: 0, drivePoints: 0, scalars: 0 }
+
+  const stackSheet = sheets.find(sheet => findTableHeader(sheet.rows, STACK_COLUMNS))
+  const driveSheet = sheets.find(sheet => findTableHeader(sheet.rows, DRIVE_COLUMNS))
+  if (!stackSheet && !driveSheet) {
+    return {
+      formData,
+      errors: ['레이어 표(이름, 두께, 열전도도, 밀도, 비열 열)나 구동 파형 표(시간, 전압, 전류 밀도 열)를 찾지 못했습니다.'],
+      warnings,
+      summary
+    }
+  }
+
+  const consumed = new Map(sheets.map(sheet => [sheet, new Set()]))
+  if (stackSheet) {
+    const header = findTableHeader(stackSheet.rows, STACK_COLUMNS)
+    const records = readTable(stackSheet, STACK_COLUMNS, header, errors, warnings, consumed.get(stackSheet))
+    const stack = parseStack(stackSheet, records, header.mapping, errors, warnings)
+
+    // 계면 열저항 표 (엑셀 저장 형식): 레이어 순서대로, 개수가 맞을 때만
+    let interfaceResistances = null
+    const interfaceHeader = findTableHeader(stackSheet.rows, INTERFACE_COLUMNS)
+    if (interfaceHeader) {
+      const interfaceRecords = readTable(stackSheet, INTERFACE_COLUMNS, interfaceHeader, errors, warnings, consumed.get(stackSheet))
+      const resistanceColumn = columnOf(INTERFACE_COLUMNS, 'resistance')
+      interfaceRecords.forEach(({ rowNumber, values }) => {
+        const message = checkNumber(values, resistanceColumn, { nonNegative: true })
+        if (message) errors.push(`${stackSheet.name} ${rowNumber}행: ${message}`)
+      })
+      if (interfaceRecords.length === stack.layers.length - 1) {
+        interfaceResistances = interfaceRecords.map(({ values }) => values.resistance)
+      } else {
+        warnings.push(`${stackSheet.name}: 계면 수(${interfaceRecords.length})가 레이어 사이 수와 달라 모든 계면을 완전 접촉으로 두었습니다.`)
+      }
+    }
+    next = applyStack(next, stack, interfaceResistances)
+    summary.layers = stack.layers.length
+  }
+
+  // 입력 값 (엑셀 저장 형식): 레이어 표가 있는 시트, 없으면 구동 파형 시트
+  // 구동 표를 먼저 읽어 그 행이 라벨 행으로 읽히지 않게 한다
+  const scalarSheet = stackSheet ?? driveSheet
+  let driveTable = null
+  if (driveSheet) {
+    const header = findTableHeader(driveSheet.rows, DRIVE_COLUMNS)
+    const records = readTable(driveSheet, DRIVE_COLUMNS, header, errors, warnings, consumed.get(driveSheet))
+    if (records.length === 0) errors.push(`${driveSheet.name}: 구동 파형 표에 행이 없습니다.`)
+    driveTable = parseDriveTable(driveSheet, records, errors)
+  }
+  const { scalars, driveType } = parseScalars(scalarSheet, consumed.get(scalarSheet), errors)
+
+  const drive = { ...next.drive }
+  Object.entries(scalars).forEach(([field, value]) => {
+    if (field.startsWith('drive.')) drive[field.slice('drive.'.length)] = value
+    else next = { ...next, [field]: value }
+  })
+  if (driveType) drive.type = driveType
+  if (driveTable) {
+    drive.type = DRIVE_TYPES.TABLE
+    drive.table = driveTable
+    summary.drivePoints = driveTable.length
+  }
+  next = { ...next, drive }
+  summary.scalars = Object.keys(scalars).length + (driveType ? 1 : 0)
+
+  return { formData: errors.length > 0 ? formData : next, errors, warnings, summary }
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest'
+import * as XLSX from 'xlsx'
+import { DEFAULT_VALUES } from './constants.js'
+import { DRIVE_TYPES } from './drive.js'
+import { PROBE_MODES } from './probes.js'
+import { INPUT_SHEET_NAME, importSheets, readWorkbookSheets } from './stackImport.js'
+
+const workbookOf = (sheets) => {
+  const wb = XLSX.utils.book_new()
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name))
+  return wb
+}
+const importWorkbook = (sheets, formData = DEFAULT_VALUES) => importSheets(readWorkbookSheets(workbookOf(sheets)), formData)
+const importCsv = (text, formData = DEFAULT_VALUES) =>
+  importSheets(readWorkbookSheets(XLSX.read(text, { type: 'string' })), formData)
+
+describe('엑셀/CSV 가져오기', () => {
+  it('엑셀 저장 형식의 입력 파라미터 시트를 다시 읽는다', () => {
+    const rows = [
+      ['레이어 이름', '두께 (nm)', '열전도도 (W/m·K)', '밀도 (kg/m³)', '비열 (J/kg·K)', '발광층 (열원)', '발열 비율 (%)'],
+      ['Glass', 700000, 1.0, 2500, 840, '', 0],
+      ['ITO', 120, 10, 7140, 340, '', 10],
+      ['EML', 40, 0.3, 1200, 1500, 'O', 90],
+      ['Al', 100, 200, 2700, 900, '', 0],
+      ['발광층 발열 분포', '균일'],
+      [],
+      ['계면', '계면 열저항 (m²·K/W)'],
+      ['Glass/ITO', 0],
+      ['ITO/EML', 1e-8],
+      ['EML/Al', 0],
+      [],
+      ['전기적 파라미터', ''],
+      ['전압 (V)', 3.5],
+      ['전류 밀도 (A/m²)', 500],
+      [],
+      ['구동 파형', '구간 선형 표'],
+      ['시간 (s, 시작 시간 기준)', '전압 (V)', '전류 밀도 (A/m²)'],
+      [0, 0, 0],
+      [50, 3.5, 500],
+      [],
+      ['경계 조건', ''],
+      ['주변 온도 (°C)', 40],
+      ['종료 시간 (s)', 600]
+    ]
+    const { formData, errors, warnings, summary } = importWorkbook({ '요약': [['시간', '온도']], [INPUT_SHEET_NAME]: rows })
+    expect(errors).toEqual([])
+    expect(warnings).toEqual([])
+    expect(formData.layer_names).toEqual(['Glass', 'ITO', 'EML', 'Al'])
+    expect(formData.thickness_layers_nm).toEqual([700000, 120, 40, 100])
+    expect(formData.emissive_layer_index).toBe(2)
+    expect(formData.heat_fractions).toEqual([0, 10, 90, 0])
+    expect(formData.interface_resistances).toEqual([0, 1e-8, 0])
+    expect(formData.property_models).toHaveLength(4)
+    expect(formData.drive.type).toBe(DRIVE_TYPES.TABLE)
+    expect(formData.drive.table).toEqual([{ time: 0, voltage: 0, current_density: 0 }, { time: 50, voltage: 3.5, current_density: 500 }])
+    expect(formData).toMatchObject({ voltage: 3.5, current_density: 500, T_ambient: 40, t_end: 600 })
+    expect(summary).toEqual({ layers: 4, drivePoints: 2, scalars: 5 })
+  })
+
+  it('CSV의 µm, g/cm³, J/g·K, mA/cm² 단위를 formData 단위로 바꾼다', () => {
+    const stack = [
+      'name,thickness (µm),k (W/m·K),rho (g/cm3),c_p (J/g·K),emissive',
+      'Glass,700,1.0,2.5,0.84,',
+      'HTL,0.04,0.2,1.2,1.5,',
+      'EML,0.05,0.3,1.3,1.6,o',
+      'Cathode,0.1,200,2.7,0.9,'
+    ].join('\n')
+    const { formData, errors } = importCsv(stack)
+    expect(errors).toEqual([])
+    expect(formData.thickness_layers_nm[0]).toBeCloseTo(700000, 6)
+    expect(formData.thickness_layers_nm[1]).toBeCloseTo(40, 9)
+    expect(formData.rho_layers).toEqual([2500, 1200, 1300, 2700])
+    expect(formData.c_p_layers).toEqual([840, 1500, 1600, 900])
+    expect(formData.emissive_layer_index).toBe(2)
+    expect(formData.heat_fractions).toEqual([0, 0, 100, 0])
+    expect(formData.interface_resistances).toEqual([0, 0, 0])
+
+    const drive = importCsv('time_s,voltage_V,J (mA/cm²)\n0,0,0\n10,3,30\n100,3,30')
+    expect(drive.errors).toEqual([])
+    expect(drive.formData.layer_names).toBe(DEFAULT_VALUES.layer_names)
+    expect(drive.formData.drive.table[1]).toEqual({ time: 10, voltage: 3, current_density: 300 })
+  })
+
+  it('단위가 없으면 경고하고 발광층 표시가 없으면 발열 비율이 가장 큰 레이어로 둔다', () => {
+    const layerProbe = { id: 1, mode: PROBE_MODES.LAYER, layer_index: 5, fraction: 0.5 }
+    const positionProbe = { id: 2, mode: 'position', position_nm: 10 }
+    const { formData, errors, warnings } = importCsv(
+      '레이어,두께,k,밀도,비열,발열 비율\nGlass,700000,1,2500,840,0\nA,50,0.2,1200,1500,30\nB,50,0.2,1200,1500,70',
+      { ...DEFAULT_VALUES, probes: [layerProbe, positionProbe] }
+    )
+    expect(errors).toEqual([])
+    expect(warnings.some(w => w.includes('두께 열에 단위가 없어 nm'))).toBe(true)
+    expect(warnings.some(w => w.includes('"B"'))).toBe(true)
+    expect(formData.emissive_layer_index).toBe(2)
+    // 없어진 레이어를 가리키던 프로브는 삭제
+    expect(formData.probes).toEqual([positionProbe])
+  })
+
+  it('오류는 시트와 행 번호로 모두 알리고 입력은 바꾸지 않는다', () => {
+    const { formData, errors } = importCsv([
+      'name,thickness (nm),k (W/m·K),rho (kg/m3),cp (J/kg·K),emissive',
+      'Glass,700000,1,2500,840,o',
+      ',abc,0.2,1200,1500,',
+      'EML,40,-1,1200,1500,o',
+      'ETL,40,0.2,1200,1500,o'
+    ].join('\n'))
+    expect(formData).toBe(DEFAULT_VALUES)
+    expect(errors).toEqual([
+      'Sheet1 2행: 첫 행은 기판이므로 발광층이 될 수 없습니다.',
+      'Sheet1 3행: 레이어 이름이 비어 있습니다.',
+      'Sheet1 3행: 두께이(가) 숫자가 아닙니다 ("abc").',
+      'Sheet1 4행: 열전도도은(는) 0보다 커야 합니다.',
+      'Sheet1 5행: 발광층은 하나만 지정할 수 있습니다.'
+    ])
+
+    const units = importCsv('name,thickness (inch),k,rho,cp\nGlass,1,1,1,1\nA,1,1,1,1')
+    expect(units.errors[0]).toMatch(/^Sheet1 1행: 두께 단위 "inch"를 알 수 없습니다/)
+
+    const drive = importCsv('time (s),V,J (A/m2)\n0,0,0\n10,3,\n5,3,300')
+    expect(drive.errors).toEqual(['Sheet1 3행: 전류 밀도이(가) 비어 있습니다.', 'Sheet1 4행: 시간은 이전 행보다 커야 합니다.'])
+
+    expect(importCsv('a,b\n1,2').errors[0]).toMatch(/찾지 못했습니다/)
+  })
+})
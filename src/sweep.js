@@ -0,0 +1,121 @@
+// 파라미터 스윕: formData의 파라미터 하나를 범위에 걸쳐 바꿔 가며 반복 시뮬레이션
+import { requestSimulation } from './solver/simulationClient.js'
+import { buildSimulationPayload, convertSimulationResult } from './simulationPayload.js'
+import { updateLayerProperty } from './layerStack.js'
+
+export const SWEEP_SCALES = {
+  LINEAR: 'linear',
+  LOG: 'log'
+}
+
+export const MAX_SWEEP_STEPS = 100
+
+const GLOBAL_SWEEP_PARAMETERS = [
+  { field: 'current_density', label: '전류 밀도', unit: 'A/m²' },
+  { field: 'voltage', label: '전압', unit: 'V' },
+  { field: 'eqe', label: 'EQE', unit: '' },
+  { field: 'T_ambient', label: '주변 온도', unit: '°C' },
+  { field: 'epsilon_top', label: '상부 방사율', unit: '' },
+  { field: 'epsilon_bottom', label: '하부 방사율', unit: '' }
+]
+
+// 경계 조건 객체(boundary_top, boundary_bottom) 안의 값: field는 객체 안의 필드 이름
+const BOUNDARY_SWEEP_PARAMETERS = [
+  { boundary: 'boundary_top', field: 'h_conv', label: '상부 대류 계수', unit: 'W/m²·K' },
+  { boundary: 'boundary_bottom', field: 'h_conv', label: '하부 대류 계수', unit: 'W/m²·K' },
+  { boundary: 'boundary_bottom', field: 'sink_resistance', label: '하부 히트싱크 열저항', unit: 'm²·K/W' },
+  { boundary: 'boundary_bottom', field: 'sink_temperature', label: '하부 히트싱크 온도', unit: '°C' }
+]
+
+const LAYER_SWEEP_FIELDS = [
+  { field: 'thickness_layers_nm', label: '두께', unit: 'nm' },
+  { field: 'k_therm_layers', label: '열전도도', unit: 'W/m·K' },
+  { field: 'rho_layers', label: '밀도', unit: 'kg/m³' },
+  { field: 'c_p_layers', label: '비열', unit: 'J/kg·K' }
+]
+
+// 스윕 가능한 파라미터 목록 (레이어 물성은 현재 스택의 레이어별로 생성)
+export function getSweepParameters(formData) {
+  const layerParameters = formData.layer_names.flatMap((name, layerIndex) =>
+    LAYER_SWEEP_FIELDS.map(({ field, label, unit }) => ({
+      id: `${field}:${layerIndex}`,
+      field,
+      layerIndex,
+      label: `${name} ${label}`,
+      unit
+    }))
+  )
+  return [
+    ...GLOBAL_SWEEP_PARAMETERS.map(p => ({ ...p, id: p.field, layerIndex: null })),
+    ...BOUNDARY_SWEEP_PARAMETERS.map(p => ({ ...p, id: `${p.boundary}.${p.field}`, layerIndex: null })),
+    ...layerParameters
+  ]
+}
+
+export const formatParameterLabel = (parameter) =>
+  parameter.unit ? `${parameter.label} (${parameter.unit})` : parameter.label
+
+export function getParameterValue(formData, parameter) {
+  if (parameter.boundary) return formData[parameter.boundary][parameter.field]
+  const value = formData[parameter.field]
+  return parameter.layerIndex === null ? value : value[parameter.layerIndex]
+}
+
+export function applyParameterValue(formData, parameter, value) {
+  if (parameter.boundary) {
+    return { ...formData, [parameter.boundary]: { ...formData[parameter.boundary], [parameter.field]: value } }
+  }
+  if (parameter.layerIndex === null) return { ...formData, [parameter.field]: value }
+  return updateLayerProperty(formData, parameter.layerIndex, parameter.field, value)
+}
+
+/**
+ * 스윕 값 목록 생성 (선형 또는 로그 간격, 양 끝 포함)
+ */
+export function buildSweepValues(start, end, steps, scale = SWEEP_SCALES.LINEAR) {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw new Error('시작값과 끝값을 입력하세요.')
+  }
+  if (!Number.isInteger(steps) || steps < 2 || steps > MAX_SWEEP_STEPS) {
+    throw new Error(`스텝 수는 2 이상 ${MAX_SWEEP_STEPS} 이하의 정수여야 합니다.`)
+  }
+  if (scale === SWEEP_SCALES.LOG) {
+    if (start <= 0 || end <= 0) throw new Error('로그 스윕은 시작값과 끝값이 양수여야 합니다.')
+    const logStart = Math.log10(start)
+    const logEnd = Math.log10(end)
+    return Array.from({ length: steps }, (_, i) => 10 ** (logStart + (logEnd - logStart) * i / (steps - 1)))
+  }
+  return Array.from({ length: steps }, (_, i) => start + (end - start) * i / (steps - 1))
+}
+
+/**
+ * 스윕 실행. 각 점이 끝날 때마다 onPoint로 요약 결과를 전달한다.
+ * signal로 취소하면 AbortError로 reject된다 (이미 전달된 점은 유지).
+ */
+export async function runSweep({ formData, parameter, values, mode, signal, onPoint }) {
+  const points = []
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i]
+    const pointFormData = applyParameterValue(formData, parameter, value)
+    const data = await requestSimulation(buildSimulationPayload(pointFormData), mode, { signal })
+    let point
+    if (data.success) {
+      const result = convertSimulationResult(data, pointFormData)
+      const finalIdx = result.time.length - 1
+      const finalActive = result.temperature_active.map(row => row[finalIdx])
+      point = {
+        value,
+        success: true,
+        time: result.time,
+        centerTemp: result.perovskite_center_temp,
+        finalTemp: result.perovskite_center_temp[finalIdx],
+        maxTemp: Math.max(...finalActive)
+      }
+    } else {
+      point = { value, success: false, error: data.error || '시뮬레이션 실행 중 오류가 발생했습니다.' }
+    }
+    points.push(point)
+    if (onPoint) onPoint(point, i)
+  }
+  return points
+}
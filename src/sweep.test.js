@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import {
+  SWEEP_SCALES,
+  applyParameterValue,
+  buildSweepValues,
+  getParameterValue,
+  getSweepParameters
+} from './sweep.js'
+
+describe('파라미터 스윕', () => {
+  it('선형/로그 간격 값을 양 끝 포함으로 만든다', () => {
+    expect(buildSweepValues(100, 300, 3)).toEqual([100, 200, 300])
+    const log = buildSweepValues(1, 1000, 4, SWEEP_SCALES.LOG)
+    log.forEach((v, i) => expect(v).toBeCloseTo(10 ** i, 9))
+  })
+
+  it('잘못된 범위는 거부한다', () => {
+    expect(() => buildSweepValues(0, 10, 5, SWEEP_SCALES.LOG)).toThrow()
+    expect(() => buildSweepValues(1, 10, 1)).toThrow()
+    expect(() => buildSweepValues(NaN, 10, 5)).toThrow()
+  })
+
+  it('레이어 파라미터는 해당 레이어 값만 바꾼다', () => {
+    const parameter = getSweepParameters(DEFAULT_VALUES).find(p => p.id === 'k_therm_layers:3')
+    expect(parameter.label).toBe('Perovskite 열전도도')
+    const next = applyParameterValue(DEFAULT_VALUES, parameter, 1.5)
+    expect(getParameterValue(next, parameter)).toBe(1.5)
+    expect(next.k_therm_layers).toEqual([0.8, 10.0, 0.2, 1.5, 0.2, 200.0])
+    expect(DEFAULT_VALUES.k_therm_layers[3]).toBe(0.5)
+  })
+})
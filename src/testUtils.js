@@ -0,0 +1,12 @@
+// 테스트 공용 도우미 (앱 코드에서는 쓰지 않음)
+import { buildSimulationPayload, convertSimulationResult } from './simulationPayload.js'
+import { runSimulation } from './solver/thermalModel.js'
+
+/**
+ * formData를 JS 솔버로 바로 계산해 섭씨 결과 반환 (Web Worker 없이), 실패하면 Error
+ */
+export const simulate = (formData) => {
+  const result = runSimulation(buildSimulationPayload(formData))
+  if (!result.success) throw new Error(result.error)
+  return convertSimulationResult(result, formData)
+}
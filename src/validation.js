@@ -0,0 +1,178 @@
+// 입력 검증: 필드별 오류(실행 불가)와 경고(실행 가능하지만 의심스러운 값)
+// 키는 전역 필드 이름 또는 레이어 필드의 `${field}:${index}`
+import { ANALYSIS_MODES } from './solver/thermalModel.js'
+import { SUBSTRATE_INDEX } from './layerStack.js'
+import { getRepresentativeDrivePower, validateDrive } from './drive.js'
+import { EQE_MODEL_KEY, getEqeModel, maxEqeDroop, validateEqeModel, validatePropertyModels } from './propertyModels.js'
+import { RUNAWAY_LOOP_GAIN } from './eqeFeedback.js'
+import { validateHeatSource } from './heatSource.js'
+import { validateInterfaceResistances } from './interfaceResistance.js'
+import { BOUNDARY_SIDES, boundaryConductance, fixedBoundaryFlux, validateBoundaryConditions } from './boundaryConditions.js'
+import { validateSolverSettings } from './solverSettings.js'
+
+// 이 이상 온도가 오를 것으로 추정되면 열폭주 경고 (K)
+export const RUNAWAY_RISE_THRESHOLD = 100
+
+export const layerFieldKey = (field, index) => `${field}:${index}`
+
+// number input 값 -> 숫자 (비어 있거나 숫자가 아니면 ''로 두어 검증에서 잡음)
+export const parseNumberInput = (value) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : ''
+}
+
+// 입력 요소에 붙일 검증 상태 클래스
+export const fieldClassName = (error, warning) => {
+  if (error) return 'input-invalid'
+  return warning ? 'input-warning' : undefined
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// 레이어 물성: 양수 필수, 범위 밖이면 경고 [min, max]
+const LAYER_RULES = {
+  k_therm_layers: { label: '열전도도', range: [0.01, 2500] },
+  rho_layers: { label: '밀도', range: [100, 25000] },
+  c_p_layers: { label: '비열', range: [50, 5000] }
+}
+const SUBSTRATE_THICKNESS_RANGE = [1e4, 1e7] // 10 µm ~ 10 mm
+const ACTIVE_THICKNESS_RANGE = [0.5, 1e4] // 0.5 nm ~ 10 µm
+
+// 전역 입력: min/max는 허용 범위 (벗어나면 오류), warn은 권장 범위 (벗어나면 경고)
+const GLOBAL_RULES = {
+  voltage: { label: '전압', min: 0, warn: [0, 20] },
+  current_density: { label: '전류 밀도', min: 0, warn: [0, 1e5] },
+  eqe: { label: 'EQE', min: 0, max: 1 },
+  epsilon_top: { label: '상부 방사율', min: 0, max: 1 },
+  epsilon_bottom: { label: '하부 방사율', min: 0, max: 1 },
+  T_ambient: { label: '주변 온도', min: -273.15, exclusiveMin: true, warn: [-50, 200] },
+  t_start: { label: '시작 시간', warn: [0, Infinity] },
+  t_end: { label: '종료 시간', warn: [-Infinity, 1e6] }
+}
+
+// 인가 전력 (W/m²): 과도 해석에서 구동 파형이 있으면 대표 전력
+const representativePower = (formData) => (formData.analysis_mode === ANALYSIS_MODES.STEADY
+  ? formData.voltage * formData.current_density
+  : getRepresentativeDrivePower(formData))
+
+// 양면 경계의 선형화 열전달 계수 합 (대류 + 주변 온도에서 선형화한 복사, 히트싱크, 고정 온도) (W/m²·K)
+const estimateLossCoefficient = (formData) =>
+  BOUNDARY_SIDES.reduce((sum, { side }) => sum + boundaryConductance(formData, side), 0)
+
+/**
+ * 정상상태 온도 상승 추정 (K): (발생 열 - 고정 열유속 방열) / 양면 선형화 열전달 계수
+ * 박막의 전도 저항은 무시하므로 대략적인 값. 열이 빠져나갈 경로가 없으면 Infinity
+ * 과도 해석에서 구동 파형이 있으면 대표 전력(펄스는 평균, 표는 최댓값)을 사용
+ */
+export function estimateSteadyStateRise(formData) {
+  const fixedLoss = BOUNDARY_SIDES.reduce((sum, { side }) => sum + fixedBoundaryFlux(formData, side), 0)
+  const power = representativePower(formData) * (1 - formData.eqe) - fixedLoss
+  const lossCoefficient = estimateLossCoefficient(formData)
+  if (power <= 0) return 0
+  return lossCoefficient > 0 ? power / lossCoefficient : Infinity
+}
+
+/**
+ * EQE(T) 되먹임 이득 추정: 인가 전력 × 최대 EQE 감소율 / 표면 방열 계수
+ * 전도 저항을 무시하므로 실행 후 분석(eqeFeedback.js)보다 약간 작다.
+ */
+export function estimateEqeLoopGain(formData) {
+  const droop = maxEqeDroop(getEqeModel(formData))
+  if (droop === 0) return 0
+  const lossCoefficient = estimateLossCoefficient(formData)
+  return lossCoefficient > 0 ? representativePower(formData) * droop / lossCoefficient : Infinity
+}
+
+const checkRange = (value, [min, max], label, warnings, key) => {
+  if (value < min || value > max) warnings[key] = `${label} 값이 일반적인 범위(${min} ~ ${max})를 벗어납니다.`
+}
+
+/**
+ * formData 전체 검증. { errors, warnings, isValid }
+ */
+export function validateFormData(formData) {
+  const errors = {}
+  const warnings = {}
+
+  formData.layer_names.forEach((name, i) => {
+    if (!String(name).trim()) errors[layerFieldKey('layer_names', i)] = '레이어 이름을 입력하세요.'
+
+    const thicknessKey = layerFieldKey('thickness_layers_nm', i)
+    const thickness = formData.thickness_layers_nm[i]
+    if (!isNumber(thickness)) errors[thicknessKey] = '두께를 입력하세요.'
+    else if (thickness <= 0) errors[thicknessKey] = '두께는 0보다 커야 합니다.'
+    else checkRange(thickness, i === SUBSTRATE_INDEX ? SUBSTRATE_THICKNESS_RANGE : ACTIVE_THICKNESS_RANGE, '두께', warnings, thicknessKey)
+
+    Object.entries(LAYER_RULES).forEach(([field, { label, range }]) => {
+      const key = layerFieldKey(field, i)
+      const value = formData[field][i]
+      if (!isNumber(value)) errors[key] = `${label}을(를) 입력하세요.`
+      else if (value <= 0) errors[key] = `${label}은(는) 0보다 커야 합니다.`
+      else checkRange(value, range, label, warnings, key)
+    })
+  })
+
+  const propertyModels = validatePropertyModels(formData)
+  Object.assign(errors, propertyModels.errors)
+  Object.assign(warnings, propertyModels.warnings)
+  const eqeModel = validateEqeModel(formData)
+  Object.assign(errors, eqeModel.errors)
+  Object.assign(warnings, eqeModel.warnings)
+  const heatSource = validateHeatSource(formData)
+  Object.assign(errors, heatSource.errors)
+  Object.assign(warnings, heatSource.warnings)
+  const interfaces = validateInterfaceResistances(formData)
+  Object.assign(errors, interfaces.errors)
+  Object.assign(warnings, interfaces.warnings)
+  const boundaries = validateBoundaryConditions(formData)
+  Object.assign(errors, boundaries.errors)
+  Object.assign(warnings, boundaries.warnings)
+  const solverSettings = validateSolverSettings(formData)
+  Object.assign(errors, solverSettings.errors)
+  Object.assign(warnings, solverSettings.warnings)
+
+  Object.entries(GLOBAL_RULES).forEach(([field, rule]) => {
+    const value = formData[field]
+    if (!isNumber(value)) {
+      errors[field] = `${rule.label}을(를) 입력하세요.`
+    } else if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+      errors[field] = `${rule.label}은(는) ${rule.min}${rule.exclusiveMin ? '보다 커야' : ' 이상이어야'} 합니다.`
+    } else if (rule.max !== undefined && value > rule.max) {
+      errors[field] = `${rule.label}은(는) ${rule.max} 이하여야 합니다.`
+    } else if (rule.warn) {
+      checkRange(value, rule.warn, rule.label, warnings, field)
+    }
+  })
+
+  if (isNumber(formData.t_start) && isNumber(formData.t_end) && formData.t_end <= formData.t_start) {
+    errors.t_end = '종료 시간은 시작 시간보다 커야 합니다.'
+  }
+
+  const steady = formData.analysis_mode === ANALYSIS_MODES.STEADY
+  // 정상상태 해석은 구동 파형을 쓰지 않음
+  if (formData.drive && !steady) {
+    const drive = validateDrive(formData.drive, formData.t_end - formData.t_start)
+    Object.assign(errors, drive.errors)
+    Object.assign(warnings, drive.warnings)
+  }
+
+  // 발생 열에 비해 방열이 부족하면 열폭주 경고 (전기적 입력이 모두 유효할 때만)
+  const powerFields = ['voltage', 'current_density', 'eqe', 'epsilon_top', 'epsilon_bottom', 'T_ambient']
+  const inputsValid = Object.keys(errors).every(key => !key.startsWith('drive') && !key.startsWith('boundary_'))
+  if (inputsValid && powerFields.every(field => !errors[field])) {
+    const rise = estimateSteadyStateRise(formData)
+    if (rise > RUNAWAY_RISE_THRESHOLD) {
+      warnings.power = Number.isFinite(rise)
+        ? `추정 정상상태 온도 상승이 약 ${Math.round(rise)} K입니다. 열폭주(runaway) 수준의 발열일 수 있습니다.`
+        : '대류, 복사, 히트싱크, 고정 온도 경계가 모두 없어 열이 빠져나가지 못하고 온도가 계속 상승합니다.'
+    }
+    const loopGain = errors[EQE_MODEL_KEY] ? 0 : estimateEqeLoopGain(formData)
+    if (loopGain >= RUNAWAY_LOOP_GAIN) {
+      warnings[EQE_MODEL_KEY] = Number.isFinite(loopGain)
+        ? `EQE 감소에 의한 발열 되먹임 이득이 약 ${loopGain.toFixed(2)}로 1 이상입니다. 열폭주가 일어날 수 있습니다.`
+        : 'EQE가 온도에 따라 감소하는데 열이 빠져나갈 경로가 없어 열폭주가 일어납니다.'
+    }
+  }
+
+  return { errors, warnings, isValid: Object.keys(errors).length === 0 }
+}
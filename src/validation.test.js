@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { updateLayerProperty } from './layerStack.js'
+import { estimateEqeLoopGain, estimateSteadyStateRise, parseNumberInput, validateFormData } from './validation.js'
+
+describe('입력 검증', () => {
+  it('기본값은 오류와 경고가 없다', () => {
+    const { errors, warnings, isValid } = validateFormData(DEFAULT_VALUES)
+    expect(isValid).toBe(true)
+    expect(errors).toEqual({})
+    expect(warnings).toEqual({})
+  })
+
+  it('비운 입력은 0으로 바꾸지 않고 오류로 표시한다', () => {
+    expect(parseNumberInput('')).toBe('')
+    expect(parseNumberInput('12.5')).toBe(12.5)
+    const formData = updateLayerProperty(DEFAULT_VALUES, 2, 'thickness_layers_nm', parseNumberInput(''))
+    const { errors, isValid } = validateFormData(formData)
+    expect(isValid).toBe(false)
+    expect(errors['thickness_layers_nm:2']).toBe('두께를 입력하세요.')
+  })
+
+  it('물리적으로 불가능한 값은 오류, 의심스러운 값은 경고로 구분한다', () => {
+    const { errors, warnings } = validateFormData({
+      ...updateLayerProperty(DEFAULT_VALUES, 5, 'k_therm_layers', -1),
+      eqe: 1.2,
+      epsilon_top: -0.1,
+      t_end: 0,
+      boundary_top: { ...DEFAULT_VALUES.boundary_top, h_conv: 2000 }
+    })
+    expect(Object.keys(errors).sort()).toEqual(['epsilon_top', 'eqe', 'k_therm_layers:5', 't_end'])
+    expect(Object.keys(warnings)).toEqual(['boundary_top.h_conv'])
+  })
+
+  it('방열에 비해 발열이 크면 열폭주 경고를 낸다', () => {
+    expect(estimateSteadyStateRise(DEFAULT_VALUES)).toBeGreaterThan(20)
+    expect(estimateSteadyStateRise(DEFAULT_VALUES)).toBeLessThan(40)
+    expect(validateFormData({ ...DEFAULT_VALUES, current_density: 3000 }).warnings.power).toMatch(/열폭주/)
+    const insulated = { ...DEFAULT_VALUES.boundary_top, h_conv: 0 }
+    expect(validateFormData({ ...DEFAULT_VALUES, boundary_top: insulated, boundary_bottom: insulated, epsilon_top: 0, epsilon_bottom: 0 }).warnings.power)
+      .toMatch(/계속 상승/)
+  })
+
+  it('EQE(T) 감소로 되먹임 이득이 1 이상이면 열폭주 경고를 낸다', () => {
+    const withSlope = (slope) => ({ ...DEFAULT_VALUES, eqe_model: { ...DEFAULT_VALUES.eqe_model, type: 'linear', T_ref: 25, slope } })
+    expect(estimateEqeLoopGain(DEFAULT_VALUES)).toBe(0)
+    expect(estimateEqeLoopGain(withSlope(-0.0005))).toBeLessThan(0.05)
+    expect(validateFormData(withSlope(-0.0005)).warnings.eqe_model).toBeUndefined()
+    expect(validateFormData(withSlope(-0.05)).warnings.eqe_model).toMatch(/열폭주/)
+  })
+})
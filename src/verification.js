@@ -0,0 +1,174 @@
+// 정확도 검증: 현재 설정을 격자 세분화와 Glass 두께 축소 배율을 바꿔 다시 계산하고
+// 발광층 중간 온도(최종값, 과도응답)의 변화로 이산화 오차를 추정한다.
+import { requestSimulation } from './solver/simulationClient.js'
+import { buildSimulationPayload, convertSimulationResult } from './simulationPayload.js'
+import { MAX_GRID_NODES, MESH_MODES, resolvePointsPerLayer } from './solver/solverOptions.js'
+import { GLASS_THICKNESS_SCALE_FACTOR } from './solver/thermalModel.js'
+
+// 격자는 레이어별 노드 수를 2배씩 (세 격자로 Richardson 외삽), Glass는 기본 배율부터 축소 없음(1)까지
+export const MESH_REFINEMENT_FACTORS = [1, 2, 4]
+export const GLASS_SCALE_FACTORS = [GLASS_THICKNESS_SCALE_FACTOR, 100, 1]
+// 기준 결과 (현재 격자, 기본 Glass 배율): 다른 실행의 변화량은 이 결과와 비교
+export const BASE_CASE_ID = 'mesh-1'
+
+// Roache의 격자 수렴 지수(GCI) 안전 계수 (세 격자로 수렴 차수를 구했을 때)
+const GCI_SAFETY_FACTOR = 1.25
+// 관측 수렴 차수가 이 범위를 벗어나면 점근 영역이 아니라고 보고 외삽하지 않는다
+const MIN_OBSERVED_ORDER = 0.5
+const MAX_OBSERVED_ORDER = 4
+
+export const VERIFICATION_LEVELS = {
+  GOOD: 'good',
+  CAUTION: 'caution',
+  POOR: 'poor'
+}
+
+// 판정 기준: 추정 오차(격자 + Glass 축소)가 온도 상승량의 몇 %인지
+const LEVEL_THRESHOLDS = [
+  { level: VERIFICATION_LEVELS.GOOD, max: 0.01 },
+  { level: VERIFICATION_LEVELS.CAUTION, max: 0.05 }
+]
+
+export const VERIFICATION_LEVEL_LABELS = {
+  [VERIFICATION_LEVELS.GOOD]: '신뢰 가능 (추정 오차 < 온도 상승의 1%)',
+  [VERIFICATION_LEVELS.CAUTION]: '주의 (추정 오차 1~5%)',
+  [VERIFICATION_LEVELS.POOR]: '격자를 세분화하세요 (추정 오차 > 5%)'
+}
+
+/**
+ * 검증 실행 목록: 기본 격자/기본 배율(기준 결과), 세분화 격자, 다른 Glass 배율
+ * 전체 노드 수가 최대를 넘는 세분화 단계는 뺀다.
+ */
+export function buildVerificationCases(formData) {
+  const basePoints = resolvePointsPerLayer(formData, formData.emissive_layer_index)
+  const meshCases = MESH_REFINEMENT_FACTORS
+    .map(refinement => ({ refinement, points: basePoints.map(n => n * refinement) }))
+    .filter(({ points }) => points.reduce((sum, n) => sum + n, 1) <= MAX_GRID_NODES)
+    .map(({ refinement, points }) => ({
+      id: `mesh-${refinement}`,
+      label: refinement === 1 ? '기준 (현재 설정)' : `격자 ×${refinement}`,
+      refinement,
+      glassScale: GLASS_THICKNESS_SCALE_FACTOR,
+      formData: refinement === 1 ? formData : { ...formData, mesh_mode: MESH_MODES.POINTS, points_per_layer: points }
+    }))
+  const glassCases = GLASS_SCALE_FACTORS
+    .filter(scale => scale !== GLASS_THICKNESS_SCALE_FACTOR)
+    .map(scale => ({
+      id: `glass-${scale}`,
+      label: scale === 1 ? 'Glass 축소 없음' : `Glass 축소 ×${scale}`,
+      refinement: 1,
+      glassScale: scale,
+      formData: { ...formData, glass_scale_factor: scale }
+    }))
+  return [...meshCases, ...glassCases]
+}
+
+/**
+ * 검증 실행. 실행 하나가 끝날 때마다 onCase로 요약 결과를 전달한다.
+ * signal로 취소하면 AbortError로 reject된다 (이미 전달된 결과는 유지).
+ */
+export async function runVerification({ formData, mode, signal, onCase }) {
+  const cases = buildVerificationCases(formData)
+  const results = []
+  for (let i = 0; i < cases.length; i++) {
+    const { formData: caseFormData, ...info } = cases[i]
+    const data = await requestSimulation(buildSimulationPayload(caseFormData), mode, { signal })
+    let entry
+    if (data.success) {
+      const result = convertSimulationResult(data, caseFormData)
+      const centerTemp = result.perovskite_center_temp
+      entry = {
+        ...info,
+        success: true,
+        time: result.time,
+        centerTemp,
+        finalTemp: centerTemp[centerTemp.length - 1],
+        nodes: data.solver_stats?.n_nodes ?? null,
+        wallTime: data.solver_stats?.wall_time_s ?? null
+      }
+    } else {
+      entry = { ...info, success: false, error: data.error || '시뮬레이션 실행 중 오류가 발생했습니다.' }
+    }
+    results.push(entry)
+    if (onCase) onCase(entry, i, cases.length)
+  }
+  return results
+}
+
+// 같은 출력 시간에서 두 과도응답의 최대 차이 (출력 시간이 다르면 비교하지 않음)
+function maxTransientDifference(entry, reference) {
+  if (entry.time.length !== reference.time.length) return null
+  return entry.centerTemp.reduce((max, T, i) => Math.max(max, Math.abs(T - reference.centerTemp[i])), 0)
+}
+
+/**
+ * 세 격자(세분화 비 2)의 최종 온도로 관측 수렴 차수, Richardson 외삽값, 기준 격자의 추정 오차, GCI 계산
+ * 단조 수렴이 아니거나 두 격자뿐이면 외삽하지 않고 가장 고운 격자와의 차이를 오차로 쓴다.
+ */
+export function estimateDiscretizationError(values, ratio = 2) {
+  const [coarse, ...rest] = values
+  const fine = rest[rest.length - 1]
+  const fallback = { order: null, extrapolated: null, error: Math.abs(fine - coarse), gci: null }
+  if (values.length < 3) return fallback
+  const e21 = values[1] - values[0]
+  const e32 = values[2] - values[1]
+  if (e32 === 0 || e21 / e32 <= 0) return fallback
+  const order = Math.log(e21 / e32) / Math.log(ratio)
+  if (order < MIN_OBSERVED_ORDER || order > MAX_OBSERVED_ORDER) return fallback
+  const extrapolated = fine + e32 / (ratio ** order - 1)
+  return {
+    order,
+    extrapolated,
+    error: Math.abs(coarse - extrapolated),
+    gci: GCI_SAFETY_FACTOR * Math.abs(e32) / (ratio ** order - 1)
+  }
+}
+
+/**
+ * 수렴 표와 판정: 격자 단계는 가장 고운 격자, Glass 단계는 축소 없음과 비교
+ * 온도 상승량 = 기준 결과의 최종 발광층 온도 - 주변 온도
+ */
+export function analyzeVerification(results, formData) {
+  const succeeded = results.filter(entry => entry.success)
+  const base = succeeded.find(entry => entry.id === BASE_CASE_ID)
+  if (!base) return null
+  const meshSeries = succeeded
+    .filter(entry => entry.glassScale === GLASS_THICKNESS_SCALE_FACTOR)
+    .sort((a, b) => a.refinement - b.refinement)
+  const glassSeries = succeeded
+    .filter(entry => entry.refinement === 1)
+    .sort((a, b) => b.glassScale - a.glassScale)
+  const meshReference = meshSeries[meshSeries.length - 1]
+  const glassReference = glassSeries[glassSeries.length - 1]
+
+  const rows = succeeded.map(entry => {
+    const reference = entry.glassScale === GLASS_THICKNESS_SCALE_FACTOR ? meshReference : glassReference
+    return {
+      id: entry.id,
+      label: entry.label,
+      nodes: entry.nodes,
+      glassScale: entry.glassScale,
+      meshSeries: entry.glassScale === GLASS_THICKNESS_SCALE_FACTOR,
+      finalTemp: entry.finalTemp,
+      deltaFinal: entry.finalTemp - base.finalTemp,
+      transientDelta: maxTransientDifference(entry, base),
+      reference: entry === reference,
+      wallTime: entry.wallTime
+    }
+  })
+
+  const mesh = meshSeries.length > 1
+    ? { ...estimateDiscretizationError(meshSeries.map(entry => entry.finalTemp)), transientError: maxTransientDifference(base, meshReference) }
+    : null
+  const glass = glassSeries.length > 1
+    ? { error: Math.abs(base.finalTemp - glassReference.finalTemp), transientError: maxTransientDifference(base, glassReference) }
+    : null
+
+  const rise = Math.abs(base.finalTemp - formData.T_ambient)
+  const totalError = (mesh?.error ?? 0) + (glass?.error ?? 0)
+  const relativeError = rise > 0 ? totalError / rise : 0
+  const level = mesh && glass
+    ? (LEVEL_THRESHOLDS.find(({ max }) => relativeError < max)?.level ?? VERIFICATION_LEVELS.POOR)
+    : null
+  return { rows, mesh, glass, rise, totalError, relativeError, level }
+}
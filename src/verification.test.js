@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_VALUES } from './constants.js'
+import { simulate } from './testUtils.js'
+import { buildSimulationPayload } from './simulationPayload.js'
+import { ANALYSIS_MODES, runSimulation } from './solver/thermalModel.js'
+import { MESH_MODES } from './solver/solverOptions.js'
+import {
+  BASE_CASE_ID,
+  VERIFICATION_LEVELS,
+  analyzeVerification,
+  buildVerificationCases,
+  estimateDiscretizationError
+} from './verification.js'
+
+// runVerification과 같은 형식의 실행 결과 (Web Worker 없이 바로 계산)
+const runCases = (formData) => buildVerificationCases(formData).map(({ formData: caseFormData, ...info }) => {
+  const result = simulate(caseFormData)
+  const centerTemp = result.perovskite_center_temp
+  return { ...info, success: true, time: result.time, centerTemp, finalTemp: centerTemp[centerTemp.length - 1], nodes: null, wallTime: null }
+})
+
+const STEADY = { ...DEFAULT_VALUES, analysis_mode: ANALYSIS_MODES.STEADY }
+
+describe('격자 수렴 오차 추정', () => {
+  it('2차 수렴하는 값에서 수렴 차수와 외삽값을 찾는다', () => {
+    // f(h) = 10 + 3h², h = 1, 1/2, 1/4
+    const estimate = estimateDiscretizationError([13, 10.75, 10.1875])
+    expect(estimate.order).toBeCloseTo(2, 10)
+    expect(estimate.extrapolated).toBeCloseTo(10, 10)
+    expect(estimate.error).toBeCloseTo(3, 10)
+    expect(estimate.gci).toBeCloseTo(1.25 * 0.5625 / 3, 10)
+  })
+
+  it('진동하거나 두 격자뿐이면 외삽하지 않고 가장 고운 격자와의 차이를 쓴다', () => {
+    expect(estimateDiscretizationError([10, 11, 10.5])).toEqual({ order: null, extrapolated: null, error: 0.5, gci: null })
+    expect(estimateDiscretizationError([10, 10.2]).error).toBeCloseTo(0.2, 12)
+  })
+})
+
+describe('정확도 검증 실행 목록', () => {
+  it('기준 격자의 노드 수를 2배, 4배로 늘리고 Glass 배율을 바꾼 실행을 만든다', () => {
+    const cases = buildVerificationCases(DEFAULT_VALUES)
+    expect(cases.map(c => c.id)).toEqual([BASE_CASE_ID, 'mesh-2', 'mesh-4', 'glass-100', 'glass-1'])
+    expect(cases[0].formData).toBe(DEFAULT_VALUES)
+    expect(cases[2].formData.mesh_mode).toBe(MESH_MODES.POINTS)
+    expect(cases[2].formData.points_per_layer).toEqual(DEFAULT_VALUES.points_per_layer.map(n => n * 4))
+    expect(cases[4].formData.glass_scale_factor).toBe(1)
+  })
+
+  it('최대 노드 수를 넘는 세분화 단계는 뺀다', () => {
+    // 전체 1251개: ×2는 2501개, ×4는 5001개
+    const fine = { ...DEFAULT_VALUES, mesh_mode: MESH_MODES.POINTS, points_per_layer: [50, 300, 300, 300, 200, 100] }
+    const ids = buildVerificationCases(fine).map(c => c.id)
+    expect(ids).toContain('mesh-2')
+    expect(ids).not.toContain('mesh-4')
+  })
+})
+
+describe('Glass 두께 축소', () => {
+  it('축소 배율은 열저항과 열용량을 유지하므로 축소하지 않은 결과와 같다', () => {
+    const scaled = simulate(STEADY)
+    const unscaled = simulate({ ...STEADY, glass_scale_factor: 1 })
+    expect(scaled.perovskite_center_temp[0]).toBeCloseTo(unscaled.perovskite_center_temp[0], 2)
+    // Glass 양면의 온도 차이(열저항 × 열유속)도 유지
+    const glassDrop = (result) => result.temperature_glass[result.temperature_glass.length - 1][0] - result.temperature_glass[0][0]
+    expect(glassDrop(unscaled)).toBeGreaterThan(0.1)
+    expect(glassDrop(scaled)).toBeCloseTo(glassDrop(unscaled), 2)
+  })
+
+  it('1보다 작은 배율은 거부한다', () => {
+    expect(() => runSimulation(buildSimulationPayload({ ...STEADY, glass_scale_factor: 0.5 }))).toThrow('축소 배율')
+  })
+})
+
+describe('수렴 표와 판정', () => {
+  it('기본 설정의 정상상태는 격자와 Glass 축소 오차가 작아 신뢰 가능으로 판정한다', () => {
+    const analysis = analyzeVerification(runCases(STEADY), STEADY)
+    expect(analysis.rows.map(row => row.id)).toEqual([BASE_CASE_ID, 'mesh-2', 'mesh-4', 'glass-100', 'glass-1'])
+    expect(analysis.rows.find(row => row.id === 'mesh-4').reference).toBe(true)
+    expect(analysis.rows.find(row => row.id === 'glass-1').reference).toBe(true)
+    expect(analysis.rows[0].deltaFinal).toBe(0)
+    expect(analysis.rise).toBeGreaterThan(0)
+    expect(analysis.glass.error).toBeLessThan(0.01)
+    expect(analysis.level).toBe(VERIFICATION_LEVELS.GOOD)
+  })
+
+  it('기준 실행이 실패하면 분석하지 않고 Glass 또는 격자 비교가 빠지면 판정하지 않는다', () => {
+    const results = runCases(STEADY)
+    expect(analyzeVerification(results.map(r => (r.id === BASE_CASE_ID ? { ...r, success: false } : r)), STEADY)).toBeNull()
+    const withoutGlass = analyzeVerification(results.filter(r => !r.id.startsWith('glass')), STEADY)
+    expect(withoutGlass.glass).toBeNull()
+    expect(withoutGlass.level).toBeNull()
+  })
+})